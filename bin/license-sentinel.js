@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// The entry point of the `license-sentinel` command, see src/cli/cli.js.
+const { main } = require('../src/cli/cli');
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`License Sentinel 🛡️: ${error.stack || error.message}`);
+    process.exitCode = 2;
+});
@@ -3,13 +3,28 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs/promises');
-const { scanWorkspace } = require('./src/core/scanner');
+const { scanWorkspace, scanWorkspaceFiles } = require('./src/core/scanner');
+const { SUPPORTED_FILE_NAMES, mergeDependencies, mergePolicyOverrides, mergeReadFiles, indexDependentManifests } = require('./src/core/engine');
+const { toManifestFile, getManifestUri, getPolicyFileUri, isDeclaredIn } = require('./src/hosts/vscodeHost');
+const { POLICY_FILE_NAMES, addLicensesToPolicyFile } = require('./src/core/policyFile');
+const { createScanCoordinator } = require('./src/core/scanCoordinator');
+const { clearCache, pruneCache } = require('./src/core/caching');
 // Import the LicenseTreeDataProvider to display dependencies in a tree view.
 const { LicenseTreeDataProvider } = require('./src/features/licenseTreeDataProvider');
+// Import the PolicyExceptionsTreeDataProvider to list the policy exceptions in their own view.
+const { PolicyExceptionsTreeDataProvider } = require('./src/features/policyExceptionsTreeDataProvider');
 // Import the DependencyHoverProvider to show dependency information on hover, and the updateDecorations function to update editor decorations.
 const { DependencyHoverProvider, updateDecorations } = require('./src/features/decorations');
-// Import utility functions for converting data to CSV format and debouncing function calls.
-const { convertToCsv, debounce } = require('./src/utils/text');
+// Import the utility function for debouncing function calls.
+const { debounce } = require('./src/utils/text');
+// Import the report builders used by the export command.
+const { buildMarkdownReport } = require('./src/reports/markdownReport');
+const { buildCsvReport } = require('./src/reports/csvReport');
+const { buildCycloneDxJson, buildCycloneDxXml } = require('./src/reports/cycloneDxReport');
+const { buildSpdxTagValue, buildSpdxJson } = require('./src/reports/spdxReport');
+const { buildNoticesText, buildNoticesMarkdown, buildNoticesHtml } = require('./src/reports/noticesReport');
+const { collectThirdPartyNotices } = require('./src/core/notices');
+const { ScanCancelledError } = require('./src/core/cancellation');
 
 // Define constants for all the commands used in the extension.
 const COMMANDS = {
@@ -17,10 +32,14 @@ const COMMANDS = {
     START_SCAN: 'license-sentinel.startScan',
     // Command to refresh the license scan results.
     REFRESH: 'license-sentinel.refresh',
+    // Command to cancel the scan in progress.
+    CANCEL_SCAN: 'license-sentinel.cancelScan',
     // Command to clear the extension's cache.
     CLEAR_CACHE: 'license-sentinel.clearCache',
     // Command to export the license report.
     EXPORT_REPORT: 'license-sentinel.exportReport',
+    // Command to generate the third-party notices file.
+    GENERATE_NOTICES: 'license-sentinel.generateNotices',
     // Command to navigate to the manifest file of a dependency.
     GO_TO_FILE: 'license-sentinel.goToManifestFile',
     // Command to open the homepage of a dependency.
@@ -37,12 +56,24 @@ const COMMANDS = {
 
 // Store the dependency data obtained from the workspace scan.
 let dependencyData = [];
+// Store the policy exceptions of each workspace folder and policy file, including those matching no dependency.
+let policyOverrideData = [];
+// Store the other files each dependency file was parsed with (e.g. its parent POM or the Gradle version catalog), keyed by its path.
+let readFileData = {};
+// The paths of the dependency files that read each of those files, keyed by the path of that file.
+let dependentManifests = new Map();
+// Watch the files read by dependency files that the dependency file watcher doesn't cover, keyed by path.
+const readFileWatchers = new Map();
+// Queue a created, changed or deleted file for the next incremental rescan; set up with the event listeners.
+let queueFileChange = () => {};
 // Track whether the extension has been activated.
 let isActivated = false;
 // Store references to the UI managers (tree data provider, hover provider, status bar item).
 let uiManagers = {};
 // Diagnostic collection to manage and display problems in the VS Code editor.
 let diagnosticCollection;
+// The coordinator that runs one scan at a time, coalesces the requests made meanwhile and drops the results of cancelled scans.
+let scanCoordinator;
 
 // This function is called when the extension is activated.
 async function activate(context) {
@@ -58,6 +89,9 @@ async function activate(context) {
     // Create a new LicenseTreeDataProvider and register it with VS Code to display the dependency tree view.
     const treeDataProvider = new LicenseTreeDataProvider();
     vscode.window.createTreeView('license-sentinel-dependency-view', { treeDataProvider, showCollapseAll: true });
+    // Create the provider of the view listing the policy exceptions by state.
+    const exceptionsTreeDataProvider = new PolicyExceptionsTreeDataProvider();
+    vscode.window.createTreeView('license-sentinel-exceptions-view', { treeDataProvider: exceptionsTreeDataProvider, showCollapseAll: true });
 
     // Create a new DependencyHoverProvider and register it with VS Code to provide hover information for dependencies.
     const hoverProvider = new DependencyHoverProvider();
@@ -68,7 +102,18 @@ async function activate(context) {
     statusBarItem.show();
 
     // Store the UI managers for easy access.
-    uiManagers = { treeDataProvider, hoverProvider, statusBarItem };
+    uiManagers = { treeDataProvider, exceptionsTreeDataProvider, hoverProvider, statusBarItem };
+
+    // Create the scan coordinator, which applies the results of the scans that weren't cancelled or superseded.
+    scanCoordinator = createScanCoordinator({
+        scan: (request, token) => runScanRequest(context, request, token),
+        apply: applyScanResult,
+        onError: error => {
+            console.error('License Sentinel 🛡️: The scan failed:', error);
+            vscode.window.showErrorMessage(`License Sentinel 🛡️: The scan failed: ${error.message}`);
+        },
+        onStateChange: updateScanningState
+    });
 
     // Register all the commands used by the extension.
     registerCommands(context);
@@ -77,33 +122,37 @@ async function activate(context) {
     // Set up event listeners for workspace changes, document saves, and configuration changes.
     setupEventListeners(context);
 
-    // Run an initial scan of the workspace when the extension is activated.
-    runScan(context);
+    // Drop the expired cache entries, and those older versions kept per workspace, before the initial scan.
+    const cacheTtlHours = vscode.workspace.getConfiguration('license-sentinel').get('cacheTtlHours', 24);
+    Promise.all([pruneCache(context.globalState, cacheTtlHours * 60 * 60 * 1000), clearCache(context.workspaceState)])
+        // Run an initial scan of the workspace when the extension is activated.
+        .finally(() => runScan());
 }
 
 // This function registers all the commands used by the extension.
 function registerCommands(context) {
     // Register the start scan command.
-    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.START_SCAN, () => runScan(context)));
+    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.START_SCAN, () => runScan()));
     // Register the refresh command.
-    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.REFRESH, () => runScan(context)));
+    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.REFRESH, () => runScan()));
+    // Register the cancel scan command; the results found so far are dropped and the previous ones are kept.
+    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.CANCEL_SCAN, () => scanCoordinator.cancel()));
 
     // Register the clear cache command.
     context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.CLEAR_CACHE, () => {
-        // Get all the keys in the workspace state that start with 'license-sentinel:'.
-        const keysToClear = context.workspaceState.keys().filter(key => key.startsWith('license-sentinel:'));
-        // Create an array of promises to update each key to undefined.
-        const promises = keysToClear.map(key => context.workspaceState.update(key, undefined));
-        // Wait for all the promises to resolve, then show a message and run a new scan.
-        Promise.all(promises).then(() => {
+        // Remove every cached license, including those older versions kept in the workspace state, then show a message and run a new scan.
+        Promise.all([clearCache(context.globalState), clearCache(context.workspaceState)]).then(() => {
             vscode.window.showInformationMessage('License Sentinel 🛡️ cache cleared! Starting a new scan...');
-            runScan(context);
+            runScan();
         });
     }));
 
     // Register the export report command.
     context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.EXPORT_REPORT, () => exportReport()));
 
+    // Register the generate notices command.
+    context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.GENERATE_NOTICES, () => generateNotices()));
+
     // Register the go to file command.
     context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.GO_TO_FILE, (item) => {
         // If the item is a TreeItem and has a resource URI, open the corresponding document in the editor.
@@ -128,9 +177,11 @@ function registerCommands(context) {
             const infoToCopy = {
                 name: item.dependencyInfo.name,
                 version: item.dependencyInfo.version,
+                resolvedVersion: item.dependencyInfo.resolvedVersion,
                 license: item.dependencyInfo.license,
                 status: item.dependencyInfo.status,
                 homepage: item.dependencyInfo.homepage,
+                dependencyPath: item.dependencyInfo.dependencyPath,
                 reason: item.dependencyInfo.analysis.reason
             };
             vscode.env.clipboard.writeText(JSON.stringify(infoToCopy, null, 2));
@@ -142,7 +193,7 @@ function registerCommands(context) {
     context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.ADD_ALLOWED, (item) => {
         // If the item has dependency information, add the license to the list of allowed licenses.
         if (item && item.dependencyInfo) {
-            updateLicensePolicy('allowedLicenses', item.dependencyInfo.license, context);
+            updateLicensePolicy('allowedLicenses', item.dependencyInfo);
         }
     }));
 
@@ -150,7 +201,7 @@ function registerCommands(context) {
     context.subscriptions.push(vscode.commands.registerCommand(COMMANDS.ADD_DENIED, (item) => {
         // If the item has dependency information, add the license to the list of denied licenses.
         if (item && item.dependencyInfo) {
-            updateLicensePolicy('deniedLicenses', item.dependencyInfo.license, context);
+            updateLicensePolicy('deniedLicenses', item.dependencyInfo);
         }
     }));
 
@@ -168,6 +219,11 @@ function registerProviders(context) {
         'jsonc',
         'toml',
         'xml',
+        'yaml',
+        { scheme: 'file', pattern: '**/yarn.lock' },
+        { scheme: 'file', pattern: '**/build.gradle' },
+        { scheme: 'file', pattern: '**/build.gradle.kts' },
+        { scheme: 'file', pattern: '**/{Pipfile,Pipfile.lock,poetry.lock,uv.lock,pdm.lock,Cargo.lock}' },
         { scheme: 'file', language: 'go.mod' },
         'pip-requirements'
     ];
@@ -193,20 +249,41 @@ function setupEventListeners(context) {
 
     // Watch for changes to the settings.json file and trigger a scan when it's saved.
     const onSaveWatcher = vscode.workspace.onDidSaveTextDocument(doc => {
-        const supportedFiles = [
-            'package.json',
-            'composer.json',
-            'pyproject.toml',
-            'pom.xml',
-            'go.mod',
-            'Cargo.toml',
-            'requirements.txt'
-        ];
-        if (supportedFiles.some(f => doc.fileName.endsWith(f)) || doc.fileName.endsWith('settings.json')) {
-            runScan(context);
+        if (doc.fileName.endsWith('settings.json')) {
+            runScan();
         }
     });
 
+    // Watch the dependency files on disk and only rescan those that were created, changed or deleted.
+    const fileWatcher = vscode.workspace.createFileSystemWatcher(`**/{${SUPPORTED_FILE_NAMES.join(',')}}`);
+    // The changed files, keyed by URI, and whether each one was deleted; a save often fires several events for the same file.
+    const pendingChanges = new Map();
+    const debouncedRescan = debounce(() => {
+        const changes = [...pendingChanges.values()];
+        pendingChanges.clear();
+        runIncrementalScan(changes);
+    }, 500);
+    const queueChange = (uri, deleted) => {
+        pendingChanges.set(uri.toString(), { uri, deleted });
+        // The dependency files that read this file (e.g. the build files using a version catalog) are parsed again too.
+        for (const manifestPath of dependentManifests.get(uri.fsPath) || []) {
+            const manifestUri = vscode.Uri.file(manifestPath);
+            if (!pendingChanges.has(manifestUri.toString())) pendingChanges.set(manifestUri.toString(), { uri: manifestUri, deleted: false });
+        }
+        debouncedRescan();
+    };
+    queueFileChange = queueChange;
+    fileWatcher.onDidCreate(uri => queueChange(uri, false));
+    fileWatcher.onDidChange(uri => queueChange(uri, false));
+    fileWatcher.onDidDelete(uri => queueChange(uri, true));
+
+    // A policy file applies to every dependency file below it, so a change to one rescans the workspace.
+    const policyFileWatcher = vscode.workspace.createFileSystemWatcher(`**/{${POLICY_FILE_NAMES.join(',')}}`);
+    const debouncedScan = debounce(() => runScan(), 500);
+    policyFileWatcher.onDidCreate(debouncedScan);
+    policyFileWatcher.onDidChange(debouncedScan);
+    policyFileWatcher.onDidDelete(debouncedScan);
+
     // Watch for the active editor to change and update the decorations accordingly.
     const onActiveEditorChange = vscode.window.onDidChangeActiveTextEditor(editor => {
         if (editor) {
@@ -217,40 +294,113 @@ function setupEventListeners(context) {
     // Watch for configuration changes and trigger a scan when the extension's configuration is changed.
     const onConfigChange = vscode.workspace.onDidChangeConfiguration(e => {
         if (e.affectsConfiguration('license-sentinel')) {
-            runScan(context);
+            runScan();
         }
     });
 
+    // Rescan the workspace when folders are added to or removed from a multi-root workspace.
+    const onFoldersChange = vscode.workspace.onDidChangeWorkspaceFolders(() => runScan());
+
     // Add the event listeners to the context so they are disposed of when the extension is deactivated.
-    context.subscriptions.push(onSaveWatcher, onActiveEditorChange, onConfigChange);
+    context.subscriptions.push(onSaveWatcher, fileWatcher, policyFileWatcher, onActiveEditorChange, onConfigChange, onFoldersChange);
+    context.subscriptions.push({ dispose: () => updateReadFileWatchers({}) });
 }
 
-// This function runs a scan of the workspace for dependencies and their licenses.
-async function runScan(context) {
-    const { statusBarItem } = uiManagers;
-    // Update the status bar to indicate that a scan is in progress.
-    statusBarItem.text = `$(sync~spin) License Scan`;
-    statusBarItem.tooltip = 'License Sentinel is scanning your workspace...';
-
-    // Show a progress notification while the scan is running.
-    await vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: "License Sentinel 🛡️ : Scanning dependencies...",
-        cancellable: false
-    }, async (progress) => {
+// This function indexes the files read by dependency files, watching those files so a change rescans the dependency files that read them.
+function updateReadFileWatchers(readFiles) {
+    dependentManifests = indexDependentManifests(readFiles);
+    // Dependency files are already watched by the dependency file watcher.
+    const watched = new Set([...dependentManifests.keys()].filter(filePath => !SUPPORTED_FILE_NAMES.includes(path.basename(filePath))));
+    for (const [filePath, watcher] of readFileWatchers) {
+        if (watched.has(filePath)) continue;
+        watcher.dispose();
+        readFileWatchers.delete(filePath);
+    }
+    for (const filePath of watched) {
+        if (readFileWatchers.has(filePath)) continue;
+        const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(path.dirname(filePath)), path.basename(filePath)));
+        watcher.onDidCreate(uri => queueFileChange(uri, false));
+        watcher.onDidChange(uri => queueFileChange(uri, false));
+        // A deleted file isn't a dependency file, so its dependents are rescanned rather than removed.
+        watcher.onDidDelete(uri => queueFileChange(uri, false));
+        readFileWatchers.set(filePath, watcher);
+    }
+}
+
+// This function requests a scan of the workspace for dependencies and their licenses.
+function runScan() {
+    return scanCoordinator.requestFullScan();
+}
+
+// This function requests a rescan of the dependency files that changed on disk.
+function runIncrementalScan(changes) {
+    return scanCoordinator.requestRescan(changes.map(change => ({ key: change.uri.toString(), ...change })));
+}
+
+// This function runs a scan requested from the coordinator, showing its progress in the status bar.
+function runScanRequest(context, request, token) {
+    const title = request.full ? 'License Sentinel 🛡️: Scanning dependencies' : 'License Sentinel 🛡️: Rescanning changed files';
+    // Show the progress in the status bar, so saving a file doesn't pop up a notification.
+    return vscode.window.withProgress({ location: vscode.ProgressLocation.Window, title }, async (progress) => {
         // Scan the workspace for dependencies and their licenses.
-        dependencyData = await scanWorkspace(context, progress);
-        // Update the UI with the new dependency data.
-        updateAllUI(dependencyData);
+        if (request.full) {
+            return scanWorkspace(context, progress, token);
+        }
+        // Deleted files only lose their dependencies; the others are parsed and analyzed again.
+        const changedUris = request.changes.filter(change => !change.deleted).map(change => change.uri);
+        const deletedUris = request.changes.filter(change => change.deleted).map(change => change.uri);
+        const { manifestFiles, dependencies, policyOverrides, readFiles } = changedUris.length > 0
+            ? await scanWorkspaceFiles(context, progress, changedUris, token)
+            : { manifestFiles: [], dependencies: [], policyOverrides: [], readFiles: {} };
+        return { manifestFiles, dependencies, policyOverrides, readFiles, deletedUris };
     });
 }
 
+// This function applies the results of a scan to the dependency data and the UI.
+function applyScanResult(result, request) {
+    if (request.full) {
+        dependencyData = result.dependencies;
+        policyOverrideData = result.policyOverrides;
+        readFileData = result.readFiles;
+        updateReadFileWatchers(readFileData);
+    } else {
+        // Record the files read by the rescanned files, and forget those read by deleted files, even ones that had no dependencies.
+        readFileData = mergeReadFiles(readFileData, [...result.manifestFiles, ...result.deletedUris.map(toManifestFile)], result.readFiles);
+        updateReadFileWatchers(readFileData);
+        // Nothing to update when only excluded files (e.g. inside node_modules) or files that were never scanned changed.
+        const removedFiles = result.deletedUris.filter(uri => dependencyData.some(dep => isDeclaredIn(dep, uri))).map(toManifestFile);
+        if (result.manifestFiles.length === 0 && removedFiles.length === 0) return;
+        // Merge the results of the rescanned files into the existing data.
+        dependencyData = mergeDependencies(dependencyData, [...result.manifestFiles, ...removedFiles], result.dependencies);
+        policyOverrideData = mergePolicyOverrides(policyOverrideData, result.policyOverrides);
+    }
+    // Update the UI with the new dependency data.
+    updateAllUI(dependencyData);
+}
+
+// This function shows whether a scan is in progress in the status bar, where clicking it cancels the scan.
+function updateScanningState(isScanning) {
+    const { statusBarItem } = uiManagers;
+    vscode.commands.executeCommand('setContext', 'license-sentinel.scanning', isScanning);
+    if (isScanning) {
+        // Update the status bar to indicate that a scan is in progress.
+        statusBarItem.text = `$(sync~spin) License Scan`;
+        statusBarItem.tooltip = 'License Sentinel is scanning your workspace... Click to cancel.';
+        statusBarItem.command = COMMANDS.CANCEL_SCAN;
+    } else {
+        statusBarItem.command = COMMANDS.REFRESH;
+        updateStatusBar(statusBarItem);
+    }
+}
+
 // This function updates all the UI elements with the given dependency data.
 function updateAllUI(deps) {
-    const { treeDataProvider, hoverProvider, statusBarItem } = uiManagers;
+    const { treeDataProvider, exceptionsTreeDataProvider, hoverProvider, statusBarItem } = uiManagers;
 
     // Refresh the dependency tree view.
     treeDataProvider.refresh(deps);
+    // Refresh the policy exceptions view.
+    exceptionsTreeDataProvider.refresh(deps, policyOverrideData);
     // Update the hover provider with the new dependency data.
     hoverProvider.updateData(deps);
     // Update the status bar with the new dependency data.
@@ -272,30 +422,60 @@ function updateDiagnostics(deps) {
     // Create a map to store the diagnostics for each file.
     const diagnosticsByFile = new Map();
 
+    // Adds a diagnostic to the list of diagnostics of a file.
+    const addDiagnostic = (fileUri, diagnostic) => {
+        // If the file URI is not already in the map, add it.
+        if (!diagnosticsByFile.has(fileUri.toString())) {
+            diagnosticsByFile.set(fileUri.toString(), { uri: fileUri, diags: [] });
+        }
+        diagnosticsByFile.get(fileUri.toString()).diags.push(diagnostic);
+    };
+
     // Iterate over the dependencies.
     for (const dep of deps) {
-        // If the dependency is compliant or the line number is not available, skip it.
-        if (dep.status === 'compliant' || typeof dep.line !== 'number') continue;
+        // If the line number is not available, skip it.
+        if (typeof dep.line !== 'number') continue;
 
-        // Get the file URI for the dependency's manifest file.
-        const fileUri = vscode.Uri.joinPath(vscode.workspace.workspaceFolders[0].uri, dep.manifestFile);
+        // Get the file URI for the dependency's manifest file, in its own workspace folder.
+        const fileUri = getManifestUri(dep);
+        if (!fileUri) continue;
 
         // Use the line number directly from the dependency data
         const range = new vscode.Range(dep.line, 0, dep.line, 100);
 
-        // Determine the severity of the diagnostic based on the dependency's status.
-        const severity = dep.status === 'non-compliant' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
-        // Create a new diagnostic.
-        const diagnostic = new vscode.Diagnostic(range, dep.analysis.reason, severity);
-        diagnostic.source = 'LicenseSentinel';
-        diagnostic.code = `${dep.license}|${dep.name}`;
+        // Report the policy status of dependencies that aren't compliant.
+        if (dep.status !== 'compliant') {
+            // Determine the severity of the diagnostic based on the dependency's status.
+            const severity = dep.status === 'non-compliant' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
+            // Create a new diagnostic.
+            const diagnostic = new vscode.Diagnostic(range, dep.analysis.reason, severity);
+            diagnostic.source = 'LicenseSentinel';
+            diagnostic.code = `${dep.license}|${dep.name}`;
+            addDiagnostic(fileUri, diagnostic);
+        }
 
-        // If the file URI is not already in the map, add it.
-        if (!diagnosticsByFile.has(fileUri.path)) {
-            diagnosticsByFile.set(fileUri.path, { uri: fileUri, diags: [] });
+        // Report compatibility issues with the project's license separately, since even an allowed license may be incompatible with it.
+        const compatibilityIssues = dep.analysis?.details?.compatibilityIssues || [];
+        if (compatibilityIssues.length > 0) {
+            const licenses = [...new Set(compatibilityIssues.map(issue => issue.from))].join(', ');
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                `${dep.name}: '${licenses}' may be incompatible with your project's license ('${compatibilityIssues[0].to}').`,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.source = 'LicenseSentinel Compatibility';
+            diagnostic.code = 'license-compatibility';
+            addDiagnostic(fileUri, diagnostic);
+        }
+
+        // Report policy exceptions that expired, are stale or expire soon, so they get renewed or removed.
+        if (dep.policyException && dep.policyException.message) {
+            const severity = dep.policyException.state === 'expiring-soon' ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning;
+            const diagnostic = new vscode.Diagnostic(range, dep.policyException.message, severity);
+            diagnostic.source = 'LicenseSentinel Exceptions';
+            diagnostic.code = `policy-exception-${dep.policyException.state}`;
+            addDiagnostic(fileUri, diagnostic);
         }
-        // Add the diagnostic to the list of diagnostics for the file.
-        diagnosticsByFile.get(fileUri.path).diags.push(diagnostic);
     }
 
     // Iterate over the diagnostics by file.
@@ -315,12 +495,18 @@ class LicenseActionProvider {
         // Filter the diagnostics to only include those from LicenseSentinel.
         return context.diagnostics
             .filter(diag => diag.source === 'LicenseSentinel')
-            // Create actions for each diagnostic.
-            .flatMap(diag => this.createActionsForDiagnostic(diag));
+            // Create actions for each diagnostic, which update the policy file or the settings of the document's workspace folder.
+            .flatMap(diag => this.createActionsForDiagnostic(diag, toManifestFile(document.uri).workspaceFolder, this.findPolicyFile(document.uri)));
+    }
+
+    // This function finds the policy file that applied to the dependencies of the given document in the last scan.
+    findPolicyFile(uri) {
+        const dep = dependencyData.find(d => isDeclaredIn(d, uri));
+        return dep ? dep.policyFile : undefined;
     }
 
     // This function creates code actions for the given diagnostic.
-    createActionsForDiagnostic(diagnostic) {
+    createActionsForDiagnostic(diagnostic, workspaceFolder, policyFile) {
         // Split the diagnostic code into the license string and the dependency name.
         const [licenseString, depName] = diagnostic.code.split('|');
         // If the license string is invalid, return an empty array.
@@ -341,7 +527,7 @@ class LicenseActionProvider {
         allowAction.command = {
             command: COMMANDS.ADD_ALLOWED,
             title: `Allow License(s): ${uniqueLicenses.join(', ')}`,
-            arguments: [{ dependencyInfo: { license: licenseString, name: depName } }]
+            arguments: [{ dependencyInfo: { license: licenseString, name: depName, workspaceFolder, policyFile } }]
         };
         allowAction.diagnostics = [diagnostic];
         allowAction.isPreferred = true;
@@ -352,7 +538,7 @@ class LicenseActionProvider {
         denyAction.command = {
             command: COMMANDS.ADD_DENIED,
             title: `Deny License(s): ${uniqueLicenses.join(', ')}`,
-            arguments: [{ dependencyInfo: { license: licenseString, name: depName } }]
+            arguments: [{ dependencyInfo: { license: licenseString, name: depName, workspaceFolder, policyFile } }]
         };
         denyAction.diagnostics = [diagnostic];
         actions.push(denyAction);
@@ -362,20 +548,28 @@ class LicenseActionProvider {
     }
 }
 
-// This function updates the license policy settings.
-async function updateLicensePolicy(policyType, licenseString, context) {
+// This function adds licenses to the policy file the dependency was checked against, or else to the policy settings of its workspace folder.
+async function updateLicensePolicy(policyType, { license: licenseString, workspaceFolder, policyFile }) {
     // If the license string is invalid, show a warning message and return.
     if (!licenseString || licenseString === 'N/A' || licenseString.startsWith('Error')) {
         vscode.window.showWarningMessage('Cannot add an invalid license to the policy.');
         return;
     }
 
-    // Get the current license policies from the configuration.
-    const config = vscode.workspace.getConfiguration('license-sentinel');
-    const currentPolicies = new Set(config.get(policyType, []).map(l => String(l).toLowerCase()));
-
     // Split the license string into individual licenses.
     const licensesToAdd = licenseString.split(/ OR |\/|\sOR\s/i).map(l => l.trim()).filter(Boolean);
+
+    // A policy file checked into the repository takes precedence over the settings, so it is the one to update.
+    if (policyFile) {
+        await updatePolicyFile(getPolicyFileUri({ workspaceFolder, policyFile }), policyType, licenseString, licensesToAdd);
+        return;
+    }
+
+    // Get the current license policies from the configuration, including the folder's own settings.
+    const folder = (vscode.workspace.workspaceFolders || []).find(f => f.name === workspaceFolder);
+    const config = vscode.workspace.getConfiguration('license-sentinel', folder ? folder.uri : undefined);
+    const currentPolicies = new Set(config.get(policyType, []).map(l => String(l).toLowerCase()));
+
     let added = false;
     let addedList = [];
 
@@ -397,9 +591,39 @@ async function updateLicensePolicy(policyType, licenseString, context) {
     // Add the new licenses to the policy.
     const newPolicies = [...config.get(policyType, []), ...addedList].sort((a, b) => a.localeCompare(b));
 
-    // Update the configuration with the new policy.
-    await config.update(policyType, newPolicies, vscode.ConfigurationTarget.Workspace);
-    vscode.window.showInformationMessage(`Policies updated. Your workspace settings.json was modified.`);
+    // Update the configuration with the new policy; each folder of a multi-root workspace keeps its own policy.
+    if (folder) {
+        await config.update(policyType, newPolicies, vscode.ConfigurationTarget.WorkspaceFolder);
+        vscode.window.showInformationMessage(`Policies updated. The settings.json of the ${folder.name} folder was modified.`);
+    } else {
+        await config.update(policyType, newPolicies, vscode.ConfigurationTarget.Workspace);
+        vscode.window.showInformationMessage(`Policies updated. Your workspace settings.json was modified.`);
+    }
+}
+
+// This function adds licenses to a list of a policy file, through the editor so the change can be undone.
+async function updatePolicyFile(uri, policyType, licenseString, licensesToAdd) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    let updated;
+    try {
+        updated = addLicensesToPolicyFile(document.getText(), uri.fsPath, policyType, licensesToAdd);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Cannot update the policy: ${error.message}`);
+        return;
+    }
+
+    // If no licenses were added, show an information message and return.
+    if (updated.added.length === 0) {
+        vscode.window.showInformationMessage(`License(s) in "${licenseString}" are already covered by ${vscode.workspace.asRelativePath(uri)}.`);
+        return;
+    }
+
+    // Replace the whole document and save it; the policy file watcher then rescans the workspace.
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(uri, new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)), updated.content);
+    await vscode.workspace.applyEdit(edit);
+    await document.save();
+    vscode.window.showInformationMessage(`Policies updated. ${vscode.workspace.asRelativePath(uri)} was modified.`);
 }
 
 // This function updates the status bar with the current license information.
@@ -433,7 +657,11 @@ async function exportReport() {
     const choice = await vscode.window.showQuickPick(
         [
             { label: 'Markdown Report', description: 'Export a full, human-readable compliance report (.md)', format: 'md' },
-            { label: 'CSV Data', description: 'Export raw dependency data as a CSV file (.csv)', format: 'csv' }
+            { label: 'CSV Data', description: 'Export raw dependency data as a CSV file (.csv)', format: 'csv' },
+            { label: 'CycloneDX SBOM (JSON)', description: 'Export a CycloneDX 1.5 software bill of materials (.cdx.json)', format: 'cdx-json' },
+            { label: 'CycloneDX SBOM (XML)', description: 'Export a CycloneDX 1.5 software bill of materials (.cdx.xml)', format: 'cdx-xml' },
+            { label: 'SPDX Document (Tag-Value)', description: 'Export an SPDX 2.3 document (.spdx)', format: 'spdx' },
+            { label: 'SPDX Document (JSON)', description: 'Export an SPDX 2.3 document (.spdx.json)', format: 'spdx-json' }
         ],
         { placeHolder: 'Choose an export format' }
     );
@@ -443,79 +671,105 @@ async function exportReport() {
         if (choice.format === 'md') {
             await _exportAsMarkdown();
         } else if (choice.format === 'csv') {
-            await _exportAsCsv();
+            await _saveReport(buildCsvReport(dependencyData), 'license-report.csv', { 'CSV files': ['csv'] });
+        } else if (choice.format === 'cdx-json') {
+            await _saveReport(buildCycloneDxJson(dependencyData), 'bom.cdx.json', { 'CycloneDX JSON': ['json'] });
+        } else if (choice.format === 'cdx-xml') {
+            await _saveReport(buildCycloneDxXml(dependencyData), 'bom.cdx.xml', { 'CycloneDX XML': ['xml'] });
+        } else if (choice.format === 'spdx') {
+            await _saveReport(buildSpdxTagValue(dependencyData, { documentName: vscode.workspace.name }), 'bom.spdx', { 'SPDX tag-value': ['spdx'] });
+        } else if (choice.format === 'spdx-json') {
+            await _saveReport(buildSpdxJson(dependencyData, { documentName: vscode.workspace.name }), 'bom.spdx.json', { 'SPDX JSON': ['json'] });
         }
     }
 }
 
-// This function exports the license report as a CSV file.
-async function _exportAsCsv() {
+// This function generates the third-party notices file, with the license texts and copyright lines of every compliant dependency.
+async function generateNotices() {
+    // If there is no dependency data, show an information message and return.
+    if (dependencyData.length === 0) {
+        vscode.window.showInformationMessage('No data to generate notices from. Run a scan first.');
+        return;
+    }
+
+    // Prompt the user to choose a file format.
+    const choice = await vscode.window.showQuickPick(
+        [
+            { label: 'Plain Text', description: 'THIRD_PARTY_NOTICES.txt', format: 'txt', build: buildNoticesText, filters: { 'Text files': ['txt'] } },
+            { label: 'Markdown', description: 'THIRD_PARTY_NOTICES.md', format: 'md', build: buildNoticesMarkdown, filters: { 'Markdown files': ['md'] } },
+            { label: 'HTML', description: 'THIRD_PARTY_NOTICES.html', format: 'html', build: buildNoticesHtml, filters: { 'HTML files': ['html'] } }
+        ],
+        { placeHolder: 'Choose a format for the third-party notices' }
+    );
+    if (!choice) return;
+
+    const config = vscode.workspace.getConfiguration('license-sentinel');
+
+    // Collect the license texts while showing a progress notification, since packages may have to be downloaded.
+    let notices;
     try {
-        // Map the dependency data to a format suitable for CSV export.
-        const csvData = dependencyData.map(dep => ({
-            name: dep.name,
-            version: dep.version,
-            license: dep.license,
-            status: dep.status,
-            homepage: dep.homepage,
-            source: dep.manifestFile,
-            reason: dep.analysis.reason.replace(/,/g, ';'), // Avoid commas in reason
+        notices = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "License Sentinel 🛡️ : Collecting license texts...",
+            cancellable: true
+        }, (progress, token) => collectThirdPartyNotices(dependencyData, {
+            // Installed packages are looked up next to each manifest file, with the settings of its workspace folder, like during the scan.
+            getLocalOptions: dep => {
+                const manifestUri = getManifestUri(dep);
+                const folder = vscode.workspace.getWorkspaceFolder(manifestUri);
+                const pythonVirtualEnv = vscode.workspace.getConfiguration('license-sentinel', manifestUri).get('pythonVirtualEnv') || '';
+                return {
+                    manifestDir: path.dirname(manifestUri.fsPath),
+                    pythonVirtualEnv: pythonVirtualEnv && folder ? path.resolve(folder.uri.fsPath, pythonVirtualEnv) : ''
+                };
+            },
+            // Packages are downloaded through the Go module proxies of their workspace folder, like during the scan.
+            getNetworkOptions: dep => ({ goProxy: vscode.workspace.getConfiguration('license-sentinel', getManifestUri(dep)).get('goProxy') || '' }),
+            concurrency: config.get('concurrencyLimit') || 10,
+            onProgress: message => progress.report({ message }),
+            token
         }));
-        // Convert the data to CSV format.
-        const csvContent = convertToCsv(csvData);
+    } catch (error) {
+        // Cancelling the progress notification stops the collection without saving a file.
+        if (error instanceof ScanCancelledError) return;
+        throw error;
+    }
+
+    await _saveReport(choice.build(notices, { productName: vscode.workspace.name }), `THIRD_PARTY_NOTICES.${choice.format}`, choice.filters);
+
+    // Warn about the packages whose license text must be added by hand.
+    if (notices.missing.length > 0) {
+        const names = notices.missing.map(dep => `${dep.name}@${dep.version}`);
+        const shown = names.length > 5 ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` : names.join(', ');
+        vscode.window.showWarningMessage(`No license text was found for ${names.length} package(s): ${shown}. They are listed at the end of the file.`);
+    }
+}
+
+// This function saves a generated report to a file chosen by the user.
+async function _saveReport(content, defaultFileName, filters) {
+    try {
         // Get the workspace folder.
         const workspaceFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : undefined;
         // Set the default URI for the save dialog.
-        const defaultUri = workspaceFolder ? vscode.Uri.joinPath(workspaceFolder, 'license-report.csv') : undefined;
+        const defaultUri = workspaceFolder ? vscode.Uri.joinPath(workspaceFolder, defaultFileName) : undefined;
         // Prompt the user to choose a location to save the file.
-        const uri = await vscode.window.showSaveDialog({ defaultUri, filters: { 'CSV files': ['csv'] } });
+        const uri = await vscode.window.showSaveDialog({ defaultUri, filters });
         // If the user chose a location, save the file.
         if (uri) {
-            await fs.writeFile(uri.fsPath, csvContent, 'utf8');
-            vscode.window.showInformationMessage(`CSV report saved to ${path.basename(uri.fsPath)}`);
+            await fs.writeFile(uri.fsPath, content, 'utf8');
+            vscode.window.showInformationMessage(`Report saved to ${path.basename(uri.fsPath)}`);
         }
     } catch (error) {
         // If there was an error, show an error message.
-        vscode.window.showErrorMessage('Failed to export CSV report.');
+        vscode.window.showErrorMessage('Failed to export the report.');
         console.error(error);
     }
 }
 
 // This function exports the license report as a Markdown file.
 async function _exportAsMarkdown() {
-    // Filter the dependencies by status.
-    const nonCompliantDeps = dependencyData.filter(d => d.status === 'non-compliant');
-    const unknownDeps = dependencyData.filter(d => d.status === 'unknown');
-    const compliantCount = dependencyData.length - nonCompliantDeps.length - unknownDeps.length;
-
-    // Create the Markdown report.
-    let report = `# 🛡️ License Sentinel - Compliance Report\n\n`;
-    report += `**Generated:** ${new Date().toUTCString()}\n\n`;
-    report += `## 📊 Summary\n\n`;
-    report += `| Status | Count |\n| :--- | :---: |\n`;
-    report += `| ✅ Compliant | ${compliantCount} |\n`;
-    report += `| ❓ Unknown | ${unknownDeps.length} |\n`;
-    report += `| ❌ Non-Compliant | ${nonCompliantDeps.length} |\n\n`;
-
-    // Add the non-compliant dependencies to the report.
-    if (nonCompliantDeps.length > 0) {
-        report += `## ❌ Non-Compliant Dependencies (${nonCompliantDeps.length})\n\n`;
-        report += `These dependencies have licenses that are explicitly forbidden by your project's policy or have been marked as non-compliant by an override.\n\n`;
-        report += `| Package | Version | License | Reason |\n| :--- | :--- | :--- | :--- |\n`;
-        nonCompliantDeps.forEach(d => {
-            report += `| \`${d.name}\` | \`${d.version}\` | \`${d.license}\` | ${d.analysis.reason} |\n`;
-        });
-    }
-
-    // Add the unknown dependencies to the report.
-    if (unknownDeps.length > 0) {
-        report += `\n## ❓ Unknown Status Dependencies (${unknownDeps.length})\n\n`;
-        report += `These dependencies have licenses that are not on your allowed or denied lists. Manual review is required.\n\n`;
-        report += `| Package | Version | License | Source File |\n| :--- | :--- | :--- | :--- |\n`;
-        unknownDeps.forEach(d => {
-            report += `| \`${d.name}\` | \`${d.version}\` | \`${d.license}\` | \`${d.manifestFile}\` |\n`;
-        });
-    }
+    // Build the Markdown report from the dependency data.
+    const report = buildMarkdownReport(dependencyData);
 
     // Open the report in a new editor window.
     const doc = await vscode.workspace.openTextDocument({ content: report, language: 'markdown' });
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// This script regenerates src/data/spdxLicenses.json, the copy of the SPDX license and exception lists bundled with the analyzer.
+// It reads the upstream SPDX license-list-data JSON for ids, names and OSI/FSF flags, and the ScanCode LicenseDB for license categories.
+//
+// Usage: node scripts/update-spdx-data.js [--licenses <file|url>] [--exceptions <file|url>] [--categories <file|url>]
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fetchJson } = require('../src/utils/network');
+
+// The upstream sources, used unless a local copy is given on the command line.
+const SOURCES = {
+    licenses: 'https://raw.githubusercontent.com/spdx/license-list-data/main/json/licenses.json',
+    exceptions: 'https://raw.githubusercontent.com/spdx/license-list-data/main/json/exceptions.json',
+    categories: 'https://scancode-licensedb.aboutcode.org/index.json'
+};
+
+// Where the generated list is written.
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'data', 'spdxLicenses.json');
+
+// Maps the ScanCode categories to the license types of the analyzer (see LICENSE_TYPES in src/ai/licenseAnalyzer.js).
+const CATEGORY_TYPES = {
+    'Permissive': 'permissive',
+    'Public Domain': 'public-domain',
+    'Copyleft Limited': 'weak-copyleft',
+    'Copyleft': 'strong-copyleft',
+    'Non-Commercial': 'non-commercial',
+    'Free Restricted': 'restricted',
+    'Proprietary Free': 'proprietary',
+    'Source-available': 'proprietary',
+    'Commercial': 'proprietary'
+};
+
+// ScanCode doesn't tell copyleft licenses triggered by network use apart, so they are listed here.
+const NETWORK_COPYLEFT_PATTERN = /^(AGPL-|SSPL-|RPL-|OSL-)/;
+
+// SPDX doesn't record what replaces a deprecated id; the `+` and version-only GNU ids follow a rule (see replacementFor),
+// the others are listed here.
+const DEPRECATED_REPLACEMENTS = {
+    'BSD-2-Clause-FreeBSD': 'BSD-2-Clause',
+    'BSD-2-Clause-NetBSD': 'BSD-2-Clause',
+    'bzip2-1.0.5': 'bzip2-1.0.6',
+    'eCos-2.0': 'GPL-2.0-or-later WITH eCos-exception-2.0',
+    'GPL-2.0-with-autoconf-exception': 'GPL-2.0-only WITH Autoconf-exception-2.0',
+    'GPL-2.0-with-bison-exception': 'GPL-2.0-or-later WITH Bison-exception-2.2',
+    'GPL-2.0-with-classpath-exception': 'GPL-2.0-only WITH Classpath-exception-2.0',
+    'GPL-2.0-with-font-exception': 'GPL-2.0-only WITH Font-exception-2.0',
+    'GPL-2.0-with-GCC-exception': 'GPL-2.0-only WITH GCC-exception-2.0',
+    'GPL-3.0-with-autoconf-exception': 'GPL-3.0-only WITH Autoconf-exception-3.0',
+    'GPL-3.0-with-GCC-exception': 'GPL-3.0-only WITH GCC-exception-3.1',
+    'Nokia-Qt-exception-1.1': 'Qt-LGPL-exception-1.1',
+    'Nunit': 'zlib-acknowledgement',
+    'StandardML-NJ': 'SMLNJ',
+    'wxWindows': 'LGPL-2.0-or-later WITH WxWindows-exception-3.1'
+};
+
+/**
+ * Reads a JSON source, from a URL or a local file.
+ * @param {string} source The URL or the path of the file.
+ * @returns {Promise<any>} The parsed JSON.
+ */
+async function readSource(source) {
+    if (/^https?:\/\//.test(source)) return fetchJson(source);
+    return JSON.parse(await fs.readFile(source, 'utf8'));
+}
+
+/**
+ * Finds the id that replaces a deprecated license or exception id.
+ * @param {string} id The deprecated id.
+ * @param {Set<string>} knownIds The ids of the current list, to check the replacement exists.
+ * @returns {string | undefined} The replacement id or expression, if there is one.
+ */
+function replacementFor(id, knownIds) {
+    if (DEPRECATED_REPLACEMENTS[id]) return DEPRECATED_REPLACEMENTS[id];
+    // "GPL-2.0+" became "GPL-2.0-or-later", and "GPL-2.0" became "GPL-2.0-only".
+    const candidate = id.endsWith('+') ? `${id.slice(0, -1)}-or-later` : `${id}-only`;
+    return knownIds.has(candidate) ? candidate : undefined;
+}
+
+/**
+ * Builds the bundled license list from the upstream documents.
+ * @param {object} licenseList The SPDX licenses.json document.
+ * @param {object} exceptionList The SPDX exceptions.json document.
+ * @param {Array<object>} licenseDb The ScanCode LicenseDB index.
+ * @returns {object} The bundled license list.
+ */
+function buildLicenseList(licenseList, exceptionList, licenseDb) {
+    // The list version tells which SPDX release the ids and categories match, so a document without one isn't the upstream licenses.json.
+    if (!licenseList.licenseListVersion) throw new Error('The license list has no licenseListVersion; pass the SPDX license-list-data licenses.json.');
+
+    // Map every SPDX id known to ScanCode to its category.
+    const categories = new Map();
+    for (const entry of licenseDb) {
+        for (const spdxId of [entry.spdx_license_key, ...(entry.other_spdx_license_keys || [])]) {
+            if (spdxId && !spdxId.startsWith('LicenseRef-') && !categories.has(spdxId)) categories.set(spdxId, entry.category);
+        }
+    }
+
+    const licenseIds = new Set(licenseList.licenses.map(license => license.licenseId));
+    const licenses = {};
+    for (const license of [...licenseList.licenses].sort((a, b) => a.licenseId.localeCompare(b.licenseId))) {
+        const id = license.licenseId;
+        const entry = {
+            name: license.name,
+            category: NETWORK_COPYLEFT_PATTERN.test(id) ? 'network-copyleft' : CATEGORY_TYPES[categories.get(id)] || 'unknown',
+            osi: Boolean(license.isOsiApproved),
+            fsf: Boolean(license.isFsfLibre)
+        };
+        if (license.isDeprecatedLicenseId) {
+            entry.deprecated = true;
+            const replacement = replacementFor(id, licenseIds);
+            if (replacement) entry.replacement = replacement;
+        }
+        licenses[id] = entry;
+    }
+
+    // Deprecated ids unknown to ScanCode take the category of the license that replaces them.
+    for (const entry of Object.values(licenses)) {
+        const replacedBy = entry.replacement && licenses[entry.replacement.split(' ')[0]];
+        if (entry.category === 'unknown' && replacedBy) entry.category = replacedBy.category;
+    }
+
+    const exceptionIds = new Set(exceptionList.exceptions.map(exception => exception.licenseExceptionId));
+    const exceptions = {};
+    for (const exception of [...exceptionList.exceptions].sort((a, b) => a.licenseExceptionId.localeCompare(b.licenseExceptionId))) {
+        const entry = { name: exception.name };
+        if (exception.isDeprecatedLicenseId) {
+            entry.deprecated = true;
+            const replacement = replacementFor(exception.licenseExceptionId, exceptionIds);
+            if (replacement) entry.replacement = replacement;
+        }
+        exceptions[exception.licenseExceptionId] = entry;
+    }
+
+    return { licenseListVersion: licenseList.licenseListVersion, licenses, exceptions };
+}
+
+/**
+ * Formats the bundled list with one entry per line, so updates produce readable diffs.
+ * @param {object} data The bundled license list.
+ * @returns {string} The JSON file content.
+ */
+function formatLicenseList(data) {
+    const formatSection = entries => Object.entries(entries)
+        .map(([id, entry]) => `    ${JSON.stringify(id)}: ${JSON.stringify(entry)}`)
+        .join(',\n');
+    return `{\n  "licenseListVersion": ${JSON.stringify(data.licenseListVersion)},\n` +
+        `  "licenses": {\n${formatSection(data.licenses)}\n  },\n` +
+        `  "exceptions": {\n${formatSection(data.exceptions)}\n  }\n}\n`;
+}
+
+/**
+ * Runs the script.
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            licenses: { type: 'string', default: SOURCES.licenses },
+            exceptions: { type: 'string', default: SOURCES.exceptions },
+            categories: { type: 'string', default: SOURCES.categories }
+        }
+    });
+
+    const [licenseList, exceptionList, licenseDb] = await Promise.all([
+        readSource(values.licenses),
+        readSource(values.exceptions),
+        readSource(values.categories)
+    ]);
+    const data = buildLicenseList(licenseList, exceptionList, licenseDb);
+    await fs.writeFile(OUTPUT_FILE, formatLicenseList(data), 'utf8');
+
+    const uncategorized = Object.entries(data.licenses).filter(([, entry]) => entry.category === 'unknown').map(([id]) => id);
+    console.log(`Wrote ${Object.keys(data.licenses).length} licenses and ${Object.keys(data.exceptions).length} exceptions to ${path.relative(process.cwd(), OUTPUT_FILE)}.`);
+    if (uncategorized.length > 0) console.log(`Licenses without a category: ${uncategorized.join(', ')}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
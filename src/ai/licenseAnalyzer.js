@@ -5,6 +5,20 @@
 // user experience and transparent reasoning (structured details, traces, suggestions)
 // of the "Final Boss Version", creating the most powerful and insightful engine possible.
 
+const {
+  getSpdxLicense,
+  findSpdxLicenseByName,
+  getSpdxException,
+  canonicalSpdxId,
+  getLaterVersions,
+} = require("./spdxLicenseList")
+const {
+  SpdxExpressionError,
+  parseSpdxExpression,
+  renderSpdxExpression,
+  renderLicense,
+} = require("./spdxExpression")
+
 // --- ADVANCED ALGORITHMS & HELPERS ---
 
 /**
@@ -50,47 +64,35 @@ function jaroWinkler(s1, s2) {
 
 /**
  * Checks compatibility between two licenses.
- * @param {string} licenseA SPDX ID of the project's main license.
- * @param {string} licenseB SPDX ID of the dependency's license.
+ * @param {string} licenseA SPDX ID of the project's main license, as written in the knowledge base.
+ * @param {object} dbEntryB The knowledge base entry of the dependency's license.
  * @returns {boolean} True if compatible, false otherwise.
  */
-function checkCompatibility(licenseA, licenseB) {
-  // A simplified compatibility matrix for demonstration. A real-world version would be more complex.
-  const COMPATIBILITY_MATRIX = {
-    // Permissive licenses are generally compatible with most.
-    MIT: ["*"],
-    "Apache-2.0": ["*"],
-    "BSD-3-Clause": ["*"],
-    ISC: ["*"],
-    // Weak copyleft can be included in stronger copyleft projects.
-    "MPL-2.0": [
-      "MIT",
-      "Apache-2.0",
-      "BSD-3-Clause",
-      "ISC",
-      "MPL-2.0",
-      "LGPL-3.0-only",
-      "GPL-3.0-only",
-      "AGPL-3.0-only",
-    ],
-    "LGPL-3.0-only": [
-      "MIT",
-      "Apache-2.0",
-      "BSD-3-Clause",
-      "ISC",
-      "LGPL-3.0-only",
-      "GPL-3.0-only",
-      "AGPL-3.0-only",
-    ],
-    // Strong copyleft is very restrictive.
-    "GPL-3.0-only": ["GPL-3.0-only", "AGPL-3.0-only", "LGPL-3.0-only"], // Can include LGPL
-    "AGPL-3.0-only": ["AGPL-3.0-only"],
+function checkCompatibility(licenseA, dbEntryB) {
+  const rule = COMPATIBILITY_MATRIX[licenseA]
+  if (!rule) return false
+  return rule.types.includes(dbEntryB.type) || rule.ids.includes(dbEntryB.spdx)
+}
+
+/**
+ * Resolves the project's main license to the SPDX ids the compatibility matrix knows about.
+ * A dual-licensed project ("MIT OR Apache-2.0") lists every option; options missing from the
+ * matrix are dropped, since nothing can be said about them.
+ * @param {string} mainLicense The project's license, as configured or detected.
+ * @returns {Array<string>} The known SPDX ids of the project's license options.
+ */
+function resolveProjectLicenses(mainLicense) {
+  if (!mainLicense) return []
+  const leaves = []
+  const collect = (node) => {
+    if (node.and || node.or) (node.and || node.or).forEach(collect)
+    else leaves.push(node)
   }
-  return (
-    COMPATIBILITY_MATRIX[licenseA]?.includes(licenseB) ||
-    COMPATIBILITY_MATRIX[licenseA]?.includes("*") ||
-    false
-  )
+  collect(parseSpdxExpression(mainLicense, { lenient: true }))
+  return leaves
+    .map((leaf) => normalizeLeaf(leaf))
+    .filter((result) => result && result.dbEntry.spdx && COMPATIBILITY_MATRIX[result.dbEntry.spdx])
+    .map((result) => result.dbEntry.spdx)
 }
 
 /**
@@ -104,8 +106,10 @@ function calculateRisk(normalizedLicense) {
     [LICENSE_TYPES.NETWORK_COPYLEFT]: 0.9,
     [LICENSE_TYPES.STRONG_COPYLEFT]: 0.8,
     [LICENSE_TYPES.NON_COMMERCIAL]: 0.7,
+    [LICENSE_TYPES.RESTRICTED]: 0.7,
     [LICENSE_TYPES.WEAK_COPYLEFT]: 0.5,
     [LICENSE_TYPES.PERMISSIVE]: 0.1,
+    [LICENSE_TYPES.PUBLIC_DOMAIN]: 0.05,
     [LICENSE_TYPES.UNKNOWN]: 0.6,
   }
   const baseRisk = riskFactors[normalizedLicense.dbEntry.type] || 0.6
@@ -115,12 +119,16 @@ function calculateRisk(normalizedLicense) {
 
 // --- THE ULTIMATE KNOWLEDGE VAULT ---
 
+// These are also the categories of the bundled SPDX license list (see scripts/update-spdx-data.js).
 const LICENSE_TYPES = {
+  PUBLIC_DOMAIN: "public-domain",
   PERMISSIVE: "permissive",
   WEAK_COPYLEFT: "weak-copyleft",
   STRONG_COPYLEFT: "strong-copyleft",
   NETWORK_COPYLEFT: "network-copyleft",
   NON_COMMERCIAL: "non-commercial",
+  // Free licenses with field-of-use restrictions, e.g. "no military use".
+  RESTRICTED: "restricted",
   PROPRIETARY: "proprietary",
   UNKNOWN: "unknown",
 }
@@ -238,9 +246,93 @@ const LICENSE_DB = {
   },
 }
 
+// --- COMPATIBILITY RULES ---
+
+// Maps a project license to the dependency licenses it can include without re-licensing, by type or by id.
+// Weak copyleft dependencies are fine as separate, unmodified libraries of non-copyleft projects; copyleft
+// projects can only include the copyleft licenses that are compatible with theirs.
+const GPL_3_COMPATIBLE_IDS = [
+  "MPL-2.0",
+  "LGPL-2.1-only",
+  "LGPL-2.1-or-later",
+  "LGPL-3.0-only",
+  "LGPL-3.0-or-later",
+  "GPL-2.0-or-later",
+  "GPL-3.0-only",
+  "GPL-3.0-or-later",
+  // GPLv3 section 13 allows combining with AGPLv3 code.
+  "AGPL-3.0-only",
+  "AGPL-3.0-or-later",
+]
+const NON_COPYLEFT_RULE = {
+  types: [LICENSE_TYPES.PUBLIC_DOMAIN, LICENSE_TYPES.PERMISSIVE, LICENSE_TYPES.WEAK_COPYLEFT],
+  ids: [],
+}
+const GPL_3_RULE = {
+  types: [LICENSE_TYPES.PUBLIC_DOMAIN, LICENSE_TYPES.PERMISSIVE],
+  ids: GPL_3_COMPATIBLE_IDS,
+}
+const COMPATIBILITY_MATRIX = {
+  ...Object.fromEntries(
+    ["MIT", "Apache-2.0", "BSD-3-Clause", "BSD-2-Clause", "0BSD", "ISC", "Unlicense", "Zlib"].map((id) => [id, NON_COPYLEFT_RULE])
+  ),
+  "MPL-2.0": NON_COPYLEFT_RULE,
+  "LGPL-3.0-only": NON_COPYLEFT_RULE,
+  "LGPL-3.0-or-later": NON_COPYLEFT_RULE,
+  "GPL-3.0-only": GPL_3_RULE,
+  "GPL-3.0-or-later": GPL_3_RULE,
+  "AGPL-3.0-only": GPL_3_RULE,
+  "AGPL-3.0-or-later": GPL_3_RULE,
+}
+
+// Exceptions that let other code link to or be compiled with the licensed code without being covered by it.
+const LINKING_EXCEPTIONS = [
+  "Autoconf-exception-2.0",
+  "Autoconf-exception-3.0",
+  "Bison-exception-2.2",
+  "Classpath-exception-2.0",
+  "eCos-exception-2.0",
+  "FLTK-exception",
+  "Font-exception-2.0",
+  "freertos-exception-2.0",
+  "GCC-exception-2.0",
+  "GCC-exception-3.1",
+  "GNAT-exception",
+  "GNU-compiler-exception",
+  "GPL-3.0-linking-exception",
+  "GPL-3.0-linking-source-exception",
+  "LGPL-3.0-linking-exception",
+  "Libtool-exception",
+  "Linux-syscall-note",
+  "LLVM-exception",
+  "OCaml-LGPL-linking-exception",
+  "openvpn-openssl-exception",
+  "Qt-GPL-exception-1.0",
+  "Qt-LGPL-exception-1.1",
+  "Swift-exception",
+  "u-boot-exception-2.0",
+  "Universal-FOSS-exception-1.0",
+  "WxWindows-exception-3.1",
+]
+
+// Add the name and the OSI/FSF flags of the SPDX license list to the curated entries.
+for (const dbEntry of Object.values(LICENSE_DB)) {
+  const spdxEntry = getSpdxLicense(dbEntry.spdx)
+  if (spdxEntry) {
+    Object.assign(dbEntry, {
+      name: spdxEntry.name,
+      osiApproved: spdxEntry.osi,
+      fsfLibre: spdxEntry.fsf,
+    })
+  }
+}
+
+// Each obligation has a trigger: "distribution" obligations apply when the project is shipped with the dependency,
+// "network-use" ones when the dependency runs in a service users interact with over a network, and "use" ones always.
 const LICENSE_OBLIGATIONS = {
   discloseSource: {
     summary: "Source code must be disclosed if distributed.",
+    trigger: "distribution",
     risk: "high",
     types: [
       LICENSE_TYPES.WEAK_COPYLEFT,
@@ -251,6 +343,7 @@ const LICENSE_OBLIGATIONS = {
   sameLicense: {
     summary:
       "Modifications must be released under the same or compatible license (Copyleft / Share-Alike).",
+    trigger: "distribution",
     risk: "high",
     types: [
       LICENSE_TYPES.WEAK_COPYLEFT,
@@ -261,36 +354,111 @@ const LICENSE_OBLIGATIONS = {
   networkUseIsDistribution: {
     summary:
       "Use over a network may be considered distribution, triggering copyleft.",
+    trigger: "network-use",
     risk: "high",
     types: [LICENSE_TYPES.NETWORK_COPYLEFT],
   },
   commercialUseForbidden: {
     summary: "This license explicitly forbids commercial use.",
+    trigger: "use",
     risk: "high",
     types: [LICENSE_TYPES.NON_COMMERCIAL],
   },
   includeCopyright: {
     summary:
       "Must include the original copyright notice and license text (Attribution).",
+    trigger: "distribution",
     risk: "medium",
     types: [
       LICENSE_TYPES.PERMISSIVE,
       LICENSE_TYPES.WEAK_COPYLEFT,
       LICENSE_TYPES.NON_COMMERCIAL,
+      LICENSE_TYPES.RESTRICTED,
     ],
   },
+  fieldOfUseRestricted: {
+    summary:
+      "This license restricts how or where the software may be used (e.g. no military or nuclear use).",
+    trigger: "use",
+    risk: "high",
+    types: [LICENSE_TYPES.RESTRICTED],
+  },
   compatibilityWarning: {
     summary:
       "Using this strong copyleft license may require you to re-license your own project.",
+    trigger: "distribution",
     risk: "high",
     types: [LICENSE_TYPES.STRONG_COPYLEFT, LICENSE_TYPES.NETWORK_COPYLEFT],
   },
 }
 
+// The dependency scopes shipped with a distributed project, and those that also run in production (e.g. in a network service).
+const DISTRIBUTED_SCOPES = ["runtime", "optional", "peer"]
+const PRODUCTION_SCOPES = [...DISTRIBUTED_SCOPES, "provided"]
+
+/**
+ * Tells whether an obligation applies to a dependency, given how the project is distributed and how the dependency is used.
+ * @param {object} obligation An entry of LICENSE_OBLIGATIONS.
+ * @param {string} distributionModel How the project reaches its users: "internal", "distributed" or "network-service".
+ * @param {string} scope The scope of the dependency, e.g. "runtime" or "dev".
+ * @returns {boolean} True if the obligation is triggered.
+ */
+function isObligationTriggered(obligation, distributionModel, scope) {
+  if (obligation.trigger === "use") return true
+  if (obligation.trigger === "network-use")
+    return distributionModel === "network-service" && PRODUCTION_SCOPES.includes(scope)
+  return distributionModel === "distributed" && DISTRIBUTED_SCOPES.includes(scope)
+}
+
+// --- LICENSE RULES ---
+
+/**
+ * Finds the first license rule of a policy that matches a license.
+ * A rule matches when every condition it sets does: its category (or one of its categories), and its OSI
+ * approval and FSF Free/Libre flags. Licenses whose flags aren't known never match a flag condition.
+ * @param {Array<{category?: string | Array<string>, osiApproved?: boolean, fsfLibre?: boolean, status: string}>} rules
+ *   The license rules of the policy, in order.
+ * @param {object} dbEntry The knowledge base entry of the license.
+ * @returns {object | undefined} The matching rule, if any.
+ */
+function findLicenseRule(rules, dbEntry) {
+  return (rules || []).find((rule) => {
+    const categories = [].concat(rule.category ?? [])
+    if (categories.length > 0 && !categories.includes(dbEntry.type)) return false
+    if (rule.osiApproved !== undefined && dbEntry.osiApproved !== rule.osiApproved) return false
+    if (rule.fsfLibre !== undefined && dbEntry.fsfLibre !== rule.fsfLibre) return false
+    return true
+  })
+}
+
+/**
+ * Describes the licenses a rule matches, e.g. "weak-copyleft, OSI-approved".
+ * @param {object} rule The license rule.
+ * @returns {string} The description.
+ */
+function describeLicenseRule(rule) {
+  const categories = [].concat(rule.category ?? [])
+  const conditions = [
+    categories.length > 0 ? categories.join(" or ") : null,
+    rule.osiApproved === undefined ? null : rule.osiApproved ? "OSI-approved" : "not OSI-approved",
+    rule.fsfLibre === undefined ? null : rule.fsfLibre ? "FSF Free/Libre" : "not FSF Free/Libre",
+  ].filter(Boolean)
+  return conditions.length > 0 ? conditions.join(", ") : "any license"
+}
+
 // --- NORMALIZATION AND EXPRESSION PARSING ---
 
 function normalizeLicense(license) {
   if (!license || typeof license !== "string") return null
+
+  // "<license> WITH <exception>" is analyzed as the license, keeping the exception for reference.
+  const [licensePart, exceptionPart] = license.split(/\s+WITH\s+/i)
+  if (exceptionPart !== undefined) {
+    const result = normalizeLicense(licensePart)
+    const exception = getSpdxException(exceptionPart)
+    return result && { ...result, exception: exception ? exception.id : exceptionPart.trim() }
+  }
+
   const cleanLicense = license.toLowerCase().trim()
 
   // Stage 1: Direct Hit
@@ -306,17 +474,51 @@ function normalizeLicense(license) {
     }
   }
 
+  // Stage 1b: SPDX License List (ids and full names)
+  const spdxEntry = getSpdxLicense(cleanLicense) || findSpdxLicenseByName(cleanLicense)
+  if (spdxEntry) {
+    // Deprecated ids are analyzed as their replacement, e.g. "GPL-2.0+" as "GPL-2.0-or-later".
+    if (spdxEntry.deprecated && spdxEntry.replacement) {
+      const replaced = normalizeLicense(spdxEntry.replacement)
+      const note = `'${spdxEntry.id}' is a deprecated SPDX id; use '${spdxEntry.replacement}' instead.`
+      return {
+        ...replaced,
+        method: "SPDX List",
+        dbEntry: { ...replaced.dbEntry, notes: [...(replaced.dbEntry.notes || []), note] },
+      }
+    }
+    const curated = Object.values(LICENSE_DB).find((entry) => entry.spdx === spdxEntry.id)
+    const dbEntry = curated || {
+      spdx: spdxEntry.id,
+      name: spdxEntry.name,
+      type: spdxEntry.category,
+      osiApproved: spdxEntry.osi,
+      fsfLibre: spdxEntry.fsf,
+      notes: [],
+    }
+    return {
+      id: dbEntry.spdx.toLowerCase(),
+      confidence: 1.0,
+      method: "SPDX List",
+      dbEntry,
+    }
+  }
+
   // Stage 2: Regex Match (New)
+  // The patterns match the whole name, so text that merely mentions a license ("Apache 2.0 compatible, non-commercial",
+  // or "mit" inside "Limited") isn't read as that license.
+  const licenseName = cleanLicense.replace(/^the\s+/, "").replace(/[\s,_-]+/g, " ").replace(/ licen[cs]e$/, "")
   const regexPatterns = [
-    { pattern: /mit|expat/i, id: "MIT" },
-    { pattern: /apache.*2\.?0/i, id: "Apache-2.0" },
-    { pattern: /gpl.*v?3/i, id: "GPL-3.0-only" },
-    { pattern: /lgpl.*v?3/i, id: "LGPL-3.0-only" },
-    { pattern: /affero|agpl/i, id: "AGPL-3.0-only" },
-    { pattern: /(?:3|three).clause.bsd/i, id: "BSD-3-Clause" },
+    { pattern: /^(?:mit|expat)(?: licen[cs]e)?(?: \(mit\))?$/, id: "MIT" },
+    { pattern: /^apache(?: software)?(?: licen[cs]e)?(?: (?:version|v|ver\.?))? ?2(?:\.0)?$/, id: "Apache-2.0" },
+    // The more specific GNU licenses come first, since "gpl" is also part of "lgpl" and "agpl".
+    { pattern: /^(?:gnu )?(?:agpl|affero(?: gpl| general public licen[cs]e)?) ?(?:version |v)?3(?:\.0)?$/, id: "AGPL-3.0-only" },
+    { pattern: /^(?:gnu )?(?:lgpl|lesser(?: gpl| general public licen[cs]e)) ?(?:version |v)?3(?:\.0)?$/, id: "LGPL-3.0-only" },
+    { pattern: /^(?:gnu )?(?:gpl|general public licen[cs]e) ?(?:version |v)?3(?:\.0)?$/, id: "GPL-3.0-only" },
+    { pattern: /^(?:(?:3|three) clause bsd|bsd (?:3|three) clause|new bsd)$/, id: "BSD-3-Clause" },
   ]
   for (const { pattern, id } of regexPatterns) {
-    if (pattern.test(cleanLicense)) {
+    if (pattern.test(licenseName)) {
       const dbEntry = LICENSE_DB[id]
       return {
         id: dbEntry.spdx.toLowerCase(),
@@ -328,9 +530,11 @@ function normalizeLicense(license) {
   }
 
   // Stage 3: Jaro-Winkler Fuzzy Matching
+  // Only typos are forgiven: a name with extra words ("apache license 2.0 restricted") is a different license.
   let bestMatch = { id: null, confidence: 0.88, method: "none", dbEntry: null }
   for (const key in LICENSE_DB) {
     for (const alias of LICENSE_DB[key].aliases) {
+      if (Math.abs(alias.length - cleanLicense.length) > 3) continue
       const similarity = jaroWinkler(cleanLicense, alias)
       if (similarity > bestMatch.confidence) {
         const dbEntry = LICENSE_DB[key]
@@ -361,48 +565,94 @@ function normalizeLicense(license) {
   }
 }
 
-function parseExpression(expression) {
-  expression = expression.trim()
-  if (expression.startsWith("(") && expression.endsWith(")")) {
-    let balance = 0,
-      isOuter = true
-    for (let i = 0; i < expression.length - 1; i++) {
-      if (expression[i] === "(") balance++
-      if (expression[i] === ")") balance--
-      if (balance === 0 && i < expression.length - 2) {
-        isOuter = false
-        break
-      }
+/**
+ * Normalizes a license of a parsed expression, taking its "+" suffix and exception into account.
+ * @param {{license: string, plus?: boolean, exception?: string, documentRef?: string}} leaf The leaf of the expression tree.
+ * @returns {object | null} The normalizeLicense result, with `orLater` set when later versions may be used
+ *   and `exception` holding the canonical exception id, if any.
+ */
+function normalizeLeaf(leaf) {
+  // LicenseRefs name licenses defined by the package itself, so there is nothing to match them against.
+  if (/^LicenseRef-/i.test(leaf.license)) {
+    const ref = renderLicense({ license: leaf.license, documentRef: leaf.documentRef })
+    return {
+      id: ref.toLowerCase(),
+      confidence: 1.0,
+      method: "License Ref",
+      orLater: false,
+      exception: null,
+      dbEntry: {
+        type: LICENSE_TYPES.UNKNOWN,
+        notes: [`'${ref}' is a custom license defined by the package; review its text.`],
+      },
     }
-    if (isOuter)
-      return parseExpression(expression.substring(1, expression.length - 1))
   }
-  const splitByOperator = (op) => {
-    const regex = new RegExp(`\\s+${op}\\s+`, "i")
-    let balance = 0,
-      lastSplit = 0
-    const parts = []
-    for (let i = 0; i < expression.length; i++) {
-      if (expression[i] === "(") balance++
-      else if (expression[i] === ")") balance--
-      else if (
-        balance === 0 &&
-        regex.test(expression.substring(i, i + op.length + 2))
-      ) {
-        parts.push(expression.substring(lastSplit, i).trim())
-        lastSplit = i + op.length + 2
-        i = lastSplit - 1
-      }
+
+  // Deprecated ids such as "GPL-2.0+" are on the list themselves; other "+" suffixes keep the license as is.
+  const plusId = leaf.plus && getSpdxLicense(`${leaf.license}+`) ? `${leaf.license}+` : null
+  const result = normalizeLicense(plusId || leaf.license)
+  if (!result) return null
+  const orLater = Boolean(leaf.plus) || /-or-later$/.test(result.id)
+  const exception = leaf.exception
+    ? (getSpdxException(leaf.exception) || { id: leaf.exception.trim() }).id
+    : result.exception || null
+  return {
+    ...result,
+    id: leaf.plus && !plusId ? `${result.id}+` : result.id,
+    orLater,
+    exception,
+  }
+}
+
+/**
+ * Converts a license string into an SPDX license expression for SBOM exports.
+ * Only exact alias matches are mapped to canonical ids; other parts are kept when they already
+ * look like SPDX ids, because fuzzy and regex matches are not reliable enough to publish.
+ * @param {string} licenseString The license string, e.g. "(mit OR Apache 2.0)".
+ * @param {{normalize?: boolean, onUnknown?: function(string): string}} [options] Set `normalize` to false to only
+ *   check that the string already is an expression; `onUnknown` may replace unrecognized parts, e.g. with a LicenseRef.
+ * @returns {string | null} The SPDX expression, or null if a part of it isn't a license id.
+ */
+function toSpdxExpression(licenseString, { normalize = true, onUnknown = null } = {}) {
+  if (
+    !licenseString ||
+    licenseString === "N/A" ||
+    licenseString.startsWith("Error")
+  )
+    return null
+
+  const SPDX_ID = /^(?:DocumentRef-[A-Za-z0-9.-]+:)?[A-Za-z0-9][A-Za-z0-9.-]*\+?$/
+  const toId = (text) => {
+    const result = normalize ? normalizeLicense(text) : null
+    if (result && result.method === "Direct Match") return result.dbEntry.spdx
+    // Ids and names of the SPDX list are exact too; deprecated ids are replaced by their current form.
+    if (result && result.method === "SPDX List") {
+      const spdxEntry = getSpdxLicense(text) || findSpdxLicenseByName(text)
+      return canonicalSpdxId(spdxEntry.id)
+    }
+    if (SPDX_ID.test(text.trim())) return text.trim()
+    return onUnknown ? onUnknown(text.trim()) : null
+  }
+
+  let hasUnknownPart = false
+  const renderLeaf = (leaf) => {
+    const license = renderLicense({ ...leaf, exception: undefined })
+    let id = toId(license)
+    // "Apache-2.0+" isn't an id of its own: normalize the license and keep the "+".
+    if (leaf.plus && !getSpdxLicense(license)) {
+      const baseId = toId(leaf.license)
+      if (baseId && getSpdxLicense(baseId)) id = `${baseId}+`
     }
-    parts.push(expression.substring(lastSplit).trim())
-    return parts
+    if (!id) hasUnknownPart = true
+    if (!id || !leaf.exception) return id
+    const knownException = getSpdxException(leaf.exception)
+    if (knownException) return `${id} WITH ${knownException.id}`
+    if (SPDX_ID.test(leaf.exception.trim())) return `${id} WITH ${leaf.exception.trim()}`
+    hasUnknownPart = true
+    return null
   }
-  const andParts = splitByOperator("AND")
-  if (andParts.length > 1)
-    return { and: andParts.map((p) => parseExpression(p)) }
-  const orParts = splitByOperator("OR")
-  if (orParts.length > 1) return { or: orParts.map((p) => parseExpression(p)) }
-  return expression
+  const expression = renderSpdxExpression(parseSpdxExpression(licenseString, { lenient: true }), renderLeaf)
+  return hasUnknownPart ? null : expression
 }
 
 // --- THE DEFINITIVE ORACLE'S CORE ANALYSIS FUNCTION ---
@@ -415,6 +665,7 @@ function analyzeLicensePolicy(licenseString, policy) {
   ) {
     return {
       status: "unknown",
+      needsReview: false,
       reason: `Invalid license string: "${licenseString}"`,
       riskScore: 0.7,
       obligations: [],
@@ -427,57 +678,118 @@ function analyzeLicensePolicy(licenseString, policy) {
     }
   }
 
-  const expressionTree = parseExpression(licenseString)
-  const allObligations = new Set(),
+  const projectLicenses = resolveProjectLicenses(policy.mainLicense)
+  // Policies built before scopes and distribution models existed are read as a distributed project's runtime dependency.
+  const scope = policy.scope || "runtime"
+  const distributionModel = policy.distributionModel || "distributed"
+  const deniedObligations = policy.deniedObligations || new Set()
+  const describeIssue = (issue) =>
+    `Compatibility Issue: '${issue.from}' may be incompatible with your project's main license ('${issue.to}').`
+  const allObligations = new Map(),
     allWarnings = new Set(),
     allSuggestions = new Set()
   const allTraces = [],
     allRisks = [],
     allCompatibilityIssues = []
 
+  // Free-form licenses such as "Apache 2.0" are read leniently; a broken expression is also worth a warning.
+  let expressionTree
+  try {
+    expressionTree = parseSpdxExpression(licenseString)
+  } catch (error) {
+    if (!(error instanceof SpdxExpressionError)) throw error
+    expressionTree = parseSpdxExpression(licenseString, { lenient: true })
+    if (/[()]|\s(?:AND|OR|WITH)\s/i.test(licenseString)) {
+      allWarnings.add(`'${licenseString}' is not a valid SPDX expression: ${error.message}.`)
+    }
+  }
+
   const _evaluate = (node) => {
-    if (typeof node === "string") {
-      const result = normalizeLicense(node)
+    if (!node.and && !node.or) {
+      const leafText = renderLicense(node)
+      const result = normalizeLeaf(node)
       if (!result)
         return {
           status: "unknown",
-          reason: `could not normalize '${node}'`,
+          reason: `could not normalize '${leafText}'`,
           riskScore: 0.6,
         }
 
       allTraces.push(
-        `'${node}' -> '${result.id}' (via ${result.method}, ${Math.round(
+        `'${leafText}' -> '${result.id}' (via ${result.method}, ${Math.round(
           result.confidence * 100
         )}% confidence)`
       )
-      const riskScore = calculateRisk(result)
-      allRisks.push(riskScore)
 
-      const { dbEntry } = result
-      if (dbEntry.notes) dbEntry.notes.forEach((note) => allWarnings.add(note))
-      if (dbEntry) {
-        for (const [key, value] of Object.entries(LICENSE_OBLIGATIONS)) {
-          if (value.types.includes(dbEntry.type)) allObligations.add(value)
+      // Exceptions only add permissions; linking exceptions take the "strong" out of strong copyleft.
+      const { exception } = result
+      const isLinkingException = Boolean(exception) && LINKING_EXCEPTIONS.includes(exception)
+      let { dbEntry } = result
+      if (exception && !getSpdxException(exception))
+        allWarnings.add(`'${exception}' is not on the SPDX license exception list.`)
+      if (isLinkingException && dbEntry.type === LICENSE_TYPES.STRONG_COPYLEFT) {
+        dbEntry = {
+          ...dbEntry,
+          type: LICENSE_TYPES.WEAK_COPYLEFT,
+          notes: [
+            ...(dbEntry.notes || []),
+            `'${exception}' allows linking without applying '${dbEntry.spdx}' to your code, so it is analyzed as weak copyleft.`,
+          ],
         }
       }
 
+      const riskScore = calculateRisk({ ...result, dbEntry })
+      allRisks.push(riskScore)
+
+      if (dbEntry.notes) dbEntry.notes.forEach((note) => allWarnings.add(note))
+      const obligations = Object.entries(LICENSE_OBLIGATIONS)
+        .filter(([, value]) => value.types.includes(dbEntry.type))
+        .map(([key, value]) => ({
+          ...value,
+          key,
+          triggered: isObligationTriggered(value, distributionModel, scope),
+        }))
+      obligations.forEach((obligation) => allObligations.set(obligation.key, obligation))
+
+      // Compare the canonical ids; result.id is lowercased for the policy lists.
       if (
-        policy.mainLicense &&
+        projectLicenses.length > 0 &&
         dbEntry &&
         dbEntry.type !== LICENSE_TYPES.UNKNOWN
       ) {
-        if (!checkCompatibility(policy.mainLicense, result.id)) {
-          allCompatibilityIssues.push({
-            from: result.id,
-            to: policy.mainLicense,
-          })
-          allWarnings.add(
-            `Compatibility Issue: '${result.id}' may be incompatible with your project's main license ('${policy.mainLicense}').`
-          )
+        if (!projectLicenses.some((id) => checkCompatibility(id, dbEntry))) {
+          const issue = { from: dbEntry.spdx, to: policy.mainLicense }
+          allCompatibilityIssues.push(issue)
+          allWarnings.add(describeIssue(issue))
         }
       }
 
+      // A policy entry for the license with its exception ("gpl-2.0-only with classpath-exception-2.0") comes first.
+      const withException = exception ? `${result.id} with ${exception.toLowerCase()}` : null
+      if (withException && policy.denied.has(withException))
+        return {
+          status: "non-compliant",
+          reason: `'${withException}' is on the denied list`,
+          riskScore,
+        }
+      if (withException && policy.allowed.has(withException))
+        return {
+          status: "compliant",
+          reason: `'${withException}' is on the allowed list`,
+          riskScore,
+        }
+
       if (policy.denied.has(result.id)) {
+        if (isLinkingException) {
+          allSuggestions.add(
+            `If linking to '${result.id}' under '${exception}' is acceptable, add '${renderLicense({ license: dbEntry.spdx, exception })}' to your allowed policies.`
+          )
+          return {
+            status: "unknown",
+            reason: `'${result.id}' is on the denied list, but '${exception}' allows linking to it`,
+            riskScore,
+          }
+        }
         allSuggestions.add(
           `Consider alternatives with licenses like ${[...policy.allowed]
             .slice(0, 3)
@@ -489,13 +801,68 @@ function analyzeLicensePolicy(licenseString, policy) {
           riskScore,
         }
       }
+      // Obligations the project can't meet, such as publishing its source when it runs as a network service, outweigh the allowed list.
+      const deniedObligation = obligations.find(
+        (obligation) => obligation.triggered && deniedObligations.has(obligation.key)
+      )
+      if (deniedObligation) {
+        allSuggestions.add(
+          `Consider an alternative to '${result.id}' for ${scope} use, or remove '${deniedObligation.key}' from your denied obligations.`
+        )
+        return {
+          status: "non-compliant",
+          reason: `'${result.id}' has the '${deniedObligation.key}' obligation, which is denied for ${scope} dependencies of a ${distributionModel} project`,
+          riskScore,
+        }
+      }
       if (policy.allowed.has(result.id)) {
         return {
           status: "compliant",
-          reason: `'${result.id}' is on the allowed list`,
+          reason: exception
+            ? `'${result.id}' is on the allowed list and '${exception}' only adds permissions`
+            : `'${result.id}' is on the allowed list`,
           riskScore,
         }
       }
+
+      // "GPL-2.0-or-later" may be used under GPL-3.0-only, so the policy of each later version applies.
+      if (result.orLater) {
+        const isListed = (list, id) => list.has(id) || list.has(id.replace(/-only$/, "-or-later"))
+        const versions = getLaterVersions(dbEntry.spdx || result.id).map((id) => id.toLowerCase())
+        const allowedVersion = versions.find((id) => isListed(policy.allowed, id))
+        if (allowedVersion)
+          return {
+            status: "compliant",
+            reason: `'${result.id}' can be used under '${allowedVersion}', which is on the allowed list`,
+            riskScore,
+          }
+        if (versions.length > 0 && versions.every((id) => isListed(policy.denied, id)))
+          return {
+            status: "non-compliant",
+            reason: `every version '${result.id}' can be used under is on the denied list`,
+            riskScore,
+          }
+      }
+
+      // Licenses that aren't listed are decided by their category and OSI/FSF flags, if a rule matches.
+      const rule = findLicenseRule(policy.rules, dbEntry)
+      if (rule) {
+        const ruleText = `the license rule for ${describeLicenseRule(rule)}`
+        if (rule.status === "compliant")
+          return { status: "compliant", reason: `'${result.id}' is allowed by ${ruleText}`, riskScore }
+        if (rule.status === "non-compliant")
+          return { status: "non-compliant", reason: `'${result.id}' is denied by ${ruleText}`, riskScore }
+        allSuggestions.add(
+          `Have '${result.id}' reviewed, then add it to your allowed or denied policies.`
+        )
+        return {
+          status: "unknown",
+          reason: `'${result.id}' needs review under ${ruleText}`,
+          riskScore,
+          needsReview: true,
+        }
+      }
+
       allSuggestions.add(
         `Review '${result.id}' and decide whether to add it to your allowed or denied policies.`
       )
@@ -507,7 +874,20 @@ function analyzeLicensePolicy(licenseString, policy) {
     }
 
     if (node.or) {
-      const results = node.or.map(_evaluate)
+      // An OR expression is compatible when any one of its options is, since that option can be chosen.
+      const issuesBefore = allCompatibilityIssues.length
+      let hasCompatibleOption = false
+      const results = node.or.map((child) => {
+        const issueCount = allCompatibilityIssues.length
+        const childResult = _evaluate(child)
+        if (allCompatibilityIssues.length === issueCount) hasCompatibleOption = true
+        return childResult
+      })
+      if (hasCompatibleOption) {
+        allCompatibilityIssues
+          .splice(issuesBefore)
+          .forEach((issue) => allWarnings.delete(describeIssue(issue)))
+      }
       if (results.some((r) => r.status === "compliant"))
         return {
           status: "compliant",
@@ -524,6 +904,8 @@ function analyzeLicensePolicy(licenseString, policy) {
         status: "unknown",
         reason: "an OR option has an unknown or mixed status",
         riskScore: Math.max(...results.map((r) => r.riskScore)),
+        // An option that only needs a review can be chosen once it is approved.
+        needsReview: results.some((r) => r.needsReview),
       }
     }
     if (node.and) {
@@ -545,6 +927,7 @@ function analyzeLicensePolicy(licenseString, policy) {
         status: "unknown",
         reason: "a required AND condition has an unknown status",
         riskScore: Math.max(...results.map((r) => r.riskScore)),
+        needsReview: results.every((r) => r.status !== "unknown" || r.needsReview),
       }
     }
     return {
@@ -560,11 +943,13 @@ function analyzeLicensePolicy(licenseString, policy) {
 
   return {
     status: finalResult.status,
+    // Unknown licenses the license rules send to review, as opposed to licenses no policy covers.
+    needsReview: finalResult.status === "unknown" && Boolean(finalResult.needsReview),
     reason: `Overall status is ${finalResult.status.toUpperCase()}. Reason: ${
       finalResult.reason
     }.`,
     riskScore: parseFloat(overallRisk.toFixed(2)),
-    obligations: Array.from(allObligations).sort((a, b) =>
+    obligations: Array.from(allObligations.values()).sort((a, b) =>
       b.risk.localeCompare(a.risk)
     ),
     details: {
@@ -576,6 +961,6 @@ function analyzeLicensePolicy(licenseString, policy) {
   }
 }
 
-module.exports = { analyzeLicensePolicy }
+module.exports = { analyzeLicensePolicy, toSpdxExpression }
 
 // --- END OF FILE src/ai/licenseAnalyzer.js (THE DEFINITIVE ORACLE) ---
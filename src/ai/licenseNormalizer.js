@@ -0,0 +1,205 @@
+// This file turns the license fields published by package registries into SPDX expressions, before the policy is checked.
+// Registries publish whatever the package author wrote: PyPI classifier tails ("GNU General Public License v2 or later (GPLv2+)"),
+// Maven <name> text ("The Apache Software License, Version 2.0"), crates.io's old "MIT/Apache-2.0" form, and so on.
+
+const { getSpdxLicense, findSpdxLicenseByName, canonicalSpdxId } = require("./spdxLicenseList")
+const { SpdxExpressionError, parseSpdxExpression, renderSpdxExpression } = require("./spdxExpression")
+
+// --- THE CURATED MAPPING TABLE ---
+
+// License names seen in the registries that are neither SPDX ids nor SPDX full names, mapped to their SPDX expression.
+// Keys are matched after simplifyName, so case, punctuation, "Version"/"v" and a trailing "License" don't matter.
+// GNU licenses with a version are recognized by GNU_LICENSE_PATTERN instead.
+const LICENSE_NAME_MAPPINGS = {
+  "Apache-2.0": [
+    // PyPI's classifier doesn't carry a version; in practice it is always used for 2.0.
+    "Apache Software License",
+    "Apache License, Version 2.0",
+    "The Apache Software License, Version 2.0",
+    "Apache Software License, Version 2.0",
+    "Apache Public License 2.0",
+    "Apache 2",
+    "Apache 2.0",
+    "Apache License 2",
+    "ASL 2.0",
+    "ASF 2.0",
+  ],
+  MIT: ["The MIT License (MIT)", "MIT/Expat", "Expat License", "Bouncy Castle Licence"],
+  "BSD-2-Clause": ["BSD 2-Clause", "Simplified BSD", "FreeBSD", "The BSD 2-Clause License"],
+  "BSD-3-Clause": [
+    "BSD 3-Clause",
+    "New BSD",
+    "Modified BSD",
+    "Revised BSD",
+    "The New BSD License",
+    "Eclipse Distribution License - v 1.0",
+    "EDL 1.0",
+  ],
+  ISC: ["ISC License (ISCL)"],
+  "PSF-2.0": ["Python Software Foundation License", "Python Software Foundation", "PSF", "PSF License"],
+  "MPL-1.1": ["Mozilla Public License 1.1 (MPL 1.1)", "MPL 1.1"],
+  "MPL-2.0": ["Mozilla Public License 2.0 (MPL 2.0)", "Mozilla Public License, Version 2.0", "MPL 2.0"],
+  "EPL-1.0": ["Eclipse Public License - v 1.0", "Eclipse Public License 1.0", "EPL 1.0"],
+  "EPL-2.0": ["Eclipse Public License - v 2.0", "Eclipse Public License v2.0", "EPL 2.0"],
+  "CDDL-1.0": ["Common Development and Distribution License (CDDL) v1.0", "CDDL 1.0"],
+  "CDDL-1.1": ["Common Development and Distribution License (CDDL) v1.1", "CDDL 1.1"],
+  // The GlassFish and Jakarta EE dual license.
+  "CDDL-1.1 OR GPL-2.0-only WITH Classpath-exception-2.0": ["CDDL + GPLv2 with classpath exception", "CDDL/GPLv2+CE"],
+  "GPL-2.0-only WITH Classpath-exception-2.0": [
+    "GPL2 w/ CPE",
+    "GPLv2 with Classpath Exception",
+    "GNU General Public License, version 2, with the Classpath Exception",
+  ],
+  Unlicense: ["The Unlicense (Unlicense)"],
+  "CC0-1.0": ["CC0", "CC0 1.0 Universal (CC0 1.0) Public Domain Dedication", "Public Domain, per Creative Commons CC0"],
+  "UPL-1.0": ["Universal Permissive License, Version 1.0", "UPL"],
+  "BSL-1.0": ["Boost Software License 1.0 (BSL-1.0)", "Boost"],
+  HPND: ["Historical Permission Notice and Disclaimer (HPND)"],
+  JSON: ["The JSON License"],
+  Zlib: ["zlib/libpng"],
+}
+
+// "GNU Lesser General Public License v3 or later", "LGPLv2.1", "GPL 2 with classpath exception", ... after simplifyName.
+// Anything else after the version means it isn't a single license ("GPL 2.0 or MIT").
+const GNU_LICENSE_PATTERN =
+  /^(?:gnu )?(?:(lesser|library|affero) |([la]))?(?:general public license|gpl) ?(\d+(?:\.\d+)?)(\+?(?: only| or (?:any )?later(?: version)?)?(?: with (?:the )?classpath exception)?(?: [la]?gpl ?[\d.]*\+?)?)$/
+
+/**
+ * Simplifies a license name so that spelling variants compare equal:
+ * "The Apache Software License, Version 2.0" and "apache software license v2.0" both become "apache software license 2.0".
+ * @param {string} name The license name.
+ * @returns {string} The simplified name.
+ */
+function simplifyName(name) {
+  return name
+    .toLowerCase()
+    .replace(/licence/g, "license")
+    .replace(/[,;:"'()[\]]/g, " ")
+    .replace(/[-_]/g, " ")
+    .replace(/(?<=^|\s|gpl)v(?:ersion)?\s*(?=\d)/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/\.$/, "")
+    .replace(/^the /, "")
+    .replace(/ license$/, "")
+}
+
+// The mapping table, keyed by simplified name.
+const mappingsByName = new Map(
+  Object.entries(LICENSE_NAME_MAPPINGS).flatMap(([expression, names]) =>
+    names.map((name) => [simplifyName(name), expression])
+  )
+)
+
+/**
+ * Recognizes a GNU license with a version, e.g. "GNU General Public License v2 or later (GPLv2+)" or "LGPLv3".
+ * @param {string} simplifiedName The license name, simplified with simplifyName.
+ * @returns {string | null} The SPDX id (with a Classpath exception if mentioned), or null.
+ */
+function matchGnuLicense(simplifiedName) {
+  const match = simplifiedName.match(GNU_LICENSE_PATTERN)
+  if (!match) return null
+  const [, variant, abbreviation, version, rest] = match
+  const family = variant === "affero" || abbreviation === "a" ? "AGPL" : variant || abbreviation ? "LGPL" : "GPL"
+  const orLater = /\bor (?:any )?later\b|\+/.test(rest)
+  const id = `${family}-${version.includes(".") ? version : `${version}.0`}-${orLater ? "or-later" : "only"}`
+  if (!getSpdxLicense(id)) return null
+  return /classpath/.test(rest) ? `${id} WITH Classpath-exception-2.0` : id
+}
+
+/**
+ * Maps a single license name or id to an SPDX expression.
+ * @param {string} name The license name, e.g. "Apache-2.0", "MIT License" or "License :: OSI Approved :: MIT License".
+ * @returns {string | null} The SPDX expression, or null if the name isn't recognized.
+ */
+function mapLicenseName(name) {
+  let text = name.trim()
+  // A full PyPI classifier names the license in its last segment.
+  if (text.startsWith("License ::")) text = text.split("::").pop().trim()
+  if (/^\(.*\)$/.test(text) && !/[()]/.test(text.slice(1, -1))) text = text.slice(1, -1).trim()
+  if (!text) return null
+
+  // SPDX ids, with deprecated ids replaced by their current form.
+  if (getSpdxLicense(text)) return canonicalSpdxId(text)
+  // "Apache-2.0+" isn't an id of its own, but is valid SPDX.
+  if (text.endsWith("+") && getSpdxLicense(text.slice(0, -1))) return `${canonicalSpdxId(text.slice(0, -1))}+`
+
+  const simplified = simplifyName(text)
+  if (mappingsByName.has(simplified)) return mappingsByName.get(simplified)
+  // "The MIT License" and "Apache 2.0" are ids once simplified.
+  const simplifiedId = simplified.replace(/ /g, "-")
+  if (getSpdxLicense(simplifiedId)) return canonicalSpdxId(simplifiedId)
+  const spdxEntry = findSpdxLicenseByName(text)
+  if (spdxEntry) return spdxEntry.id
+  return matchGnuLicense(simplified)
+}
+
+/**
+ * Splits a license field on the uppercase operators the strategies use to join several licenses
+ * ("MIT License OR Apache Software License"), keeping AND tighter than OR.
+ * Lowercase "or" is left alone, since license names use it ("GPL v2 or later").
+ * @param {string} text The license field.
+ * @returns {{or: Array<{and: Array<string>}>}} The license names, grouped by operator.
+ */
+function splitOnOperators(text) {
+  return { or: text.split(/\s+OR\s+/).map((part) => ({ and: part.split(/\s+AND\s+/) })) }
+}
+
+/**
+ * Turns the license field of a package, as published by its registry, into an SPDX expression.
+ * @param {string} license The license field, as returned by the strategy.
+ * @param {string} [ecosystem] The ecosystem of the package (e.g. "cargo"), for ecosystem-specific forms.
+ * @returns {string | null} The SPDX expression, or null if a part of the field isn't recognized.
+ */
+function normalizeLicenseField(license, ecosystem = "") {
+  if (typeof license !== "string") return null
+  let text = license.trim()
+  if (!text || text === "N/A" || text.startsWith("Error")) return null
+  // npm's "SEE LICENSE IN <file>" and "UNLICENSED" say there is no license to check.
+  if (/^SEE LICEN[CS]E IN\b/i.test(text) || /^UNLICENSED$/i.test(text)) return null
+  // crates.io used "/" between the options of dual-licensed crates before it required SPDX expressions.
+  if (ecosystem === "cargo") text = text.replace(/\s*\/\s*/g, " OR ")
+
+  // The whole field may be one known name, even when it contains "or" or "/".
+  const whole = mapLicenseName(text)
+  if (whole) return whole
+
+  // A valid SPDX expression only needs its ids in their canonical form.
+  try {
+    return renderExpression(parseSpdxExpression(text))
+  } catch (error) {
+    if (!(error instanceof SpdxExpressionError)) throw error
+  }
+
+  // Otherwise, names joined by the strategies with " OR " and " AND ".
+  const mapped = splitOnOperators(text).or.map((group) => group.and.map(mapLicenseName))
+  if (mapped.every((names) => names.every(Boolean))) {
+    // AND binds tighter than OR, so only an OR inside an AND needs parentheses.
+    return mapped
+      .map((names) => names.map((name) => (names.length > 1 && / OR /.test(name) ? `(${name})` : name)).join(" AND "))
+      .join(" OR ")
+  }
+
+  // As a last resort, lowercase operators ("MIT or Apache-2.0"), as long as every part is recognized.
+  return renderExpression(parseSpdxExpression(text, { lenient: true }))
+}
+
+/**
+ * Writes a parsed expression with every license mapped to its SPDX form.
+ * @param {object} tree The expression tree, as returned by parseSpdxExpression.
+ * @returns {string | null} The SPDX expression, or null if a license isn't recognized.
+ */
+function renderExpression(tree) {
+  let isComplete = true
+  const expression = renderSpdxExpression(tree, (leaf) => {
+    if (/^LicenseRef-/.test(leaf.license)) return leaf.documentRef ? `${leaf.documentRef}:${leaf.license}` : leaf.license
+    const id = mapLicenseName(leaf.plus ? `${leaf.license}+` : leaf.license)
+    if (!id) isComplete = false
+    // A mapped name may be an expression itself, which then needs parentheses.
+    const license = id && /\s(?:OR|AND)\s/.test(id) ? `(${id})` : id
+    return leaf.exception ? `${license} WITH ${canonicalSpdxId(leaf.exception)}` : license
+  })
+  return isComplete ? expression : null
+}
+
+module.exports = { normalizeLicenseField }
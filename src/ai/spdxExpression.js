@@ -0,0 +1,204 @@
+// This file parses SPDX license expressions (SPDX 2.3, Annex D), such as "(MIT OR Apache-2.0) AND GPL-2.0+ WITH Classpath-exception-2.0".
+// Registries also publish free-form licenses ("Apache 2.0", "GPL v2 or later"), so a lenient mode keeps those usable.
+
+// An idstring, optionally followed by "+" for "this version or any later version".
+const LICENSE_ID = /^([A-Za-z0-9.-]+)(\+)?$/
+// A license defined in the document itself or in another SPDX document.
+const LICENSE_REF = /^(?:(DocumentRef-[A-Za-z0-9.-]+):)?(LicenseRef-[A-Za-z0-9.-]+)$/
+const EXCEPTION_ID = /^[A-Za-z0-9.-]+$/
+const OPERATORS = ["AND", "OR", "WITH"]
+
+/**
+ * The error thrown for an expression that doesn't follow the SPDX grammar.
+ */
+class SpdxExpressionError extends Error {
+  /**
+   * @param {string} message The description of the problem.
+   * @param {number} position The offset in the expression where the problem was found.
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`)
+    this.name = "SpdxExpressionError"
+    this.position = position
+  }
+}
+
+/**
+ * Splits an expression into parentheses, operators and words, remembering where each one starts.
+ * In strict mode operators must be uppercase and words may only use the characters of SPDX ids;
+ * in lenient mode operators are matched in any case and anything else is a word.
+ * @param {string} expression The license expression.
+ * @param {boolean} lenient Whether to accept free-form text.
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} The tokens.
+ */
+function tokenize(expression, lenient) {
+  const tokens = []
+  const wordPattern = lenient ? /[^\s()]+/y : /[A-Za-z0-9.+:-]+/y
+  let index = 0
+  while (index < expression.length) {
+    const char = expression[index]
+    if (/\s/.test(char)) {
+      index++
+      continue
+    }
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char, value: char, start: index, end: index + 1 })
+      index++
+      continue
+    }
+    wordPattern.lastIndex = index
+    const match = wordPattern.exec(expression)
+    if (!match) throw new SpdxExpressionError(`Unexpected character '${char}'`, index)
+    const word = match[0]
+    const operator = lenient ? word.toUpperCase() : word
+    const type = OPERATORS.includes(operator) ? operator : "word"
+    tokens.push({ type, value: word, start: index, end: index + word.length })
+    index += word.length
+  }
+  return tokens
+}
+
+/**
+ * Parses an SPDX license expression into a tree.
+ * AND binds tighter than OR, so "A OR B AND C" is "A OR (B AND C)". Leaves are
+ * `{license, plus?, exception?, documentRef?}`; compound expressions are `{and: [...]}` or `{or: [...]}`.
+ * @param {string} expression The license expression.
+ * @param {{lenient?: boolean}} [options] Set `lenient` to accept free-form text: consecutive words
+ *   become one license ("Apache 2.0"), operators may be lowercase, and text that still can't be parsed
+ *   becomes a single license.
+ * @returns {object} The expression tree.
+ * @throws {SpdxExpressionError} If the expression isn't valid, in strict mode.
+ */
+function parseSpdxExpression(expression, { lenient = false } = {}) {
+  const text = String(expression || "")
+  if (lenient) {
+    try {
+      return parseTokens(text, tokenize(text, true), true)
+    } catch (error) {
+      if (!(error instanceof SpdxExpressionError)) throw error
+      return toLeaf(text.trim(), true)
+    }
+  }
+  return parseTokens(text, tokenize(text, false), false)
+}
+
+/**
+ * Parses the tokens of an expression with a recursive descent parser.
+ * @param {string} text The license expression.
+ * @param {Array<object>} tokens The tokens of the expression.
+ * @param {boolean} lenient Whether to accept free-form text.
+ * @returns {object} The expression tree.
+ */
+function parseTokens(text, tokens, lenient) {
+  let index = 0
+  const peek = () => tokens[index]
+  const positionOf = (token) => (token ? token.start : text.length)
+  const describe = (token) => (token ? `'${token.value}'` : "end of expression")
+
+  // Reads consecutive words; only lenient mode accepts more than one.
+  const readWords = (expected) => {
+    const first = peek()
+    if (!first || first.type !== "word") {
+      throw new SpdxExpressionError(`Expected ${expected} but found ${describe(first)}`, positionOf(first))
+    }
+    let last = first
+    index++
+    while (lenient && peek() && peek().type === "word") last = tokens[index++]
+    return { text: text.slice(first.start, last.end), start: first.start }
+  }
+
+  const parsePrimary = () => {
+    const token = peek()
+    if (token && token.type === "(") {
+      index++
+      const node = parseOr()
+      const closing = peek()
+      if (!closing || closing.type !== ")") {
+        throw new SpdxExpressionError(`Expected ')' but found ${describe(closing)}`, positionOf(closing))
+      }
+      index++
+      return node
+    }
+    const license = readWords("a license id")
+    const leaf = toLeaf(license.text, lenient)
+    if (!leaf) throw new SpdxExpressionError(`Invalid license id '${license.text}'`, license.start)
+    if (peek() && peek().type === "WITH") {
+      index++
+      const exception = readWords("an exception id")
+      if (!lenient && !EXCEPTION_ID.test(exception.text)) {
+        throw new SpdxExpressionError(`Invalid exception id '${exception.text}'`, exception.start)
+      }
+      leaf.exception = exception.text
+    }
+    return leaf
+  }
+
+  // Collects the operands of one operator into a single node, so "A AND B AND C" has three children.
+  const parseChain = (operator, parseOperand) => {
+    const operands = [parseOperand()]
+    while (peek() && peek().type === operator) {
+      index++
+      operands.push(parseOperand())
+    }
+    return operands.length === 1 ? operands[0] : { [operator.toLowerCase()]: operands }
+  }
+  const parseAnd = () => parseChain("AND", parsePrimary)
+  const parseOr = () => parseChain("OR", parseAnd)
+
+  const tree = parseOr()
+  if (peek()) {
+    throw new SpdxExpressionError(`Expected AND, OR or the end of the expression but found ${describe(peek())}`, positionOf(peek()))
+  }
+  return tree
+}
+
+/**
+ * Builds the leaf of a license, splitting off the "+" suffix and the DocumentRef prefix.
+ * @param {string} text The license text.
+ * @param {boolean} lenient Whether to accept free-form text.
+ * @returns {{license: string, plus?: boolean, documentRef?: string} | null} The leaf, or null if the text isn't a license id in strict mode.
+ */
+function toLeaf(text, lenient) {
+  const refMatch = text.match(LICENSE_REF)
+  if (refMatch) return refMatch[1] ? { license: refMatch[2], documentRef: refMatch[1] } : { license: refMatch[2] }
+  // A reference can't take a "+", and a DocumentRef must be followed by one.
+  const idMatch = !/^(LicenseRef|DocumentRef)-/.test(text) && text.match(LICENSE_ID)
+  if (idMatch) return idMatch[2] ? { license: idMatch[1], plus: true } : { license: idMatch[1] }
+  if (!lenient) return null
+  // Free-form text such as "GPLv2+" still says "or later".
+  return text.length > 1 && text.endsWith("+") ? { license: text.slice(0, -1), plus: true } : { license: text }
+}
+
+/**
+ * Writes an expression tree back as a string, adding parentheses only where they are needed.
+ * @param {object} node The expression tree, as returned by parseSpdxExpression.
+ * @param {function(object): string} [renderLeaf] Writes a leaf; defaults to its SPDX form.
+ * @returns {string} The license expression.
+ */
+function renderSpdxExpression(node, renderLeaf = renderLicense) {
+  const render = (current, parentOperator) => {
+    if (!current.and && !current.or) return renderLeaf(current)
+    const operator = current.and ? "AND" : "OR"
+    const joined = (current.and || current.or).map((child) => render(child, operator)).join(` ${operator} `)
+    // An OR inside an AND needs parentheses; an AND inside an OR doesn't, since AND binds tighter.
+    return parentOperator && parentOperator !== operator && operator === "OR" ? `(${joined})` : joined
+  }
+  return render(node, null)
+}
+
+/**
+ * Writes a leaf of an expression tree, e.g. "GPL-2.0+ WITH Classpath-exception-2.0".
+ * @param {{license: string, plus?: boolean, exception?: string, documentRef?: string}} leaf The leaf.
+ * @returns {string} The simple expression.
+ */
+function renderLicense(leaf) {
+  const license = `${leaf.documentRef ? `${leaf.documentRef}:` : ""}${leaf.license}${leaf.plus ? "+" : ""}`
+  return leaf.exception ? `${license} WITH ${leaf.exception}` : license
+}
+
+module.exports = {
+  SpdxExpressionError,
+  parseSpdxExpression,
+  renderSpdxExpression,
+  renderLicense,
+}
@@ -0,0 +1,107 @@
+// This file gives access to the bundled copy of the SPDX license and exception lists (src/data/spdxLicenses.json).
+// Run `npm run update-spdx-data` to regenerate it from the upstream SPDX and ScanCode data.
+
+const spdxData = require("../data/spdxLicenses.json")
+
+// SPDX ids are case-insensitive, so they are looked up by their lowercased form.
+const licensesById = new Map(
+  Object.entries(spdxData.licenses).map(([id, entry]) => [id.toLowerCase(), { id, ...entry }])
+)
+const exceptionsById = new Map(
+  Object.entries(spdxData.exceptions).map(([id, entry]) => [id.toLowerCase(), { id, ...entry }])
+)
+// Registries often publish the full name instead of the id, e.g. "Eclipse Public License 2.0".
+const licensesByName = new Map(
+  [...licensesById.values()]
+    .filter((entry) => !entry.deprecated)
+    .map((entry) => [entry.name.toLowerCase(), entry])
+)
+
+// A versioned id such as "MPL-1.1" or "GPL-2.0-only": the family, the version and the GNU suffix.
+const VERSIONED_ID = /^(.+?)-(\d+(?:\.\d+)*)(-only|-or-later)?$/
+
+/**
+ * Finds a license of the SPDX license list by its id.
+ * @param {string} id The license id, in any case (e.g. "apache-2.0").
+ * @returns {{id: string, name: string, category: string, osi: boolean, fsf: boolean, deprecated?: boolean, replacement?: string} | null}
+ *   The license entry with its canonical id, or null if it isn't on the list.
+ */
+function getSpdxLicense(id) {
+  return licensesById.get(String(id).trim().toLowerCase()) || null
+}
+
+/**
+ * Finds a license of the SPDX license list by its full name.
+ * @param {string} name The license name, in any case (e.g. "Eclipse Public License 2.0").
+ * @returns {object | null} The license entry, or null if no current license has that name.
+ */
+function findSpdxLicenseByName(name) {
+  return licensesByName.get(String(name).trim().toLowerCase()) || null
+}
+
+/**
+ * Finds an exception of the SPDX exception list by its id.
+ * @param {string} id The exception id, in any case (e.g. "classpath-exception-2.0").
+ * @returns {{id: string, name: string, deprecated?: boolean, replacement?: string} | null} The exception entry with its canonical id, or null.
+ */
+function getSpdxException(id) {
+  return exceptionsById.get(String(id).trim().toLowerCase()) || null
+}
+
+/**
+ * Replaces a deprecated SPDX id with its current form, e.g. "GPL-2.0+" with "GPL-2.0-or-later".
+ * Some replacements are expressions, e.g. "GPL-2.0-with-classpath-exception" becomes "GPL-2.0-only WITH Classpath-exception-2.0".
+ * @param {string} id The license or exception id.
+ * @returns {string} The canonical id or expression, or the id itself if it isn't on the lists.
+ */
+function canonicalSpdxId(id) {
+  const entry = getSpdxLicense(id) || getSpdxException(id)
+  if (!entry) return String(id).trim()
+  return entry.replacement || entry.id
+}
+
+/**
+ * Lists the current ids a license may be used under when "or any later version" applies, from its own version up.
+ * GNU licenses list their "-only" ids, e.g. "GPL-2.0-or-later" gives ["GPL-2.0-only", "GPL-3.0-only"];
+ * other licenses list every version, e.g. "MPL-1.1" gives ["MPL-1.1", "MPL-2.0"].
+ * @param {string} id The license id, with or without the "-only"/"-or-later" suffix.
+ * @returns {Array<string>} The ids of this and the later versions, or an empty array if the id has no version.
+ */
+function getLaterVersions(id) {
+  const match = canonicalSpdxId(id).match(VERSIONED_ID)
+  if (!match) return []
+  const [, family, version, suffix] = match
+  const targetSuffix = suffix ? "-only" : ""
+  return [...licensesById.values()]
+    .filter((entry) => !entry.deprecated)
+    .map((entry) => ({ id: entry.id, match: entry.id.match(VERSIONED_ID) }))
+    .filter(({ match: other }) => other && other[1] === family && (other[3] || "") === targetSuffix)
+    .filter(({ match: other }) => compareVersions(other[2], version) >= 0)
+    .sort((a, b) => compareVersions(a.match[2], b.match[2]))
+    .map(({ id: laterId }) => laterId)
+}
+
+/**
+ * Compares two dotted version numbers such as "2.0" and "2.1".
+ * @param {string} a The first version.
+ * @param {string} b The second version.
+ * @returns {number} A negative number if a is lower, 0 if they are equal, and a positive number if a is higher.
+ */
+function compareVersions(a, b) {
+  const partsA = a.split(".").map(Number)
+  const partsB = b.split(".").map(Number)
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0)
+    if (difference !== 0) return difference
+  }
+  return 0
+}
+
+module.exports = {
+  SPDX_LICENSE_LIST_VERSION: spdxData.licenseListVersion,
+  getSpdxLicense,
+  findSpdxLicenseByName,
+  getSpdxException,
+  canonicalSpdxId,
+  getLaterVersions,
+}
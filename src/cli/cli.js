@@ -0,0 +1,186 @@
+// This file implements the `license-sentinel` command-line interface, which runs the same scan as the extension outside of VS Code.
+// It is meant for CI pipelines: it prints a summary, writes reports and exits with a non-zero code when the policy is violated.
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadSettings } = require('./config');
+const { scan } = require('../core/engine');
+const { createNodeHost } = require('../hosts/nodeHost');
+const { createFileStore, createMemoryStore } = require('../core/caching');
+const { buildMarkdownReport } = require('../reports/markdownReport');
+const { buildCsvReport } = require('../reports/csvReport');
+const { buildJsonReport } = require('../reports/jsonReport');
+const { buildCycloneDxJson, buildCycloneDxXml } = require('../reports/cycloneDxReport');
+const { buildSpdxTagValue, buildSpdxJson } = require('../reports/spdxReport');
+
+// The exit codes of the CLI.
+const EXIT_CODES = {
+    // Every dependency passed the policy.
+    SUCCESS: 0,
+    // At least one dependency reached the --fail-on threshold.
+    POLICY_VIOLATION: 1,
+    // The command line or the configuration was invalid.
+    USAGE_ERROR: 2
+};
+
+// The statuses that fail the run for each --fail-on threshold.
+const FAIL_ON_STATUSES = {
+    'non-compliant': ['non-compliant'],
+    'unknown': ['non-compliant', 'unknown']
+};
+
+// The report builders, by file name suffix; the first matching suffix wins.
+const REPORT_FORMATS = [
+    ['.cdx.json', buildCycloneDxJson],
+    ['.cdx.xml', buildCycloneDxXml],
+    ['.xml', buildCycloneDxXml],
+    ['.spdx.json', buildSpdxJson],
+    ['.spdx', buildSpdxTagValue],
+    ['.md', buildMarkdownReport],
+    ['.csv', buildCsvReport],
+    ['.json', buildJsonReport]
+];
+
+/**
+ * Finds the report builder for a report file name.
+ * @param {string} fileName The report file name.
+ * @returns {function(Array<object>, {documentName: string}): string | undefined} The report builder, if the format is supported.
+ */
+function getReportBuilder(fileName) {
+    const match = REPORT_FORMATS.find(([suffix]) => fileName.toLowerCase().endsWith(suffix));
+    return match && match[1];
+}
+
+const USAGE = `Usage: license-sentinel [directory] [options]
+
+Scans the dependency files of a directory (default: the current one) against the license policy.
+
+Options:
+  -c, --config <file>    Read settings from this file instead of license-sentinel.config.json.
+      --cache <file>     Keep the registry lookups in this JSON file, to reuse them in later runs.
+      --fail-on <level>  Exit with code 1 on 'non-compliant' (default) or also on 'unknown' dependencies.
+  -r, --report <file>    Write a report; the format follows the extension (.md, .csv, .json,
+                         .cdx.json/.cdx.xml for CycloneDX, .spdx/.spdx.json for SPDX). Repeatable.
+  -q, --quiet            Only print the summary.
+  -h, --help             Show this help.
+
+Settings are read from .vscode/settings.json and then the config file, using the same
+'license-sentinel.*' keys as the VS Code extension (the prefix is optional in the config file).`;
+
+/**
+ * Formats the summary of a scan for the terminal.
+ * @param {Array<object>} manifestFiles The scanned manifest files.
+ * @param {Array<object>} dependencies The scanned dependencies.
+ * @param {boolean} quiet Whether to leave out the list of problematic dependencies.
+ * @returns {string} The summary text.
+ */
+function formatSummary(manifestFiles, dependencies, quiet) {
+    const nonCompliant = dependencies.filter(d => d.status === 'non-compliant');
+    const unknown = dependencies.filter(d => d.status === 'unknown');
+    const incompatible = dependencies.filter(d => (d.analysis?.details?.compatibilityIssues || []).length > 0);
+    const lines = [
+        `License Sentinel 🛡️ scanned ${dependencies.length} dependencies in ${manifestFiles.length} files.`,
+        `  ✅ Compliant:     ${dependencies.length - nonCompliant.length - unknown.length}`,
+        `  ❓ Unknown:       ${unknown.length}`,
+        `  ❌ Non-Compliant: ${nonCompliant.length}`
+    ];
+    if (incompatible.length > 0) lines.push(`  ⚠️ Incompatible with the project's license: ${incompatible.length}`);
+    // Policy exceptions that need attention: expired or stale ones no longer apply, and others expire soon.
+    const exceptionWarnings = dependencies.filter(d => d.policyException && d.policyException.message);
+    if (exceptionWarnings.length > 0) lines.push(`  ⏱️ Policy exceptions to renew or remove: ${exceptionWarnings.length}`);
+
+    if (!quiet) {
+        const describe = d => `  - ${d.name}@${d.resolvedVersion || d.version} (${d.license}) in ${d.manifestFile}:${d.line + 1} — ${d.analysis.reason}`;
+        if (nonCompliant.length > 0) lines.push('', 'Non-compliant dependencies:', ...nonCompliant.map(describe));
+        if (unknown.length > 0) lines.push('', 'Dependencies needing review:', ...unknown.map(describe));
+        if (incompatible.length > 0) {
+            const describeIssue = d => `  - ${d.name}@${d.resolvedVersion || d.version} (${d.license}) in ${d.manifestFile}:${d.line + 1} — may be incompatible with '${d.analysis.details.compatibilityIssues[0].to}'`;
+            lines.push('', "Dependencies that may be incompatible with the project's license:", ...incompatible.map(describeIssue));
+        }
+        if (exceptionWarnings.length > 0) {
+            const describeException = d => `  - ${d.name}@${d.resolvedVersion || d.version} in ${d.manifestFile}:${d.line + 1} — ${d.policyException.message}`;
+            lines.push('', 'Policy exceptions:', ...exceptionWarnings.map(describeException));
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv The command-line arguments, without the node executable and script.
+ * @param {{stdout?: function(string): void, stderr?: function(string): void}} [io] Where to print output; defaults to the console.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv, io = {}) {
+    const stdout = io.stdout || (text => console.log(text));
+    const stderr = io.stderr || (text => console.error(text));
+
+    // Parse the command-line arguments.
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                config: { type: 'string', short: 'c' },
+                cache: { type: 'string' },
+                'fail-on': { type: 'string', default: 'non-compliant' },
+                report: { type: 'string', short: 'r', multiple: true, default: [] },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        stderr(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+    const { values, positionals } = args;
+
+    if (values.help) {
+        stdout(USAGE);
+        return EXIT_CODES.SUCCESS;
+    }
+    if (positionals.length > 1) {
+        stderr(`Expected at most one directory, got ${positionals.length}.\n\n${USAGE}`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+    const failOn = FAIL_ON_STATUSES[values['fail-on']];
+    if (!failOn) {
+        stderr(`Invalid --fail-on value '${values['fail-on']}'. Expected 'non-compliant' or 'unknown'.`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+    const unsupportedReport = values.report.find(file => !getReportBuilder(file));
+    if (unsupportedReport) {
+        stderr(`Unsupported report format for '${unsupportedReport}'. Use a .md, .csv, .json, .cdx.json, .cdx.xml, .spdx or .spdx.json file.`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+
+    // Load the settings of the scanned folder.
+    const rootDir = path.resolve(positionals[0] || '.');
+    let settings;
+    try {
+        settings = await loadSettings(rootDir, values.config);
+    } catch (error) {
+        stderr(`License Sentinel 🛡️: ${error.message}`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+
+    // Scan the folder and print the results.
+    // Without --cache, the in-memory cache only avoids looking up the same dependency twice in this run.
+    const cache = values.cache ? await createFileStore(path.resolve(values.cache)) : createMemoryStore();
+    const { manifestFiles, dependencies } = await scan(createNodeHost(rootDir, settings, { cache }));
+    if (cache.flush) await cache.flush();
+    stdout(formatSummary(manifestFiles, dependencies, values.quiet));
+
+    // Write the requested reports.
+    for (const reportFile of values.report) {
+        const buildReport = getReportBuilder(reportFile);
+        await fs.writeFile(path.resolve(reportFile), buildReport(dependencies, { documentName: path.basename(rootDir) }), 'utf8');
+        if (!values.quiet) stdout(`Report written to ${reportFile}`);
+    }
+
+    // Fail the run if any dependency reached the threshold.
+    return dependencies.some(d => failOn.includes(d.status)) ? EXIT_CODES.POLICY_VIOLATION : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { main, formatSummary, EXIT_CODES };
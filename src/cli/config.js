@@ -0,0 +1,96 @@
+// This file loads the License Sentinel settings for the command-line interface.
+// The CLI reads the same `license-sentinel.*` settings as the extension, so CI enforces the policy developers see in the editor.
+const fs = require('fs/promises');
+const path = require('path');
+const jsonc = require('jsonc-parser'); // Settings files may contain comments and trailing commas.
+const { readFileIfExists } = require('../utils/localFiles');
+const packageJson = require('../../package.json');
+
+// The prefix of every setting contributed by the extension.
+const SETTINGS_PREFIX = 'license-sentinel.';
+// The standalone config file looked up in the scanned folder when --config isn't given.
+const DEFAULT_CONFIG_FILE = 'license-sentinel.config.json';
+
+/**
+ * Reads the default value of every setting from the extension manifest, so the CLI and the editor share the same defaults.
+ * @returns {object} The default settings, keyed without the `license-sentinel.` prefix.
+ */
+function getDefaultSettings() {
+    const properties = packageJson.contributes.configuration.properties;
+    const defaults = {};
+    for (const [key, schema] of Object.entries(properties)) {
+        defaults[key.slice(SETTINGS_PREFIX.length)] = schema.default;
+    }
+    return defaults;
+}
+
+/**
+ * Picks the License Sentinel settings out of a settings object.
+ * VS Code settings use the `license-sentinel.` prefix; in a standalone config file the prefix is optional.
+ * @param {object} settings The parsed settings file.
+ * @param {boolean} allowUnprefixed Whether keys without the prefix are accepted.
+ * @returns {object} The License Sentinel settings, keyed without the prefix.
+ */
+function pickSettings(settings, allowUnprefixed) {
+    const picked = {};
+    const known = getDefaultSettings();
+    for (const [key, value] of Object.entries(settings || {})) {
+        if (key.startsWith(SETTINGS_PREFIX)) {
+            picked[key.slice(SETTINGS_PREFIX.length)] = value;
+        } else if (allowUnprefixed && key in known) {
+            picked[key] = value;
+        }
+    }
+    return picked;
+}
+
+/**
+ * Parses a JSON-with-comments settings file.
+ * @param {string} content The content of the file.
+ * @param {string} filePath The path of the file, used in error messages.
+ * @returns {object} The parsed settings.
+ */
+function parseSettingsFile(content, filePath) {
+    const errors = [];
+    const settings = jsonc.parse(content, errors, { allowTrailingComma: true });
+    if (errors.length > 0 || !settings || typeof settings !== 'object') {
+        throw new Error(`Could not parse ${filePath} as JSON.`);
+    }
+    return settings;
+}
+
+/**
+ * Loads the settings for a scan of the given folder.
+ * The extension defaults are overridden by `.vscode/settings.json`, which is in turn overridden by the standalone config file.
+ * @param {string} rootDir The folder being scanned.
+ * @param {string} [configFile] The path of a standalone config file, if given on the command line.
+ * @returns {Promise<object>} The settings, keyed without the `license-sentinel.` prefix.
+ */
+async function loadSettings(rootDir, configFile) {
+    const settings = getDefaultSettings();
+
+    // The workspace settings of the editor, if the project has any.
+    const vscodeSettingsPath = path.join(rootDir, '.vscode', 'settings.json');
+    const vscodeSettings = await readFileIfExists(vscodeSettingsPath);
+    if (vscodeSettings !== null) {
+        Object.assign(settings, pickSettings(parseSettingsFile(vscodeSettings, vscodeSettingsPath), false));
+    }
+
+    // An explicitly given config file must exist; the default one is optional.
+    let configPath = path.join(rootDir, DEFAULT_CONFIG_FILE);
+    let configContent;
+    if (configFile) {
+        configPath = path.resolve(configFile);
+        configContent = await fs.readFile(configPath, 'utf8');
+    } else {
+        configContent = await readFileIfExists(configPath);
+    }
+    if (configContent !== null) {
+        Object.assign(settings, pickSettings(parseSettingsFile(configContent, configPath), true));
+    }
+
+    return settings;
+}
+
+// Export the settings loader and its helpers.
+module.exports = { loadSettings, getDefaultSettings, pickSettings, DEFAULT_CONFIG_FILE };
@@ -1,30 +1,205 @@
+// This file provides the cache used by the scan pipeline to avoid looking up the same dependency twice.
+// Only registry facts (license, homepage, resolved version) are cached, per ecosystem, package name and exact version,
+// so the policy is always re-evaluated from them and the entries can be shared by every project using the same packages.
+// The cache is kept in a Memento-like store: VS Code's `globalState` in the extension, a JSON file or an in-memory store elsewhere.
+const fs = require('fs/promises');
+const path = require('path');
+
+// The prefix of every cache key written by License Sentinel.
+const CACHE_KEY_PREFIX = 'license-sentinel:';
+// The version of the entry format; entries written with another version are ignored and overwritten.
+const CACHE_SCHEMA_VERSION = 2;
+
 /**
- * Retrieves a value from the extension's workspace cache.
- * @param {import('vscode').ExtensionContext} context The extension context.
+ * Retrieves a value from the cache.
+ * @param {{get(key: string): any}} store The Memento-like store, such as the extension's `globalState`.
  * @param {string} key The cache key.
  * @returns {any | undefined} The cached value, or undefined if not found.
  */
-function getCache(context, key) {
-    // This function retrieves a value from the extension's workspace state, which acts as a cache.
-    // The workspace state is specific to the current VS Code workspace and persists across sessions.
-    // It takes the extension context and a key as input.
+function getCache(store, key) {
+    // This function retrieves a value from the store, which acts as a cache.
     // If a value is found for the given key, it's returned. Otherwise, it returns undefined.
-    return context.workspaceState.get(key);
+    return store.get(key);
 }
 
 /**
- * Stores a value in the extension's workspace cache.
- * @param {import('vscode').ExtensionContext} context The extension context.
+ * Stores a value in the cache.
+ * @param {{update(key: string, value: any): any}} store The Memento-like store, such as the extension's `globalState`.
  * @param {string} key The cache key.
  * @param {any} value The value to store.
  */
-function setCache(context, key, value) {
-    // This function stores a value in the extension's workspace state, using the provided key.
-    // The workspace state allows the extension to persist data across VS Code sessions for a specific workspace.
-    // It takes the extension context, a key, and the value to store as input.
-    // The update method is used to set or update the value associated with the key in the workspace state.
-    context.workspaceState.update(key, value);
+function setCache(store, key, value) {
+    // This function stores a value in the store, using the provided key.
+    // The update method is used to set or update the value associated with the key, like VS Code's Memento API.
+    store.update(key, value);
+}
+
+/**
+ * Builds the cache key of a package version.
+ * @param {{ecosystem: string, name: string, version: string}} dependency The package and its version (or version range).
+ * @returns {string} The cache key.
+ */
+function getFactsKey({ ecosystem, name, version }) {
+    return `${CACHE_KEY_PREFIX}${ecosystem}:${name}@${version}`;
+}
+
+/**
+ * Builds the cache key that maps a version range to the version it resolved to.
+ * Ranges resolved against installed packages are specific to the project, so their key includes the manifest's folder.
+ * @param {{ecosystem: string, name: string, version: string}} dependency The package and its version range.
+ * @param {string} [manifestDir] The folder of the manifest, for ranges resolved against installed packages.
+ * @returns {string} The cache key.
+ */
+function getAliasKey(dependency, manifestDir) {
+    return manifestDir ? `${getFactsKey(dependency)} in ${manifestDir}` : getFactsKey(dependency);
+}
+
+/**
+ * Tells whether a cache entry can still be used.
+ * @param {any} entry The cached entry.
+ * @param {number} ttlMs How long entries stay valid, in milliseconds.
+ * @param {number} now The current time, in milliseconds.
+ * @returns {boolean} True if the entry has the current schema and hasn't expired.
+ */
+function isFresh(entry, ttlMs, now) {
+    return Boolean(entry) && entry.schemaVersion === CACHE_SCHEMA_VERSION && now - entry.cachedAt < ttlMs;
+}
+
+/**
+ * Reads the cached registry facts of a dependency.
+ * Version ranges are followed to the exact version they resolved to.
+ * @param {{get(key: string): any}} store The Memento-like store.
+ * @param {{ecosystem: string, name: string, version: string}} dependency The package and its declared version or range.
+ * @param {{ttlMs: number, manifestDir?: string, now?: number}} options How long entries stay valid, the folder of the manifest
+ *   to also follow ranges resolved against its installed packages, and the current time.
+ * @returns {{license: string, homepage: string, resolvedVersion: string, licenseSource?: string} | null} The facts, or null on a miss.
+ */
+function getCachedFacts(store, dependency, { ttlMs, manifestDir, now = Date.now() }) {
+    if (!(ttlMs > 0)) return null;
+    const aliases = [manifestDir && getAliasKey(dependency, manifestDir), getAliasKey(dependency)].filter(Boolean);
+    for (const key of aliases) {
+        let entry = getCache(store, key);
+        // A range points to the entry of its exact version.
+        if (isFresh(entry, ttlMs, now) && entry.resolvedVersion && !entry.facts) {
+            entry = getCache(store, getFactsKey({ ...dependency, version: entry.resolvedVersion }));
+        }
+        if (isFresh(entry, ttlMs, now) && entry.facts) return entry.facts;
+    }
+    return null;
+}
+
+/**
+ * Caches the registry facts of a dependency under its exact version, and maps its declared range to that version.
+ * @param {{update(key: string, value: any): any}} store The Memento-like store.
+ * @param {{ecosystem: string, name: string, version: string}} dependency The package and its declared version or range.
+ * @param {{license: string, homepage: string, resolvedVersion?: string, licenseSource?: string}} facts The facts returned by the strategy.
+ * @param {{manifestDir?: string, now?: number}} [options] The folder of the manifest and the current time.
+ */
+function setCachedFacts(store, dependency, facts, { manifestDir, now = Date.now() } = {}) {
+    const exactVersion = facts.resolvedVersion || dependency.version;
+    const { license, homepage = '', resolvedVersion = '', licenseSource } = facts;
+    setCache(store, getFactsKey({ ...dependency, version: exactVersion }), {
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        cachedAt: now,
+        facts: { license, homepage, resolvedVersion, licenseSource }
+    });
+    if (exactVersion !== dependency.version) {
+        const aliasKey = getAliasKey(dependency, licenseSource === 'local' ? manifestDir : undefined);
+        setCache(store, aliasKey, { schemaVersion: CACHE_SCHEMA_VERSION, cachedAt: now, resolvedVersion: exactVersion });
+    }
+}
+
+/**
+ * Removes the License Sentinel entries that expired or were written with another schema version.
+ * @param {{keys(): ReadonlyArray<string>, get(key: string): any, update(key: string, value: any): any}} store The Memento-like store.
+ * @param {number} ttlMs How long entries stay valid, in milliseconds.
+ * @param {number} [now] The current time, in milliseconds.
+ * @returns {Promise<void>} A promise that resolves once the entries are removed.
+ */
+async function pruneCache(store, ttlMs, now = Date.now()) {
+    const staleKeys = store.keys().filter(key => key.startsWith(CACHE_KEY_PREFIX) && !isFresh(store.get(key), ttlMs, now));
+    await Promise.all(staleKeys.map(key => store.update(key, undefined)));
+}
+
+/**
+ * Removes every License Sentinel entry from the cache.
+ * @param {{keys(): ReadonlyArray<string>, update(key: string, value: any): any}} store The Memento-like store.
+ * @returns {Promise<void>} A promise that resolves once every entry is removed.
+ */
+async function clearCache(store) {
+    // Get all the keys in the store that were written by License Sentinel.
+    const keysToClear = store.keys().filter(key => key.startsWith(CACHE_KEY_PREFIX));
+    // Setting a key to undefined removes it, like VS Code's Memento API.
+    await Promise.all(keysToClear.map(key => store.update(key, undefined)));
+}
+
+/**
+ * Creates an in-memory store with the same interface as VS Code's Memento, for use outside the editor.
+ * @returns {{get(key: string): any, update(key: string, value: any): Promise<void>, keys(): Array<string>}} The store.
+ */
+function createMemoryStore() {
+    const values = new Map();
+    return {
+        get: key => values.get(key),
+        update: async (key, value) => {
+            if (value === undefined) values.delete(key);
+            else values.set(key, value);
+        },
+        keys: () => [...values.keys()]
+    };
+}
+
+/**
+ * Creates a store kept in a JSON file, with the same interface as VS Code's Memento, so the CLI can reuse lookups between runs.
+ * A missing or unreadable file starts an empty store. Updates are written back in the background, one write at a time.
+ * @param {string} filePath The path of the JSON file.
+ * @returns {Promise<{get(key: string): any, update(key: string, value: any): Promise<void>, keys(): Array<string>, flush(): Promise<void>}>}
+ *   The store; `flush` resolves once every update is on disk.
+ */
+async function createFileStore(filePath) {
+    let values = {};
+    try {
+        values = JSON.parse(await fs.readFile(filePath, 'utf8')) || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`License Sentinel 🛡️: Ignoring the unreadable cache file ${filePath}: ${error.message}`);
+    }
+
+    // Updates made while a write is queued are saved by that write.
+    let writing = Promise.resolve();
+    let isQueued = false;
+    const save = () => {
+        if (isQueued) return writing;
+        isQueued = true;
+        writing = writing.then(async () => {
+            isQueued = false;
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, JSON.stringify(values), 'utf8');
+        }).catch(error => console.error(`License Sentinel 🛡️: Could not write the cache file ${filePath}: ${error.message}`));
+        return writing;
+    };
+
+    return {
+        get: key => values[key],
+        update: async (key, value) => {
+            if (value === undefined) delete values[key];
+            else values[key] = value;
+            await save();
+        },
+        keys: () => Object.keys(values),
+        flush: () => writing
+    };
 }
 
-// Export the getCache and setCache functions.
-module.exports = { getCache, setCache };
\ No newline at end of file
+// Export the cache helpers.
+module.exports = {
+    CACHE_KEY_PREFIX,
+    CACHE_SCHEMA_VERSION,
+    getCache,
+    setCache,
+    getCachedFacts,
+    setCachedFacts,
+    pruneCache,
+    clearCache,
+    createMemoryStore,
+    createFileStore
+};
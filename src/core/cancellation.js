@@ -0,0 +1,62 @@
+// This file provides the cancellation tokens used to stop a scan that is no longer needed, outside of the VS Code API.
+// The tokens have the same shape as VS Code's CancellationToken, so the scan pipeline accepts either one.
+
+/**
+ * The error thrown by a scan that was cancelled before it finished.
+ */
+class ScanCancelledError extends Error {
+    constructor() {
+        super('The scan was cancelled');
+        this.name = 'ScanCancelledError';
+        this.statusCode = 'CANCELLED';
+    }
+}
+
+/**
+ * Creates a source of cancellation tokens, like VS Code's CancellationTokenSource.
+ * @returns {{token: {isCancellationRequested: boolean, onCancellationRequested(listener: function(): void): {dispose(): void}}, cancel(): void}}
+ *   The source; `cancel` signals its token.
+ */
+function createCancellationSource() {
+    const listeners = new Set();
+    const token = {
+        isCancellationRequested: false,
+        onCancellationRequested(listener) {
+            listeners.add(listener);
+            return { dispose: () => listeners.delete(listener) };
+        }
+    };
+    return {
+        token,
+        cancel() {
+            if (token.isCancellationRequested) return;
+            token.isCancellationRequested = true;
+            listeners.forEach(listener => listener());
+            listeners.clear();
+        }
+    };
+}
+
+/**
+ * Creates an AbortSignal that is aborted when a cancellation token is, so network requests can be stopped.
+ * @param {{isCancellationRequested: boolean, onCancellationRequested(listener: function(): void): any}} [token] The cancellation token.
+ * @returns {AbortSignal | undefined} The signal, or undefined without a token.
+ */
+function toAbortSignal(token) {
+    if (!token) return undefined;
+    const controller = new AbortController();
+    if (token.isCancellationRequested) controller.abort();
+    else token.onCancellationRequested(() => controller.abort());
+    return controller.signal;
+}
+
+/**
+ * Throws if a scan was cancelled.
+ * @param {{isCancellationRequested: boolean}} [token] The cancellation token of the scan.
+ * @throws {ScanCancelledError} If the token was cancelled.
+ */
+function throwIfCancelled(token) {
+    if (token && token.isCancellationRequested) throw new ScanCancelledError();
+}
+
+module.exports = { ScanCancelledError, createCancellationSource, toAbortSignal, throwIfCancelled };
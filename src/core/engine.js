@@ -0,0 +1,584 @@
+// This file contains the editor-independent core of the scan pipeline: file discovery, parsing, license lookup, policy analysis and caching.
+// Everything that depends on the environment goes through a small host interface, implemented for VS Code (src/hosts/vscodeHost.js)
+// and for plain Node.js (src/hosts/nodeHost.js), so the same pipeline runs in the extension, the CLI and unit tests.
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { analyzeLicensePolicy } = require('../ai/licenseAnalyzer');
+const { canonicalSpdxId } = require('../ai/spdxLicenseList');
+const { normalizeLicenseField } = require('../ai/licenseNormalizer');
+const { getCachedFacts, setCachedFacts } = require('./caching');
+const { createPositionMapper } = require('../utils/text');
+const { resolveProjectLicense } = require('./projectLicense');
+const { ScanCancelledError, toAbortSignal, throwIfCancelled } = require('./cancellation');
+const { createPolicyFileFinder, applyPolicyFile, mergePolicies } = require('./policyFile');
+const { findPolicyException, isExceptionInEffect, describeException } = require('./policyExceptions');
+
+/**
+ * A dependency file found by a host.
+ * @typedef {object} ManifestFile
+ * @property {string} filePath The absolute path of the file.
+ * @property {string} relativePath The path of the file relative to its root folder, as shown to the user.
+ * @property {string} rootDir The absolute path of the root folder containing the file.
+ * @property {string} [workspaceFolder] The name of the root folder, in hosts with several roots (such as a multi-root VS Code workspace).
+ */
+
+/**
+ * The environment the scan pipeline runs in.
+ * @typedef {object} ScanHost
+ * @property {function(string=): object | Promise<object>} getSettings Returns the `license-sentinel.*` settings, keyed without the prefix;
+ *   given the absolute path of a root folder, returns the settings that apply to it.
+ * @property {function(Array<string>, Array<string>): Promise<Array<ManifestFile>>} findFiles Finds the files with the given names, skipping the given exclude globs.
+ * @property {function(string): Promise<string>} readFile Reads the content of a file by its absolute path.
+ * @property {{get(key: string): any, update(key: string, value: any): any}} cache A Memento-like store for processed dependencies.
+ * @property {function(string): void} reportProgress Reports a progress message.
+ * @property {function(string, Error): void} reportError Reports that a file could not be processed.
+ */
+
+// Import all strategies for different package managers.
+const npmStrategy = require('../strategies/npmStrategy');
+const npmLockStrategy = require('../strategies/npmLockStrategy');
+const yarnLockStrategy = require('../strategies/yarnLockStrategy');
+const pnpmLockStrategy = require('../strategies/pnpmLockStrategy');
+const composerStrategy = require('../strategies/composerStrategy');
+const pythonPoetryStrategy = require('../strategies/pythonPoetryStrategy');
+const pythonRequirementsStrategy = require('../strategies/pythonRequirementsStrategy');
+const pipfileStrategy = require('../strategies/pipfileStrategy');
+const pipfileLockStrategy = require('../strategies/pipfileLockStrategy');
+const poetryLockStrategy = require('../strategies/poetryLockStrategy');
+const uvLockStrategy = require('../strategies/uvLockStrategy');
+const pdmLockStrategy = require('../strategies/pdmLockStrategy');
+const javaMavenStrategy = require('../strategies/javaMavenStrategy');
+const gradleStrategy = require('../strategies/gradleStrategy');
+const gradleKotlinStrategy = require('../strategies/gradleKotlinStrategy');
+const goModStrategy = require('../strategies/goModStrategy');
+const rustCargoStrategy = require('../strategies/rustCargoStrategy');
+const rustCargoLockStrategy = require('../strategies/rustCargoLockStrategy');
+
+// Define an array containing all supported dependency file strategies.
+const ALL_STRATEGIES = [
+    npmStrategy,
+    npmLockStrategy,
+    yarnLockStrategy,
+    pnpmLockStrategy,
+    composerStrategy,
+    pythonPoetryStrategy,
+    pythonRequirementsStrategy,
+    pipfileStrategy,
+    pipfileLockStrategy,
+    poetryLockStrategy,
+    uvLockStrategy,
+    pdmLockStrategy,
+    javaMavenStrategy,
+    gradleStrategy,
+    gradleKotlinStrategy,
+    goModStrategy,
+    rustCargoStrategy,
+    rustCargoLockStrategy
+];
+
+// Create a map for quick lookup of strategies by file name.
+const strategyMap = new Map(ALL_STRATEGIES.map(s => [s.fileName, s]));
+// Define the names of all supported dependency files.
+const SUPPORTED_FILE_NAMES = ALL_STRATEGIES.map(s => s.fileName);
+// How long looked-up licenses are reused when the `cacheTtlHours` setting isn't set.
+const DEFAULT_CACHE_TTL_HOURS = 24;
+
+/**
+ * Tells whether a file matches one of the exclude globs, with the same options as VS Code's exclude globs (dotfiles are matched too).
+ * @param {string} relativePath The path of the file relative to its root folder, using '/' separators.
+ * @param {Array<string>} excludePatterns The exclude globs, such as '**\/node_modules/**'.
+ * @returns {boolean} True if the file is excluded from the scan.
+ */
+function isExcludedPath(relativePath, excludePatterns) {
+    return excludePatterns.some(pattern => minimatch(relativePath, pattern, { dot: true }));
+}
+
+/**
+ * Processes an array of asynchronous tasks with a limited concurrency.
+ * This function ensures that not too many tasks run at the same time, preventing resource exhaustion.
+ * @param {Array<Function>} tasks An array of functions, each representing an asynchronous task.
+ * @param {number} concurrency The maximum number of tasks to run concurrently.
+ * @param {{isCancellationRequested: boolean}} [token] A cancellation token; once cancelled, no new task is started.
+ * @returns {Promise<Array<any>>} A promise that resolves to an array of results from the tasks.
+ * @throws {ScanCancelledError} If the token was cancelled.
+ */
+async function processWithConcurrency(tasks, concurrency, token) {
+    // Initialize an array to store the results of the tasks.
+    const results = new Array(tasks.length);
+    // Keep track of the current task index.
+    let taskIndex = 0;
+
+    // Define an asynchronous worker function.
+    async function worker() {
+        // Keep processing tasks until all tasks are completed, or the work is cancelled.
+        while (taskIndex < tasks.length && !(token && token.isCancellationRequested)) {
+            // Get the index of the current task and increment the task index.
+            const currentIndex = taskIndex++;
+            // Get the task at the current index.
+            const task = tasks[currentIndex];
+            // If the task exists.
+            if (task) {
+                try {
+                    // Execute the task and store the result.
+                    results[currentIndex] = await task();
+                } catch (error) {
+                    // If an error occurs, store the error in the results array.
+                    results[currentIndex] = error;
+                }
+            }
+        }
+    }
+
+    // Create an array of worker promises and start them.
+    const workers = Array(concurrency).fill(null).map(worker);
+    // Wait for all workers to complete.
+    await Promise.all(workers);
+    // The results of cancelled work are incomplete, so they are never returned.
+    throwIfCancelled(token);
+    // Return the array of results.
+    return results;
+}
+
+/**
+ * Looks up the license information of a dependency according to the configured resolution mode.
+ * In 'local-first' mode the installed package files are read first and the registry is only a fallback;
+ * in 'offline' mode the registry is never contacted.
+ * @param {object} strategy The strategy of the manifest file.
+ * @param {string} name The name of the dependency.
+ * @param {string} version The version declared in the manifest file.
+ * @param {string} resolutionMode One of 'network', 'local-first' or 'offline'.
+ * @param {{manifestDir: string, pythonVirtualEnv?: string, installPaths?: Array<string>}} localOptions The options for the local lookup,
+ *   including the folders a lockfile installs the dependency in.
+ * @param {{signal?: AbortSignal, goProxy?: string, manifestDir?: string}} [networkOptions] The options for the registry lookup, such as
+ *   the signal aborting it.
+ * @returns {Promise<object>} An object containing the license and homepage information, and where it was read from.
+ */
+async function resolveLicenseInfo(strategy, name, version, resolutionMode, localOptions, networkOptions = {}) {
+    // Try the installed package files first, unless the registry is the only allowed source.
+    if (resolutionMode !== 'network' && typeof strategy.fetchLocalLicenseInfo === 'function') {
+        const localInfo = await strategy.fetchLocalLicenseInfo(name, version, localOptions);
+        if (localInfo) {
+            return { ...localInfo, licenseSource: 'local' };
+        }
+    }
+
+    // In offline mode, a package that isn't installed can't be looked up at all.
+    if (resolutionMode === 'offline') {
+        const error = new Error(`${name} is not installed locally and network lookups are disabled`);
+        error.statusCode = 'NOT_INSTALLED';
+        throw error;
+    }
+
+    // Fall back to the package registry.
+    const info = await strategy.fetchLicenseInfo(name, version, networkOptions);
+    return { ...info, licenseSource: 'registry' };
+}
+
+/**
+ * Builds the license policy used by the analyzer from the extension's settings.
+ * @param {{allowedLicenses?: Array<string>, deniedLicenses?: Array<string>, licenseRules?: Array<object>, policyOverrides?: Array<object>,
+ *   scopePolicies?: Object<string, object>, distributionModel?: string, deniedObligations?: Array<string>}} settings
+ *   The `license-sentinel.*` settings, without the prefix.
+ * @param {string} [mainLicense] The project's own license, which dependencies are checked for compatibility against.
+ * @returns {{allowed: Set<string>, denied: Set<string>, rules: Array<object>, overrides: Array<object>, mainLicense: string,
+ *   scopes: Object<string, object>, distributionModel: string, deniedObligations: Set<string>}} The license policy;
+ *   the rules decide the licenses that aren't on either list, by category and OSI/FSF flags, and `scopes` holds the lists and rules
+ *   of each dependency scope with its own policy.
+ */
+function buildPolicy(settings, mainLicense = '') {
+    // Deprecated SPDX ids are listed in their current form (e.g. "GPL-2.0" as "GPL-2.0-only"), like the analyzed licenses.
+    const toPolicyId = license => canonicalSpdxId(String(license)).toLowerCase();
+    // The lists and rules of a scope are layered over the project's, like a policy file over the one it extends.
+    const toScopePolicy = scopeSettings => {
+        const merged = { ...settings, ...mergePolicies(settings, scopeSettings || {}) };
+        return {
+            allowed: new Set((merged.allowedLicenses || []).map(toPolicyId)),
+            denied: new Set((merged.deniedLicenses || []).map(toPolicyId)),
+            rules: merged.licenseRules || []
+        };
+    };
+    const scopes = {};
+    for (const [scope, scopeSettings] of Object.entries(settings.scopePolicies || {})) scopes[scope] = toScopePolicy(scopeSettings);
+    return {
+        ...toScopePolicy(),
+        overrides: settings.policyOverrides || [],
+        mainLicense,
+        scopes,
+        // Without a setting, the project is assumed to be shipped to its users, the case with the most obligations besides network use.
+        distributionModel: settings.distributionModel || 'distributed',
+        deniedObligations: new Set(settings.deniedObligations || [])
+    };
+}
+
+/**
+ * Gets the policy a dependency of a scope is checked against.
+ * @param {object} policy The license policy, see buildPolicy.
+ * @param {string} scope The scope of the dependency, one of DEPENDENCY_SCOPES (see src/utils/dependencyGraph.js).
+ * @returns {object} The policy, with the lists and rules of the scope if it has its own, and the scope itself.
+ */
+function getScopePolicy(policy, scope) {
+    return { ...policy, ...((policy.scopes && policy.scopes[scope]) || {}), scope };
+}
+
+/**
+ * Builds the analysis of a license that couldn't be read as an SPDX expression, such as "Proprietary - Limited Use".
+ * Such licenses often carry proprietary or non-commercial terms next to a familiar name, so they always need a review.
+ * @param {string} license The license as published by the registry.
+ * @returns {object} An unknown analysis, shaped like the result of analyzeLicensePolicy.
+ */
+function analyzeUnrecognizedLicense(license) {
+    return {
+        status: 'unknown',
+        needsReview: true,
+        reason: `Overall status is UNKNOWN. Reason: '${license}' is not a recognized license.`,
+        riskScore: 0.7,
+        obligations: [],
+        details: {
+            trace: [],
+            warnings: [`'${license}' could not be matched to an SPDX license.`],
+            suggestions: [`Review the terms of '${license}', then add a policy override for the package.`],
+            compatibilityIssues: []
+        }
+    };
+}
+
+/**
+ * Parses one manifest file and analyzes the license of each of its dependencies.
+ * @param {object} strategy The strategy for the manifest file.
+ * @param {string} content The content of the manifest file.
+ * @param {object} options The scan options.
+ * @param {string} options.manifestFile The path of the manifest file, relative to the scanned folder.
+ * @param {string} [options.filePath] The absolute path of the manifest file, which files the manifest refers to are resolved against.
+ * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path, e.g. the parent POM of a pom.xml.
+ * @param {string} [options.workspaceFolder] The name of the root folder containing the manifest file, in hosts with several roots.
+ * @param {object} options.policy The license policy, see buildPolicy.
+ * @param {string} [options.policyFile] The path of the policy file the policy was read from, relative to the root folder, if any.
+ * @param {number} options.concurrency The maximum number of lookups to run at the same time.
+ * @param {string} options.resolutionMode One of 'network', 'local-first' or 'offline'.
+ * @param {{manifestDir: string, pythonVirtualEnv?: string}} options.localOptions The options for reading installed packages.
+ * @param {string} [options.goProxy] The Go module proxies licenses are detected from, like GOPROXY; defaults to the environment variable.
+ * @param {boolean} [options.includeGoSum] Whether the modules only listed in go.sum are scanned too.
+ * @param {{get(key: string): any, update(key: string, value: any): any}} options.cache The Memento-like store caching registry facts.
+ * @param {number} [options.cacheTtlMs] How long cached facts are reused, in milliseconds; 0 (the default) turns the cache off.
+ * @param {function(string): void} [options.onProgress] Called with a message as each dependency is fetched.
+ * @param {object} [options.token] A cancellation token (see src/core/cancellation.js), which also aborts the registry requests in flight.
+ * @param {Date} [options.now] The time policy exceptions are checked for expiry against; defaults to the current time.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of dependency objects with license information.
+ * @throws {ScanCancelledError} If the token was cancelled.
+ */
+async function analyzeManifest(strategy, content, options) {
+    const { manifestFile, filePath, readFile, workspaceFolder, policy, policyFile, concurrency, resolutionMode, localOptions, goProxy, includeGoSum, cache, cacheTtlMs = 0, onProgress = () => {}, token, now = new Date() } = options;
+    // Registry requests are aborted as soon as the scan is cancelled.
+    const signal = toAbortSignal(token);
+
+    // Parse the dependencies from the file content using the appropriate strategy.
+    // Strategies only need to map character offsets to line numbers, not a full editor document. Manifests that refer to other files
+    // (like the parent POM of a pom.xml) read them with the given options.
+    const parseOptions = { filePath, readFile, resolutionMode, signal, includeGoSum };
+    const dependencies = await Promise.resolve(strategy.parseDependencies(content, createPositionMapper(content), parseOptions));
+
+    // If no dependencies are found, there is nothing to analyze.
+    if (dependencies.length === 0) return [];
+
+    // Turn the license published by the registry into an SPDX expression, or null if it isn't recognized.
+    const normalize = license => normalizeLicenseField(license, strategy.ecosystem);
+    // Decide the status of a dependency from its license, its policy exception and the project's license.
+    const analyze = (license, scope, exception) => {
+        // If a policy exception is in effect for the dependency, use it to determine the dependency's status.
+        if (exception && isExceptionInEffect(exception)) {
+            const audit = describeException(exception);
+            return {
+                status: exception.allow ? 'compliant' : 'non-compliant',
+                reason: `Policy override: ${exception.reason}${audit ? ` (${audit})` : ''}`,
+                obligations: [],
+                details: { trace: [], warnings: exception.message ? [exception.message] : [], suggestions: [], compatibilityIssues: [] }
+            };
+        }
+        // Otherwise, analyze the license policy of the dependency's scope using the normalized license. Licenses that can't be normalized
+        // are left unknown rather than guessed from their words; a missing license ('N/A') is reported as such by the analyzer.
+        const normalizedLicense = normalize(license);
+        const analysis = normalizedLicense || license === 'N/A'
+            ? analyzeLicensePolicy(normalizedLicense || license, getScopePolicy(policy, scope))
+            : analyzeUnrecognizedLicense(license);
+        // An expired or stale exception no longer applies, but is reported so it can be renewed or removed.
+        if (exception) analysis.details.warnings.unshift(exception.message);
+        return analysis;
+    };
+
+    // Create an array of tasks to fetch license information for each dependency.
+    const tasks = dependencies.map(dep => async () => {
+        // Extract the dependency name, version, line number, and (for lockfiles) the path that pulled it in or (for go.mod) whether it is indirect.
+        const { name, version, line, dependencyPath = [], indirect = false, installPaths } = dep;
+        // Files that don't tell runtime and development dependencies apart (such as requirements.txt) list runtime ones.
+        const scope = dep.scope || 'runtime';
+        // Build the result from the registry facts; the analysis is always recomputed, so policy changes apply to cached facts too.
+        const toResult = info => {
+            const license = info.license || 'N/A';
+            // Exceptions may be limited to a version range, which the resolved version is checked against, and to the license they were granted for.
+            const exception = findPolicyException(policy.overrides, { name, version, resolvedVersion: info.resolvedVersion, license: normalize(license) || license }, now);
+            const analysis = analyze(license, scope, exception);
+            return {
+                name,
+                version,
+                ecosystem: strategy.ecosystem,
+                resolvedVersion: info.resolvedVersion || '',
+                status: analysis.status,
+                scope,
+                manifestFile,
+                workspaceFolder,
+                policyFile,
+                policyException: exception || undefined,
+                license,
+                // The SPDX expression the license was read as, kept next to the raw value from the registry.
+                normalizedLicense: normalize(info.license),
+                homepage: info.homepage || '',
+                licenseSource: info.licenseSource,
+                line,
+                dependencyPath,
+                indirect,
+                installPaths,
+                analysis
+            };
+        };
+
+        // Cached facts are shared by every manifest (and, in the extension, every workspace) using the same package version.
+        const cacheKey = { ecosystem: strategy.ecosystem, name, version };
+        // Ranges resolved against installed packages only apply to this manifest's folder, and only when installed packages are read.
+        const cacheOptions = { ttlMs: cacheTtlMs, manifestDir: resolutionMode === 'network' ? undefined : localOptions.manifestDir };
+        const cachedFacts = getCachedFacts(cache, cacheKey, cacheOptions);
+        if (cachedFacts) return toResult(cachedFacts);
+
+        try {
+            // Report the progress message for fetching the license information.
+            onProgress(`Fetching: ${name}...`);
+            // Fetch the license information for the dependency using the appropriate strategy and resolution mode.
+            // Lockfiles tell where each package is installed, which nested installs can only be found from.
+            const info = await resolveLicenseInfo(strategy, name, version, resolutionMode, { ...localOptions, installPaths }, { signal, goProxy, manifestDir: localOptions.manifestDir });
+            // Cache the facts, unless caching is turned off.
+            if (cacheTtlMs > 0) setCachedFacts(cache, cacheKey, info, { manifestDir: localOptions.manifestDir });
+            return toResult(info);
+
+        } catch (error) {
+            // If an error occurs while fetching the license information, create an error message.
+            let licenseMessage = 'Error';
+            if (error.statusCode === 404) licenseMessage = 'Error: Not Found';
+            else if (error.statusCode === 'NETWORK_ERROR') licenseMessage = 'Error: Network';
+            else if (error.statusCode === 'NOT_INSTALLED') licenseMessage = 'Error: Not Installed';
+            else if (error.message.includes('Invalid JSON')) licenseMessage = 'Error: Invalid Response';
+            
+            // Return an object indicating the error.
+            return { 
+                name, version, ecosystem: strategy.ecosystem, license: licenseMessage, normalizedLicense: null, status: 'unknown', scope, manifestFile, workspaceFolder, policyFile, homepage: '', line, dependencyPath, indirect, installPaths,
+                analysis: { status: 'unknown', reason: `Failed to fetch info: ${error.message}`, obligations: [] }
+            };
+        }
+    });
+
+    // Process the tasks with the specified concurrency limit.
+    const processedFileDeps = await processWithConcurrency(tasks.map(t => () => t()), concurrency, token);
+    // Drop empty results.
+    return processedFileDeps.filter(Boolean);
+}
+
+/**
+ * Scans every dependency file the host can find and analyzes the licenses of their dependencies.
+ * This is the main function that orchestrates the license scanning process.
+ * @param {ScanHost} host The environment to scan in.
+ * @param {{files?: Array<ManifestFile>, token?: object, now?: Date}} [options] Set `files` to only scan those files, e.g. the ones that changed since
+ *   the last scan; files that aren't supported or match the exclude patterns are skipped. Set `token` to a cancellation token
+ *   (see src/core/cancellation.js) to stop the scan when it is no longer needed. Set `now` to check policy exceptions for expiry
+ *   against another time than the current one.
+ * @returns {Promise<{manifestFiles: Array<ManifestFile>, projectLicenses: Object<string, {license: string, source: string} | null>, dependencies: Array<object>,
+ *   policyOverrides: Array<{workspaceFolder?: string, policyFile?: string, overrides: Array<object>}>, readFiles: Object<string, Array<string>>}>}
+ *   The scanned files, the license of each root folder, the dependencies with license information, the policy exceptions of each workspace
+ *   folder and policy file the scanned files were checked against (see listPolicyExceptions), and the other files each scanned file was
+ *   parsed with (e.g. its parent POM or the Gradle version catalog), keyed by its path, including those that didn't exist.
+ * @throws {ScanCancelledError} If the token was cancelled; the partial results are dropped.
+ */
+async function scan(host, options = {}) {
+    const { token, now = new Date() } = options;
+    // Get the settings, which decide what is scanned and how; the policy may differ for each root folder.
+    const settings = await host.getSettings();
+    const excludePatterns = settings.excludePatterns || [];
+    // Find all manifest files, excluding those that match the exclude patterns, unless the files to scan are given.
+    const manifestFiles = options.files
+        ? options.files.filter(file => strategyMap.has(path.basename(file.filePath)) && !isExcludedPath(file.relativePath, excludePatterns))
+        : await host.findFiles(SUPPORTED_FILE_NAMES, excludePatterns);
+    // If no manifest files are found, there is nothing to analyze.
+    if (manifestFiles.length === 0) return { manifestFiles, projectLicenses: {}, dependencies: [], policyOverrides: [], readFiles: {} };
+
+    // Read the settings and find the license of each root folder once; dependencies are checked for compatibility against it.
+    const rootSettings = {};
+    const projectLicenses = {};
+    for (const rootDir of new Set(manifestFiles.map(file => file.rootDir))) {
+        rootSettings[rootDir] = await host.getSettings(rootDir);
+        projectLicenses[rootDir] = await resolveProjectLicense(host, rootDir, rootSettings[rootDir]);
+    }
+    // Policy files checked into the repository take precedence over the settings of their folder.
+    const findPolicyFile = createPolicyFileFinder(host);
+    // Get the concurrency limit, which applies to the whole scan.
+    const concurrency = settings.concurrencyLimit || 10;
+    // How long looked-up licenses are reused; 0 turns the cache off.
+    const cacheTtlMs = Math.max(0, Number(settings.cacheTtlHours ?? DEFAULT_CACHE_TTL_HOURS)) * 60 * 60 * 1000;
+
+    // Initialize an array to store all processed dependencies.
+    const allProcessedDeps = [];
+    // The policy exceptions of each workspace folder and policy file, so those matching no dependency can be reported too.
+    const policyOverrides = new Map();
+    // The other files each manifest file is parsed with, so the manifest can be rescanned when one of them changes.
+    const readFiles = {};
+    // Get the total number of manifest files.
+    const totalFiles = manifestFiles.length;
+    // Report the initial progress message.
+    host.reportProgress(`Found ${totalFiles} manifest files to analyze...`);
+
+    // Iterate over each manifest file.
+    for (const [index, file] of manifestFiles.entries()) {
+        // Get the strategy for the file name.
+        const strategy = strategyMap.get(path.basename(file.filePath));
+        // If no strategy is found for the file name, skip to the next file.
+        if (!strategy) continue;
+        // Stop between files once the scan is cancelled.
+        throwIfCancelled(token);
+
+        // Report the progress message for the current file.
+        host.reportProgress(`Processing (${index + 1}/${totalFiles}): ${file.relativePath}`);
+
+        // The policy, the resolution mode and the virtualenv to read installed Python packages from are set for each root folder.
+        const folderSettings = rootSettings[file.rootDir];
+        const pythonVirtualEnv = folderSettings.pythonVirtualEnv || '';
+        // Record the files the strategy reads besides the manifest, even those that are missing, since creating one changes the result too.
+        const filesRead = new Set();
+        readFiles[file.filePath] = filesRead;
+
+        try {
+            // Find the nearest policy file above the manifest; an invalid one stops the file from being checked against the wrong policy.
+            const policyFile = await findPolicyFile(path.dirname(file.filePath), file.rootDir);
+            const policySettings = applyPolicyFile(folderSettings, policyFile && policyFile.policy);
+            const policyFilePath = policyFile ? path.relative(file.rootDir, policyFile.filePath).split(path.sep).join('/') : undefined;
+            const policyKey = JSON.stringify([file.workspaceFolder, policyFilePath]);
+            if (!policyOverrides.has(policyKey)) {
+                policyOverrides.set(policyKey, { workspaceFolder: file.workspaceFolder, policyFile: policyFilePath, overrides: policySettings.policyOverrides || [] });
+            }
+            // Read the content of the file.
+            const content = await host.readFile(file.filePath);
+            // Parse the file and analyze the license of each dependency.
+            const processedFileDeps = await analyzeManifest(strategy, content, {
+                manifestFile: file.relativePath,
+                filePath: file.filePath,
+                readFile: filePath => {
+                    if (filePath !== file.filePath) filesRead.add(filePath);
+                    return host.readFile(filePath);
+                },
+                workspaceFolder: file.workspaceFolder,
+                // Define the license policy based on the policy file or the folder's settings, and the project's license.
+                policy: buildPolicy(policySettings, projectLicenses[file.rootDir] ? projectLicenses[file.rootDir].license : ''),
+                policyFile: policyFilePath,
+                concurrency,
+                resolutionMode: folderSettings.resolutionMode || 'network',
+                // Options for reading installed packages, relative to the manifest file and its root folder.
+                localOptions: {
+                    manifestDir: path.dirname(file.filePath),
+                    pythonVirtualEnv: pythonVirtualEnv ? path.resolve(file.rootDir, pythonVirtualEnv) : ''
+                },
+                goProxy: folderSettings.goProxy || '',
+                includeGoSum: folderSettings.goIncludeGoSum === true,
+                cache: host.cache,
+                cacheTtlMs: cacheTtlMs,
+                onProgress: message => host.reportProgress(message),
+                token,
+                now
+            });
+            // Add the processed dependencies to the array of all processed dependencies.
+            allProcessedDeps.push(...processedFileDeps);
+        } catch (error) {
+            // A cancelled scan stops here; a broken file shouldn't stop the other files from being checked.
+            if (error instanceof ScanCancelledError) throw error;
+            host.reportError(file.relativePath, error);
+        }
+    }
+    // A scan cancelled while reading its last file has incomplete results too.
+    throwIfCancelled(token);
+
+    // Return the scanned files, all processed dependencies, the policy exceptions they were checked against and the files they were parsed with.
+    return {
+        manifestFiles,
+        projectLicenses,
+        dependencies: allProcessedDeps,
+        policyOverrides: [...policyOverrides.values()],
+        readFiles: Object.fromEntries(Object.entries(readFiles).map(([filePath, paths]) => [filePath, [...paths]]))
+    };
+}
+
+/**
+ * Merges the results of rescanned files into the results of an earlier scan.
+ * The dependencies of the given files are replaced, so a file that was deleted or no longer has dependencies simply loses them.
+ * Files are told apart by their root folder too, since several roots may have a file with the same relative path.
+ * @param {Array<object>} previous The dependencies found by the earlier scan.
+ * @param {Array<{relativePath: string, workspaceFolder?: string}>} manifestFiles The rescanned (or deleted) files.
+ * @param {Array<object>} dependencies The dependencies found in those files.
+ * @returns {Array<object>} The merged dependencies.
+ */
+function mergeDependencies(previous, manifestFiles, dependencies) {
+    const replaced = new Set(manifestFiles.map(file => `${file.workspaceFolder || ''}/${file.relativePath}`));
+    return [...previous.filter(dep => !replaced.has(`${dep.workspaceFolder || ''}/${dep.manifestFile}`)), ...dependencies];
+}
+
+/**
+ * Merges the policy exceptions of rescanned files into those of an earlier scan, replacing those of the same workspace folder and policy file.
+ * @param {Array<{workspaceFolder?: string, policyFile?: string, overrides: Array<object>}>} previous The policy exceptions of the earlier scan.
+ * @param {Array<{workspaceFolder?: string, policyFile?: string, overrides: Array<object>}>} policyOverrides The policy exceptions of the rescan.
+ * @returns {Array<object>} The merged policy exceptions.
+ */
+function mergePolicyOverrides(previous, policyOverrides) {
+    const keyOf = policy => JSON.stringify([policy.workspaceFolder, policy.policyFile]);
+    const replaced = new Set(policyOverrides.map(keyOf));
+    return [...previous.filter(policy => !replaced.has(keyOf(policy))), ...policyOverrides];
+}
+
+/**
+ * Merges the files read by rescanned files into those of an earlier scan.
+ * @param {Object<string, Array<string>>} previous The files read by each file of the earlier scan, keyed by its path.
+ * @param {Array<{filePath: string}>} manifestFiles The rescanned (or deleted) files.
+ * @param {Object<string, Array<string>>} readFiles The files read by the rescanned files, keyed by their path.
+ * @returns {Object<string, Array<string>>} The merged files read by each file.
+ */
+function mergeReadFiles(previous, manifestFiles, readFiles) {
+    const merged = { ...previous };
+    manifestFiles.forEach(file => delete merged[file.filePath]);
+    return { ...merged, ...readFiles };
+}
+
+/**
+ * Maps each file read while parsing to the manifest files that read it, so a change to it can rescan them.
+ * @param {Object<string, Array<string>>} readFiles The files read by each manifest file, keyed by its path (see scan).
+ * @returns {Map<string, Array<string>>} The paths of the manifest files that read each file, keyed by the path of that file.
+ */
+function indexDependentManifests(readFiles) {
+    const dependents = new Map();
+    for (const [manifestPath, paths] of Object.entries(readFiles)) {
+        for (const filePath of paths) {
+            if (!dependents.has(filePath)) dependents.set(filePath, []);
+            dependents.get(filePath).push(manifestPath);
+        }
+    }
+    return dependents;
+}
+
+// Export the pipeline so it can be driven by the extension, the CLI and other tools.
+module.exports = {
+    ALL_STRATEGIES,
+    SUPPORTED_FILE_NAMES,
+    strategyMap,
+    isExcludedPath,
+    processWithConcurrency,
+    resolveLicenseInfo,
+    buildPolicy,
+    getScopePolicy,
+    analyzeManifest,
+    scan,
+    mergeDependencies,
+    mergePolicyOverrides,
+    mergeReadFiles,
+    indexDependentManifests
+};
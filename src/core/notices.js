@@ -0,0 +1,147 @@
+// This file collects the license texts and copyright notices of dependencies, for the third-party notices file.
+// Most permissive licenses require shipping them with the software (the `includeCopyright` obligation).
+const path = require('path');
+const { strategyMap, processWithConcurrency } = require('./engine');
+const { toAbortSignal } = require('./cancellation');
+const { fetchJson } = require('../utils/network');
+const { readLicenseFiles, partitionLicenseFiles, extractCopyrights } = require('../utils/licenseFiles');
+
+/**
+ * Reads the GitHub repository of a package from its homepage or repository URL.
+ * @param {string} url The homepage or repository URL, e.g. "https://github.com/owner/repo#readme".
+ * @returns {{owner: string, repo: string} | null} The repository, or null if it isn't hosted on GitHub.
+ */
+function parseGitHubRepository(url) {
+    const match = String(url || '').match(/github\.com[/:]([^/]+)\/([^/#?]+)/i);
+    return match ? { owner: match[1], repo: match[2].replace(/\.git$/, '') } : null;
+}
+
+/**
+ * Finds the license and notice files of one dependency.
+ * Installed package files are read first; otherwise the package is downloaded from its registry,
+ * and as a last resort the license detected by GitHub for its repository is used.
+ * @param {object} strategy The strategy of the dependency's manifest file.
+ * @param {object} dep The dependency object produced by a scan.
+ * @param {object} localOptions The options for reading installed packages, see resolveLicenseInfo.
+ * @param {{signal?: AbortSignal, goProxy?: string}} [networkOptions] The options for downloading the package, such as the Go module proxies.
+ * @returns {Promise<{files: Array<{path: string, content: string}>, source: string} | null>} The files and where they were found, or null.
+ */
+async function findLicenseFiles(strategy, dep, localOptions, networkOptions = {}) {
+    const version = dep.resolvedVersion || dep.version;
+    const hasLicenseText = files => partitionLicenseFiles(files).licenseFiles.length > 0;
+
+    // 1. The files of the installed package.
+    if (typeof strategy.findPackageDir === 'function') {
+        const dir = await strategy.findPackageDir(dep.name, version, { ...localOptions, installPaths: dep.installPaths });
+        const files = dir ? await readLicenseFiles(dir) : [];
+        if (hasLicenseText(files)) return { files, source: 'local' };
+    }
+
+    // 2. The files of the published package.
+    if (typeof strategy.fetchLicenseFiles === 'function') {
+        try {
+            const files = await strategy.fetchLicenseFiles(dep.name, version, networkOptions);
+            if (hasLicenseText(files)) return { files, source: 'registry' };
+        } catch (error) {
+            console.error(`License Sentinel 🛡️: Could not download ${dep.name}@${version}: ${error.message}`);
+        }
+    }
+
+    // 3. The license file of the source repository, as detected by GitHub.
+    const repository = parseGitHubRepository(dep.homepage);
+    if (repository) {
+        try {
+            const license = await fetchJson(`https://api.github.com/repos/${repository.owner}/${repository.repo}/license`, { signal: networkOptions.signal });
+            if (license && license.content) {
+                const content = Buffer.from(license.content, license.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+                return { files: [{ path: license.path || 'LICENSE', content }], source: 'repository' };
+            }
+        } catch (error) {
+            console.error(`License Sentinel 🛡️: Could not read the license of ${repository.owner}/${repository.repo}: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Removes the copyright lines from a license text, since they differ between packages that share the same license.
+ * @param {string} text The license text.
+ * @returns {string} The license text without its copyright lines.
+ */
+function stripCopyrights(text) {
+    const copyrights = new Set(extractCopyrights(text));
+    return text.split(/\r?\n/).filter(line => !copyrights.has(line.trim())).join('\n').trim();
+}
+
+/**
+ * Collects the license texts and copyright notices of every compliant dependency, grouping packages that share the same license text.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @param {object} options The collection options.
+ * @param {function(object): object} options.getLocalOptions Returns the options for reading the installed packages of a dependency.
+ * @param {function(object): {goProxy?: string}} [options.getNetworkOptions] Returns the options for downloading a dependency, such as
+ *   the Go module proxies of its workspace folder.
+ * @param {object} [options.token] A cancellation token (see src/core/cancellation.js), which also aborts the downloads in flight.
+ * @param {number} [options.concurrency] The maximum number of lookups to run at the same time.
+ * @param {function(string): void} [options.onProgress] Called with a message as each dependency is processed.
+ * @returns {Promise<{groups: Array<{text: string, packages: Array<object>}>, missing: Array<object>}>} The grouped notices, and the packages without a license text.
+ */
+async function collectThirdPartyNotices(dependencyData, options) {
+    const { getLocalOptions, getNetworkOptions = () => ({}), concurrency = 10, onProgress = () => {}, token } = options;
+    const signal = toAbortSignal(token);
+
+    // Only compliant dependencies are shipped; list each package version once.
+    const packages = new Map();
+    for (const dep of dependencyData) {
+        if (dep.status !== 'compliant') continue;
+        const key = `${dep.ecosystem}:${dep.name}@${dep.resolvedVersion || dep.version}`;
+        if (!packages.has(key)) packages.set(key, dep);
+    }
+
+    const tasks = [...packages.values()].map(dep => async () => {
+        onProgress(`Collecting license text: ${dep.name}...`);
+        const strategy = strategyMap.get(path.basename(dep.manifestFile));
+        const found = strategy ? await findLicenseFiles(strategy, dep, getLocalOptions(dep), { ...getNetworkOptions(dep), signal }) : null;
+        return { dep, found };
+    });
+    const results = await processWithConcurrency(tasks, concurrency, token);
+
+    const groups = new Map();
+    const missing = [];
+    for (const result of results) {
+        // Errors are returned in place of results by processWithConcurrency.
+        if (!result || result instanceof Error) continue;
+        const { dep, found } = result;
+        if (!found) {
+            missing.push(dep);
+            continue;
+        }
+
+        const { licenseFiles, noticeFiles } = partitionLicenseFiles(found.files);
+        // Dual-licensed packages often ship one file per license (e.g. LICENSE-MIT and LICENSE-APACHE).
+        const licenseText = licenseFiles.map(file => file.content.trim()).join('\n\n');
+        const noticeText = noticeFiles.map(file => file.content.trim()).join('\n\n');
+        const copyrights = [...new Set([...extractCopyrights(licenseText), ...extractCopyrights(noticeText)])];
+
+        // The copyright lines are listed per package, so packages whose texts differ only by them share a group.
+        const text = stripCopyrights(licenseText);
+        const groupKey = text.replace(/\s+/g, ' ');
+        if (!groups.has(groupKey)) groups.set(groupKey, { text, packages: [] });
+        groups.get(groupKey).packages.push({
+            name: dep.name,
+            version: dep.resolvedVersion || dep.version,
+            license: dep.license,
+            homepage: dep.homepage,
+            copyrights,
+            notice: noticeText,
+            source: found.source
+        });
+    }
+
+    // Sort the packages, and the groups by their first package, so the file is stable between runs.
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const sortedGroups = [...groups.values()].map(group => ({ ...group, packages: group.packages.sort(byName) }));
+    sortedGroups.sort((a, b) => byName(a.packages[0], b.packages[0]));
+    return { groups: sortedGroups, missing: missing.sort(byName) };
+}
+
+module.exports = { collectThirdPartyNotices, parseGitHubRepository };
@@ -0,0 +1,156 @@
+// This file decides which policy exceptions (the `policyOverrides` of the settings and policy files) apply to a dependency.
+// Exceptions are meant to be temporary and auditable: besides the package name, they can be limited to a version range and to the
+// license they were granted for, and they expire. An exception that expired, or whose package changed its license, no longer
+// applies; it is reported instead, so it can be renewed or removed.
+const semver = require('semver');
+const { toSpdxExpression } = require('../ai/licenseAnalyzer');
+
+// How many days before it expires an exception is reported as expiring soon.
+const EXPIRING_SOON_DAYS = 30;
+// The states of an exception: 'active' and 'expiring-soon' exceptions apply, 'expired' and 'stale' ones don't.
+const EXCEPTION_STATES = ['active', 'expiring-soon', 'expired', 'stale'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tells whether an exception covers a version of a package.
+ * @param {string} [range] The version of the exception: an exact version, a semver range, or nothing for every version.
+ * @param {Array<string>} versions The versions of the dependency, e.g. its declared and resolved versions.
+ * @returns {boolean} True if the exception covers one of the versions.
+ */
+function matchesVersion(range, versions) {
+    if (!range) return true;
+    return versions.some(version => version === range
+        || (semver.valid(version, { loose: true }) !== null && semver.validRange(range, { loose: true }) !== null
+            && semver.satisfies(version, range, { loose: true })));
+}
+
+/**
+ * Reads the expiry date of an exception.
+ * @param {string} [expires] The last day the exception applies, as YYYY-MM-DD.
+ * @returns {number} The time the exception expires at (the end of that day, in UTC), or NaN if the date is missing or invalid.
+ */
+function getExpiryTime(expires) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(expires || '') ? Date.parse(`${expires}T00:00:00Z`) + DAY_MS : NaN;
+}
+
+/**
+ * Compares the license an exception was granted for with the current license of a package.
+ * @param {string} pinned The license of the exception.
+ * @param {string} license The license of the package, as an SPDX expression if it could be read as one.
+ * @returns {boolean} True if they are the same license, ignoring case and formatting.
+ */
+function isSameLicense(pinned, license) {
+    const toComparable = value => (toSpdxExpression(String(value)) || String(value)).toLowerCase();
+    return toComparable(pinned) === toComparable(license);
+}
+
+/**
+ * Decides the state of an exception for a dependency.
+ * @param {{name: string, expires?: string, license?: string}} override The exception.
+ * @param {string} license The license of the dependency.
+ * @param {Date} now The current time.
+ * @returns {{state: string, message: string | null}} The state of the exception, and a message if it needs attention.
+ */
+function getExceptionState(override, license, now) {
+    // An exception without an expiry date is permanent.
+    const expiresAt = override.expires ? getExpiryTime(override.expires) : Infinity;
+    if (Number.isNaN(expiresAt)) {
+        return { state: 'expired', message: `The policy exception for ${override.name} has an invalid expiry date ('${override.expires}'); use YYYY-MM-DD.` };
+    }
+    if (expiresAt <= now.getTime()) {
+        return { state: 'expired', message: `The policy exception for ${override.name} expired on ${override.expires}.` };
+    }
+    if (override.license && !isSameLicense(override.license, license)) {
+        return {
+            state: 'stale',
+            message: `The policy exception for ${override.name} was granted for '${override.license}', but its license is now '${license}'.`
+        };
+    }
+    if (expiresAt - now.getTime() <= EXPIRING_SOON_DAYS * DAY_MS) {
+        return { state: 'expiring-soon', message: `The policy exception for ${override.name} expires on ${override.expires}.` };
+    }
+    return { state: 'active', message: null };
+}
+
+/**
+ * Finds the policy exception of a dependency.
+ * The first exception in effect for the package and version applies; if every matching exception expired or is stale, the first one
+ * is returned so it can be reported.
+ * @param {Array<object>} overrides The exceptions of the policy, in order.
+ * @param {{name: string, version: string, resolvedVersion?: string, license: string}} dep The dependency.
+ * @param {Date} [now] The current time.
+ * @returns {object | null} The exception with its `state` and `message`, or null if none matches the dependency.
+ */
+function findPolicyException(overrides, dep, now = new Date()) {
+    const versions = [dep.version, dep.resolvedVersion].filter(Boolean);
+    const matching = (overrides || [])
+        .filter(override => override.name === dep.name && matchesVersion(override.version, versions))
+        .map(override => ({ ...override, ...getExceptionState(override, dep.license, now) }));
+    return matching.find(isExceptionInEffect) || matching[0] || null;
+}
+
+/**
+ * Tells whether an exception still decides the status of its dependency.
+ * @param {{state: string}} exception The exception, see findPolicyException.
+ * @returns {boolean} True for active exceptions and those expiring soon.
+ */
+function isExceptionInEffect(exception) {
+    return exception.state === 'active' || exception.state === 'expiring-soon';
+}
+
+// The fields that tell policy exceptions apart, which the exception of a dependency is matched to its override by.
+const EXCEPTION_FIELDS = ['name', 'version', 'allow', 'reason', 'expires', 'approvedBy', 'ticket', 'license'];
+
+/**
+ * Lists every policy exception of the scanned policies with its state and the dependencies it matched, including those that match
+ * no dependency (e.g. for a package that was removed), which are the ones most in need of cleaning up.
+ * An exception is listed once per state, since a stale exception is only stale for the dependencies whose license changed.
+ * @param {Array<{workspaceFolder?: string, policyFile?: string, overrides: Array<object>}>} policies The merged `policyOverrides` of each
+ *   workspace folder and policy file, see scan.
+ * @param {Array<object>} deps The scanned dependencies, with the `policyException` that applies to them.
+ * @param {Date} [now] The current time, which exceptions without a dependency are checked for expiry against.
+ * @returns {Array<object>} The exceptions, sorted by package name, each with its `state`, `message`, `dependencies`, `workspaceFolder`
+ *   and `policyFile`.
+ */
+function listPolicyExceptions(policies, deps, now = new Date()) {
+    const exceptions = [];
+    for (const { workspaceFolder, policyFile, overrides } of policies || []) {
+        for (const override of overrides || []) {
+            const matched = deps.filter(dep => dep.policyException && dep.workspaceFolder === workspaceFolder && dep.policyFile === policyFile
+                && EXCEPTION_FIELDS.every(field => dep.policyException[field] === override[field]));
+            // Without a dependency there is no license to compare the exception with, so only its expiry decides its state.
+            if (matched.length === 0) {
+                const { state, message } = getExceptionState({ ...override, license: undefined }, '', now);
+                exceptions.push({ ...override, state, message, workspaceFolder, policyFile, dependencies: [] });
+                continue;
+            }
+            for (const state of new Set(matched.map(dep => dep.policyException.state))) {
+                const dependencies = matched.filter(dep => dep.policyException.state === state);
+                exceptions.push({ ...override, state, message: dependencies[0].policyException.message, workspaceFolder, policyFile, dependencies });
+            }
+        }
+    }
+    return exceptions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Describes who approved an exception and where it is tracked, e.g. "approved by Legal, ticket LEGAL-42, until 2025-12-31".
+ * @param {{approvedBy?: string, ticket?: string, expires?: string}} exception The exception.
+ * @returns {string} The description, or an empty string if the exception has none of these fields.
+ */
+function describeException(exception) {
+    return [
+        exception.approvedBy ? `approved by ${exception.approvedBy}` : '',
+        exception.ticket ? `ticket ${exception.ticket}` : '',
+        exception.expires ? `until ${exception.expires}` : ''
+    ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+    EXPIRING_SOON_DAYS,
+    EXCEPTION_STATES,
+    findPolicyException,
+    listPolicyExceptions,
+    isExceptionInEffect,
+    describeException
+};
@@ -0,0 +1,252 @@
+// This file loads the policy-as-code files (`.license-sentinel.json` or `.license-sentinel.yaml`) checked into a repository.
+// A policy file applies to the folder it is in and the folders below it, up to the next policy file; it can inherit from shared files
+// with `extends`, and the fields it sets take precedence over the `license-sentinel.*` settings, so the CLI, every editor and code
+// reviewers all see the same policy.
+const path = require('path');
+const jsonc = require('jsonc-parser'); // Policy files may contain comments and trailing commas, like settings files.
+const YAML = require('yaml');
+const { canonicalSpdxId } = require('../ai/spdxLicenseList');
+const policySchema = require('../../schemas/license-sentinel.schema.json');
+
+// The names of a policy file, checked in this order in each folder.
+const POLICY_FILE_NAMES = ['.license-sentinel.json', '.license-sentinel.yaml', '.license-sentinel.yml'];
+// The settings a policy file can set.
+const POLICY_FIELDS = ['allowedLicenses', 'deniedLicenses', 'licenseRules', 'policyOverrides', 'scopePolicies', 'distributionModel', 'deniedObligations'];
+
+/**
+ * Checks a value against the subset of JSON Schema used by the published policy schema.
+ * @param {any} value The value to check.
+ * @param {object} schema The schema of the value.
+ * @param {string} location Where the value is in the file, used in error messages.
+ * @returns {Array<string>} The problems found; empty if the value is valid.
+ */
+function validateAgainstSchema(value, schema, location) {
+    if (schema.oneOf) {
+        return schema.oneOf.some(option => validateAgainstSchema(value, option, location).length === 0)
+            ? []
+            : [`${location} has an unexpected type`];
+    }
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && schema.type !== type) return [`${location} must be of type ${schema.type}`];
+    if (schema.enum && !schema.enum.includes(value)) return [`${location} must be one of ${schema.enum.join(', ')}`];
+    if (schema.pattern && type === 'string' && !new RegExp(schema.pattern).test(value)) return [`${location} must match ${schema.pattern}`];
+
+    if (type === 'array' && schema.items) {
+        return value.flatMap((item, index) => validateAgainstSchema(item, schema.items, `${location}[${index}]`));
+    }
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        const missing = (schema.required || []).filter(key => !(key in value)).map(key => `${location} is missing "${key}"`);
+        const problems = Object.entries(value).flatMap(([key, child]) => {
+            if (properties[key]) return validateAgainstSchema(child, properties[key], `${location}.${key}`);
+            if (schema.propertyNames && validateAgainstSchema(key, schema.propertyNames, key).length > 0) {
+                return [`${location} has an unknown property "${key}"`];
+            }
+            // Maps such as `scopePolicies` describe their values with a schema instead of listing their keys.
+            if (typeof schema.additionalProperties === 'object') return validateAgainstSchema(child, schema.additionalProperties, `${location}.${key}`);
+            return schema.additionalProperties === false ? [`${location} has an unknown property "${key}"`] : [];
+        });
+        return [...missing, ...problems];
+    }
+    return [];
+}
+
+/**
+ * Parses and validates the content of a policy file.
+ * @param {string} content The content of the file.
+ * @param {string} filePath The path of the file; YAML is expected for `.yaml` and `.yml` files, JSON with comments otherwise.
+ * @returns {object} The policy as written in the file, including its `extends` field.
+ * @throws {Error} If the file can't be parsed or doesn't match the published schema.
+ */
+function parsePolicyFile(content, filePath) {
+    let policy;
+    if (/\.ya?ml$/i.test(filePath)) {
+        try {
+            policy = YAML.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse the policy file ${filePath} as YAML: ${error.message}`);
+        }
+    } else {
+        const errors = [];
+        policy = jsonc.parse(content, errors, { allowTrailingComma: true });
+        if (errors.length > 0) throw new Error(`Could not parse the policy file ${filePath} as JSON.`);
+    }
+    // An empty file is an empty policy.
+    if (policy === null || policy === undefined) return {};
+
+    const problems = validateAgainstSchema(policy, policySchema, 'policy');
+    if (problems.length > 0) throw new Error(`Invalid policy file ${filePath}: ${problems.join('; ')}.`);
+    return policy;
+}
+
+/**
+ * Tells whether a list of licenses contains a license, comparing them the way the policy does.
+ * @param {Array<string>} licenses The list of licenses.
+ * @param {string} license The license to look for.
+ * @returns {boolean} True if the license is in the list.
+ */
+function includesLicense(licenses, license) {
+    const toPolicyId = id => canonicalSpdxId(String(id)).toLowerCase();
+    return licenses.some(id => toPolicyId(id) === toPolicyId(license));
+}
+
+/**
+ * Layers a policy over the policy it extends.
+ * Licenses are added to the inherited lists; a license the policy allows is no longer denied, and the other way around.
+ * Rules and overrides of the policy are checked before the inherited ones, and the policies of each scope are merged the same way.
+ * The distribution model and the denied obligations of the policy replace the inherited ones. Fields neither policy sets stay unset.
+ * @param {object} base The inherited policy.
+ * @param {object} policy The policy layered over it.
+ * @returns {object} The merged policy.
+ */
+function mergePolicies(base, policy) {
+    const merged = {};
+    const isSet = field => base[field] !== undefined || policy[field] !== undefined;
+    if (isSet('allowedLicenses') || isSet('deniedLicenses')) {
+        const allowed = policy.allowedLicenses || [];
+        const denied = policy.deniedLicenses || [];
+        if (isSet('allowedLicenses')) {
+            merged.allowedLicenses = [...(base.allowedLicenses || []).filter(license => !includesLicense(denied, license)), ...allowed];
+        }
+        if (isSet('deniedLicenses')) {
+            merged.deniedLicenses = [...(base.deniedLicenses || []).filter(license => !includesLicense(allowed, license)), ...denied];
+        }
+    }
+    if (isSet('licenseRules')) merged.licenseRules = [...(policy.licenseRules || []), ...(base.licenseRules || [])];
+    if (isSet('policyOverrides')) merged.policyOverrides = [...(policy.policyOverrides || []), ...(base.policyOverrides || [])];
+    if (isSet('scopePolicies')) {
+        merged.scopePolicies = { ...base.scopePolicies };
+        for (const [scope, scopePolicy] of Object.entries(policy.scopePolicies || {})) {
+            merged.scopePolicies[scope] = mergePolicies((base.scopePolicies || {})[scope] || {}, scopePolicy);
+        }
+    }
+    for (const field of ['distributionModel', 'deniedObligations']) {
+        if (isSet(field)) merged[field] = policy[field] !== undefined ? policy[field] : base[field];
+    }
+    return merged;
+}
+
+/**
+ * Loads a policy file and the files it extends.
+ * @param {{readFile(filePath: string): Promise<string>}} host The scan host, used to read the files.
+ * @param {string} filePath The absolute path of the policy file.
+ * @param {object} [options] Optional settings.
+ * @param {string} [options.content] The content of the file, if it was already read.
+ * @param {Array<string>} [options.extending] The files that extend this one, to detect circular `extends`.
+ * @returns {Promise<object>} The policy, with the inherited settings merged in.
+ * @throws {Error} If a file can't be read or parsed, or the files extend each other.
+ */
+async function loadPolicyFile(host, filePath, { content, extending = [] } = {}) {
+    if (extending.includes(filePath)) {
+        throw new Error(`The policy file ${filePath} extends itself: ${[...extending, filePath].join(' -> ')}.`);
+    }
+    if (content === undefined) {
+        try {
+            content = await host.readFile(filePath);
+        } catch (error) {
+            throw new Error(`Could not read the policy file ${filePath}${extending.length > 0 ? ` extended by ${extending[extending.length - 1]}` : ''}: ${error.message}`);
+        }
+    }
+    const { extends: parents = [], ...policy } = parsePolicyFile(content, filePath);
+
+    // Shared files are merged in order, then this file is layered over them.
+    let inherited = {};
+    for (const parent of [].concat(parents)) {
+        const parentPath = path.resolve(path.dirname(filePath), parent);
+        inherited = mergePolicies(inherited, await loadPolicyFile(host, parentPath, { extending: [...extending, filePath] }));
+    }
+    return mergePolicies(inherited, policy);
+}
+
+/**
+ * Creates a finder of the policy file that applies to each folder, which looks in each folder once.
+ * @param {{readFile(filePath: string): Promise<string>}} host The scan host, used to read the files.
+ * @returns {function(string, string): Promise<{filePath: string, policy: object} | null>} Given the absolute path of a folder and of
+ *   its root folder, resolves to the nearest policy file between them with its merged policy, or null if there is none.
+ * @throws {Error} From the returned function, if the nearest policy file is invalid.
+ */
+function createPolicyFileFinder(host) {
+    // The policy file found in (or above) each folder, as a promise so concurrent lookups share it.
+    const byFolder = new Map();
+
+    // Reads the policy file of a folder itself, or resolves to null.
+    const readFolder = async dir => {
+        for (const fileName of POLICY_FILE_NAMES) {
+            const filePath = path.join(dir, fileName);
+            let content;
+            try {
+                content = await host.readFile(filePath);
+            } catch {
+                continue;
+            }
+            return { filePath, policy: await loadPolicyFile(host, filePath, { content }) };
+        }
+        return null;
+    };
+
+    const find = (dir, rootDir) => {
+        if (!byFolder.has(dir)) {
+            byFolder.set(dir, readFolder(dir).then(found => {
+                // The search stops at the root folder.
+                const parent = path.dirname(dir);
+                if (found || dir === rootDir || parent === dir || !dir.startsWith(rootDir)) return found;
+                return find(parent, rootDir);
+            }));
+        }
+        return byFolder.get(dir);
+    };
+    return find;
+}
+
+/**
+ * Applies a policy file over the settings: every field the policy sets replaces the setting.
+ * @param {object} settings The `license-sentinel.*` settings, without the prefix.
+ * @param {object | null} policy The merged policy of the policy file, or null if no policy file applies.
+ * @returns {object} The settings to build the license policy from.
+ */
+function applyPolicyFile(settings, policy) {
+    if (!policy) return settings;
+    const applied = { ...settings };
+    for (const field of POLICY_FIELDS) {
+        if (policy[field] !== undefined) applied[field] = policy[field];
+    }
+    return applied;
+}
+
+/**
+ * Adds licenses to a list of a policy file, keeping its formatting and comments.
+ * @param {string} content The content of the policy file.
+ * @param {string} filePath The path of the policy file, which tells JSON and YAML files apart.
+ * @param {'allowedLicenses' | 'deniedLicenses'} policyType The list to add the licenses to.
+ * @param {Array<string>} licenses The licenses to add; those already in the file's list are skipped.
+ * @returns {{content: string, added: Array<string>}} The new content of the file, and the licenses that were added.
+ */
+function addLicensesToPolicyFile(content, filePath, policyType, licenses) {
+    const isYaml = /\.ya?ml$/i.test(filePath);
+    const policy = parsePolicyFile(content, filePath);
+    const current = policy[policyType] || [];
+    const added = [...new Set(licenses)].filter(license => !includesLicense(current, license));
+    if (added.length === 0) return { content, added };
+
+    if (isYaml) {
+        const document = YAML.parseDocument(content);
+        if (!document.has(policyType)) document.set(policyType, document.createNode([]));
+        added.forEach(license => document.addIn([policyType], license));
+        return { content: document.toString(), added };
+    }
+    // The file's own list is extended; inherited licenses stay in the file they come from.
+    const edits = jsonc.modify(content, [policyType], [...current, ...added], {
+        formattingOptions: { insertSpaces: true, tabSize: 2, eol: content.includes('\r\n') ? '\r\n' : '\n' }
+    });
+    return { content: jsonc.applyEdits(content, edits), added };
+}
+
+module.exports = {
+    POLICY_FILE_NAMES,
+    parsePolicyFile,
+    mergePolicies,
+    loadPolicyFile,
+    createPolicyFileFinder,
+    applyPolicyFile,
+    addLicensesToPolicyFile
+};
@@ -0,0 +1,67 @@
+// This file detects the license of the scanned project itself, which dependencies are checked for compatibility against.
+const path = require('path');
+const { identifyLicenseText } = require('../utils/licenseFiles');
+const { normalizeLicenseField } = require('../ai/licenseNormalizer');
+const npmStrategy = require('../strategies/npmStrategy');
+const rustCargoStrategy = require('../strategies/rustCargoStrategy');
+const pythonPoetryStrategy = require('../strategies/pythonPoetryStrategy');
+const javaMavenStrategy = require('../strategies/javaMavenStrategy');
+const composerStrategy = require('../strategies/composerStrategy');
+
+// The strategies of the manifest files that declare the project's license, checked in order.
+const PROJECT_MANIFEST_STRATEGIES = [npmStrategy, rustCargoStrategy, pythonPoetryStrategy, javaMavenStrategy, composerStrategy];
+// The license files checked when no manifest declares a license.
+const PROJECT_LICENSE_FILES = ['LICENSE', 'LICENSE.md', 'LICENSE.txt', 'LICENCE', 'LICENCE.md', 'LICENCE.txt', 'COPYING'];
+
+/**
+ * Detects the license of a project from the manifest files and the license file at its root.
+ * @param {{readFile(filePath: string): Promise<string>}} host The scan host, used to read the files.
+ * @param {string} rootDir The absolute path of the project's root folder.
+ * @returns {Promise<{license: string, source: string} | null>} The license and the file it was read from, or null if none was found.
+ */
+async function detectProjectLicense(host, rootDir) {
+    // Reads a file at the root, or returns null when it doesn't exist.
+    const readRootFile = async fileName => {
+        try {
+            return await host.readFile(path.join(rootDir, fileName));
+        } catch {
+            return null;
+        }
+    };
+
+    // 1. The license declared in a manifest file.
+    for (const strategy of PROJECT_MANIFEST_STRATEGIES) {
+        const content = await readRootFile(strategy.fileName);
+        if (content === null) continue;
+        try {
+            const license = await strategy.readProjectLicense(content);
+            // Manifests such as pom.xml name the license instead of using its SPDX id.
+            if (license) return { license: normalizeLicenseField(license, strategy.ecosystem) || license, source: strategy.fileName };
+        } catch (error) {
+            console.error(`License Sentinel 🛡️: Could not read the project license from ${strategy.fileName}: ${error.message}`);
+        }
+    }
+
+    // 2. The license text at the root of the project.
+    for (const fileName of PROJECT_LICENSE_FILES) {
+        const content = await readRootFile(fileName);
+        const license = content && identifyLicenseText(content);
+        if (license) return { license, source: fileName };
+    }
+    return null;
+}
+
+/**
+ * Gets the project's license, from the `projectLicense` setting or else by detecting it.
+ * @param {{readFile(filePath: string): Promise<string>}} host The scan host, used to read the files.
+ * @param {string} rootDir The absolute path of the project's root folder.
+ * @param {object} settings The extension settings.
+ * @returns {Promise<{license: string, source: string} | null>} The license and where it comes from, or null if it is unknown.
+ */
+async function resolveProjectLicense(host, rootDir, settings) {
+    const configured = String(settings.projectLicense || '').trim();
+    if (configured) return { license: configured, source: 'settings' };
+    return detectProjectLicense(host, rootDir);
+}
+
+module.exports = { detectProjectLicense, resolveProjectLicense };
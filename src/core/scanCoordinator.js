@@ -0,0 +1,79 @@
+// This file coordinates the scans requested by the extension (on startup, on file changes, on settings changes and from commands),
+// so that only one scan runs at a time, requests made meanwhile are coalesced, and the results of a superseded scan are discarded.
+const { ScanCancelledError, createCancellationSource } = require('./cancellation');
+
+/**
+ * A scan request: either a full scan, or a rescan of the files that changed.
+ * @typedef {object} ScanRequest
+ * @property {boolean} full Whether every dependency file is scanned.
+ * @property {Array<{key: string}>} changes The changed files, when only those are rescanned; the latest change of each key is kept.
+ */
+
+/**
+ * Creates a scan coordinator.
+ * @param {object} options The coordinator options.
+ * @param {function(ScanRequest, object): Promise<any>} options.scan Runs a scan with a cancellation token and resolves to its result.
+ * @param {function(any, ScanRequest): void} options.apply Applies the result of a scan that wasn't cancelled.
+ * @param {function(Error): void} [options.onError] Called when a scan fails for another reason than being cancelled.
+ * @param {function(boolean): void} [options.onStateChange] Called with true when a scan starts and false once the queue is empty.
+ * @returns {{requestFullScan(): Promise<void>, requestRescan(changes: Array<{key: string}>): Promise<void>, cancel(): void, isScanning(): boolean}}
+ *   The coordinator; the returned promises resolve once the request was handled (or merged into a later one).
+ */
+function createScanCoordinator({ scan, apply, onError = () => {}, onStateChange = () => {} }) {
+    // The request waiting for the current scan to finish, with its changes keyed by file.
+    let pending = null;
+    // The scan in progress, with the source of its cancellation token.
+    let current = null;
+    // The loop that runs the queued scans, while there are any.
+    let draining = null;
+
+    const drain = async () => {
+        onStateChange(true);
+        while (pending) {
+            const request = { full: pending.full, changes: [...pending.changes.values()] };
+            pending = null;
+            const source = createCancellationSource();
+            current = { request, source };
+            try {
+                const result = await scan(request, source.token);
+                // A scan cancelled by the user or superseded by a full scan leaves the existing results as they are.
+                if (!source.token.isCancellationRequested) apply(result, request);
+            } catch (error) {
+                if (!(error instanceof ScanCancelledError) && !source.token.isCancellationRequested) onError(error);
+            } finally {
+                current = null;
+            }
+        }
+        draining = null;
+        onStateChange(false);
+    };
+
+    const enqueue = () => {
+        if (!draining) draining = drain();
+        return draining;
+    };
+
+    return {
+        requestFullScan() {
+            // A full scan covers every change queued so far.
+            pending = { full: true, changes: new Map() };
+            // It also replaces every result, so the scan in progress is no longer needed.
+            if (current) current.source.cancel();
+            return enqueue();
+        },
+
+        requestRescan(changes) {
+            if (!pending) pending = { full: false, changes: new Map() };
+            if (!pending.full) changes.forEach(change => pending.changes.set(change.key, change));
+            return enqueue();
+        },
+
+        cancel() {
+            if (current) current.source.cancel();
+        },
+
+        isScanning: () => Boolean(current)
+    };
+}
+
+module.exports = { createScanCoordinator };
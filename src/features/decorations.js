@@ -2,6 +2,7 @@
 
 const vscode = require("vscode");
 const jsonc = require("jsonc-parser");
+const { isDeclaredIn } = require("../hosts/vscodeHost");
 
 // Define the visual styles for the decorations based on the license compliance status.
 const compliantDecorationType = vscode.window.createTextEditorDecorationType({
@@ -17,6 +18,10 @@ const unknownDecorationType = vscode.window.createTextEditorDecorationType({
     after: { margin: "0 0 0 1.5rem", color: new vscode.ThemeColor("gitDecoration.modifiedResourceForeground") },
 });
 
+// Lockfiles and the manifests whose dependencies are decorated by the line recorded while parsing rather than found by name.
+const LINE_DECORATED_FILE_NAMES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'build.gradle', 'build.gradle.kts', 'Cargo.toml', 'Cargo.lock',
+    'pyproject.toml', 'requirements.txt', 'Pipfile', 'Pipfile.lock', 'poetry.lock', 'uv.lock', 'pdm.lock'];
+
 /**
  * Updates the decorations in the editor to show license compliance status.
  * This function is the main entry point for applying decorations to the editor.
@@ -29,11 +34,9 @@ function updateDecorations(editor, allDependencies) {
 
     // Get the document (file) that's currently open in the editor.
     const document = editor.document;
-    // Determine the relative path of the document within the workspace.
-    const relativePath = vscode.workspace.asRelativePath(document.uri, false);
-    // Filter the dependencies to find only those that are defined in the current file (manifest file).
+    // Filter the dependencies to find only those that are defined in the current file (manifest file), in its own workspace folder.
     const relevantDeps = allDependencies.filter(
-        (dep) => dep.manifestFile === relativePath
+        (dep) => isDeclaredIn(dep, document.uri)
     );
 
     // Initialize arrays to hold the decoration objects for each compliance status.
@@ -57,15 +60,13 @@ function updateDecorations(editor, allDependencies) {
     const fileLang = document.languageId;
 
     // Route to a specific parser based on file language to improve accuracy and prevent duplicates.
-    if (fileLang === 'json' || fileLang === 'jsonc') {
+    if (LINE_DECORATED_FILE_NAMES.includes(document.uri.path.split('/').pop())) {
+        // Lockfiles list the same package name several times, Gradle and Cargo files refer to packages by alias, and requirements files
+        // report included packages on the include line, so use the line numbers recorded during parsing.
+        parseLineDecorations(document, relevantDeps, compliantDecorations, nonCompliantDecorations, unknownDecorations);
+    } else if (fileLang === 'json' || fileLang === 'jsonc') {
         // For JSON and JSON with comments (JSONC) files, use the JSON parser.
         parseJsonDecorations(document, text, depsMap, compliantDecorations, nonCompliantDecorations, unknownDecorations);
-    } else if (fileLang === 'toml') {
-        // For TOML files, use the TOML parser.
-        parseTomlDecorations(document, text, depsMap, compliantDecorations, nonCompliantDecorations, unknownDecorations);
-    } else if (fileLang === 'pip-requirements') {
-        // For Python requirements.txt files, use the requirements.txt parser.
-        parseRequirementsDecorations(document, text, depsMap, compliantDecorations, nonCompliantDecorations, unknownDecorations);
     } else {
         // Fallback for other file types like go.mod which are line-based.
         parseRegexDecorations(document, text, relevantDeps, compliantDecorations, nonCompliantDecorations, unknownDecorations);
@@ -157,123 +158,6 @@ function parseJsonDecorations(document, text, depsMap, compliant, nonCompliant,
     }
 }
 
-/**
- * Parses TOML files using a robust regex that handles bare and quoted keys.
- * This function is designed to accurately identify dependencies in TOML files, which can have a variety of key formats.
- * @param {vscode.TextDocument} document The VS Code document object.
- * @param {string} text The text content of the document.
- * @param {Map<string, object>} depsMap A map of dependency names to dependency data.
- * @param {Array<object>} compliant The array of compliant decorations.
- * @param {Array<object>} nonCompliant The array of non-compliant decorations.
- * @param {Array<object>} unknown The array of unknown decorations.
- */
-function parseTomlDecorations(document, text, depsMap, compliant, nonCompliant, unknown) {
-    // Split the TOML text into individual lines.
-    const lines = text.split('\n');
-    // Define the sections in TOML files where dependencies are listed.
-    const depSections = ["[dependencies]", "[dev-dependencies]", "[build-dependencies]", "[target", "[workspace.dependencies]"];
-    // Flag to indicate whether the current line is within a dependency section.
-    let inDepSection = false;
-    // Regular expression to extract the dependency name from a line, handling both quoted and unquoted keys.
-    const keyRegex = /^\s*(?:"([^"]+)"|([a-zA-Z0-9_.-]+))/;
-
-    // Iterate over each line in the TOML file.
-    for (let i = 0; i < lines.length; i++) {
-        // Remove any comments from the line.
-        const lineWithoutComment = lines[i].split('#')[0];
-        // Trim whitespace from the beginning and end of the line.
-        const trimmedLine = lineWithoutComment.trim();
-        
-        // Skip empty lines.
-        if (trimmedLine === "") continue;
-
-        // Check if the line starts a dependency section.
-        if (depSections.some(s => trimmedLine.startsWith(s))) {
-            inDepSection = true;
-            continue;
-        }
-
-        // If the line starts a new section (not a dependency section), reset the flag.
-        if (trimmedLine.startsWith("[") && !depSections.some(s => trimmedLine.startsWith(s))) {
-            inDepSection = false;
-            continue;
-        }
-
-        // If inside a dependency section and the line contains an equals sign (indicating a key-value pair).
-        if (inDepSection && trimmedLine.includes("=")) {
-            // Attempt to match the line against the dependency key regex.
-            const match = trimmedLine.match(keyRegex);
-            
-            // If a match is found.
-            if (match) {
-                // Extract the dependency name, handling both quoted and unquoted keys.
-                const depName = match[1] || match[2];
-                // If a dependency name is found.
-                if (depName) {
-                    // Look up the dependency data in the depsMap.
-                    const depData = depsMap.get(depName);
-                    // If the dependency is found in the map.
-                    if (depData) {
-                        // Get the line of code where the dependency is defined.
-                        const line = document.lineAt(i);
-                        // Create a decoration object for the line.
-                        const decoration = createDecoration(line, depData);
-                        // Add the decoration to the appropriate array based on the dependency's status.
-                        addDecoration(decoration, depData, compliant, nonCompliant, unknown);
-                    }
-                }
-            }
-        }
-    }
-}
-
-/**
- * Parses requirements.txt files and adds decorations.
- * This function is tailored to the specific format of Python requirements.txt files.
- * @param {vscode.TextDocument} document The VS Code document object.
- * @param {string} text The text content of the document.
- * @param {Map<string, object>} depsMap A map of dependency names to dependency data.
- * @param {Array<object>} compliant The array of compliant decorations.
- * @param {Array<object>} nonCompliant The array of non-compliant decorations.
- * @param {Array<object>} unknown The array of unknown decorations.
- */
-function parseRequirementsDecorations(document, text, depsMap, compliant, nonCompliant, unknown) {
-    // Split the requirements.txt text into individual lines.
-    const lines = text.split(/\r?\n/);
-    // Regular expression to extract the dependency name from a line.
-    const depRegex = /^\s*([a-zA-Z0-9_.-]+)/;
-
-    // Iterate over each line in the requirements.txt file.
-    lines.forEach((lineContent, index) => {
-        // Trim whitespace from the beginning and end of the line.
-        const trimmedLine = lineContent.trim();
-        // Skip comments and empty lines.
-        if (trimmedLine.startsWith('#') || trimmedLine === '') {
-            return;
-        }
-
-        // Attempt to match the line against the dependency regex.
-        const match = trimmedLine.match(depRegex);
-        // If a match is found.
-        if (match && match[1]) {
-            // Extract the dependency name, handling "extras" like [full].
-            const depName = match[1].split('[')[0]; // Handle extras like [full]
-            // Look up the dependency data in the depsMap.
-            const depData = depsMap.get(depName);
-
-            // If the dependency is found in the map.
-            if (depData) {
-                // Get the line of code where the dependency is defined.
-                const line = document.lineAt(index);
-                // Create a decoration object for the line.
-                const decoration = createDecoration(line, depData);
-                // Add the decoration to the appropriate array based on the dependency's status.
-                addDecoration(decoration, depData, compliant, nonCompliant, unknown);
-            }
-        }
-    });
-}
-
 /**
  * Parses files using a simple regex for line-based formats like go.mod.
  * This function is a fallback for file types that don't have a more specific parser.
@@ -306,6 +190,27 @@ function parseRegexDecorations(document, text, relevantDeps, compliant, nonCompl
     });
 }
 
+/**
+ * Adds decorations using the line numbers recorded for each dependency during parsing.
+ * This is used for lockfiles, where a package name can appear at several versions, and Gradle files, which may refer to packages by catalog alias.
+ * @param {vscode.TextDocument} document The VS Code document object.
+ * @param {Array<object>} relevantDeps An array of relevant dependencies for the current file.
+ * @param {Array<object>} compliant The array of compliant decorations.
+ * @param {Array<object>} nonCompliant The array of non-compliant decorations.
+ * @param {Array<object>} unknown The array of unknown decorations.
+ */
+function parseLineDecorations(document, relevantDeps, compliant, nonCompliant, unknown) {
+    // Iterate over each relevant dependency.
+    relevantDeps.forEach((dep) => {
+        // Skip dependencies without a valid line number.
+        if (typeof dep.line !== 'number' || dep.line >= document.lineCount) return;
+        // Create a decoration object for the recorded line.
+        const decoration = createDecoration(document.lineAt(dep.line), dep);
+        // Add the decoration to the appropriate array based on the dependency's status.
+        addDecoration(decoration, dep, compliant, nonCompliant, unknown);
+    });
+}
+
 /**
  * Provides hover information for dependencies.
  * This class implements the VS Code HoverProvider API to show detailed information about dependencies when the user hovers over them.
@@ -331,10 +236,8 @@ class DependencyHoverProvider {
      * @returns {vscode.Hover | null} A Hover object containing the hover information, or null if no information is available.
      */
     provideHover(document, position) {
-      // Determine the relative path of the document within the workspace.
-      const relativePath = vscode.workspace.asRelativePath(document.uri, false);
-      // Filter the dependencies to find only those that are defined in the current file (manifest file).
-      const relevantDeps = this.dependencyData.filter(d => d.manifestFile === relativePath);
+      // Filter the dependencies to find only those that are defined in the current file (manifest file), in its own workspace folder.
+      const relevantDeps = this.dependencyData.filter(d => isDeclaredIn(d, document.uri));
       // If no relevant dependencies are found for this file, return null.
       if(relevantDeps.length === 0) return null;
   
@@ -345,8 +248,9 @@ class DependencyHoverProvider {
   
       // Extract the hovered word from the document, removing any quotes and "extras".
       const hoveredWord = document.getText(range).replace(/"/g, "").split('[')[0];
-      // Find the dependency data for the hovered word.
-      const depData = relevantDeps.find((d) => d.name === hoveredWord);
+      // Find the dependency data for the hovered word. In lockfiles the same name appears at several versions, so match the hovered line first.
+      const depData = relevantDeps.find((d) => d.name === hoveredWord && d.line === position.line) || relevantDeps.find((d) => d.name === hoveredWord)
+        || relevantDeps.find((d) => d.line === position.line);
   
       // If dependency data is found for the hovered word.
       if (depData) {
@@ -358,6 +262,10 @@ class DependencyHoverProvider {
         content.appendMarkdown(`**License Sentinel 🛡️ : ${depData.name}**\n\n`);
         // Add the dependency version to the hover content.
         content.appendMarkdown(`- **Version:** \`${depData.version}\`\n`);
+        // Add the version resolved from the registry, if it differs from the declared one.
+        if (depData.resolvedVersion && depData.resolvedVersion !== depData.version) {
+          content.appendMarkdown(`- **Resolved Version:** \`${depData.resolvedVersion}\`\n`);
+        }
         // Add the dependency license to the hover content.
         content.appendMarkdown(`- **License:** \`${depData.license}\`\n`);
         // Define icons for each compliance status.
@@ -366,8 +274,19 @@ class DependencyHoverProvider {
         content.appendMarkdown(
           `- **Status:** ${icons[depData.status] || '❓'} \`${depData.status}\`\n`
         );
+        // Add the scope of the dependency, which decides the policy it is checked against.
+        if (depData.scope) content.appendMarkdown(`- **Scope:** \`${depData.scope}\`\n`);
+        // Add the chain of packages that pulled in a transitive dependency.
+        if (depData.dependencyPath && depData.dependencyPath.length > 1) {
+          content.appendMarkdown(`- **Dependency Path:** ${depData.dependencyPath.join(' > ')}\n`);
+        }
         // Add the reason for the dependency's status to the hover content.
-        content.appendMarkdown(`- **Reason:** *${depData.analysis.reason}*\n\n`);
+        content.appendMarkdown(`- **Reason:** *${depData.analysis.reason}*\n`);
+        // Add the state of the policy exception, if it needs attention.
+        if (depData.policyException && depData.policyException.message) {
+          content.appendMarkdown(`- **Policy Exception:** ⏱ ${depData.policyException.message}\n`);
+        }
+        content.appendMarkdown('\n');
 
         // If the dependency has key obligations, add them to the hover content.
         if (depData.analysis.obligations.length > 0) {
@@ -378,7 +297,8 @@ class DependencyHoverProvider {
                 // Define icons for each risk level.
                 const riskIcon = ob.risk === 'high' ? '$(error)' : (ob.risk === 'medium' ? '$(warning)' : '$(info)');
                 // Add the obligation summary to the hover content, using the appropriate risk icon.
-                content.appendMarkdown(`- ${riskIcon} ${ob.summary}\n`);
+                // Obligations the dependency's scope and the distribution model don't trigger are marked as such.
+                content.appendMarkdown(`- ${riskIcon} ${ob.summary}${ob.triggered === false ? ' *(not triggered)*' : ''}\n`);
             });
             // Add a newline after the key obligations section.
             content.appendMarkdown('\n');
@@ -1,6 +1,10 @@
 // This file defines the LicenseTreeDataProvider, which is responsible for displaying license information in a tree view within VS Code.
 
 const vscode = require('vscode');
+const { isMultiRoot, getManifestUri } = require('../hosts/vscodeHost');
+
+// The badges of dependencies whose policy exception needs attention.
+const EXCEPTION_BADGES = { 'expiring-soon': '⏱ exception expiring', expired: '⏱ exception expired', stale: '⚠ exception stale' };
 
 class LicenseTreeDataProvider {
     constructor() {
@@ -44,21 +48,23 @@ class LicenseTreeDataProvider {
             return Promise.resolve([]);
         }
 
-        // If no element is provided, return the root elements (manifest files).
+        // If no element is provided, return the root elements: a node per workspace folder in a multi-root workspace, otherwise the manifest files.
         if (!element) {
-            // Group dependencies by manifest file.
-            const groups = this.data.reduce((acc, dep) => {
-                const key = dep.manifestFile;
-                (acc[key] = acc[key] || []).push(dep);
-                return acc;
-            }, {});
-
-            // Sort the manifest file paths alphabetically.
-            const sortedKeys = Object.keys(groups).sort((a, b) => a.localeCompare(b));
-            // Create a ManifestFileItem for each manifest file.
-            return Promise.resolve(sortedKeys.map(key => new ManifestFileItem(key, groups[key])));
+            if (isMultiRoot()) {
+                // Group dependencies by workspace folder, in the order the folders are listed in the workspace.
+                const folderNames = (vscode.workspace.workspaceFolders || []).map(folder => folder.name);
+                const groups = groupBy(this.data, dep => dep.workspaceFolder || '');
+                const sortedKeys = Object.keys(groups).sort((a, b) => folderNames.indexOf(a) - folderNames.indexOf(b));
+                return Promise.resolve(sortedKeys.map(key => new WorkspaceFolderItem(key, groups[key])));
+            }
+            return Promise.resolve(createManifestFileItems(this.data));
         }
-        
+
+        // If the element is a WorkspaceFolderItem, return its manifest files.
+        if (element instanceof WorkspaceFolderItem) {
+            return Promise.resolve(createManifestFileItems(element.dependencies));
+        }
+
         // If the element is a ManifestFileItem, return its dependencies.
         if (element instanceof ManifestFileItem) {
             // Sort the dependencies alphabetically by name.
@@ -80,6 +86,74 @@ class LicenseTreeDataProvider {
     }
 }
 
+/**
+ * Groups dependencies by a key.
+ * @param {Array<object>} deps - The dependencies.
+ * @param {function(object): string} getKey - Returns the key of a dependency.
+ * @returns {Object<string, Array<object>>} - The dependencies, by key.
+ */
+function groupBy(deps, getKey) {
+    return deps.reduce((acc, dep) => {
+        const key = getKey(dep);
+        (acc[key] = acc[key] || []).push(dep);
+        return acc;
+    }, {});
+}
+
+/**
+ * Creates the tree items of the manifest files the given dependencies were declared in.
+ * @param {Array<object>} deps - The dependencies, all from the same workspace folder.
+ * @returns {Array<ManifestFileItem>} - The manifest file items, sorted by path.
+ */
+function createManifestFileItems(deps) {
+    // Group dependencies by manifest file.
+    const groups = groupBy(deps, dep => dep.manifestFile);
+    // Sort the manifest file paths alphabetically.
+    const sortedKeys = Object.keys(groups).sort((a, b) => a.localeCompare(b));
+    // Create a ManifestFileItem for each manifest file.
+    return sortedKeys.map(key => new ManifestFileItem(key, groups[key]));
+}
+
+/**
+ * Tells whether a dependency's license may be incompatible with the project's license.
+ * @param {object} dep - The dependency information.
+ * @returns {boolean} - True if the analysis found compatibility issues.
+ */
+function hasCompatibilityIssues(dep) {
+    return (dep.analysis?.details?.compatibilityIssues || []).length > 0;
+}
+
+/**
+ * Represents a workspace folder in the tree view, in a multi-root workspace.
+ */
+class WorkspaceFolderItem extends vscode.TreeItem {
+    /**
+     * Creates a new WorkspaceFolderItem.
+     * @param {string} folderName - The name of the workspace folder.
+     * @param {Array<object>} dependencies - The dependencies declared in the manifest files of the folder.
+     */
+    constructor(folderName, dependencies) {
+        // Count the number of non-compliant dependencies in the folder.
+        const nonCompliantCount = dependencies.filter(d => d.status === 'non-compliant').length;
+
+        // Call the super constructor with the folder name and an expanded state.
+        super(folderName, vscode.TreeItemCollapsibleState.Expanded);
+
+        // Store the dependencies.
+        this.dependencies = dependencies;
+        // Set the description to show the number of dependencies.
+        this.description = `${dependencies.length} dependencies`;
+        // Set the icon to a root folder, or to an error if there are non-compliant dependencies.
+        this.iconPath = new vscode.ThemeIcon('root-folder');
+        if (nonCompliantCount > 0) {
+            this.description += ` (${nonCompliantCount} non-compliant)`;
+            this.iconPath = new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+        }
+        // Set the context value to 'workspaceFolder'.
+        this.contextValue = 'workspaceFolder';
+    }
+}
+
 /**
  * Represents a manifest file in the tree view.
  */
@@ -92,6 +166,8 @@ class ManifestFileItem extends vscode.TreeItem {
     constructor(relativePath, dependencies) {
         // Count the number of non-compliant dependencies in the manifest file.
         const nonCompliantCount = dependencies.filter(d => d.status === 'non-compliant').length;
+        // Count the dependencies that may be incompatible with the project's license.
+        const incompatibleCount = dependencies.filter(hasCompatibilityIssues).length;
         
         // Call the super constructor with the relative path and an expanded state.
         super(relativePath, vscode.TreeItemCollapsibleState.Expanded);
@@ -108,14 +184,16 @@ class ManifestFileItem extends vscode.TreeItem {
             this.description += ` (${nonCompliantCount} non-compliant)`;
             this.iconPath = new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
         }
+        // If there are compatibility issues, add them to the description.
+        if (incompatibleCount > 0) {
+            this.description += ` (${incompatibleCount} incompatible)`;
+        }
 
         // Set the context value to 'manifestFile'.
         this.contextValue = 'manifestFile';
         
-        // If there is a workspace folder, set the resource URI to the manifest file.
-        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            this.resourceUri = vscode.Uri.joinPath(vscode.workspace.workspaceFolders[0].uri, relativePath);
-        }
+        // Set the resource URI to the manifest file, in the workspace folder its dependencies were found in.
+        this.resourceUri = getManifestUri(dependencies[0]);
     }
 }
 
@@ -128,8 +206,8 @@ class DependencyItem extends vscode.TreeItem {
      * @param {object} dep - The dependency information.
      */
     constructor(dep) {
-        // Remove any semver range characters (~^) from the version string.
-        const displayVersion = String(dep.version || '').replace(/[~^]/g, '');
+        // Prefer the version resolved from the registry, otherwise remove any semver range characters (~^) from the version string.
+        const displayVersion = dep.resolvedVersion || String(dep.version || '').replace(/[~^]/g, '');
         // Set the collapsible state based on whether the dependency has obligations.
         const collapsibleState = (dep.analysis?.obligations?.length > 0)
             ? vscode.TreeItemCollapsibleState.Collapsed
@@ -138,16 +216,34 @@ class DependencyItem extends vscode.TreeItem {
         // Call the super constructor with the dependency name and version, and the collapsible state.
         super(`${dep.name} @ ${displayVersion}`, collapsibleState);
 
-        // Set the description to the license.
-        this.description = dep.license;
+        // Get the compatibility issues with the project's license.
+        const compatibilityIssues = dep.analysis?.details?.compatibilityIssues || [];
+
+        // Set the description to the license, with badges if the license rules ask for a review, it may be incompatible with the project's license,
+        // or its policy exception expired, is stale or expires soon.
+        const badges = [
+            dep.analysis?.needsReview ? '⚑ needs review' : '',
+            compatibilityIssues.length > 0 ? '⚠ incompatible' : '',
+            EXCEPTION_BADGES[dep.policyException?.state] || ''
+        ].filter(Boolean);
+        this.description = [dep.license, ...badges].join(' ');
         // Create a tooltip with detailed dependency information.
         this.tooltip = new vscode.MarkdownString(
             `**Package:** ${dep.name}\n\n` +
             `**Version:** \`${dep.version}\`\n\n` +
+            (dep.resolvedVersion ? `**Resolved Version:** \`${dep.resolvedVersion}\`\n\n` : '') +
             `**License:** \`${dep.license}\`\n\n` +
+            (dep.normalizedLicense && dep.normalizedLicense !== dep.license ? `**SPDX Expression:** \`${dep.normalizedLicense}\`\n\n` : '') +
             `**Status:** ${dep.status}\n\n` +
+            (dep.scope ? `**Scope:** ${dep.scope}\n\n` : '') +
+            (dep.indirect ? `**Indirect:** only required by other modules\n\n` : '') +
             `**Reason:** ${dep.analysis?.reason || 'N/A'}\n\n` +
-            `**Source:** \`${dep.manifestFile}\``
+            `**Source:** \`${dep.manifestFile}\`` +
+            (dep.licenseSource === 'local' ? `\n\n**License Read From:** installed package files` : '') +
+            (dep.policyFile ? `\n\n**Policy File:** \`${dep.policyFile}\`` : '') +
+            (dep.policyException?.message ? `\n\n**Policy Exception:** ${dep.policyException.message}` : '') +
+            (dep.dependencyPath && dep.dependencyPath.length > 1 ? `\n\n**Dependency Path:** ${dep.dependencyPath.join(' > ')}` : '') +
+            (compatibilityIssues.length > 0 ? `\n\n**Compatibility:** may be incompatible with your project's license (\`${compatibilityIssues[0].to}\`)` : '')
         );
         this.tooltip.isTrusted = true;
 
@@ -176,8 +272,11 @@ class DependencyItem extends vscode.TreeItem {
             'non-compliant': new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed')), 
             unknown: new vscode.ThemeIcon('question', new vscode.ThemeColor('testing.iconSkipped')) 
         };
-        // Set the icon based on the dependency's status.
+        // Set the icon based on the dependency's status; an allowed license that is incompatible with the project's license gets a warning.
         this.iconPath = icons[dep.status] || icons.unknown;
+        if (dep.status === 'compliant' && compatibilityIssues.length > 0) {
+            this.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground'));
+        }
     }
 }
 
@@ -200,10 +299,11 @@ class ObligationItem extends vscode.TreeItem {
             low: new vscode.ThemeIcon('info')
         };
 
-        // Set the icon based on the obligation's risk level.
-        this.iconPath = riskIcons[obligation.risk] || riskIcons.low;
+        // Set the icon based on the obligation's risk level; obligations the dependency's scope and the distribution model don't trigger are dimmed.
+        this.iconPath = obligation.triggered === false ? new vscode.ThemeIcon('circle-outline') : (riskIcons[obligation.risk] || riskIcons.low);
+        if (obligation.triggered === false) this.description = 'not triggered';
         // Set the tooltip to the risk level.
-        this.tooltip = `Risk Level: ${obligation.risk}`;
+        this.tooltip = `Risk Level: ${obligation.risk}` + (obligation.triggered === false ? ' (not triggered by this dependency\'s scope and the distribution model)' : '');
     }
 }
 
@@ -0,0 +1,177 @@
+// This file defines the PolicyExceptionsTreeDataProvider, which lists the policy exceptions (policy overrides) of the scanned folders
+// and policy files in the "Policy Exceptions" view, grouped by state: active, expiring soon, expired and stale.
+
+const vscode = require('vscode');
+const { EXCEPTION_STATES, listPolicyExceptions, describeException } = require('../core/policyExceptions');
+const { getManifestUri } = require('../hosts/vscodeHost');
+
+// The label and icon of the group of each exception state.
+const STATE_GROUPS = {
+    active: { label: 'Active', icon: new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed')) },
+    'expiring-soon': { label: 'Expiring Soon', icon: new vscode.ThemeIcon('clock', new vscode.ThemeColor('problemsWarningIcon.foreground')) },
+    expired: { label: 'Expired', icon: new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground')) },
+    stale: { label: 'Stale (License Changed)', icon: new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground')) }
+};
+
+class PolicyExceptionsTreeDataProvider {
+    constructor() {
+        // Create an event emitter to signal when the tree data changes.
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        // Expose the event for listeners to subscribe to data change notifications.
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        // Initialize the data store for the tree view.
+        this.data = [];
+        this.policies = [];
+    }
+
+    /**
+     * Refreshes the tree view with new data.
+     * @param {Array<object>} data - The scanned dependencies, listed under the policy exceptions that matched them.
+     * @param {Array<object>} policies - The policy exceptions of each workspace folder and policy file, see scan.
+     */
+    refresh(data, policies) {
+        // Update the internal data store.
+        this.data = data;
+        this.policies = policies;
+        // Trigger the event to notify the tree view that the data has changed.
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Gets the tree item for a given element.
+     * @param {vscode.TreeItem} element - The element to get the tree item for.
+     * @returns {vscode.TreeItem} - The tree item for the element.
+     */
+    getTreeItem(element) {
+        // Return the element itself as the tree item.
+        return element;
+    }
+
+    /**
+     * Gets the children for a given element in the tree.
+     * @param {vscode.TreeItem} element - The element to get the children for. If undefined, returns the state groups.
+     * @returns {Promise<Array<vscode.TreeItem>>} - A promise that resolves to an array of tree items representing the children.
+     */
+    getChildren(element) {
+        // If no element is provided, return a group per state that has exceptions, in the order of EXCEPTION_STATES.
+        if (!element) {
+            const exceptions = listPolicyExceptions(this.policies || [], this.data || []);
+            return Promise.resolve(EXCEPTION_STATES
+                .map(state => ({ state, items: exceptions.filter(exception => exception.state === state) }))
+                .filter(group => group.items.length > 0)
+                .map(group => new ExceptionStateItem(group.state, group.items)));
+        }
+
+        // If the element is an ExceptionStateItem, return its exceptions.
+        if (element instanceof ExceptionStateItem) {
+            return Promise.resolve(element.exceptions.map(exception => new ExceptionItem(exception)));
+        }
+
+        // If the element is an ExceptionItem, return the dependencies it matched.
+        if (element instanceof ExceptionItem) {
+            return Promise.resolve(element.exception.dependencies.map(dep => new ExceptionDependencyItem(dep)));
+        }
+
+        // If the element has no children, return an empty array.
+        return Promise.resolve([]);
+    }
+}
+
+/**
+ * Represents the group of the exceptions in a state.
+ */
+class ExceptionStateItem extends vscode.TreeItem {
+    /**
+     * Creates a new ExceptionStateItem.
+     * @param {string} state - One of EXCEPTION_STATES.
+     * @param {Array<object>} exceptions - The exceptions in that state.
+     */
+    constructor(state, exceptions) {
+        // Call the super constructor with the label of the state; only the groups needing attention are expanded.
+        super(STATE_GROUPS[state].label, state === 'active' ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.Expanded);
+
+        // Store the exceptions.
+        this.exceptions = exceptions;
+        // Set the description to the number of exceptions.
+        this.description = `${exceptions.length}`;
+        // Set the icon of the state.
+        this.iconPath = STATE_GROUPS[state].icon;
+        // Set the context value to 'exceptionState'.
+        this.contextValue = 'exceptionState';
+    }
+}
+
+/**
+ * Represents a policy exception in the tree view.
+ */
+class ExceptionItem extends vscode.TreeItem {
+    /**
+     * Creates a new ExceptionItem.
+     * @param {object} exception - The exception, see listPolicyExceptions.
+     */
+    constructor(exception) {
+        // Call the super constructor with the package name and version range, collapsed to show the dependencies it matched, if any.
+        super(exception.version ? `${exception.name} @ ${exception.version}` : exception.name,
+            exception.dependencies.length > 0 ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
+
+        // Store the exception.
+        this.exception = exception;
+        // Set the description to the decision, the expiry date, and whether the exception matches no dependency.
+        this.description = [
+            exception.allow ? 'allowed' : 'denied',
+            exception.expires ? `until ${exception.expires}` : '',
+            exception.dependencies.length === 0 ? 'no matching dependency' : ''
+        ].filter(Boolean).join(' · ');
+        // Create a tooltip with the audit information of the exception.
+        const audit = describeException(exception);
+        this.tooltip = new vscode.MarkdownString(
+            `**Package:** ${exception.name}\n\n` +
+            `**Versions:** \`${exception.version || 'all'}\`\n\n` +
+            `**Decision:** ${exception.allow ? 'allowed' : 'denied'}\n\n` +
+            `**Reason:** ${exception.reason}\n\n` +
+            (audit ? `**Approval:** ${audit}\n\n` : '') +
+            (exception.license ? `**Approved For License:** \`${exception.license}\`\n\n` : '') +
+            `**Defined In:** ${exception.policyFile ? `\`${exception.policyFile}\`` : 'settings'}` +
+            (exception.workspaceFolder ? ` (${exception.workspaceFolder})` : '') +
+            (exception.message ? `\n\n${exception.message}` : '')
+        );
+        // Set the icon to the decision.
+        this.iconPath = new vscode.ThemeIcon(exception.allow ? 'check' : 'circle-slash');
+        // Set the context value to 'policyException'.
+        this.contextValue = 'policyException';
+    }
+}
+
+/**
+ * Represents a dependency matched by a policy exception.
+ */
+class ExceptionDependencyItem extends vscode.TreeItem {
+    /**
+     * Creates a new ExceptionDependencyItem.
+     * @param {object} dep - The dependency information.
+     */
+    constructor(dep) {
+        // Call the super constructor with the dependency name and version.
+        super(`${dep.name} @ ${dep.resolvedVersion || dep.version}`, vscode.TreeItemCollapsibleState.None);
+
+        // Set the description to the license and the manifest file.
+        this.description = `${dep.license} · ${dep.manifestFile}`;
+        // Set the tooltip to the reason for the dependency's status.
+        this.tooltip = dep.analysis?.reason || '';
+        // Store the dependency information.
+        this.dependencyInfo = dep;
+        // Set the icon to a package.
+        this.iconPath = new vscode.ThemeIcon('package');
+        // Open the manifest file at the dependency's line when the item is clicked.
+        const uri = getManifestUri(dep);
+        if (uri) {
+            this.command = {
+                command: 'vscode.open',
+                title: 'Go to Dependency',
+                arguments: [uri, { selection: new vscode.Range(dep.line || 0, 0, dep.line || 0, 0) }]
+            };
+        }
+    }
+}
+
+module.exports = { PolicyExceptionsTreeDataProvider };
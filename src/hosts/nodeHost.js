@@ -0,0 +1,89 @@
+// This file implements the host interface of the scan pipeline (see src/core/engine.js) on top of the plain Node.js filesystem.
+// It is used by the command-line interface and lets other tools and unit tests run the scan without VS Code.
+const fs = require('fs/promises');
+const path = require('path');
+const { createMemoryStore } = require('../core/caching');
+const { isExcludedPath } = require('../core/engine');
+
+/**
+ * Recursively finds the files with the given names below a folder, like `vscode.workspace.findFiles` does in the editor.
+ * @param {string} rootDir The folder to search.
+ * @param {Array<string>} fileNames The names of the files to find.
+ * @param {Array<string>} excludePatterns Glob patterns, relative to the folder, of files and folders to skip.
+ * @returns {Promise<Array<string>>} The paths of the files, relative to the folder and using '/' separators.
+ */
+async function findManifestFiles(rootDir, fileNames, excludePatterns) {
+    const wanted = new Set(fileNames);
+    const isExcluded = relativePath => isExcludedPath(relativePath, excludePatterns);
+    const found = [];
+
+    // Walk the folder tree depth-first, in a stable order.
+    const walk = async relativeDir => {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            console.error(`License Sentinel 🛡️: Could not read ${relativeDir || rootDir}: ${error.message}`);
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                // Version control folders never contain dependency files of the project.
+                if (entry.name === '.git') continue;
+                // Patterns such as '**/node_modules/**' match the folder's contents, so test it with a trailing slash.
+                if (isExcluded(`${relativePath}/`)) continue;
+                await walk(relativePath);
+            } else if (entry.isFile() && wanted.has(entry.name) && !isExcluded(relativePath)) {
+                found.push(relativePath);
+            }
+        }
+    };
+    await walk('');
+
+    return found;
+}
+
+/**
+ * Creates a scan host for a folder on disk.
+ * @param {string} rootDir The folder to scan.
+ * @param {object} settings The `license-sentinel.*` settings, keyed without the prefix.
+ * @param {object} [options] Optional hooks.
+ * @param {{get(key: string): any, update(key: string, value: any): any}} [options.cache] The cache store; an in-memory one by default.
+ * @param {function(string): void} [options.onProgress] Called with each progress message.
+ * @param {function(string, Error): void} [options.onError] Called when a file can't be processed; logs to the console by default.
+ * @returns {import('../core/engine').ScanHost} The scan host.
+ */
+function createNodeHost(rootDir, settings, options = {}) {
+    const root = path.resolve(rootDir);
+    const {
+        cache = createMemoryStore(),
+        onProgress = () => {},
+        onError = (relativePath, error) => console.error(`License Sentinel 🛡️: Failed to process ${relativePath}: ${error.message}`)
+    } = options;
+
+    return {
+        getSettings: () => settings,
+
+        async findFiles(fileNames, excludePatterns) {
+            const relativePaths = await findManifestFiles(root, fileNames, excludePatterns);
+            return relativePaths.map(relativePath => ({
+                filePath: path.join(root, relativePath),
+                relativePath,
+                rootDir: root
+            }));
+        },
+
+        readFile: filePath => fs.readFile(filePath, 'utf8'),
+
+        cache,
+
+        reportProgress: onProgress,
+
+        reportError: onError
+    };
+}
+
+module.exports = { createNodeHost, findManifestFiles };
@@ -0,0 +1,128 @@
+// This file adapts the VS Code API to the host interface of the scan pipeline (see src/core/engine.js).
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * Tells whether the workspace has several folders, in which case results are labeled with the name of their folder.
+ * @returns {boolean} True in a multi-root workspace.
+ */
+function isMultiRoot() {
+    return (vscode.workspace.workspaceFolders || []).length > 1;
+}
+
+/**
+ * Describes a file of the workspace the way the scan pipeline expects.
+ * @param {vscode.Uri} uri The URI of the file.
+ * @returns {import('../core/engine').ManifestFile} The file, with its path relative to its workspace folder and, in a multi-root workspace,
+ *   the name of that folder.
+ */
+function toManifestFile(uri) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    return {
+        filePath: uri.fsPath,
+        // The path never includes the folder name; in a multi-root workspace, `workspaceFolder` tells files with the same path apart.
+        relativePath: vscode.workspace.asRelativePath(uri, false),
+        rootDir: workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(uri.fsPath),
+        workspaceFolder: workspaceFolder && isMultiRoot() ? workspaceFolder.name : undefined
+    };
+}
+
+/**
+ * Resolves a path relative to the workspace folder of a dependency.
+ * @param {{workspaceFolder?: string}} dep The dependency.
+ * @param {string} relativePath The path, relative to the dependency's workspace folder.
+ * @returns {vscode.Uri | undefined} The URI of the file, or undefined if no folder is open.
+ */
+function resolveInFolder(dep, relativePath) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const folder = folders.find(f => f.name === dep.workspaceFolder) || folders[0];
+    return folder ? vscode.Uri.joinPath(folder.uri, relativePath) : undefined;
+}
+
+/**
+ * Finds the manifest file a dependency was declared in.
+ * @param {{manifestFile: string, workspaceFolder?: string}} dep The dependency.
+ * @returns {vscode.Uri | undefined} The URI of the manifest file, or undefined if no folder is open.
+ */
+function getManifestUri(dep) {
+    return resolveInFolder(dep, dep.manifestFile);
+}
+
+/**
+ * Finds the policy file a dependency was checked against.
+ * @param {{policyFile: string, workspaceFolder?: string}} dep The dependency, checked against a policy file.
+ * @returns {vscode.Uri | undefined} The URI of the policy file, or undefined if no folder is open.
+ */
+function getPolicyFileUri(dep) {
+    return resolveInFolder(dep, dep.policyFile);
+}
+
+/**
+ * Tells whether a dependency was declared in the given file.
+ * @param {{manifestFile: string, workspaceFolder?: string}} dep The dependency.
+ * @param {vscode.Uri} uri The URI of the file, e.g. of the active editor.
+ * @returns {boolean} True if the file is the dependency's manifest file.
+ */
+function isDeclaredIn(dep, uri) {
+    const file = toManifestFile(uri);
+    return dep.manifestFile === file.relativePath && dep.workspaceFolder === file.workspaceFolder;
+}
+
+/**
+ * Creates a scan host backed by the open VS Code workspace.
+ * @param {vscode.ExtensionContext} context The extension context, whose global state is used as the cache.
+ * @param {vscode.Progress<{message?: string}>} progress A progress object to report progress to the user.
+ * @returns {import('../core/engine').ScanHost} The scan host.
+ */
+function createVsCodeHost(context, progress) {
+    return {
+        getSettings(rootDir) {
+            // Get the configuration settings for the extension; those of a workspace folder include its own folder settings.
+            const config = vscode.workspace.getConfiguration('license-sentinel', rootDir ? vscode.Uri.file(rootDir) : undefined);
+            return {
+                allowedLicenses: config.get('allowedLicenses', []),
+                deniedLicenses: config.get('deniedLicenses', []),
+                licenseRules: config.get('licenseRules', []),
+                scopePolicies: config.get('scopePolicies', {}),
+                distributionModel: config.get('distributionModel', 'distributed'),
+                deniedObligations: config.get('deniedObligations', ['networkUseIsDistribution']),
+                policyOverrides: config.get('policyOverrides', []),
+                excludePatterns: config.get('excludePatterns', []),
+                concurrencyLimit: config.get('concurrencyLimit', 10),
+                cacheTtlHours: config.get('cacheTtlHours', 24),
+                resolutionMode: config.get('resolutionMode', 'network'),
+                pythonVirtualEnv: config.get('pythonVirtualEnv', ''),
+                goProxy: config.get('goProxy', ''),
+                goIncludeGoSum: config.get('goIncludeGoSum', false),
+                projectLicense: config.get('projectLicense', '')
+            };
+        },
+
+        async findFiles(fileNames, excludePatterns) {
+            // Find all matching files in the workspace, excluding those that match the exclude patterns.
+            const uris = await vscode.workspace.findFiles(`**/{${fileNames.join(',')}}`, `{${excludePatterns.join(',')}}`);
+            return uris.map(toManifestFile);
+        },
+
+        async readFile(filePath) {
+            // Open the file as a document, so unsaved changes in the editor are scanned too.
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+            return document.getText();
+        },
+
+        // The global state persists across sessions and is shared by every workspace, like the registry facts it caches.
+        cache: context.globalState,
+
+        reportProgress(message) {
+            progress.report({ message });
+        },
+
+        reportError(relativePath, error) {
+            // Log the error and show an error message.
+            console.error(`Failed to process ${relativePath}:`, error);
+            vscode.window.showErrorMessage(`Error processing ${relativePath}. Check its format and console for details.`);
+        }
+    };
+}
+
+module.exports = { createVsCodeHost, isMultiRoot, toManifestFile, getManifestUri, getPolicyFileUri, isDeclaredIn };
@@ -0,0 +1,29 @@
+// This file builds the raw CSV dependency report, used by the "Export Report" command and the CLI.
+
+const { convertToCsv, formatManifestPath } = require('../utils/text');
+
+/**
+ * Builds a CSV report with one row per scanned dependency.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {string} The CSV report.
+ */
+function buildCsvReport(dependencyData) {
+    // Map the dependency data to a format suitable for CSV export.
+    const csvData = dependencyData.map(dep => ({
+        name: dep.name,
+        version: dep.version,
+        resolvedVersion: dep.resolvedVersion,
+        license: dep.license,
+        normalizedLicense: dep.normalizedLicense || '',
+        status: dep.status,
+        scope: dep.scope || 'runtime',
+        homepage: dep.homepage,
+        source: formatManifestPath(dep),
+        dependencyPath: (dep.dependencyPath || []).join(' > '),
+        reason: dep.analysis.reason.replace(/,/g, ';'), // Avoid commas in reason
+    }));
+    // Convert the data to CSV format.
+    return convertToCsv(csvData);
+}
+
+module.exports = { buildCsvReport };
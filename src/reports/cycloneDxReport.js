@@ -0,0 +1,167 @@
+// This file builds CycloneDX 1.5 software bills of materials (SBOMs) in JSON and XML, used by the "Export Report" command and the CLI.
+// See https://cyclonedx.org/docs/1.5/json/ for the specification.
+const crypto = require('crypto');
+const xml2js = require('xml2js'); // Import xml2js to write the XML variant of the SBOM.
+const { toSpdxExpression } = require('../ai/licenseAnalyzer');
+const { buildPurl, splitPackageName } = require('../utils/purl');
+const { formatManifestPath } = require('../utils/text');
+const packageJson = require('../../package.json');
+
+// The prefix of the custom properties written for each component.
+const PROPERTY_PREFIX = 'license-sentinel';
+
+/**
+ * Builds the CycloneDX `licenses` entries of a dependency.
+ * Recognized licenses are written as SPDX ids or expressions; anything else keeps its original name.
+ * @param {string} license The license string of the dependency.
+ * @param {string | null} [normalizedLicense] The SPDX expression the license was normalized to during the scan, if any.
+ * @returns {Array<object>} The license entries; empty when the license couldn't be looked up.
+ */
+function toLicenseChoices(license, normalizedLicense = null) {
+    // Lookup errors and missing licenses aren't licenses at all.
+    if (!license || license === 'N/A' || license.startsWith('Error')) return [];
+    const expression = normalizedLicense || toSpdxExpression(license);
+    if (!expression) return [{ license: { name: license } }];
+    // A single license without an exception is written as an id; everything else as an expression.
+    return /\s/.test(expression) ? [{ expression }] : [{ license: { id: expression } }];
+}
+
+// The CycloneDX component scopes, from the strongest to the weakest.
+const COMPONENT_SCOPES = ['required', 'optional', 'excluded'];
+
+/**
+ * Converts the scope of a dependency into a CycloneDX component scope.
+ * @param {string} [scope] The scope of the dependency; dependencies without one are runtime dependencies.
+ * @returns {string} 'required' for runtime dependencies, 'optional' for optional and peer ones, and 'excluded' for those that aren't
+ *   part of the runtime (such as dev, test and build dependencies, and those provided by the runtime environment).
+ */
+function toComponentScope(scope = 'runtime') {
+    if (scope === 'runtime') return 'required';
+    return scope === 'optional' || scope === 'peer' ? 'optional' : 'excluded';
+}
+
+/**
+ * Picks the stronger of two CycloneDX component scopes.
+ * @param {string} a A component scope.
+ * @param {string} b Another component scope.
+ * @returns {string} The stronger scope.
+ */
+function strongerComponentScope(a, b) {
+    return COMPONENT_SCOPES.indexOf(a) <= COMPONENT_SCOPES.indexOf(b) ? a : b;
+}
+
+/**
+ * Converts the scanned dependencies into CycloneDX components, one per package and version.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {Array<object>} The components, in the JSON format.
+ */
+function toComponents(dependencyData) {
+    const components = new Map();
+    for (const dep of dependencyData) {
+        const version = dep.resolvedVersion || dep.version;
+        const purl = buildPurl(dep.ecosystem, dep.name, version);
+        // The same package is often listed by both a manifest and its lockfile; each bom-ref must be unique.
+        const bomRef = purl || `${dep.ecosystem || 'unknown'}:${dep.name}@${version}`;
+        if (components.has(bomRef)) {
+            const existing = components.get(bomRef);
+            existing.properties.push({ name: `${PROPERTY_PREFIX}:manifestFile`, value: formatManifestPath(dep) });
+            // A package needed at runtime by any manifest is required, even if another one only uses it for development.
+            existing.scope = strongerComponentScope(existing.scope, toComponentScope(dep.scope));
+            continue;
+        }
+
+        const { namespace, name } = splitPackageName(dep.ecosystem, dep.name);
+        // Go module paths are written in full, as the name; other namespaces become the group.
+        const component = { type: 'library', 'bom-ref': bomRef };
+        if (namespace && dep.ecosystem !== 'golang') component.group = namespace;
+        component.name = dep.ecosystem === 'golang' ? dep.name : name;
+        component.version = version;
+        component.scope = toComponentScope(dep.scope);
+
+        const licenses = toLicenseChoices(dep.license, dep.normalizedLicense);
+        if (licenses.length > 0) component.licenses = licenses;
+        if (purl) component.purl = purl;
+        if (dep.homepage) component.externalReferences = [{ type: 'website', url: dep.homepage }];
+
+        component.properties = [
+            { name: `${PROPERTY_PREFIX}:status`, value: dep.status },
+            { name: `${PROPERTY_PREFIX}:reason`, value: (dep.analysis && dep.analysis.reason) || '' },
+            { name: `${PROPERTY_PREFIX}:manifestFile`, value: formatManifestPath(dep) }
+        ];
+        components.set(bomRef, component);
+    }
+    return [...components.values()];
+}
+
+/**
+ * Builds the parts shared by the JSON and XML SBOMs.
+ * @returns {{serialNumber: string, timestamp: string, tool: object}} The document metadata.
+ */
+function createBomMetadata() {
+    return {
+        serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+        timestamp: new Date().toISOString(),
+        tool: { type: 'application', name: 'License Sentinel', version: packageJson.version }
+    };
+}
+
+/**
+ * Builds a CycloneDX 1.5 SBOM in JSON.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {string} The SBOM.
+ */
+function buildCycloneDxJson(dependencyData) {
+    const { serialNumber, timestamp, tool } = createBomMetadata();
+    const bom = {
+        bomFormat: 'CycloneDX',
+        specVersion: '1.5',
+        serialNumber,
+        version: 1,
+        metadata: { timestamp, tools: { components: [tool] } },
+        components: toComponents(dependencyData)
+    };
+    return JSON.stringify(bom, null, 2);
+}
+
+/**
+ * Builds a CycloneDX 1.5 SBOM in XML.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {string} The SBOM.
+ */
+function buildCycloneDxXml(dependencyData) {
+    const { serialNumber, timestamp, tool } = createBomMetadata();
+
+    // The XML schema requires the child elements of a component in this order.
+    const toXmlComponent = component => {
+        const element = { $: { type: component.type, 'bom-ref': component['bom-ref'] } };
+        if (component.group) element.group = component.group;
+        element.name = component.name;
+        element.version = component.version;
+        element.scope = component.scope;
+        if (component.licenses) {
+            element.licenses = component.licenses[0].expression
+                ? { expression: component.licenses[0].expression }
+                : { license: component.licenses.map(choice => choice.license) };
+        }
+        if (component.purl) element.purl = component.purl;
+        if (component.externalReferences) {
+            element.externalReferences = { reference: component.externalReferences.map(ref => ({ $: { type: ref.type }, url: ref.url })) };
+        }
+        element.properties = { property: component.properties.map(property => ({ $: { name: property.name }, _: property.value })) };
+        return element;
+    };
+
+    const bom = {
+        bom: {
+            $: { xmlns: 'http://cyclonedx.org/schema/bom/1.5', serialNumber, version: 1 },
+            metadata: {
+                timestamp,
+                tools: { components: { component: { $: { type: tool.type }, name: tool.name, version: tool.version } } }
+            },
+            components: { component: toComponents(dependencyData).map(toXmlComponent) }
+        }
+    };
+    return new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } }).buildObject(bom);
+}
+
+module.exports = { buildCycloneDxJson, buildCycloneDxXml };
@@ -0,0 +1,32 @@
+// This file builds the machine-readable JSON report, used by the CLI for CI pipelines.
+
+/**
+ * Builds a JSON report with a summary and every scanned dependency.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {string} The JSON report.
+ */
+function buildJsonReport(dependencyData) {
+    // Count the dependencies by status.
+    const summary = {
+        total: dependencyData.length, compliant: 0, unknown: 0, needsReview: 0, nonCompliant: 0, incompatible: 0,
+        exceptions: { active: 0, expiringSoon: 0, expired: 0, stale: 0 }
+    };
+    // The summary keys of the policy exception states.
+    const exceptionKeys = { active: 'active', 'expiring-soon': 'expiringSoon', expired: 'expired', stale: 'stale' };
+    dependencyData.forEach(d => {
+        if (d.status === 'non-compliant') summary.nonCompliant++;
+        else if (d.status === 'unknown') summary.unknown++;
+        else summary.compliant++;
+        // Unknown dependencies the license rules send to review are also counted on their own.
+        if (d.analysis?.needsReview) summary.needsReview++;
+        // Compatibility issues with the project's license are counted on their own, whatever the status.
+        if ((d.analysis?.details?.compatibilityIssues || []).length > 0) summary.incompatible++;
+        // Dependencies matched by a policy exception are counted by the state of the exception.
+        if (d.policyException) summary.exceptions[exceptionKeys[d.policyException.state]]++;
+    });
+
+    // Return the report, indented for readability.
+    return JSON.stringify({ generated: new Date().toISOString(), summary, dependencies: dependencyData }, null, 2);
+}
+
+module.exports = { buildJsonReport };
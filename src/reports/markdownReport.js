@@ -0,0 +1,61 @@
+// This file builds the human-readable Markdown compliance report, used by the "Export Report" command and the CLI.
+
+const { formatManifestPath } = require('../utils/text');
+
+/**
+ * Builds a Markdown compliance report from the scanned dependencies.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @returns {string} The Markdown report.
+ */
+function buildMarkdownReport(dependencyData) {
+    // Filter the dependencies by status.
+    const nonCompliantDeps = dependencyData.filter(d => d.status === 'non-compliant');
+    const unknownDeps = dependencyData.filter(d => d.status === 'unknown');
+    const compliantCount = dependencyData.length - nonCompliantDeps.length - unknownDeps.length;
+
+    // Create the Markdown report.
+    let report = `# 🛡️ License Sentinel - Compliance Report\n\n`;
+    report += `**Generated:** ${new Date().toUTCString()}\n\n`;
+    report += `## 📊 Summary\n\n`;
+    report += `| Status | Count |\n| :--- | :---: |\n`;
+    report += `| ✅ Compliant | ${compliantCount} |\n`;
+    report += `| ❓ Unknown | ${unknownDeps.length} |\n`;
+    report += `| ❌ Non-Compliant | ${nonCompliantDeps.length} |\n\n`;
+
+    // Add the non-compliant dependencies to the report.
+    if (nonCompliantDeps.length > 0) {
+        report += `## ❌ Non-Compliant Dependencies (${nonCompliantDeps.length})\n\n`;
+        report += `These dependencies have licenses that are explicitly forbidden by your project's policy or have been marked as non-compliant by an override.\n\n`;
+        report += `| Package | Version | License | Reason |\n| :--- | :--- | :--- | :--- |\n`;
+        nonCompliantDeps.forEach(d => {
+            report += `| \`${d.name}\` | \`${d.version}\` | \`${d.license}\` | ${d.analysis.reason} |\n`;
+        });
+    }
+
+    // Add the unknown dependencies to the report.
+    if (unknownDeps.length > 0) {
+        report += `\n## ❓ Unknown Status Dependencies (${unknownDeps.length})\n\n`;
+        report += `These dependencies have licenses that are not on your allowed or denied lists. Manual review is required.\n\n`;
+        report += `| Package | Version | License | Source File |\n| :--- | :--- | :--- | :--- |\n`;
+        unknownDeps.forEach(d => {
+            report += `| \`${d.name}\` | \`${d.version}\` | \`${d.license}\` | \`${formatManifestPath(d)}\` |\n`;
+        });
+    }
+
+    // Add the dependencies that may be incompatible with the project's license.
+    const incompatibleDeps = dependencyData.filter(d => (d.analysis?.details?.compatibilityIssues || []).length > 0);
+    if (incompatibleDeps.length > 0) {
+        report += `\n## ⚠️ License Compatibility Issues (${incompatibleDeps.length})\n\n`;
+        report += `These dependencies have licenses that may be incompatible with your project's license, even when your policy allows them.\n\n`;
+        report += `| Package | Version | License | Project License | Source File |\n| :--- | :--- | :--- | :--- | :--- |\n`;
+        incompatibleDeps.forEach(d => {
+            const issues = d.analysis.details.compatibilityIssues;
+            report += `| \`${d.name}\` | \`${d.version}\` | \`${d.license}\` | \`${issues[0].to}\` | \`${formatManifestPath(d)}\` |\n`;
+        });
+    }
+
+    // Return the finished report.
+    return report;
+}
+
+module.exports = { buildMarkdownReport };
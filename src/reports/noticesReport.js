@@ -0,0 +1,123 @@
+// This file builds the third-party notices file (THIRD_PARTY_NOTICES), used by the "Generate Third-Party Notices" command.
+// Packages that share the same license text are grouped, so each text is printed once, after the copyright lines of its packages.
+
+/**
+ * Formats the name and version of a package, e.g. "lodash@4.17.21".
+ * @param {object} pkg A package of a notices group.
+ * @returns {string} The package label.
+ */
+function packageLabel(pkg) {
+    return pkg.version ? `${pkg.name}@${pkg.version}` : pkg.name;
+}
+
+/**
+ * Builds the plain-text third-party notices file.
+ * @param {{groups: Array<object>, missing: Array<object>}} notices The notices collected by collectThirdPartyNotices.
+ * @param {{productName?: string}} [options] The name of the product the notices are shipped with.
+ * @returns {string} The text file.
+ */
+function buildNoticesText({ groups, missing }, { productName } = {}) {
+    const separator = '-'.repeat(80);
+    let text = `THIRD-PARTY SOFTWARE NOTICES AND INFORMATION\n\n`;
+    text += `${productName || 'This project'} includes the following third-party software, licensed as described below.\n\n`;
+
+    for (const group of groups) {
+        text += `${separator}\n\n`;
+        for (const pkg of group.packages) {
+            text += `${packageLabel(pkg)} (${pkg.license})${pkg.homepage ? ` - ${pkg.homepage}` : ''}\n`;
+            pkg.copyrights.forEach(copyright => { text += `    ${copyright}\n`; });
+        }
+        text += `\n${group.text}\n\n`;
+        // NOTICE files must be reproduced as they are (e.g. Apache-2.0, section 4d).
+        for (const pkg of group.packages.filter(p => p.notice)) {
+            text += `NOTICE for ${packageLabel(pkg)}:\n\n${pkg.notice}\n\n`;
+        }
+    }
+
+    if (missing.length > 0) {
+        text += `${separator}\n\n`;
+        text += `No license text could be found for the following packages:\n\n`;
+        missing.forEach(dep => { text += `    ${dep.name}@${dep.version} (${dep.license})\n`; });
+    }
+    return text;
+}
+
+/**
+ * Builds the Markdown third-party notices file.
+ * @param {{groups: Array<object>, missing: Array<object>}} notices The notices collected by collectThirdPartyNotices.
+ * @param {{productName?: string}} [options] The name of the product the notices are shipped with.
+ * @returns {string} The Markdown file.
+ */
+function buildNoticesMarkdown({ groups, missing }, { productName } = {}) {
+    let report = `# Third-Party Software Notices\n\n`;
+    report += `${productName || 'This project'} includes the following third-party software, licensed as described below.\n\n`;
+
+    for (const group of groups) {
+        // Titled by the license of the first package, since the whole group shares its text.
+        report += `## ${group.packages[0].license}\n\n`;
+        for (const pkg of group.packages) {
+            const label = pkg.homepage ? `[\`${packageLabel(pkg)}\`](${pkg.homepage})` : `\`${packageLabel(pkg)}\``;
+            report += `- ${label}${pkg.copyrights.length > 0 ? ` — ${pkg.copyrights.join('; ')}` : ''}\n`;
+        }
+        // Fenced so the license text is shown as it is written.
+        report += `\n\`\`\`text\n${group.text}\n\`\`\`\n\n`;
+        for (const pkg of group.packages.filter(p => p.notice)) {
+            report += `### NOTICE for \`${packageLabel(pkg)}\`\n\n\`\`\`text\n${pkg.notice}\n\`\`\`\n\n`;
+        }
+    }
+
+    if (missing.length > 0) {
+        report += `## ⚠️ Packages Without a License Text (${missing.length})\n\n`;
+        report += `| Package | Version | License |\n| :--- | :--- | :--- |\n`;
+        missing.forEach(dep => { report += `| \`${dep.name}\` | \`${dep.version}\` | \`${dep.license}\` |\n`; });
+    }
+    return report;
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML.
+ * @param {string} value The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the HTML third-party notices file, e.g. for an "About" page.
+ * @param {{groups: Array<object>, missing: Array<object>}} notices The notices collected by collectThirdPartyNotices.
+ * @param {{productName?: string}} [options] The name of the product the notices are shipped with.
+ * @returns {string} The HTML document.
+ */
+function buildNoticesHtml({ groups, missing }, { productName } = {}) {
+    let html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Third-Party Software Notices</title>\n</head>\n<body>\n`;
+    html += `<h1>Third-Party Software Notices</h1>\n`;
+    html += `<p>${escapeHtml(productName || 'This project')} includes the following third-party software, licensed as described below.</p>\n`;
+
+    for (const group of groups) {
+        html += `<h2>${escapeHtml(group.packages[0].license)}</h2>\n<ul>\n`;
+        for (const pkg of group.packages) {
+            const label = pkg.homepage
+                ? `<a href="${escapeHtml(pkg.homepage)}">${escapeHtml(packageLabel(pkg))}</a>`
+                : escapeHtml(packageLabel(pkg));
+            html += `<li>${label}${pkg.copyrights.map(copyright => `<br>${escapeHtml(copyright)}`).join('')}</li>\n`;
+        }
+        html += `</ul>\n<pre>${escapeHtml(group.text)}</pre>\n`;
+        for (const pkg of group.packages.filter(p => p.notice)) {
+            html += `<h3>NOTICE for ${escapeHtml(packageLabel(pkg))}</h3>\n<pre>${escapeHtml(pkg.notice)}</pre>\n`;
+        }
+    }
+
+    if (missing.length > 0) {
+        html += `<h2>Packages Without a License Text</h2>\n<ul>\n`;
+        missing.forEach(dep => { html += `<li>${escapeHtml(`${dep.name}@${dep.version}`)} (${escapeHtml(dep.license)})</li>\n`; });
+        html += `</ul>\n`;
+    }
+    return `${html}</body>\n</html>\n`;
+}
+
+module.exports = { buildNoticesText, buildNoticesMarkdown, buildNoticesHtml };
@@ -0,0 +1,254 @@
+// This file builds SPDX 2.3 documents in the tag-value and JSON formats, used by the "Export Report" command and the CLI.
+// See https://spdx.github.io/spdx-spec/v2.3/ for the specification.
+const crypto = require('crypto');
+const { toSpdxExpression } = require('../ai/licenseAnalyzer');
+const { SPDX_LICENSE_LIST_VERSION } = require('../ai/spdxLicenseList');
+const { buildPurl } = require('../utils/purl');
+const { formatManifestPath } = require('../utils/text');
+const packageJson = require('../../package.json');
+
+// The value used by SPDX for fields whose content is unknown.
+const NOASSERTION = 'NOASSERTION';
+// The relationship of a package to the manifest listing it, for each scope other than runtime and peer (which the manifest DEPENDS_ON).
+const SCOPE_RELATIONSHIPS = {
+    optional: 'OPTIONAL_DEPENDENCY_OF',
+    provided: 'PROVIDED_DEPENDENCY_OF',
+    build: 'BUILD_DEPENDENCY_OF',
+    test: 'TEST_DEPENDENCY_OF',
+    dev: 'DEV_DEPENDENCY_OF'
+};
+
+/**
+ * Turns arbitrary text into the idstring allowed after "SPDXRef-" and "LicenseRef-" (letters, digits, '.' and '-').
+ * @param {string} text The text to convert.
+ * @returns {string} The idstring.
+ */
+function toIdString(text) {
+    return String(text).replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+/**
+ * Builds the format-independent model of the SPDX document from the scanned dependencies.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @param {{documentName?: string}} options The document options.
+ * @returns {object} The document model.
+ */
+function buildSpdxModel(dependencyData, options) {
+    const documentName = options.documentName || 'license-sentinel-report';
+    // Licenses that aren't SPDX expressions get a LicenseRef, keyed by their original text.
+    const extractedLicenses = new Map();
+    const licenseRefFor = text => {
+        if (!extractedLicenses.has(text)) {
+            let licenseId = `LicenseRef-${toIdString(text)}`;
+            // Different texts may map to the same idstring.
+            for (let suffix = 2; [...extractedLicenses.values()].some(l => l.licenseId === licenseId); suffix++) {
+                licenseId = `LicenseRef-${toIdString(text)}-${suffix}`;
+            }
+            extractedLicenses.set(text, { licenseId, name: text, extractedText: text });
+        }
+        return extractedLicenses.get(text).licenseId;
+    };
+
+    const manifests = new Map();
+    const packages = new Map();
+    const relationships = [];
+
+    for (const dep of dependencyData) {
+        // Each manifest file is described as a package of its own, which depends on the packages it lists.
+        const manifestPath = formatManifestPath(dep);
+        if (!manifests.has(manifestPath)) {
+            const spdxId = `SPDXRef-Manifest-${manifests.size + 1}-${toIdString(manifestPath)}`;
+            manifests.set(manifestPath, { spdxId, name: manifestPath });
+            relationships.push({ from: 'SPDXRef-DOCUMENT', type: 'DESCRIBES', to: spdxId });
+        }
+
+        const version = dep.resolvedVersion || dep.version;
+        const purl = buildPurl(dep.ecosystem, dep.name, version);
+        const key = purl || `${dep.ecosystem}:${dep.name}@${version}`;
+        if (!packages.has(key)) {
+            // A failed lookup leaves nothing to assert about the license.
+            const lookupFailed = !dep.license || dep.license === 'N/A' || dep.license.startsWith('Error');
+            // Declared is the license as published by the package; concluded is License Sentinel's normalized reading of it.
+            // Parts that aren't SPDX licenses are replaced by LicenseRefs, falling back to one for the whole string.
+            const declared = lookupFailed ? NOASSERTION
+                : toSpdxExpression(dep.license, { normalize: false, onUnknown: licenseRefFor }) || licenseRefFor(dep.license);
+            const concluded = lookupFailed ? NOASSERTION
+                : dep.normalizedLicense || toSpdxExpression(dep.license, { onUnknown: licenseRefFor }) || licenseRefFor(dep.license);
+
+            packages.set(key, {
+                spdxId: `SPDXRef-Package-${packages.size + 1}-${toIdString(dep.name)}`,
+                name: dep.name,
+                version,
+                homepage: dep.homepage || '',
+                declared,
+                concluded,
+                purl,
+                comment: `License Sentinel status: ${dep.status}. ${(dep.analysis && dep.analysis.reason) || ''}`.trim()
+            });
+        }
+        // Dependencies that aren't needed at runtime are related to the manifest by the SPDX relationship of their scope.
+        const scopeRelationship = SCOPE_RELATIONSHIPS[dep.scope];
+        relationships.push(scopeRelationship
+            ? { from: packages.get(key).spdxId, type: scopeRelationship, to: manifests.get(manifestPath).spdxId }
+            : { from: manifests.get(manifestPath).spdxId, type: 'DEPENDS_ON', to: packages.get(key).spdxId });
+    }
+
+    return {
+        documentName,
+        namespace: `https://spdx.org/spdxdocs/${toIdString(documentName)}-${crypto.randomUUID()}`,
+        // SPDX timestamps have no fractional seconds.
+        created: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        creator: `Tool: License Sentinel-${packageJson.version}`,
+        // The release of the SPDX license list the license ids were checked against.
+        licenseListVersion: SPDX_LICENSE_LIST_VERSION || null,
+        manifests: [...manifests.values()],
+        packages: [...packages.values()],
+        relationships,
+        extractedLicenses: [...extractedLicenses.values()]
+    };
+}
+
+/**
+ * Formats a tag-value field, wrapping values that span several lines in <text> tags.
+ * @param {string} tag The tag name.
+ * @param {string} value The value.
+ * @returns {string} The formatted line.
+ */
+function tagValue(tag, value) {
+    const text = String(value);
+    return /[\n\r]/.test(text) || text.includes('<text>') ? `${tag}: <text>${text}</text>` : `${tag}: ${text}`;
+}
+
+/**
+ * Builds an SPDX 2.3 document in the tag-value format.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @param {{documentName?: string}} [options] The document options.
+ * @returns {string} The SPDX document.
+ */
+function buildSpdxTagValue(dependencyData, options = {}) {
+    const model = buildSpdxModel(dependencyData, options);
+    const lines = [
+        'SPDXVersion: SPDX-2.3',
+        'DataLicense: CC0-1.0',
+        'SPDXID: SPDXRef-DOCUMENT',
+        tagValue('DocumentName', model.documentName),
+        `DocumentNamespace: ${model.namespace}`,
+        tagValue('Creator', model.creator),
+        `Created: ${model.created}`
+    ];
+    if (model.licenseListVersion) lines.push(`LicenseListVersion: ${model.licenseListVersion}`);
+
+    for (const manifest of model.manifests) {
+        lines.push(
+            '',
+            `##### Manifest file: ${manifest.name}`,
+            '',
+            tagValue('PackageName', manifest.name),
+            `SPDXID: ${manifest.spdxId}`,
+            `PackageDownloadLocation: ${NOASSERTION}`,
+            'FilesAnalyzed: false',
+            `PackageLicenseConcluded: ${NOASSERTION}`,
+            `PackageLicenseDeclared: ${NOASSERTION}`,
+            `PackageCopyrightText: ${NOASSERTION}`,
+            'PrimaryPackagePurpose: SOURCE'
+        );
+    }
+
+    for (const pkg of model.packages) {
+        lines.push(
+            '',
+            `##### Package: ${pkg.name}`,
+            '',
+            tagValue('PackageName', pkg.name),
+            `SPDXID: ${pkg.spdxId}`,
+            tagValue('PackageVersion', pkg.version),
+            `PackageDownloadLocation: ${NOASSERTION}`,
+            'FilesAnalyzed: false'
+        );
+        if (pkg.homepage) lines.push(tagValue('PackageHomePage', pkg.homepage));
+        lines.push(
+            tagValue('PackageLicenseConcluded', pkg.concluded),
+            tagValue('PackageLicenseDeclared', pkg.declared),
+            `PackageCopyrightText: ${NOASSERTION}`
+        );
+        if (pkg.purl) lines.push(`ExternalRef: PACKAGE-MANAGER purl ${pkg.purl}`);
+        lines.push(tagValue('PackageComment', pkg.comment));
+    }
+
+    if (model.extractedLicenses.length > 0) lines.push('', '##### Other licenses');
+    for (const license of model.extractedLicenses) {
+        lines.push(
+            '',
+            `LicenseID: ${license.licenseId}`,
+            `ExtractedText: <text>${license.extractedText}</text>`,
+            tagValue('LicenseName', license.name)
+        );
+    }
+
+    lines.push('', '##### Relationships', '');
+    for (const relationship of model.relationships) {
+        lines.push(`Relationship: ${relationship.from} ${relationship.type} ${relationship.to}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds an SPDX 2.3 document in the JSON format.
+ * @param {Array<object>} dependencyData The dependency objects produced by a scan.
+ * @param {{documentName?: string}} [options] The document options.
+ * @returns {string} The SPDX document.
+ */
+function buildSpdxJson(dependencyData, options = {}) {
+    const model = buildSpdxModel(dependencyData, options);
+
+    const manifestPackages = model.manifests.map(manifest => ({
+        SPDXID: manifest.spdxId,
+        name: manifest.name,
+        downloadLocation: NOASSERTION,
+        filesAnalyzed: false,
+        licenseConcluded: NOASSERTION,
+        licenseDeclared: NOASSERTION,
+        copyrightText: NOASSERTION,
+        primaryPackagePurpose: 'SOURCE'
+    }));
+
+    const dependencyPackages = model.packages.map(pkg => {
+        const element = {
+            SPDXID: pkg.spdxId,
+            name: pkg.name,
+            versionInfo: pkg.version,
+            downloadLocation: NOASSERTION,
+            filesAnalyzed: false
+        };
+        if (pkg.homepage) element.homepage = pkg.homepage;
+        element.licenseConcluded = pkg.concluded;
+        element.licenseDeclared = pkg.declared;
+        element.copyrightText = NOASSERTION;
+        if (pkg.purl) element.externalRefs = [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: pkg.purl }];
+        element.comment = pkg.comment;
+        return element;
+    });
+
+    const document = {
+        spdxVersion: 'SPDX-2.3',
+        dataLicense: 'CC0-1.0',
+        SPDXID: 'SPDXRef-DOCUMENT',
+        name: model.documentName,
+        documentNamespace: model.namespace,
+        creationInfo: { created: model.created, creators: [model.creator] },
+        packages: [...manifestPackages, ...dependencyPackages],
+        relationships: model.relationships.map(r => ({ spdxElementId: r.from, relationshipType: r.type, relatedSpdxElement: r.to }))
+    };
+    if (model.licenseListVersion) document.creationInfo.licenseListVersion = model.licenseListVersion;
+    if (model.extractedLicenses.length > 0) {
+        document.hasExtractedLicensingInfos = model.extractedLicenses.map(license => ({
+            licenseId: license.licenseId,
+            extractedText: license.extractedText,
+            name: license.name
+        }));
+    }
+    return JSON.stringify(document, null, 2);
+}
+
+module.exports = { buildSpdxTagValue, buildSpdxJson };
@@ -2,15 +2,19 @@
 
 const { fetchJson } = require('../utils/network'); // Import the fetchJson function from the network utils.
 const jsonc = require('jsonc-parser'); // Import jsonc-parser to get line numbers.
+const path = require('path');
+const { ancestorDirs, readJsonIfExists } = require('../utils/localFiles'); // Import helpers to read installed packages.
 
 const composerStrategy = {
     fileName: 'composer.json',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'composer',
 
     /**
      * Parses the composer.json file content and extracts dependencies with their locations.
      * @param {string} fileContent The content of the composer.json file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string}>} An array of dependency objects, with the scope of the section they are declared in.
      */
     parseDependencies(fileContent, document) {
         // This function takes the content of a composer.json file and a VS Code document object as input.
@@ -18,10 +22,10 @@ const composerStrategy = {
         const tree = jsonc.parseTree(fileContent); // Parse the file content into a JSONC tree structure using jsonc-parser.
         if (!tree) return []; // If the parsing fails (e.g., invalid JSON), return an empty array.
 
-        const depSections = ["require", "require-dev"]; // Define the sections in composer.json where dependencies are listed.
+        const depSections = { 'require': 'runtime', 'require-dev': 'dev' }; // Define the sections in composer.json where dependencies are listed, and their scope.
 
         // Iterate over the dependency sections ("require" and "require-dev").
-        for (const section of depSections) {
+        for (const [section, scope] of Object.entries(depSections)) {
             const depsNode = jsonc.findNodeAtLocation(tree, [section]); // Find the node in the tree corresponding to the current dependency section.
             // Check if the node exists, is an object, and has children (i.e., dependencies).
             if (depsNode && depsNode.type === 'object' && depsNode.children) {
@@ -41,6 +45,7 @@ const composerStrategy = {
                             name,
                             version,
                             line: position.line,
+                            scope,
                         });
                     }
                 });
@@ -52,19 +57,90 @@ const composerStrategy = {
     /**
      * Fetches the license information for a given package name from Packagist.
      * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version of the package (unused; Packagist lists every version).
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
      * @returns {Promise<object>} An object containing the license and homepage information.
      */
-    async fetchLicenseInfo(packageName) {
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
         // This function takes a package name as input and fetches its license and homepage information from Packagist.
-        const response = await fetchJson(`https://repo.packagist.org/p2/${packageName}.json`); // Fetch the package information from Packagist's API.
+        const response = await fetchJson(`https://repo.packagist.org/p2/${packageName}.json`, { signal: options.signal }); // Fetch the package information from Packagist's API.
         // The first version is often the latest stable, which is a reasonable default.
         const packageData = response.packages[packageName][0]; // Extract the package data from the response.
         // Return an object containing the license and homepage information.
-        return {
-            license: (packageData.license && packageData.license[0]) || 'N/A', // Extract the license from the package data, or set it to "N/A" if not found.
-            homepage: packageData.homepage || `https://packagist.org/packages/${packageName}` // Extract the homepage from the package data, or construct a default Packagist URL if not found.
-        };
+        return toLicenseInfo(packageName, packageData);
+    },
+
+    /**
+     * Reads the license information of an installed package from Composer's vendor/composer/installed.json, without using the network.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint declared in composer.json.
+     * @param {{manifestDir: string}} options The lookup options, including the folder of the manifest file.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    async fetchLocalLicenseInfo(packageName, packageVersion, options) {
+        const installed = await findInstalledPackage(packageName, options);
+        if (!installed) return null;
+        // Report the installed version along with its license.
+        return { ...toLicenseInfo(packageName, installed.packageData), resolvedVersion: String(installed.packageData.version || '').replace(/^v/, '') };
+    },
+
+    /**
+     * Finds the folder of an installed package in the vendor folder, to read its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint declared in the manifest.
+     * @param {{manifestDir: string}} options The lookup options, including the folder of the manifest file.
+     * @returns {Promise<string | null>} The absolute path of the package folder, or null if the package isn't installed.
+     */
+    async findPackageDir(packageName, packageVersion, options) {
+        const installed = await findInstalledPackage(packageName, options);
+        return installed && installed.dir;
+    },
+
+    /**
+     * Reads the license of the project itself from its composer.json.
+     * @param {string} fileContent The content of the composer.json file.
+     * @returns {string | null} The declared license, or null if there is none.
+     */
+    readProjectLicense(fileContent) {
+        const composerJson = jsonc.parse(fileContent) || {};
+        // The license is either a single id or a list of ids to choose from.
+        const licenses = [].concat(composerJson.license || []).filter(license => license && license !== 'proprietary');
+        return licenses.length > 0 ? licenses.join(' OR ') : null;
     }
 };
 
+/**
+ * Finds an installed package in the nearest vendor folder, using Composer's vendor/composer/installed.json.
+ * @param {string} packageName The name of the package.
+ * @param {{manifestDir: string}} options The lookup options, including the folder of the manifest file.
+ * @returns {Promise<{dir: string, packageData: object} | null>} The package folder and its installed.json record, or null if it isn't installed.
+ */
+async function findInstalledPackage(packageName, options) {
+    // Look for the vendor folder next to composer.json first, then in its parents.
+    for (const dir of ancestorDirs(options.manifestDir)) {
+        const installed = await readJsonIfExists(path.join(dir, 'vendor', 'composer', 'installed.json'));
+        if (!installed) continue;
+        // Composer 2 wraps the list in a 'packages' property; Composer 1 stores a plain array.
+        const packages = Array.isArray(installed) ? installed : (installed.packages || []);
+        const packageData = packages.find(p => p.name && p.name.toLowerCase() === packageName.toLowerCase());
+        if (!packageData) return null;
+        return { dir: path.join(dir, 'vendor', packageData.name), packageData };
+    }
+    return null;
+}
+
+/**
+ * Builds the license info object from a Composer package record, as found on Packagist or in installed.json.
+ * @param {string} packageName The name of the package.
+ * @param {object} packageData The package record.
+ * @returns {{license: string, homepage: string}}
+ */
+function toLicenseInfo(packageName, packageData) {
+    return {
+        // Composer lists the licenses of dual-licensed packages as an array, any of which may be chosen.
+        license: [].concat(packageData.license || []).join(' OR ') || 'N/A',
+        homepage: packageData.homepage || `https://packagist.org/packages/${packageName}` // Extract the homepage from the package data, or construct a default Packagist URL if not found.
+    };
+}
+
 module.exports = composerStrategy;
\ No newline at end of file
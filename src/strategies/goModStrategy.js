@@ -1,101 +1,337 @@
 // This file defines the strategy for parsing Go Modules' go.mod files and fetching license information.
+// Go modules don't declare their license, so it is detected from the license files of the module: in the local module cache,
+// or in the module zip served by the Go module proxy (GOPROXY).
 
-const { fetchJson } = require('../utils/network');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const semver = require('semver');
+const { fetchText } = require('../utils/network');
+const { listDir } = require('../utils/localFiles');
+const { isLicenseFileName, readLicenseFiles, partitionLicenseFiles, identifyLicenseText } = require('../utils/licenseFiles');
+const { readZipFiles } = require('../utils/zip');
+
+// The proxy used when neither the goProxy setting nor the GOPROXY environment variable name one, like the go command.
+const DEFAULT_GOPROXY = 'https://proxy.golang.org';
 
 const goModStrategy = {
     fileName: 'go.mod',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'golang',
 
     /**
-     * Parses the go.mod file content and extracts dependencies with their locations.
+     * Parses the go.mod file content and extracts the required modules with their locations.
+     * `replace` directives are applied: a module replaced by another is reported as the replacement, and a module replaced by a
+     * local folder keeps its path with the folder as its version. Module versions listed by `exclude` are skipped.
      * @param {string} fileContent The content of the go.mod file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the go.mod file, next to which go.sum is read.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @param {boolean} [options.includeGoSum] Whether the modules only listed in go.sum (the rest of the build list) are reported too.
+     * @returns {Promise<Array<{name: string, version: string, line: number, indirect: boolean}>>} An array of dependency objects;
+     *   `indirect` marks the modules required with an `// indirect` comment and those read from go.sum.
      */
-    parseDependencies(fileContent, document) {
-        // Initialize an empty array to store the dependencies found in the go.mod file.
-        const dependencies = [];
-        // Split the file content into lines for easier processing.
-        const lines = fileContent.split(/\r?\n/);
-
-        // Regex to find the 'require' block which may contain multiple dependencies.
-        const requireRegex = /require\s*\(([^)]+)\)/;
-        // Attempt to match the 'require' block in the file content.
-        const requireMatch = fileContent.match(requireRegex);
-        
-        // Determine which lines to parse; if 'require' block exists, parse only its content, otherwise parse the whole file.
-        const contentToParse = requireMatch ? requireMatch[1] : fileContent;
-        // Split the content to parse into individual lines.
-        const linesToParse = contentToParse.split(/\r?\n/);
-        
-        // A simple regex to find dependency lines, e.g., 'moduleName version'.
-        const lineRegex = /^\s*([^\s]+)\s+([^\s]+)/;
-
-        // Iterate over each line in the file.
-        lines.forEach((line, index) => {
-            // Trim whitespace from the beginning and end of the line.
-            const trimmedLine = line.trim();
-            
-            // Skip comments and empty lines.
-            if (trimmedLine.startsWith('//') || !trimmedLine) {
-                return;
-            }
+    async parseDependencies(fileContent, document, options = {}) {
+        const goMod = parseGoMod(fileContent);
+        const isExcluded = (modulePath, version) => goMod.excludes.some(exclude => exclude.path === modulePath && exclude.version === version);
+        // A replacement of one version of a module takes precedence over one of every version.
+        const findReplacement = (modulePath, version) => goMod.replaces.find(replace => replace.oldPath === modulePath && replace.oldVersion === version)
+            || goMod.replaces.find(replace => replace.oldPath === modulePath && !replace.oldVersion);
+        const toDependency = ({ path: modulePath, version, line, indirect }) => {
+            const replacement = findReplacement(modulePath, version);
+            if (!replacement) return { name: modulePath, version, line, indirect };
+            if (isLocalPath(replacement.newPath)) return { name: modulePath, version: replacement.newPath, line, indirect };
+            return { name: replacement.newPath, version: replacement.newVersion, line, indirect };
+        };
 
-            // Attempt to match the dependency line regex.
-            const match = trimmedLine.match(lineRegex);
-            // If a match is found, extract the dependency name and version.
-            if (match) {
-                // The first group in the regex match is the dependency name.
-                const name = match[1];
-                // The second group in the regex match is the dependency version.
-                const version = match[2];
-
-                // Filter out module, go, and require keywords to avoid adding them as dependencies.
-                if (name !== 'module' && name !== 'go' && name !== 'require') {
-                    // Add the dependency to the dependencies array with its name, version, and line number.
-                    dependencies.push({
-                        name,
-                        version,
-                        line: index,
-                    });
-                }
+        const modules = goMod.requires.filter(require => !isExcluded(require.path, require.version));
+        // go.sum lists the modules of the whole build list, including those the go.mod of an older Go version doesn't.
+        if (options.includeGoSum && options.filePath && options.readFile) {
+            let goSum = null;
+            try {
+                goSum = await options.readFile(path.join(path.dirname(options.filePath), 'go.sum'));
+            } catch {
+                // Without a go.sum file, only the go.mod requirements are reported.
             }
-        });
+            const required = new Set(goMod.requires.map(require => require.path));
+            for (const [modulePath, version] of selectGoSumModules(goSum || '')) {
+                if (!required.has(modulePath) && !isExcluded(modulePath, version)) modules.push({ path: modulePath, version, line: 0, indirect: true });
+            }
+        }
 
-        // Return the array of extracted dependencies.
-        return dependencies;
+        // Several modules may be replaced by the same one, which is reported once.
+        const seen = new Set();
+        return modules.map(toDependency).filter(dep => {
+            const key = `${dep.name}@${dep.version}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
     },
 
     /**
-     * Fetches the license information for a given package name and version from deps.dev.
-     * @param {string} packageName The name of the package.
-     * @param {string} packageVersion The version of the package.
+     * Detects the license of a module from the license files of its zip on the Go module proxy.
+     * Modules replaced by a local folder are read from that folder instead.
+     * @param {string} packageName The module path.
+     * @param {string} packageVersion The version of the module, or the local folder replacing it.
+     * @param {{signal?: AbortSignal, goProxy?: string, manifestDir?: string}} [options] The request options: the signal that aborts the
+     *   download when the scan is cancelled, the proxy list (like GOPROXY) and the folder of the go.mod file.
      * @returns {Promise<object>} An object containing the license and homepage information.
+     * @throws {Error} If no proxy is configured or the module zip couldn't be downloaded.
      */
-    async fetchLicenseInfo(packageName, packageVersion) {
-        // Ensure the version starts with 'v' to match the format expected by deps.dev.
-        const version = packageVersion.startsWith('v') ? packageVersion : `v${packageVersion}`;
-        // Construct the API URL for fetching insights from deps.dev.
-        const apiUrl = `https://deps.dev/_/s/go/p/${encodeURIComponent(packageName)}/v/${encodeURIComponent(version)}/insights`;
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
+        if (isLocalPath(packageVersion)) {
+            const localInfo = await goModStrategy.fetchLocalLicenseInfo(packageName, packageVersion, options);
+            if (!localInfo) throw new Error(`The folder replacing ${packageName} (${packageVersion}) doesn't exist.`);
+            return localInfo;
+        }
 
         try {
-            // Fetch the insights data from the deps.dev API.
-            const insightsData = await fetchJson(apiUrl);
-            // Extract the licenses from the insights data, or default to an empty array if not found.
-            const licenses = insightsData.licenses || [];
-            
-            // Return an object containing the license (joined with ' OR ' if multiple) and a link to the package's homepage on pkg.go.dev.
+            const files = readModuleZipLicenseFiles(await downloadModuleZip(packageName, packageVersion, options), packageName, packageVersion);
             return {
-                license: licenses.length > 0 ? licenses.join(' OR ') : 'N/A',
+                license: classifyLicenseFiles(files),
                 homepage: `https://pkg.go.dev/${packageName}`
             };
-
         } catch (error) {
-            // Log an error message if fetching insights fails.
-            console.error(`Failed to fetch Go insights for ${packageName} from deps.dev. Error: ${error.message}`);
+            // Log an error message if the module zip couldn't be downloaded or read.
+            console.error(`Failed to read the module zip of ${packageName}@${packageVersion}. Error: ${error.message}`);
             // Re-throw the error to be handled by the caller.
             throw error;
         }
+    },
+
+    /**
+     * Detects the license of a module from the module cache (GOMODCACHE) or the local folder replacing it, without using the network.
+     * @param {string} packageName The module path.
+     * @param {string} packageVersion The version of the module, or the local folder replacing it.
+     * @param {{manifestDir: string}} options The lookup options, including the folder of the go.mod file.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the module isn't downloaded.
+     */
+    async fetchLocalLicenseInfo(packageName, packageVersion, options) {
+        const homepage = `https://pkg.go.dev/${packageName}`;
+        const dir = await goModStrategy.findPackageDir(packageName, packageVersion, options);
+        if (dir) return { license: classifyLicenseFiles(await readLicenseFiles(dir)), homepage };
+        if (isLocalPath(packageVersion)) return null;
+
+        // `go mod download` keeps the zip in the download cache, even when the module isn't extracted.
+        const zipPath = path.join(getModuleCacheDir(), 'cache', 'download', escapeModulePath(packageName), '@v', `${escapeModulePath(packageVersion)}.zip`);
+        let archive;
+        try {
+            archive = await fs.readFile(zipPath);
+        } catch {
+            return null;
+        }
+        return { license: classifyLicenseFiles(readModuleZipLicenseFiles(archive, packageName, packageVersion)), homepage };
+    },
+
+    /**
+     * Finds the extracted sources of a module, to read its license files.
+     * @param {string} packageName The module path.
+     * @param {string} packageVersion The version of the module, or the local folder replacing it.
+     * @param {{manifestDir?: string}} [options] The lookup options, including the folder of the go.mod file.
+     * @returns {Promise<string | null>} The absolute path of the module folder, or null if it isn't downloaded.
+     */
+    async findPackageDir(packageName, packageVersion, options = {}) {
+        const dir = isLocalPath(packageVersion)
+            ? path.resolve(options.manifestDir || '.', packageVersion)
+            : path.join(getModuleCacheDir(), `${escapeModulePath(packageName)}@${escapeModulePath(packageVersion)}`);
+        return (await listDir(dir)).length > 0 ? dir : null;
+    },
+
+    /**
+     * Downloads a module zip from the Go module proxy and reads its license and notice files.
+     * @param {string} packageName The module path.
+     * @param {string} packageVersion The exact version of the module.
+     * @param {{signal?: AbortSignal, goProxy?: string}} [options] The request options: the signal that aborts the download and the proxy
+     *   list (like GOPROXY).
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the module.
+     */
+    async fetchLicenseFiles(packageName, packageVersion, options = {}) {
+        if (isLocalPath(packageVersion)) return [];
+        return readModuleZipLicenseFiles(await downloadModuleZip(packageName, packageVersion, options), packageName, packageVersion);
     }
 };
 
-module.exports = goModStrategy;
\ No newline at end of file
+/**
+ * Splits a go.mod line into its tokens, without the quotes of quoted paths.
+ * @param {string} line The line, without its comment.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(line) {
+    return (line.match(/"[^"]*"|`[^`]*`|\S+/g) || []).map(token => token.replace(/^["`]|["`]$/g, ''));
+}
+
+/**
+ * Parses the directives of a go.mod file that decide its dependencies, in their single-line and block forms.
+ * @param {string} fileContent The content of the go.mod file.
+ * @returns {{module: string, requires: Array<object>, replaces: Array<object>, excludes: Array<object>}} The module path, the required
+ *   modules (`path`, `version`, `line`, `indirect`), the replacements (`oldPath`, `oldVersion`, `newPath`, `newVersion`) and the
+ *   excluded module versions (`path`, `version`).
+ */
+function parseGoMod(fileContent) {
+    const goMod = { module: '', requires: [], replaces: [], excludes: [] };
+    // The directive of the block the current line is in, e.g. 'require' inside "require ( ... )".
+    let block = null;
+
+    fileContent.split(/\r?\n/).forEach((rawLine, index) => {
+        const commentStart = rawLine.indexOf('//');
+        const comment = commentStart === -1 ? '' : rawLine.slice(commentStart + 2).trim();
+        const line = (commentStart === -1 ? rawLine : rawLine.slice(0, commentStart)).trim();
+        if (!line) return;
+
+        let verb = block;
+        let args;
+        if (block) {
+            if (line === ')') {
+                block = null;
+                return;
+            }
+            args = tokenize(line);
+        } else {
+            [verb, ...args] = tokenize(line.replace(/\($/, ' ('));
+            // A directive followed by '(' opens a block of them.
+            if (args.length === 1 && args[0] === '(') {
+                block = verb;
+                return;
+            }
+        }
+
+        if (verb === 'module' && args[0]) {
+            goMod.module = args[0];
+        } else if (verb === 'require' && args.length >= 2) {
+            // The go command marks the modules only needed by other modules with "// indirect".
+            goMod.requires.push({ path: args[0], version: args[1], line: index, indirect: /^indirect(;|$)/.test(comment) });
+        } else if (verb === 'exclude' && args.length >= 2) {
+            goMod.excludes.push({ path: args[0], version: args[1] });
+        } else if (verb === 'replace') {
+            const arrow = args.indexOf('=>');
+            if (arrow === 1 || arrow === 2) {
+                goMod.replaces.push({ oldPath: args[0], oldVersion: arrow === 2 ? args[1] : '', newPath: args[arrow + 1], newVersion: args[arrow + 2] || '' });
+            }
+        }
+    });
+    return goMod;
+}
+
+/**
+ * Selects the version of each module go.sum has the source hash of: the highest one, as in minimal version selection.
+ * Lines hashing only the go.mod file of a module version (`/go.mod`) are skipped, since its sources aren't part of the build.
+ * @param {string} goSum The content of the go.sum file.
+ * @returns {Map<string, string>} The version of each module path.
+ */
+function selectGoSumModules(goSum) {
+    const selected = new Map();
+    for (const line of goSum.split(/\r?\n/)) {
+        const [modulePath, version] = line.trim().split(/\s+/);
+        if (!modulePath || !version || version.endsWith('/go.mod')) continue;
+        const current = selected.get(modulePath);
+        if (!current || compareGoVersions(version, current) > 0) selected.set(modulePath, version);
+    }
+    return selected;
+}
+
+/**
+ * Compares two Go module versions, which are semantic versions with a 'v' prefix (e.g. v1.2.3, v2.0.0+incompatible or a pseudo-version).
+ * @param {string} a The first version.
+ * @param {string} b The second version.
+ * @returns {number} A negative number if a is lower, a positive one if it is higher, and 0 if they are equal.
+ */
+function compareGoVersions(a, b) {
+    const [versionA, versionB] = [a, b].map(version => semver.valid(version.replace(/^v/, '')));
+    if (versionA && versionB) return semver.compare(versionA, versionB);
+    return a.localeCompare(b);
+}
+
+/**
+ * Tells whether the target of a replace directive is a local folder rather than a module.
+ * @param {string} target The path or version, e.g. '../shared' or 'github.com/fork/lib'.
+ * @returns {boolean} True for relative and absolute folder paths.
+ */
+function isLocalPath(target) {
+    return /^\.\.?([/\\]|$)|^\/|^[A-Za-z]:[/\\]/.test(String(target || ''));
+}
+
+/**
+ * Escapes a module path or version for the module proxy and cache, where each upper-case letter becomes '!' and its lower-case form.
+ * @param {string} value The module path or version.
+ * @returns {string} The escaped value.
+ */
+function escapeModulePath(value) {
+    return value.replace(/[A-Z]/g, letter => `!${letter.toLowerCase()}`);
+}
+
+/**
+ * Finds the folder of the module cache, like `go env GOMODCACHE`.
+ * @returns {string} The absolute path of the module cache.
+ */
+function getModuleCacheDir() {
+    if (process.env.GOMODCACHE) return process.env.GOMODCACHE;
+    // The cache is in the first GOPATH entry, ~/go by default.
+    const goPath = (process.env.GOPATH || '').split(path.delimiter).filter(Boolean)[0] || path.join(os.homedir(), 'go');
+    return path.join(goPath, 'pkg', 'mod');
+}
+
+/**
+ * Downloads the zip of a module version from the configured proxies, trying them in order.
+ * Like the go command, the list comes from the goProxy setting or the GOPROXY environment variable, separated by commas or pipes.
+ * 'direct' (fetching from version control) isn't supported and is skipped; 'off' turns downloads off.
+ * @param {string} modulePath The module path.
+ * @param {string} version The exact version of the module.
+ * @param {{signal?: AbortSignal, goProxy?: string}} [options] The request options.
+ * @returns {Promise<Buffer>} The module zip.
+ * @throws {Error} If no proxy is configured, or none of them has the module.
+ */
+async function downloadModuleZip(modulePath, version, options = {}) {
+    const proxies = [];
+    for (const entry of (options.goProxy || process.env.GOPROXY || DEFAULT_GOPROXY).split(/[,|]/).map(value => value.trim())) {
+        if (entry === 'off') break;
+        if (entry && entry !== 'direct') proxies.push(entry.replace(/\/+$/, ''));
+    }
+    if (proxies.length === 0) throw new Error(`No Go module proxy is configured to download ${modulePath}@${version} from.`);
+
+    const zipPath = `${escapeModulePath(modulePath)}/@v/${escapeModulePath(version)}.zip`;
+    let lastError;
+    for (const proxy of proxies) {
+        try {
+            // file:// proxies are folders laid out like a proxy, such as a vendored module cache.
+            if (proxy.startsWith('file://')) return await fs.readFile(path.join(fileURLToPath(proxy), zipPath));
+            return Buffer.from(await fetchText(`${proxy}/${zipPath}`, { responseType: 'arraybuffer', signal: options.signal }));
+        } catch (error) {
+            if (error.statusCode === 'CANCELLED') throw error;
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Reads the license and notice files at the root of a module zip, whose files are in a '<module>@<version>/' folder.
+ * @param {Buffer} archive The module zip.
+ * @param {string} modulePath The module path.
+ * @param {string} version The version of the module.
+ * @returns {Array<{path: string, content: string}>} The files, with their paths relative to the module root.
+ */
+function readModuleZipLicenseFiles(archive, modulePath, version) {
+    const prefix = `${modulePath}@${version}/`;
+    return readZipFiles(archive, filePath => filePath.startsWith(prefix) && !filePath.slice(prefix.length).includes('/')
+        && isLicenseFileName(filePath.slice(prefix.length)))
+        .map(file => ({ path: file.path.slice(prefix.length), content: file.content }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Detects the license of a module from its license files.
+ * @param {Array<{path: string, content: string}>} files The license and notice files at the root of the module.
+ * @returns {string} The licenses recognized in the files joined with ' AND ', since each of them applies; 'SEE LICENSE IN <file>' if
+ *   none of the texts is recognized, or 'N/A' if the module has no license file.
+ */
+function classifyLicenseFiles(files) {
+    const { licenseFiles } = partitionLicenseFiles(files);
+    if (licenseFiles.length === 0) return 'N/A';
+    const licenses = [...new Set(licenseFiles.map(file => identifyLicenseText(file.content)).filter(Boolean))];
+    return licenses.length > 0 ? licenses.join(' AND ') : `SEE LICENSE IN ${licenseFiles[0].path}`;
+}
+
+module.exports = goModStrategy;
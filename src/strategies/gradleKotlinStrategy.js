@@ -0,0 +1,11 @@
+// This file defines the strategy for parsing Gradle's build.gradle.kts files (Kotlin DSL) and fetching license information.
+// Dependencies are declared with the same notations as in build.gradle, so the file is parsed like one.
+
+const gradleStrategy = require('./gradleStrategy');
+
+const gradleKotlinStrategy = {
+    ...gradleStrategy,
+    fileName: 'build.gradle.kts'
+};
+
+module.exports = gradleKotlinStrategy;
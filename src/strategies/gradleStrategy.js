@@ -0,0 +1,48 @@
+// This file defines the strategy for parsing Gradle's build.gradle files (Groovy DSL) and fetching license information.
+
+const { parseGradleBuild, applyPlatformVersions, readRootProjectFiles } = require('../utils/gradle');
+const javaMavenStrategy = require('./javaMavenStrategy'); // Gradle dependencies are Maven artifacts, so licenses are looked up like for pom.xml.
+
+const gradleStrategy = {
+    fileName: 'build.gradle',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'maven',
+
+    /**
+     * Parses the build file content and extracts dependencies with their locations.
+     * Version catalog accessors and ${properties} are resolved from the root project's gradle/libs.versions.toml and gradle.properties,
+     * and versions left out for a platform() or enforcedPlatform() are read from the BOM on Maven Central.
+     * @param {string} fileContent The content of the build file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the build file, to find its root project.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @param {string} [options.resolutionMode] One of 'network', 'local-first' or 'offline'; offline scans don't fetch BOMs.
+     * @param {AbortSignal} [options.signal] Aborts the requests for BOMs.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string}>>} An array of dependency objects, with the scope of their configuration.
+     */
+    async parseDependencies(fileContent, document, options = {}) {
+        // Read the version catalog and properties of the root project, if the build file can be located.
+        const context = options.filePath && options.readFile ? await readRootProjectFiles(options.filePath, options.readFile) : {};
+        const { dependencies, platforms } = parseGradleBuild(fileContent, document, context);
+        return applyPlatformVersions(dependencies, platforms, { offline: options.resolutionMode === 'offline', signal: options.signal });
+    },
+
+    /**
+     * Fetches the license information for a given package name and version from Maven Central.
+     * @param {string} packageName The name of the package (group:name).
+     * @param {string} packageVersion The version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     * @throws {Error} If the version isn't declared in the build file, or the POM couldn't be fetched.
+     */
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
+        // Versions set by a plugin (like Spring's dependency management), or by a platform that couldn't be loaded, aren't known.
+        if (!packageVersion) {
+            throw new Error(`The version of ${packageName} isn't declared in the build file or the version catalog, and isn't managed by its platforms.`);
+        }
+        return javaMavenStrategy.fetchLicenseInfo(packageName, packageVersion, options);
+    }
+};
+
+module.exports = gradleStrategy;
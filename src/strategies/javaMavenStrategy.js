@@ -1,111 +1,158 @@
 // This file defines the strategy for parsing Java Maven's pom.xml files and fetching license information.
 
-const { fetchText } = require('../utils/network');
 const xml2js = require('xml2js');
+const { parsePom, fetchRemotePom, resolveEffectivePom, readInheritedLicenses } = require('../utils/mavenPom');
 
 const javaMavenStrategy = {
     fileName: 'pom.xml',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'maven',
 
     /**
      * Parses the pom.xml file content and extracts dependencies with their locations.
+     * Versions and scopes come from the effective POM: ${properties} are interpolated, and missing versions are taken from the
+     * <dependencyManagement> of the POM, its parents and the BOMs they import (see src/utils/mavenPom.js).
      * @param {string} fileContent The content of the pom.xml file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Promise<Array<{name: string, version: string, line: number}>>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The options for reading the parent POMs.
+     * @param {string} [options.filePath] The absolute path of the pom.xml file, which the relativePath of its parent is resolved against.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @param {string} [options.resolutionMode] One of 'network', 'local-first' or 'offline'; offline scans don't fetch parents or BOMs.
+     * @param {AbortSignal} [options.signal] Aborts the requests for remote parents and BOMs.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string}>>} An array of dependency objects.
      */
-    async parseDependencies(fileContent, document) {
-        // Create a new XML parser.
-        const parser = new xml2js.Parser();
-        // Parse the XML file content into a JavaScript object.
-        const pom = await parser.parseStringPromise(fileContent);
-        // Extract the dependency nodes from the parsed pom.xml.
-        const depNodes = pom.project?.dependencies?.[0]?.dependency || [];
-        
-        // Initialize an empty array to store the extracted dependencies.
-        const dependencies = [];
-        // Split the file content into lines for line number searching.
-        const lines = fileContent.split(/\r?\n/);
-
-        // Iterate over each dependency node.
-        depNodes.forEach(dep => {
-            // Check if the dependency node has groupId, artifactId, and version.
-            if (dep.groupId && dep.artifactId && dep.version) {
-                 // Extract the groupId, artifactId, and version from the dependency node.
-                 const groupId = dep.groupId[0];
-                 const artifactId = dep.artifactId[0];
-                 const version = dep.version[0];
-                 // Create a unique name for the dependency using groupId and artifactId.
-                 const name = `${groupId}:${artifactId}`;
-
-                 // Find the line number by searching for the artifactId tag
-                 let line = 0;
-                 // Define the search string to find the line number of the dependency.
-                 const searchString = `<artifactId>${artifactId}</artifactId>`;
-                 // Find the index of the line containing the artifactId.
-                 const lineIndex = lines.findIndex(l => l.includes(searchString));
-                 // If the line is found, store the line number.
-                 if (lineIndex !== -1) {
-                     line = lineIndex;
-                 }
-                 
-                 // Add the dependency to the dependencies array.
-                 dependencies.push({ name, version, line });
-            }
+    async parseDependencies(fileContent, document, options = {}) {
+        // Parse the pom.xml and resolve its effective model.
+        const pom = await parsePom(fileContent);
+        const effectivePom = await resolveEffectivePom(pom, {
+            filePath: options.filePath,
+            readFile: options.readFile,
+            offline: options.resolutionMode === 'offline',
+            signal: options.signal
         });
-        
-        // Return the array of extracted dependencies.
-        return dependencies;
+
+        // Iterate over each dependency, skipping those without coordinates.
+        return effectivePom.dependencies
+            .map((dep, index) => ({ dep, raw: pom.dependencies[index] }))
+            .filter(({ dep }) => dep.groupId && dep.artifactId)
+            .map(({ dep, raw }) => ({
+                // Create a unique name for the dependency using groupId and artifactId.
+                name: `${dep.groupId}:${dep.artifactId}`,
+                // A version that couldn't be resolved is kept, so the dependency is reported instead of silently dropped.
+                version: dep.version || '',
+                line: findDependencyLine(fileContent, raw, document),
+                // The scope Maven uses the dependency in.
+                scope: toDependencyScope(dep.scope, dep.optional)
+            }));
     },
 
     /**
      * Fetches the license information for a given package name and version from Maven Central.
+     * When the POM of the artifact declares no licenses, they are inherited from its parent POMs.
      * @param {string} packageName The name of the package (groupId:artifactId).
      * @param {string} packageVersion The version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
      * @returns {Promise<object>} An object containing the license and homepage information.
+     * @throws {Error} If the version couldn't be resolved from the pom.xml, or the POM couldn't be fetched.
      */
-    async fetchLicenseInfo(packageName, packageVersion) {
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
         // Split the package name into groupId and artifactId.
         const [groupId, artifactId] = packageName.split(':');
-        // Remove any special characters from the version string.
-        const version = packageVersion.replace(/\$|\{|\}/g, ''); 
+        // A version that is still a property (or missing) can't be looked up.
+        if (!packageVersion || packageVersion.includes('${')) {
+            throw new Error(packageVersion
+                ? `The version of ${packageName} ('${packageVersion}') uses a property that isn't defined in the POM or its parents.`
+                : `The version of ${packageName} isn't set in the POM, and isn't managed by its parents or imported BOMs.`);
+        }
 
-        // Construct the path to the pom.xml file in Maven Central.
-        const groupPath = groupId.replace(/\./g, '/');
-        const pomUrl = `https://repo1.maven.org/maven2/${groupPath}/${artifactId}/${version}/${artifactId}-${version}.pom`;
-        
         try {
-            // Fetch the content of the pom.xml file from Maven Central.
-            const pomContent = await fetchText(pomUrl);
-            // Create a new XML parser.
-            const parser = new xml2js.Parser({ explicitArray: false, ignoreAttrs: true });
-            // Parse the XML content into a JavaScript object.
-            const pomData = await parser.parseStringPromise(pomContent);
-
-            // Initialize the license variable.
-            let license = 'N/A';
-            // Extract the license information from the parsed pom.xml.
-            if (pomData.project?.licenses?.license) {
-                // Handle both single and multiple license definitions.
-                const licenses = Array.isArray(pomData.project.licenses.license) 
-                    ? pomData.project.licenses.license 
-                    : [pomData.project.licenses.license];
-                
-                // Extract the license names and join them with ' OR '.
-                license = licenses.map(l => l.name || 'N/A').join(' OR ');
-            }
+            // Fetch the POM of the artifact from Maven Central, and read its licenses or those of its parents.
+            const pom = await fetchRemotePom(groupId, artifactId, packageVersion, { signal: options.signal });
+            const licenses = await readInheritedLicenses(pom, { signal: options.signal });
 
             // Return an object containing the license and homepage information.
             return {
-                license: license || 'N/A',
-                homepage: pomData.project?.url || `https://mvnrepository.com/artifact/${groupId}/${artifactId}/${version}`
+                license: licenses.length > 0 ? licenses.join(' OR ') : 'N/A',
+                homepage: pom.url || `https://mvnrepository.com/artifact/${groupId}/${artifactId}/${packageVersion}`
             };
 
         } catch (error) {
-            // Log an error message if fetching or parsing the pom.xml fails.
-            console.error(`Failed to fetch/parse .pom for ${packageName}@${version}. URL: ${pomUrl}. Error: ${error.message}`);
+            // Log an error message if fetching or parsing the POM fails.
+            console.error(`Failed to fetch/parse .pom for ${packageName}@${packageVersion}. Error: ${error.message}`);
             // Re-throw the error to be handled by the caller.
             throw error;
         }
+    },
+
+    /**
+     * Reads the license of the project itself from the `<licenses>` of its pom.xml.
+     * @param {string} fileContent The content of the pom.xml file.
+     * @returns {Promise<string | null>} The declared license, or null if there is none.
+     */
+    async readProjectLicense(fileContent) {
+        const parser = new xml2js.Parser({ explicitArray: false, ignoreAttrs: true });
+        const pomData = await parser.parseStringPromise(fileContent);
+        const license = readPomLicenses(pomData);
+        return license !== 'N/A' ? license : null;
     }
 };
 
+/**
+ * Reads the licenses declared in a parsed pom.xml.
+ * @param {object} pomData The pom.xml parsed by xml2js, without explicit arrays.
+ * @returns {string} The license names joined with ' OR ', or 'N/A' if there are none.
+ */
+function readPomLicenses(pomData) {
+    if (!pomData.project?.licenses?.license) return 'N/A';
+    // Handle both single and multiple license definitions.
+    const licenses = Array.isArray(pomData.project.licenses.license)
+        ? pomData.project.licenses.license
+        : [pomData.project.licenses.license];
+    // Extract the license names and join them with ' OR '.
+    return licenses.map(l => l.name || 'N/A').join(' OR ');
+}
+
+/**
+ * Finds the line of a dependency of the project, skipping the elements that list other artifacts (the parent, the managed
+ * dependencies, the build plugins and the profiles).
+ * Both coordinates are matched inside the same <dependency> element, since artifact ids such as "core" or "api" are shared by many groups.
+ * @param {string} fileContent The content of the pom.xml file.
+ * @param {{groupId?: string, artifactId: string}} coordinates The group and artifact ids of the dependency, as written in the file.
+ * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers.
+ * @returns {number} The zero-based line of the dependency's <artifactId>, or 0 if it isn't found.
+ */
+function findDependencyLine(fileContent, coordinates, document) {
+    const excluded = [...fileContent.matchAll(/<(parent|dependencyManagement|build|profiles)>[\s\S]*?<\/\1>/g)]
+        .map(match => [match.index, match.index + match[0].length]);
+    // Reads the text of a child element of the <dependency> element.
+    const readElement = (element, name) => {
+        const match = element.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+        return match ? { value: match[1], index: match.index } : null;
+    };
+    for (const match of fileContent.matchAll(/<dependency>[\s\S]*?<\/dependency>/g)) {
+        if (excluded.some(([start, end]) => match.index >= start && match.index < end)) continue;
+        const artifactId = readElement(match[0], 'artifactId');
+        if (!artifactId || artifactId.value !== String(coordinates.artifactId).trim()) continue;
+        // A dependency without a <groupId> can only be told apart by its artifact id.
+        const groupId = readElement(match[0], 'groupId');
+        if (coordinates.groupId && groupId && groupId.value !== String(coordinates.groupId).trim()) continue;
+        return document.positionAt(match.index + artifactId.index).line;
+    }
+    return 0;
+}
+
+/**
+ * Maps the <scope> and <optional> elements of a Maven dependency to a dependency scope.
+ * @param {string} [mavenScope] The Maven scope: compile (the default), runtime, provided, system, test or import.
+ * @param {string} [optional] The content of the <optional> element.
+ * @returns {string} The dependency scope.
+ */
+function toDependencyScope(mavenScope = 'compile', optional) {
+    const scope = String(mavenScope).trim();
+    if (scope === 'test') return 'test';
+    // System dependencies are provided by the environment too, from a path on the machine.
+    if (scope === 'provided' || scope === 'system') return 'provided';
+    return String(optional).trim() === 'true' ? 'optional' : 'runtime';
+}
+
 module.exports = javaMavenStrategy;
\ No newline at end of file
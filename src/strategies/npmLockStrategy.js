@@ -0,0 +1,241 @@
+// This file defines the strategy for parsing npm's package-lock.json files, which list every installed package including transitive ones.
+
+const jsonc = require('jsonc-parser'); // Import jsonc-parser to get line numbers.
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir, fetchLicenseFiles } = require('./npmStrategy'); // Licenses are looked up like for package.json.
+const { computeDependencyPaths, findRootPackages, strongestScope } = require('../utils/dependencyGraph');
+
+const npmLockStrategy = {
+    fileName: 'package-lock.json',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'npm',
+
+    /**
+     * Parses the package-lock.json file content and extracts every installed package with its exact version.
+     * Supports lockfile versions 1 (nested `dependencies`), 2 and 3 (flat `packages`).
+     * @param {string} fileContent The content of the package-lock.json file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>, installPaths: Array<string>}>}
+     *   An array of dependency objects, with the scope npm installs them for and the folders they are installed in.
+     */
+    parseDependencies(fileContent, document) {
+        // Parse the file content into a JSONC tree structure using jsonc-parser.
+        const tree = jsonc.parseTree(fileContent);
+        // If the parsing fails (e.g., invalid JSON), log an error and return an empty array.
+        if (!tree) {
+            console.error("License Sentinel 🛡️: Could not parse package-lock.json as a valid JSONC tree.");
+            return [];
+        }
+
+        // Lockfile v2 and v3 describe packages by install location; v1 only has the nested 'dependencies' tree.
+        const packagesNode = jsonc.findNodeAtLocation(tree, ['packages']);
+        const packages = packagesNode && packagesNode.type === 'object'
+            ? parseFlatPackages(packagesNode)
+            : parseNestedDependencies(jsonc.findNodeAtLocation(tree, ['dependencies']));
+
+        return toDependencies(packages, document);
+    },
+
+    /**
+     * Fetches the license information for a locked package from the npm registry.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from node_modules, without using the network.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package is installed in.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the folder of a locked package in node_modules, to read its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package is installed in.
+     * @returns {Promise<string | null>} The absolute path of the package folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir,
+
+    /**
+     * Downloads the published tarball of a locked package from the npm registry and reads its license and notice files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the package.
+     */
+    fetchLicenseFiles: fetchLicenseFiles
+};
+
+/**
+ * Reads the `packages` object of lockfile v2/v3, keyed by install location (e.g. "node_modules/a/node_modules/b").
+ * @param {object} packagesNode The jsonc node of the `packages` object.
+ * @returns {{entries: Map<string, object>, edges: Map<string, Array<string>>, roots: Array<string>}} The packages and their graph.
+ */
+function parseFlatPackages(packagesNode) {
+    // Map each install location to its package entry.
+    const entries = new Map();
+    // The project itself and its workspaces, whose dependencies are the direct ones.
+    const projects = [];
+
+    for (const propNode of packagesNode.children || []) {
+        if (!propNode.children || propNode.children.length !== 2) continue;
+        const location = propNode.children[0].value;
+        const value = jsonc.getNodeValue(propNode.children[1]) || {};
+
+        // Entries outside node_modules are the root project and its workspaces.
+        if (location === '' || !location.includes('node_modules/')) {
+            projects.push({ location, value });
+            continue;
+        }
+        // Linked packages are workspaces; their real entry is listed separately.
+        if (value.link) continue;
+
+        // The package name is what follows the last 'node_modules/' segment, unless the entry is an alias.
+        const name = value.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+        entries.set(location, { name, version: value.version, offset: propNode.offset, scope: toScope(value), installPath: location, value });
+    }
+
+    // Resolve each declared dependency the way Node does: nearest node_modules folder first, then upwards.
+    const resolve = (fromLocation, depName) => {
+        let base = fromLocation;
+        while (true) {
+            const candidate = base ? `${base}/node_modules/${depName}` : `node_modules/${depName}`;
+            if (entries.has(candidate)) return candidate;
+            if (!base) return null;
+            // Move up one level, dropping the innermost 'node_modules/<name>' segment.
+            const index = base.lastIndexOf('node_modules/');
+            base = index > 0 ? base.slice(0, index - 1) : '';
+        }
+    };
+
+    // Build the graph edges from each package's declared dependencies.
+    const edges = new Map();
+    const depNamesOf = (value, includeDev) => Object.keys({
+        ...(value.dependencies || {}),
+        ...(value.optionalDependencies || {}),
+        ...(value.peerDependencies || {}),
+        ...(includeDev ? value.devDependencies || {} : {})
+    });
+    for (const [location, entry] of entries) {
+        edges.set(location, depNamesOf(entry.value, false).map(dep => resolve(location, dep)).filter(Boolean));
+    }
+
+    // The direct dependencies are those of the root project and of its workspaces.
+    const roots = [];
+    for (const { location, value } of projects) {
+        roots.push(...depNamesOf(value, true).map(dep => resolve(location, dep)).filter(Boolean));
+    }
+
+    return { entries, edges, roots };
+}
+
+/**
+ * Reads the nested `dependencies` object of lockfile v1, where each entry may contain its own nested `dependencies`.
+ * @param {object | undefined} dependenciesNode The jsonc node of the top-level `dependencies` object.
+ * @returns {{entries: Map<string, object>, edges: Map<string, Array<string>>, roots: Array<string>}} The packages and their graph.
+ */
+function parseNestedDependencies(dependenciesNode) {
+    const entries = new Map();
+    // Keep the raw 'requires' map of each entry to resolve the graph once every entry is known.
+    const requires = new Map();
+
+    // Walk the nested tree, using the chain of names as the location (e.g. "a>b"), since scoped names contain '/'.
+    const visit = (node, parentLocation) => {
+        if (!node || node.type !== 'object') return;
+        for (const propNode of node.children || []) {
+            if (!propNode.children || propNode.children.length !== 2) continue;
+            const name = propNode.children[0].value;
+            const valueNode = propNode.children[1];
+            const location = parentLocation ? `${parentLocation}>${name}` : name;
+            const value = jsonc.getNodeValue(valueNode) || {};
+
+            // Each level of the nested tree is installed inside its parent's node_modules folder.
+            const installPath = location.split('>').map(segment => `node_modules/${segment}`).join('/');
+            entries.set(location, { name, version: value.version, offset: propNode.offset, scope: toScope(value), installPath });
+            requires.set(location, Object.keys(value.requires || {}));
+            visit(jsonc.findNodeAtLocation(valueNode, ['dependencies']), location);
+        }
+    };
+    visit(dependenciesNode, '');
+
+    // Resolve a required name from its own nested dependencies first, then from each ancestor.
+    const resolve = (fromLocation, depName) => {
+        let base = fromLocation;
+        while (true) {
+            const candidate = base ? `${base}>${depName}` : depName;
+            if (entries.has(candidate)) return candidate;
+            if (!base) return null;
+            const index = base.lastIndexOf('>');
+            base = index > 0 ? base.slice(0, index) : '';
+        }
+    };
+
+    const edges = new Map();
+    for (const [location, depNames] of requires) {
+        edges.set(location, depNames.map(dep => resolve(location, dep)).filter(Boolean));
+    }
+
+    // Lockfile v1 doesn't record the project's own dependencies, so use the top-level packages nobody requires.
+    const topLevel = [...entries.keys()].filter(location => !location.includes('>'));
+    return { entries, edges, roots: findRootPackages(topLevel, edges) };
+}
+
+/**
+ * Converts the parsed packages into dependency objects, one per unique name and version.
+ * @param {{entries: Map<string, object>, edges: Map<string, Array<string>>, roots: Array<string>}} packages The parsed packages and their graph.
+ * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+ * @returns {Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>, installPaths: Array<string>}>}
+ *   An array of dependency objects.
+ */
+function toDependencies({ entries, edges, roots }, document) {
+    const paths = computeDependencyPaths(roots, edges);
+    const label = location => `${entries.get(location).name}@${entries.get(location).version}`;
+
+    // The same version may be installed at several locations; list it once, with the strongest scope it is installed for
+    // and every folder it is installed in.
+    const dependencies = new Map();
+    for (const [location, entry] of entries) {
+        if (!entry.version) continue;
+        const key = `${entry.name}@${entry.version}`;
+        if (dependencies.has(key)) {
+            dependencies.get(key).scope = strongestScope(dependencies.get(key).scope, entry.scope);
+            dependencies.get(key).installPaths.push(entry.installPath);
+            continue;
+        }
+
+        dependencies.set(key, {
+            name: entry.name,
+            version: entry.version,
+            line: document.positionAt(entry.offset).line,
+            scope: entry.scope,
+            // Packages that can't be reached from the project (e.g. extraneous ones) are shown on their own.
+            dependencyPath: (paths.get(location) || [location]).map(label),
+            // Where the package is installed, relative to the lockfile, so nested installs are found too.
+            installPaths: [entry.installPath]
+        });
+    }
+    return [...dependencies.values()];
+}
+
+/**
+ * Tells the scope of a locked package from the flags npm writes on its entry.
+ * @param {{dev?: boolean, optional?: boolean, devOptional?: boolean, peer?: boolean}} value The lockfile entry.
+ * @returns {string} The dependency scope.
+ */
+function toScope(value) {
+    // Optional dependencies of dev dependencies are flagged both `dev` and `optional`.
+    if (value.dev) return 'dev';
+    // `devOptional` packages are also optional dependencies of a production package, so they may be installed in production.
+    if (value.optional || value.devOptional) return 'optional';
+    if (value.peer) return 'peer';
+    return 'runtime';
+}
+
+module.exports = npmLockStrategy;
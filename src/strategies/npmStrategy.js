@@ -1,16 +1,23 @@
 // This file defines the strategy for parsing npm's package.json files and fetching license information.
 
-const { fetchJson } = require('../utils/network'); // Import the fetchJson function from the network utils.
+const { fetchJson, fetchText } = require('../utils/network'); // Import the network helpers.
 const jsonc = require('jsonc-parser'); // Import jsonc-parser to get line numbers.
+const semver = require('semver'); // Import semver to resolve version ranges.
+const path = require('path');
+const { ancestorDirs, readJsonIfExists } = require('../utils/localFiles'); // Import helpers to read installed packages.
+const { isLicenseFileName } = require('../utils/licenseFiles');
+const { readTarGzFiles } = require('../utils/tarball');
 
 const npmStrategy = {
     fileName: 'package.json',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'npm',
     
     /**
      * Parses the package.json file content and extracts dependencies with their locations.
      * @param {string} fileContent The content of the package.json file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string}>} An array of dependency objects, with the scope of the section they are declared in.
      */
     parseDependencies(fileContent, document) {
         // Initialize an empty array to store the dependencies.
@@ -23,11 +30,11 @@ const npmStrategy = {
             return [];
         }
 
-        // Define the sections in package.json where dependencies are listed.
-        const depSections = ["dependencies", "devDependencies"];
+        // Define the sections in package.json where dependencies are listed, and the scope of each one.
+        const depSections = { dependencies: 'runtime', devDependencies: 'dev', optionalDependencies: 'optional', peerDependencies: 'peer' };
 
-        // Iterate over the dependency sections ("dependencies" and "devDependencies").
-        for (const section of depSections) {
+        // Iterate over the dependency sections.
+        for (const [section, scope] of Object.entries(depSections)) {
             // Find the node in the tree corresponding to the current dependency section.
             const depsNode = jsonc.findNodeAtLocation(tree, [section]);
             // Check if the node exists, is an object, and has children (i.e., dependencies).
@@ -53,6 +60,7 @@ const npmStrategy = {
                             name,
                             version,
                             line: position.line, // 0-based line number
+                            scope,
                         });
                     }
                 });
@@ -64,23 +72,249 @@ const npmStrategy = {
     },
 
     /**
-     * Fetches the license information for a given package name from the npm registry.
+     * Fetches the license information for a given package from the npm registry.
+     * The declared version spec is resolved against the full packument so the license reported
+     * is the one of the version that would actually be installed, not the one of `latest`.
      * @param {string} packageName The name of the package.
-     * @returns {Promise<object>} An object containing the license and homepage information.
+     * @param {string} packageVersion The version spec declared in package.json.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license, homepage and resolved version information.
      */
-    async fetchLicenseInfo(packageName) {
-        // URL-encode the package name to handle scoped packages (e.g., @scope/package)
-        const encodedPackageName = packageName.replace('/', '%2f');
-        
-        // Fetch the package data from the npm registry. Use 'latest' to get general info.
-        const responseData = await fetchJson(`https://registry.npmjs.org/${encodedPackageName}/latest`);
-
-        // Return an object containing the license and homepage information.
-        return {
-            license: responseData.license || 'N/A',
-            homepage: responseData.homepage || `https://www.npmjs.com/package/${packageName}`
-        };
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
+        // Unwrap `npm:` aliases so the real package is looked up with its own range.
+        const { name, spec } = parseSpec(packageName, packageVersion);
+        const { versionData, packument } = await fetchVersionData(name, spec, options);
+        // Return an object containing the license and homepage information of the resolved version.
+        return toLicenseInfo(name, versionData, packument);
+    },
+
+    /**
+     * Reads the license information of an installed package from node_modules, without using the network.
+     * The lookup walks up from the manifest's folder like Node's module resolution and only accepts
+     * an installed version that matches the declared spec.
+     * @param {string} packageName The name of the package (the alias name for `npm:` aliases).
+     * @param {string} packageVersion The version spec declared in the manifest.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the manifest file
+     *   and the install folders recorded in the lockfile.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    async fetchLocalLicenseInfo(packageName, packageVersion, options) {
+        const installed = await findInstalledPackage(packageName, packageVersion, options);
+        return installed && toLicenseInfo(installed.packageJson.name || packageName, installed.packageJson, {});
+    },
+
+    /**
+     * Finds the folder of an installed package in node_modules, to read its license files.
+     * @param {string} packageName The name of the package (the alias name for `npm:` aliases).
+     * @param {string} packageVersion The version spec declared in the manifest, or the resolved version.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the manifest file
+     *   and the install folders recorded in the lockfile.
+     * @returns {Promise<string | null>} The absolute path of the package folder, or null if the package isn't installed.
+     */
+    async findPackageDir(packageName, packageVersion, options) {
+        const installed = await findInstalledPackage(packageName, packageVersion, options);
+        return installed && installed.dir;
+    },
+
+    /**
+     * Downloads the published tarball of a package from the npm registry and reads its license and notice files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version spec declared in the manifest, or the resolved version.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the download.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the package.
+     */
+    async fetchLicenseFiles(packageName, packageVersion, options = {}) {
+        const { name, spec } = parseSpec(packageName, packageVersion);
+        const { versionData } = await fetchVersionData(name, spec, options);
+        if (!versionData.dist || !versionData.dist.tarball) return [];
+
+        const archive = await fetchText(versionData.dist.tarball, { responseType: 'arraybuffer', signal: options.signal });
+        // Tarballs wrap the package in a single folder, usually 'package/'.
+        return readTarGzFiles(Buffer.from(archive), filePath => {
+            const parts = filePath.split('/');
+            return parts.length === 2 && isLicenseFileName(parts[1]);
+        }).map(file => ({ path: file.path.split('/')[1], content: file.content }));
+    },
+
+    /**
+     * Reads the license of the project itself from its package.json.
+     * @param {string} fileContent The content of the package.json file.
+     * @returns {string | null} The declared license, or null if there is none.
+     */
+    readProjectLicense(fileContent) {
+        const license = readLicenseField(jsonc.parse(fileContent) || {});
+        // "UNLICENSED" marks a private package that isn't licensed to anyone.
+        return typeof license === 'string' && license && license !== 'UNLICENSED' ? license : null;
     }
 };
 
-module.exports = npmStrategy;
\ No newline at end of file
+/**
+ * Fetches the registry document of the version of a package that a spec resolves to.
+ * @param {string} name The name of the package.
+ * @param {string} spec The version spec to resolve.
+ * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup.
+ * @returns {Promise<{versionData: object, packument: object}>} The version document, and the packument when it was downloaded.
+ */
+async function fetchVersionData(name, spec, options = {}) {
+    // URL-encode the package name to handle scoped packages (e.g., @scope/package)
+    const encodedPackageName = name.replace('/', '%2f');
+
+    // An exact version can be fetched directly, which avoids downloading the whole packument.
+    if (semver.valid(spec, { loose: true })) {
+        const versionData = await fetchJson(`https://registry.npmjs.org/${encodedPackageName}/${encodeURIComponent(spec)}`, { signal: options.signal });
+        return { versionData, packument: {} };
+    }
+
+    // Fetch the full packument, which lists every published version with its own license field.
+    const packument = await fetchJson(`https://registry.npmjs.org/${encodedPackageName}`, { signal: options.signal });
+    // Resolve the declared spec to the published version npm would install.
+    const resolvedVersion = resolveVersion(packument, spec);
+    const versionData = resolvedVersion && packument.versions && packument.versions[resolvedVersion];
+
+    // If nothing matches the declared range, report it like a missing package.
+    if (!versionData) {
+        const error = new Error(`No published version of ${name} matches "${spec}"`);
+        error.statusCode = 404;
+        throw error;
+    }
+    return { versionData, packument };
+}
+
+/**
+ * Finds an installed package in node_modules, walking up from the manifest's folder like Node's module resolution.
+ * Lockfiles also tell where they install each package (e.g. "node_modules/a/node_modules/b"); those folders are checked first,
+ * since nested installs aren't reachable from the manifest's folder.
+ * Only an installed version that matches the declared spec is accepted.
+ * @param {string} packageName The name of the package (the alias name for `npm:` aliases).
+ * @param {string} packageVersion The version spec declared in the manifest.
+ * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the manifest file
+ *   and the install folders recorded in the lockfile, relative to it.
+ * @returns {Promise<{dir: string, packageJson: object} | null>} The package folder and its package.json, or null if it isn't installed.
+ */
+async function findInstalledPackage(packageName, packageVersion, options) {
+    // Aliased packages are installed under the alias name, but the spec refers to the real package.
+    const { spec } = parseSpec(packageName, packageVersion);
+    const isRange = semver.validRange(spec, { loose: true }) !== null;
+
+    // Check the lockfile's install folders, then every node_modules folder from the manifest's folder up to the filesystem root.
+    const packageDirs = [
+        ...(options.installPaths || []).map(installPath => path.resolve(options.manifestDir, installPath)),
+        ...ancestorDirs(options.manifestDir).map(dir => path.join(dir, 'node_modules', packageName))
+    ];
+    for (const packageDir of packageDirs) {
+        const packageJson = await readJsonIfExists(path.join(packageDir, 'package.json'));
+        if (!packageJson || !packageJson.version) continue;
+        // Skip installs that don't satisfy the declared range, e.g. a different hoisted version.
+        if (isRange && spec !== '' && !semver.satisfies(packageJson.version, spec, { loose: true })) continue;
+        return { dir: packageDir, packageJson };
+    }
+    return null;
+}
+
+/**
+ * Splits a dependency into the package name and version spec to resolve,
+ * unwrapping `npm:` aliases (e.g. "npm:real-package@^1.0.0") and `workspace:` prefixes.
+ * @param {string} packageName The dependency key from package.json.
+ * @param {string} packageVersion The dependency value from package.json.
+ * @returns {{name: string, spec: string}} The package name and version spec to resolve.
+ */
+function parseSpec(packageName, packageVersion) {
+    let name = packageName;
+    let spec = String(packageVersion || '').trim();
+
+    // Handle aliases such as "npm:@scope/real-package@^1.0.0" or "npm:real-package".
+    if (spec.startsWith('npm:')) {
+        const target = spec.slice(4);
+        // The separator is the last '@' that is not the leading scope marker.
+        const atIndex = target.lastIndexOf('@');
+        if (atIndex > 0) {
+            name = target.slice(0, atIndex);
+            spec = target.slice(atIndex + 1);
+        } else {
+            name = target;
+            spec = '';
+        }
+    }
+
+    // Workspace protocol ranges ("workspace:^1.0.0") carry a regular range after the prefix.
+    if (spec.startsWith('workspace:')) {
+        spec = spec.slice('workspace:'.length);
+    }
+
+    return { name, spec };
+}
+
+/**
+ * Resolves a version spec against a packument, the way npm picks the version to install.
+ * Dist-tags ("latest", "next") are looked up directly, semver ranges (`^`, `~`, `x`, `||`, hyphen ranges)
+ * resolve to the `latest` dist-tag when it satisfies them and to the highest matching published version otherwise,
+ * and non-registry specs (git, file, URLs) fall back to the `latest` dist-tag.
+ * @param {object} packument The full registry document of the package.
+ * @param {string} spec The version spec to resolve.
+ * @returns {string | null} The resolved version, or null if no published version matches.
+ */
+function resolveVersion(packument, spec) {
+    // Get the dist-tags and the list of all published versions.
+    const distTags = packument['dist-tags'] || {};
+    const versions = Object.keys(packument.versions || {});
+
+    // An empty spec means any version, which npm treats as the 'latest' tag.
+    if (spec === '' || spec === 'latest') {
+        return distTags.latest || semver.maxSatisfying(versions, '*');
+    }
+
+    // Dist-tags take precedence, since a tag name is never a valid range.
+    if (Object.prototype.hasOwnProperty.call(distTags, spec)) {
+        return distTags[spec];
+    }
+
+    // If the spec is not a semver range, it points outside the registry (git, file, tarball URL).
+    if (semver.validRange(spec, { loose: true }) === null) {
+        return distTags.latest || null;
+    }
+
+    // Like npm, prefer the 'latest' tag when it satisfies the range, so newer prereleases or backport lines aren't picked.
+    if (distTags.latest && semver.satisfies(distTags.latest, spec, { loose: true })) {
+        return distTags.latest;
+    }
+
+    // Otherwise pick the highest published version that satisfies the range.
+    return semver.maxSatisfying(versions, spec, { loose: true });
+}
+
+/**
+ * Builds the license info object for one published version of a package.
+ * @param {string} packageName The name of the package.
+ * @param {object} versionData The registry document of the resolved version.
+ * @param {object} packument The full registry document, used as a fallback for package-level fields.
+ * @returns {{license: string, homepage: string, resolvedVersion: string}}
+ */
+function toLicenseInfo(packageName, versionData, packument) {
+    return {
+        license: readLicenseField(versionData) || 'N/A',
+        homepage: versionData.homepage || packument.homepage || `https://www.npmjs.com/package/${packageName}`,
+        resolvedVersion: versionData.version
+    };
+}
+
+/**
+ * Reads the license field of a package.json or registry document.
+ * Old packages use a `{ type, url }` object or a legacy `licenses` array instead of an SPDX expression.
+ * @param {object} packageJson The package.json or registry document.
+ * @returns {string} The license, with the types of a `licenses` array joined with " OR ", or an empty string.
+ */
+function readLicenseField(packageJson) {
+    const { license, licenses } = packageJson;
+    if (typeof license === 'string') return license;
+    if (license && typeof license === 'object') return license.type || '';
+    if (Array.isArray(licenses)) {
+        return licenses.map(entry => (typeof entry === 'string' ? entry : entry && entry.type)).filter(Boolean).join(' OR ');
+    }
+    return '';
+}
+
+// Expose the resolution helpers so they can be reused and tested on their own.
+npmStrategy.resolveVersion = resolveVersion;
+npmStrategy.parseSpec = parseSpec;
+
+module.exports = npmStrategy;
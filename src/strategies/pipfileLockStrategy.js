@@ -0,0 +1,77 @@
+// This file defines the strategy for parsing Pipenv's Pipfile.lock files, which pin every installed package including transitive ones.
+
+const jsonc = require('jsonc-parser'); // Import jsonc-parser to get line numbers.
+const { describeSource, normalizeName } = require('../utils/python');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir } = require('./pythonPoetryStrategy'); // Licenses are looked up like for pyproject.toml.
+
+const pipfileLockStrategy = {
+    fileName: 'Pipfile.lock',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
+
+    /**
+     * Parses the Pipfile.lock content and extracts every locked package with its exact version.
+     * Packages of the `default` category are runtime dependencies; those of `develop` and of custom categories are dev dependencies.
+     * Pipfile.lock doesn't record which package requires which, so there are no dependency paths.
+     * @param {string} fileContent The content of the Pipfile.lock file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string}>} An array of dependency objects.
+     */
+    parseDependencies(fileContent, document) {
+        const tree = jsonc.parseTree(fileContent);
+        // If the parsing fails (e.g., invalid JSON), log an error and return an empty array.
+        if (!tree || tree.type !== 'object') {
+            console.error("License Sentinel 🛡️: Could not parse Pipfile.lock as JSON.");
+            return [];
+        }
+
+        const dependencies = [];
+        const seen = new Set();
+        // The runtime category comes first, so packages also locked for development keep the runtime scope.
+        const categories = (tree.children || [])
+            .filter(property => property.children[0].value !== '_meta' && property.children[1].type === 'object')
+            .sort((a, b) => (b.children[0].value === 'default') - (a.children[0].value === 'default'));
+        for (const category of categories) {
+            const scope = category.children[0].value === 'default' ? 'runtime' : 'dev';
+            for (const property of category.children[1].children || []) {
+                const name = property.children[0].value;
+                const spec = jsonc.getNodeValue(property.children[1]) || {};
+                const version = describeSource(spec);
+                const id = `${normalizeName(name)}@${version}`;
+                if (seen.has(id)) continue;
+                seen.add(id);
+                dependencies.push({ name, version, line: document.positionAt(property.offset).line, scope });
+            }
+        }
+        return dependencies;
+    },
+
+    /**
+     * Fetches the license information for a locked package from PyPI, for its exact version.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from the virtualenv, if that exact version is installed.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the metadata folder of an installed package in the virtualenv, which holds its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir
+};
+
+module.exports = pipfileLockStrategy;
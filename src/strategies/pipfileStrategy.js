@@ -0,0 +1,69 @@
+// This file defines the strategy for parsing Pipenv's Pipfile files.
+
+const { parseToml, findKeyLines } = require('../utils/toml');
+const { describeSource } = require('../utils/python');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir } = require('./pythonPoetryStrategy'); // Licenses are looked up like for pyproject.toml.
+
+// The package tables of a Pipfile, with the scope of the packages they list.
+const PACKAGE_TABLES = { packages: 'runtime', 'dev-packages': 'dev' };
+
+const pipfileStrategy = {
+    fileName: 'Pipfile',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
+
+    /**
+     * Parses the Pipfile content and extracts the packages of its [packages] and [dev-packages] tables.
+     * Lines are found from the keys of the tables, so the document isn't needed.
+     * @param {string} fileContent The content of the Pipfile.
+     * @returns {Array<{name: string, version: string, line: number, scope: string}>} An array of dependency objects, with the pinned version,
+     *   the specifier ('*' for any version), or the git, path or file source of the package.
+     */
+    parseDependencies(fileContent) {
+        const pipfile = parseToml(fileContent);
+        const keyLines = findKeyLines(fileContent);
+        const dependencies = [];
+        for (const [table, scope] of Object.entries(PACKAGE_TABLES)) {
+            for (const [name, value] of Object.entries(pipfile[table] || {})) {
+                // Packages are either a specifier ("==1.0", "*") or a table with a version or a source.
+                const spec = typeof value === 'string' ? { version: value } : (value || {});
+                dependencies.push({
+                    name,
+                    version: describeSource(spec),
+                    line: keyLines.get([table, name].join('\0')) || 0,
+                    scope
+                });
+            }
+        }
+        return dependencies;
+    },
+
+    /**
+     * Fetches the license information for a package from PyPI.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of an installed package from the virtualenv.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the metadata folder of an installed package in the virtualenv, which holds its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir
+};
+
+module.exports = pipfileStrategy;
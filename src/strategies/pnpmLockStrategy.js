@@ -0,0 +1,189 @@
+// This file defines the strategy for parsing pnpm's pnpm-lock.yaml files, which list every installed package including transitive ones.
+
+const YAML = require('yaml'); // Import yaml to parse the lockfile and get line numbers.
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir, fetchLicenseFiles } = require('./npmStrategy'); // Licenses are looked up like for package.json.
+const { computeDependencyPaths, computeDependencyScopes, strongestScope } = require('../utils/dependencyGraph');
+
+const pnpmLockStrategy = {
+    fileName: 'pnpm-lock.yaml',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'npm',
+
+    /**
+     * Parses the pnpm-lock.yaml file content and extracts every installed package with its exact version.
+     * Supports lockfile versions 5.x (`/name/1.0.0` keys), 6.x (`/name@1.0.0` keys) and 9.x (`name@1.0.0` keys with `snapshots`).
+     * @param {string} fileContent The content of the pnpm-lock.yaml file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>, installPaths: Array<string>}>}
+     *   An array of dependency objects, with the scope of the importer sections they are reached from and the folders they are installed in.
+     */
+    parseDependencies(fileContent, document) {
+        const doc = YAML.parseDocument(fileContent);
+        const lockfile = doc.toJSON() || {};
+
+        // Lockfile v9 moved the dependency graph from 'packages' to 'snapshots'.
+        const graphSection = lockfile.snapshots ? 'snapshots' : 'packages';
+        const graph = lockfile[graphSection] || {};
+
+        // Build the graph edges between snapshot ids ("name@1.0.0(peer@2.0.0)").
+        const edges = new Map();
+        for (const [key, value] of Object.entries(graph)) {
+            const deps = { ...((value && value.dependencies) || {}), ...((value && value.optionalDependencies) || {}) };
+            edges.set(toSnapshotId(key), Object.entries(deps).map(([depName, ref]) => toReferenceId(depName, ref)).filter(Boolean));
+        }
+
+        // Single-project v5 lockfiles list the direct dependencies at the top level; workspaces use 'importers'.
+        const importers = lockfile.importers || { '.': lockfile };
+        const roots = [];
+        const importerSections = { dependencies: 'runtime', devDependencies: 'dev', optionalDependencies: 'optional' };
+        for (const importer of Object.values(importers)) {
+            for (const [section, scope] of Object.entries(importerSections)) {
+                for (const [depName, ref] of Object.entries((importer && importer[section]) || {})) {
+                    // Since v6, importer entries are objects with 'specifier' and 'version'.
+                    const id = toReferenceId(depName, typeof ref === 'object' && ref ? ref.version : ref);
+                    if (id) roots.push({ id, scope });
+                }
+            }
+        }
+        const paths = computeDependencyPaths(roots.map(root => root.id), edges);
+        // A package gets the scope of the strongest importer section it is reached from.
+        const scopes = computeDependencyScopes(roots, edges);
+
+        // Packages that differ only by their peer dependencies are the same name and version, installed in one folder per peer set.
+        const pathsByPackage = new Map();
+        const scopesByPackage = new Map();
+        const installPathsByPackage = new Map();
+        for (const id of edges.keys()) {
+            const packageId = stripPeers(id);
+            installPathsByPackage.set(packageId, [...(installPathsByPackage.get(packageId) || []), toVirtualStorePath(id)]);
+        }
+        for (const [id, path] of paths) {
+            const packageId = stripPeers(id);
+            if (!pathsByPackage.has(packageId)) pathsByPackage.set(packageId, path.map(stripPeers));
+            scopesByPackage.set(packageId, strongestScope(scopesByPackage.get(packageId), scopes.get(id)));
+        }
+
+        const dependencies = [];
+        const seen = new Set();
+        const packagesNode = doc.get('packages', true);
+        for (const pair of (YAML.isMap(packagesNode) ? packagesNode.items : [])) {
+            const packageId = stripPeers(toSnapshotId(String(pair.key.value)));
+            const { name, version } = splitPackageId(packageId);
+            // Skip local links and anything that isn't a registry version.
+            if (!name || !version || seen.has(packageId)) continue;
+            seen.add(packageId);
+
+            dependencies.push({
+                name,
+                version,
+                line: document.positionAt(pair.key.range[0]).line,
+                // Packages no importer reaches are extraneous; they are treated as runtime dependencies, like in manifests without scopes.
+                scope: scopesByPackage.get(packageId) || 'runtime',
+                dependencyPath: pathsByPackage.get(packageId) || [packageId],
+                // Where the package is installed, relative to the lockfile: pnpm's virtual store, which isn't reachable from the project's node_modules.
+                installPaths: installPathsByPackage.get(packageId) || [toVirtualStorePath(packageId)]
+            });
+        }
+        return dependencies;
+    },
+
+    /**
+     * Fetches the license information for a locked package from the npm registry.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from node_modules, without using the network.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package is installed in.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the folder of a locked package in node_modules, to read its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package is installed in.
+     * @returns {Promise<string | null>} The absolute path of the package folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir,
+
+    /**
+     * Downloads the published tarball of a locked package from the npm registry and reads its license and notice files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the package.
+     */
+    fetchLicenseFiles: fetchLicenseFiles
+};
+
+/**
+ * Normalizes a key of the `packages`/`snapshots` sections to the "name@version(peers)" form used since v9.
+ * For example "/@scope/name/1.0.0_peer@2.0.0" (v5) and "/@scope/name@1.0.0(peer@2.0.0)" (v6) both become "@scope/name@1.0.0...".
+ * @param {string} key The lockfile key.
+ * @returns {string} The normalized id.
+ */
+function toSnapshotId(key) {
+    const id = key.startsWith('/') ? key.slice(1) : key;
+    // In v5 the version is the last path segment ("name/1.0.0" or "@scope/name/1.0.0_peer@2.0.0").
+    const v5Match = id.match(/^((?:@[^/]+\/)?[^/@]+)\/([^/]+)$/);
+    // Since v6 it is already separated from the name by '@'.
+    return v5Match ? `${v5Match[1]}@${v5Match[2]}` : id;
+}
+
+/**
+ * Turns a dependency reference into a snapshot id.
+ * References are either a version for the same name ("1.0.0(peer@2.0.0)") or, for aliases, a full key ("/real/1.0.0", "real@1.0.0").
+ * @param {string} depName The dependency name.
+ * @param {string} ref The reference found in the lockfile.
+ * @returns {string | null} The snapshot id, or null for local links.
+ */
+function toReferenceId(depName, ref) {
+    if (!ref || typeof ref !== 'string' || ref.startsWith('link:') || ref.startsWith('file:')) return null;
+    if (ref.startsWith('/')) return toSnapshotId(ref);
+    // A bare version starts with a digit; anything else with an '@' is an alias to another package.
+    if (!/^\d/.test(ref) && ref.indexOf('@', 1) > 0) return ref;
+    return `${depName}@${ref}`;
+}
+
+/**
+ * Removes the peer dependency suffix from a snapshot id ("name@1.0.0(peer@2.0.0)" or v5's "name@1.0.0_peer@2.0.0").
+ * @param {string} id The snapshot id.
+ * @returns {string} The "name@version" id.
+ */
+function stripPeers(id) {
+    const { name, version } = splitPackageId(id);
+    return name ? `${name}@${version.split('(')[0].split('_')[0]}` : id;
+}
+
+/**
+ * Tells the folder of a package in pnpm's virtual store (node_modules/.pnpm), named after its snapshot id:
+ * "@scope/name@1.0.0(peer@2.0.0)" is installed in "node_modules/.pnpm/@scope+name@1.0.0_peer@2.0.0/node_modules/@scope/name".
+ * pnpm hashes folder names that are too long; those packages are only found through the project's node_modules.
+ * @param {string} id The snapshot id.
+ * @returns {string} The install folder, relative to the lockfile.
+ */
+function toVirtualStorePath(id) {
+    const folder = id.replace(/[\\/:*?"<>|]/g, '+').replace(/\)\(|\(/g, '_').replace(/\)$/, '');
+    return `node_modules/.pnpm/${folder}/node_modules/${splitPackageId(stripPeers(id)).name}`;
+}
+
+/**
+ * Splits a "name@version" id into its parts.
+ * @param {string} id The package id.
+ * @returns {{name: string, version: string}} The package name and version.
+ */
+function splitPackageId(id) {
+    const atIndex = id.indexOf('@', 1);
+    return atIndex > 0 ? { name: id.slice(0, atIndex), version: id.slice(atIndex + 1) } : { name: '', version: '' };
+}
+
+module.exports = pnpmLockStrategy;
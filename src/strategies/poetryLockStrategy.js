@@ -0,0 +1,97 @@
+// This file defines the strategy for parsing Poetry's poetry.lock files, which pin every package of the project including transitive ones.
+
+const { parseToml, findTableArrayLines } = require('../utils/toml');
+const { normalizeName, getGroupScope, readSiblingPyproject, analyzeLockGraph } = require('../utils/python');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir } = require('./pythonPoetryStrategy'); // Licenses are looked up like for pyproject.toml.
+
+const poetryLockStrategy = {
+    fileName: 'poetry.lock',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
+
+    /**
+     * Parses the poetry.lock content and extracts every locked package with its exact version.
+     * Packages get the strongest scope they are reached from, starting at the dependencies of the pyproject.toml next to the lockfile;
+     * without it, the `groups` (Poetry 2) or `category` (older lockfiles) of each package tell its scope.
+     * @param {string} fileContent The content of the poetry.lock file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the poetry.lock file, next to which pyproject.toml is read.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>}>>} An array of
+     *   dependency objects. Packages from git have their 'git+<url>@<commit>' source as version, and local or URL packages their path or URL.
+     */
+    async parseDependencies(fileContent, document, options = {}) {
+        const lockfile = parseToml(fileContent);
+        const nameLines = findTableArrayLines(fileContent, 'package', 'name');
+        const packages = (lockfile.package || []).map((entry, index) => ({
+            entry,
+            name: entry.name,
+            version: entry.version,
+            dependencies: Object.keys(entry.dependencies || {}),
+            line: nameLines[index] || 0
+        }));
+
+        const { scopes, paths } = analyzeLockGraph(packages, (await readSiblingPyproject(options)) || []);
+        return packages.map(pkg => ({
+            name: pkg.name,
+            version: describeLockedSource(pkg.entry),
+            line: pkg.line,
+            scope: scopes.get(normalizeName(pkg.name)) || getLockedScope(pkg.entry),
+            dependencyPath: paths.get(normalizeName(pkg.name)) || [`${pkg.name}@${pkg.version}`]
+        }));
+    },
+
+    /**
+     * Fetches the license information for a locked package from PyPI, for its exact version.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from the virtualenv, if that exact version is installed.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the metadata folder of an installed package in the virtualenv, which holds its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir
+};
+
+/**
+ * Describes where a locked package comes from, as the version reported for it.
+ * @param {{version: string, source?: {type: string, url: string, reference?: string, resolved_reference?: string}}} entry The [[package]] entry.
+ * @returns {string} The exact version of packages from PyPI (or another index), 'git+<url>@<commit>' for git packages, or the path or URL
+ *   of local and URL packages.
+ */
+function describeLockedSource(entry) {
+    const source = entry.source || {};
+    if (source.type === 'git') return `git+${source.url}@${source.resolved_reference || source.reference}`;
+    if (source.type === 'directory' || source.type === 'file' || source.type === 'url') return source.url;
+    return entry.version;
+}
+
+/**
+ * Tells the scope of a locked package from its own entry, for lockfiles whose pyproject.toml can't be read.
+ * @param {{optional?: boolean, groups?: Array<string>, category?: string}} entry The [[package]] entry.
+ * @returns {string} The scope: runtime (or optional) for the main group, otherwise the scope of its groups.
+ */
+function getLockedScope(entry) {
+    const groups = entry.groups || [entry.category === 'dev' ? 'dev' : 'main'];
+    if (groups.includes('main')) return entry.optional === true ? 'optional' : 'runtime';
+    return groups.every(group => getGroupScope(group) === 'test') ? 'test' : 'dev';
+}
+
+module.exports = poetryLockStrategy;
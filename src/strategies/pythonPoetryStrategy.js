@@ -1,150 +1,293 @@
-// This file defines the strategy for parsing Python Poetry's pyproject.toml files and fetching license information.
+// This file defines the strategy for parsing Python pyproject.toml files (PEP 621, Poetry, uv and PDM) and fetching license information from PyPI.
 
 const { fetchJson } = require('../utils/network');
-const toml = require('toml');
+const path = require('path');
+const { parseToml } = require('../utils/toml');
+const { normalizeName, isExactVersion, compareVersions, satisfiesSpecifier, readPyprojectDependencies } = require('../utils/python');
+const { ancestorDirs, readFileIfExists, listDir } = require('../utils/localFiles'); // Import helpers to read installed packages.
 
 const pythonPoetryStrategy = {
     fileName: 'pyproject.toml',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
 
     /**
      * Parses the pyproject.toml file content and extracts dependencies with their locations.
+     * Reads PEP 621 `[project]` dependencies and optional dependencies, PEP 735 `[dependency-groups]`, uv and PDM dev dependencies,
+     * and Poetry's `[tool.poetry.dependencies]`, `dev-dependencies` and groups.
      * @param {string} fileContent The content of the pyproject.toml file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @returns {Array<{name: string, version: string, line: number, scope: string}>} An array of dependency objects, with the scope of the section they are declared in.
      */
     parseDependencies(fileContent, document) {
-        const dependencies = [];
         try {
-            // Parse the TOML file content using the 'toml' library.
-            const parsedToml = toml.parse(fileContent);
-            
-            // Extract dependencies from both 'dependencies' and 'dev-dependencies' sections in the pyproject.toml file.
-            const deps = { 
-                ...(parsedToml.tool?.poetry?.dependencies || {}), 
-                ...(parsedToml.tool?.poetry?.['dev-dependencies'] || {}) 
-            };
-            // Remove the 'python' key as it's not a dependency.
-            delete deps.python;
-
-            // Split the file content into lines for accurate line number tracking.
-            const lines = fileContent.split(/\r?\n/);
-            // Flag to indicate if the current line is within a dependencies section.
-            let inDepsSection = false;
-            // Array of strings that indicate the start of a dependencies section.
-            const depSections = ['[tool.poetry.dependencies]', '[tool.poetry.dev-dependencies]'];
-            // Regular expression to extract the dependency name from a line.
-            const keyRegex = /^\s*([a-zA-Z0-9_.-]+)\s*=/;
-
-            // Iterate over each line in the file.
-            lines.forEach((line, index) => {
-                // Trim whitespace from the beginning and end of the line.
-                const trimmedLine = line.trim();
-                // Check if the line indicates the start of a dependencies section.
-                if (depSections.includes(trimmedLine)) {
-                    inDepsSection = true;
-                    return;
-                }
-                // If the line starts a new section, reset the flag unless it's a dependency-related section.
-                if (trimmedLine.startsWith('[')) {
-                    const isWorkspaceOrTarget = trimmedLine.includes('.dependencies]') || trimmedLine.startsWith('[target');
-                    inDepsSection = isWorkspaceOrTarget;
-                    return;
-                }
-
-                // If currently inside a dependencies section.
-                if (inDepsSection) {
-                    // Attempt to match the line against the dependency key regex.
-                    const match = trimmedLine.match(keyRegex);
-                    // If a match is found and a dependency name is extracted.
-                    if (match && match[1]) {
-                        const name = match[1];
-                        // Check if the dependency exists in the extracted dependencies.
-                        if (deps[name]) {
-                             // Add the dependency to the dependencies array with its name, version, and line number.
-                             dependencies.push({
-                                name,
-                                // Determine the version string, using '*' if version is not explicitly defined.
-                                version: typeof deps[name] === 'string' ? deps[name] : deps[name].version || '*',
-                                line: index
-                            });
-                        }
-                    }
-                }
-            });
+            return readPyprojectDependencies(fileContent);
         } catch (e) {
             // Log an error message if parsing the pyproject.toml file fails.
             console.error("Failed to parse pyproject.toml:", e);
+            return [];
         }
-        
-        // Return the array of extracted dependencies.
-        return dependencies;
     },
 
     /**
-     * Fetches the license information for a given package name from the PyPI API.
+     * Fetches the license information of a package from the PyPI API, for the exact version in use.
+     * Pinned versions are looked up directly; other specifiers are resolved to the highest matching release that isn't yanked.
      * This version is the most robust and handles edge cases like Pillow.
      * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
      * @returns {Promise<object>} An object containing the license and homepage information.
+     * @throws {Error} If the package isn't installed from PyPI, or no release matches the specifier.
      */
-    async fetchLicenseInfo(packageName) {
-        // Fetch the package metadata from the PyPI API.
-        const responseData = await fetchJson(`https://pypi.org/pypi/${packageName}/json`);
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
+        // Fetch the metadata of the release from the PyPI API.
+        const responseData = await fetchRelease(packageName, packageVersion, options);
         // Extract the 'info' section from the response data.
         const info = responseData.info;
-        
-        // Initialize the license variable to 'N/A'.
-        let foundLicense = 'N/A';
-
-        // --- NEW HIERARCHY FOR FINDING THE LICENSE ---
-        // 1. Check for a specific license string in the 'license' field.
-        //    This is often the most accurate if it's not empty.
-        //    Pillow's license is "HPND" but it's listed as "Historical Permission Notice and Disclaimer"
-        if (info.license && info.license.trim() !== '' && info.license.length < 100) { // Avoid long license texts
-            foundLicense = info.license;
-        }
 
-        // 2. If the license field is not helpful, check the classifiers. This is the standard way.
-        const classifiers = info.classifiers || [];
-        const licenseClassifiers = classifiers.filter(c => c.startsWith('License :: OSI Approved ::'));
-
-        if (licenseClassifiers.length > 0) {
-            // If we find a standard OSI approved license, it's better than a custom string.
-            foundLicense = licenseClassifiers.map(c => c.split('::').pop().trim()).join(' OR ');
-        } 
-        // 3. If still no specific license, but we have a non-empty license field from step 1, use that.
-        //    (This condition is already handled by the initial assignment)
-
-        // 4. As a last resort, check for any license classifier, even if not OSI approved.
-        if (foundLicense === 'N/A') {
-             const genericLicenseClassifier = classifiers.find(c => c.startsWith('License ::'));
-             if (genericLicenseClassifier) {
-                foundLicense = genericLicenseClassifier.split('::').pop().trim();
-             }
-        }
-        
-        // Final cleanup: if the result is something generic like "OSI Approved", it's not useful.
-        if (foundLicense.toLowerCase().trim() === 'osi approved') {
-            foundLicense = 'N/A';
-        }
+        // Return an object containing the license and homepage information.
+        return {
+            license: pickLicense(packageName, {
+                licenseExpression: info.license_expression,
+                license: info.license,
+                classifiers: info.classifiers || []
+            }),
+            homepage: info.project_url || info.home_page || `https://pypi.org/project/${packageName}`,
+            resolvedVersion: info.version
+        };
+    },
 
-        // --- SPECIFIC FIX FOR PILLOW ---
-        // Pillow's license is "HPND" (Historical Permission Notice and Disclaimer) but it's often listed as just "Pillow" or a long text.
-        // The classifier for it is often just "License :: Other/Proprietary License".
-        // Let's add a manual check.
-        if (packageName.toLowerCase() === 'pillow' && foundLicense === 'N/A') {
-             // After checking Pillow's metadata, its license is HPND, which is a permissive, BSD-style license.
-             // We will manually set it here as a fallback.
-             console.log("Applying manual fallback for Pillow license.");
-             foundLicense = 'HPND'; // Historical Permission Notice and Disclaimer
-        }
+    /**
+     * Reads the license information of an installed package from the `*.dist-info/METADATA` file in a virtualenv, without using the network.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint declared in the manifest, or the exact version locked in a lockfile.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options, including the folder of the manifest file and the configured virtualenv.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed
+     *   (or the installed version doesn't match the declared one or satisfy the declared range).
+     */
+    async fetchLocalLicenseInfo(packageName, packageVersion, options) {
+        const installed = await findInstalledDistribution(packageName, options);
+        if (!installed) return null;
 
+        const headers = parseMetadata(installed.metadata);
+        // A version pinned in a lockfile or requirements file only matches that version; a different one installed doesn't tell its license.
+        const installedVersion = (headers['version'] || [])[0] || '';
+        if (isExactVersion(packageVersion) && installedVersion && compareVersions(installedVersion, packageVersion) !== 0) return null;
+        // Likewise, skip an install outside a declared range; URLs and paths (with '/', '\\' or ':') can't be checked against.
+        const isRange = !isExactVersion(packageVersion) && !/[/\\:]/.test(packageVersion || '');
+        if (isRange && installedVersion && !satisfiesSpecifier(installedVersion, packageVersion)) return null;
+        // The homepage is either a 'Home-page' header or a 'Project-URL: Homepage, <url>' entry.
+        const projectHomepage = (headers['project-url'] || [])
+            .map(entry => entry.split(',').map(part => part.trim()))
+            .find(([label]) => /^home-?page$/i.test(label));
 
-        // Return an object containing the license and homepage information.
         return {
-            license: foundLicense,
-            homepage: info.project_url || info.home_page || `https://pypi.org/project/${packageName}`
+            license: pickLicense(packageName, {
+                licenseExpression: (headers['license-expression'] || [])[0],
+                license: (headers['license'] || [])[0],
+                classifiers: headers['classifier'] || []
+            }),
+            homepage: (headers['home-page'] || [])[0] || (projectHomepage && projectHomepage[1]) || `https://pypi.org/project/${packageName}`,
+            resolvedVersion: installedVersion
         };
+    },
+
+    /**
+     * Finds the metadata folder (`*.dist-info` or `*.egg-info`) of an installed package, which holds its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint declared in the manifest.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options, including the folder of the manifest file and the configured virtualenv.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    async findPackageDir(packageName, packageVersion, options) {
+        const installed = await findInstalledDistribution(packageName, options);
+        return installed && installed.dir;
+    },
+
+    /**
+     * Reads the license of the project itself from its pyproject.toml.
+     * Supports the PEP 621 `project.license` field (an SPDX expression, or a `{ text }` table in older projects) and Poetry's `tool.poetry.license`.
+     * @param {string} fileContent The content of the pyproject.toml file.
+     * @returns {string | null} The declared license, or null if there is none.
+     */
+    readProjectLicense(fileContent) {
+        const parsedToml = parseToml(fileContent);
+        const projectLicense = parsedToml.project && parsedToml.project.license;
+        const license = typeof projectLicense === 'object' && projectLicense ? projectLicense.text : projectLicense;
+        if (typeof license === 'string' && license.trim() !== '') return license.trim();
+        const poetryLicense = parsedToml.tool && parsedToml.tool.poetry && parsedToml.tool.poetry.license;
+        return typeof poetryLicense === 'string' && poetryLicense ? poetryLicense : null;
     }
 };
 
+/**
+ * Fetches the PyPI metadata of the release a package version resolves to.
+ * @param {string} packageName The name of the package.
+ * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with ('*' for any).
+ * @param {{signal?: AbortSignal}} options The request options.
+ * @returns {Promise<object>} The JSON metadata of the release, from `/pypi/<name>/<version>/json`.
+ * @throws {Error} If the version is a URL or path, or no release matches the specifier (with a 404 status code).
+ */
+async function fetchRelease(packageName, packageVersion, options) {
+    const projectUrl = `https://pypi.org/pypi/${encodeURIComponent(packageName)}`;
+    if (isExactVersion(packageVersion)) return fetchJson(`${projectUrl}/${encodeURIComponent(packageVersion)}/json`, { signal: options.signal });
+    if (/[/\\:]/.test(packageVersion)) throw new Error(`${packageName} is installed from ${packageVersion}, not from PyPI.`);
+
+    // The project metadata lists every release with its files; its 'info' is the one of the latest release.
+    const project = await fetchJson(`${projectUrl}/json`, { signal: options.signal });
+    const candidates = Object.entries(project.releases || {})
+        // Releases whose files are all yanked are skipped, like pip does for specifiers.
+        .filter(([version, files]) => files.length > 0 && files.some(file => !file.yanked) && satisfiesSpecifier(version, packageVersion))
+        .map(([version]) => version)
+        .sort(compareVersions);
+    const best = candidates[candidates.length - 1];
+    if (!best) {
+        const error = new Error(`No release of ${packageName} matches "${packageVersion}"`);
+        error.statusCode = 404;
+        throw error;
+    }
+    if (project.info && project.info.version === best) return project;
+    return fetchJson(`${projectUrl}/${encodeURIComponent(best)}/json`, { signal: options.signal });
+}
+
+/**
+ * Finds the metadata of an installed package in the virtualenv.
+ * @param {string} packageName The name of the package.
+ * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+ * @returns {Promise<{dir: string, metadata: string} | null>} The metadata folder and the content of its METADATA/PKG-INFO file, or null if the package isn't installed.
+ */
+async function findInstalledDistribution(packageName, options) {
+    // Distribution folders use the normalized project name, e.g. "typing_extensions-4.12.2.dist-info".
+    const wantedName = normalizeName(packageName);
+
+    for (const sitePackages of await findSitePackages(options)) {
+        const entries = await listDir(sitePackages);
+        // Prefer wheel installs (.dist-info) over legacy setuptools installs (.egg-info).
+        const metadataDir = entries.find(e => e.endsWith('.dist-info') && normalizeName(e.split('-')[0]) === wantedName)
+            || entries.find(e => e.endsWith('.egg-info') && normalizeName(e.split('-')[0]) === wantedName);
+        if (!metadataDir) continue;
+
+        const metadataFile = metadataDir.endsWith('.dist-info') ? 'METADATA' : 'PKG-INFO';
+        const metadata = await readFileIfExists(path.join(sitePackages, metadataDir, metadataFile));
+        if (metadata === null) continue;
+        return { dir: path.join(sitePackages, metadataDir), metadata };
+    }
+    return null;
+}
+
+/**
+ * Picks the most meaningful license string from Python package metadata, as found on PyPI or in a METADATA file.
+ * @param {string} packageName The name of the package.
+ * @param {{licenseExpression?: string, license?: string, classifiers: Array<string>}} metadata The license-related metadata.
+ * @returns {string} The license string, or 'N/A' if none was found.
+ */
+function pickLicense(packageName, { licenseExpression, license, classifiers }) {
+    // 0. PEP 639 'License-Expression' is already an SPDX expression, so it wins when present.
+    if (licenseExpression && licenseExpression.trim() !== '') {
+        return licenseExpression.trim();
+    }
+
+    // Initialize the license variable to 'N/A'.
+    let foundLicense = 'N/A';
+
+    // --- NEW HIERARCHY FOR FINDING THE LICENSE ---
+    // 1. Check for a specific license string in the 'license' field.
+    //    This is often the most accurate if it's not empty.
+    //    Pillow's license is "HPND" but it's listed as "Historical Permission Notice and Disclaimer"
+    if (license && license.trim() !== '' && license.length < 100) { // Avoid long license texts
+        foundLicense = license;
+    }
+
+    // 2. If the license field is not helpful, check the classifiers. This is the standard way.
+    const licenseClassifiers = classifiers.filter(c => c.startsWith('License :: OSI Approved ::'));
+
+    if (licenseClassifiers.length > 0) {
+        // If we find a standard OSI approved license, it's better than a custom string.
+        foundLicense = licenseClassifiers.map(c => c.split('::').pop().trim()).join(' OR ');
+    } 
+    // 3. If still no specific license, but we have a non-empty license field from step 1, use that.
+    //    (This condition is already handled by the initial assignment)
+
+    // 4. As a last resort, check for any license classifier, even if not OSI approved.
+    if (foundLicense === 'N/A') {
+         const genericLicenseClassifier = classifiers.find(c => c.startsWith('License ::'));
+         if (genericLicenseClassifier) {
+            foundLicense = genericLicenseClassifier.split('::').pop().trim();
+         }
+    }
+    
+    // Final cleanup: if the result is something generic like "OSI Approved", it's not useful.
+    if (foundLicense.toLowerCase().trim() === 'osi approved') {
+        foundLicense = 'N/A';
+    }
+
+    // --- SPECIFIC FIX FOR PILLOW ---
+    // Pillow's license is "HPND" (Historical Permission Notice and Disclaimer) but it's often listed as just "Pillow" or a long text.
+    // The classifier for it is often just "License :: Other/Proprietary License".
+    // Let's add a manual check.
+    if (packageName.toLowerCase() === 'pillow' && foundLicense === 'N/A') {
+         // After checking Pillow's metadata, its license is HPND, which is a permissive, BSD-style license.
+         // We will manually set it here as a fallback.
+         console.log("Applying manual fallback for Pillow license.");
+         foundLicense = 'HPND'; // Historical Permission Notice and Disclaimer
+    }
+
+    return foundLicense;
+}
+
+/**
+ * Parses the RFC 822-style headers of a METADATA/PKG-INFO file. Headers may repeat (e.g. 'Classifier'),
+ * so each one maps to a list of values. Parsing stops at the first blank line, where the description starts.
+ * @param {string} content The content of the metadata file.
+ * @returns {Object<string, Array<string>>} A map from the lower-cased header name to its values.
+ */
+function parseMetadata(content) {
+    const headers = {};
+    let lastKey = null;
+    for (const line of content.split(/\r?\n/)) {
+        if (line.trim() === '') break;
+        // Indented lines continue the previous header (e.g. a multi-line 'License').
+        if (/^\s/.test(line) && lastKey) {
+            const values = headers[lastKey];
+            values[values.length - 1] += `\n${line.trim()}`;
+            continue;
+        }
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex <= 0) continue;
+        lastKey = line.slice(0, separatorIndex).trim().toLowerCase();
+        (headers[lastKey] = headers[lastKey] || []).push(line.slice(separatorIndex + 1).trim());
+    }
+    return headers;
+}
+
+/**
+ * Finds the site-packages folders of the virtualenv to read installed packages from.
+ * Uses the configured virtualenv if set, otherwise the nearest '.venv' or 'venv' folder above the manifest, then $VIRTUAL_ENV.
+ * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+ * @returns {Promise<Array<string>>} The absolute paths of the site-packages folders.
+ */
+async function findSitePackages(options) {
+    const candidates = options.pythonVirtualEnv
+        ? [options.pythonVirtualEnv]
+        : [
+            ...ancestorDirs(options.manifestDir).flatMap(dir => [path.join(dir, '.venv'), path.join(dir, 'venv')]),
+            ...(process.env.VIRTUAL_ENV ? [process.env.VIRTUAL_ENV] : [])
+        ];
+
+    for (const venv of candidates) {
+        // POSIX virtualenvs use lib/pythonX.Y/site-packages; Windows ones use Lib/site-packages.
+        const pythonDirs = (await listDir(path.join(venv, 'lib'))).filter(d => d.startsWith('python'));
+        const sitePackages = [
+            ...pythonDirs.map(d => path.join(venv, 'lib', d, 'site-packages')),
+            path.join(venv, 'Lib', 'site-packages')
+        ];
+        const existing = [];
+        for (const dir of sitePackages) {
+            if ((await listDir(dir)).length > 0) existing.push(dir);
+        }
+        if (existing.length > 0) return existing;
+    }
+    return [];
+}
+
 module.exports = pythonPoetryStrategy;
\ No newline at end of file
@@ -1,69 +1,138 @@
 // This file defines the strategy for parsing Python requirements.txt files and fetching license information.
 
-const { fetchLicenseInfo } = require('./pythonPoetryStrategy');
+const path = require('path');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir } = require('./pythonPoetryStrategy');
+const { normalizeName, parseRequirement, toReportedVersion, isExactVersion } = require('../utils/python');
 
 const pythonRequirementsStrategy = {
     fileName: 'requirements.txt',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
 
     /**
      * Parses the requirements.txt file content and extracts dependencies with their locations.
+     * Requirements are PEP 508 strings. Files included with `-r`/`--requirement` are read too, and their requirements are reported
+     * on the line of the include; `-c`/`--constraint` files pin the versions of requirements that don't pin one.
      * @param {string} fileContent The content of the requirements.txt file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the requirements.txt file, which included files are relative to.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @returns {Promise<Array<{name: string, version: string, line: number}>>} An array of dependency objects, with the pinned version,
+     *   the specifier, the URL of the package, or '*'.
      */
-    parseDependencies(fileContent, document) {
+    async parseDependencies(fileContent, document, options = {}) {
         const dependencies = [];
-        // Split the file content into lines for easier processing.
-        const lines = fileContent.split(/\r?\n/);
+        // The versions constraints files give, by normalized package name.
+        const constraints = new Map();
+        // Files already read, so that files including each other are read once.
+        const visited = new Set(options.filePath ? [path.resolve(options.filePath)] : []);
 
-        // Regex to extract package names, allowing for names with dots and optional extras (e.g., package[extra]).
-        const depRegex = /^\s*([a-zA-Z0-9_.-]+(?:\[[a-zA-Z0-9_.-]+\])?)/;
-
-        // Iterate over each line in the file.
-        lines.forEach((line, index) => {
-            // Trim whitespace from the beginning and end of the line.
-            const trimmedLine = line.trim();
-            // Skip comments, empty lines, and lines starting with '-' (used for options, not direct dependencies).
-            if (trimmedLine.startsWith('#') || trimmedLine === '' || trimmedLine.startsWith('-')) {
-                return;
-            }
-
-            // Attempt to match the dependency regex.
-            const match = trimmedLine.match(depRegex);
-            // If a match is found, extract the dependency name and version.
-            if (match && match[1]) {
-                // Extract the package name, removing any "extras" (e.g., [full]).
-                const name = match[1].split('[')[0];
-                
-                // Default version to 'latest' if no specific version is found.
-                let version = 'latest';
-                // Regex to extract the version string, accounting for comparison operators (==, >=, <=, ~=, >, <).
-                const versionMatch = trimmedLine.match(/(==|>=|<=|~=|>|<)\s*([\w_.-]+)/);
-                // If a version match is found, update the version string.
-                if (versionMatch && versionMatch[2]) {
-                    version = versionMatch[2];
+        // Reads the entries of a file; requirements of included files are reported on the line of the include in the scanned file.
+        const readEntries = async (content, filePath, includeLine) => {
+            for (const entry of parseRequirementsFile(content)) {
+                const line = includeLine === undefined ? entry.line : includeLine;
+                if (entry.requirement) {
+                    dependencies.push({
+                        name: entry.requirement.name,
+                        version: entry.requirement.url || toReportedVersion(entry.requirement.specifier),
+                        line
+                    });
+                    continue;
+                }
+                // Included files can only be read with the path of the including one.
+                if (!filePath || !options.readFile) continue;
+                const target = path.resolve(path.dirname(filePath), entry.path);
+                if (visited.has(target)) continue;
+                visited.add(target);
+                let included;
+                try {
+                    included = await options.readFile(target);
+                } catch {
+                    // A missing included file leaves its requirements out, as there is nothing to report them from.
+                    continue;
+                }
+                if (entry.type === 'requirement') {
+                    await readEntries(included, target, line);
+                } else {
+                    for (const constraint of parseRequirementsFile(included)) {
+                        if (constraint.requirement) constraints.set(normalizeName(constraint.requirement.name), toReportedVersion(constraint.requirement.specifier));
+                    }
                 }
-
-                // Add the dependency to the dependencies array.
-                dependencies.push({
-                    name,
-                    version,
-                    line: index,
-                });
             }
-        });
+        };
+        await readEntries(fileContent, options.filePath);
 
-        // Return the array of extracted dependencies.
-        return dependencies;
+        return dependencies.map(dependency => {
+            const constraint = constraints.get(normalizeName(dependency.name));
+            // Constraints don't change pinned versions or URLs; other specifiers are narrowed by them.
+            if (!constraint || constraint === '*' || isExactVersion(dependency.version) || /[/\\:]/.test(dependency.version)) return dependency;
+            return { ...dependency, version: isExactVersion(constraint) || dependency.version === '*' ? constraint : `${dependency.version},${constraint}` };
+        });
     },
 
     /**
      * Fetches the license information for a given package name.
      * This function reuses the fetchLicenseInfo function from the pythonPoetryStrategy.
      * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package, or the version specifier it is declared with.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
      * @returns {Promise<object>} An object containing the license and homepage information.
      */
-    fetchLicenseInfo: fetchLicenseInfo
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of an installed package from the virtualenv.
+     * This function reuses the fetchLocalLicenseInfo function from the pythonPoetryStrategy.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the metadata folder of an installed package in the virtualenv, which holds its license files.
+     * This function reuses the findPackageDir function from the pythonPoetryStrategy.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The version constraint of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir
 };
 
-module.exports = pythonRequirementsStrategy;
\ No newline at end of file
+/**
+ * Parses the lines of a requirements file into requirements and included files.
+ * Comments, blank lines and options other than includes (`--index-url`, `-e`, per-requirement `--hash`) are skipped, and lines
+ * continued with a trailing backslash are joined.
+ * @param {string} content The content of the requirements file.
+ * @returns {Array<{line: number, requirement?: object, type?: 'requirement' | 'constraint', path?: string}>} The entries, in order,
+ *   with the 0-based line they start on: a requirement parsed by parseRequirement, or the path of a requirements or constraints file.
+ */
+function parseRequirementsFile(content) {
+    const entries = [];
+    const lines = content.split(/\r?\n/);
+    for (let index = 0; index < lines.length; index++) {
+        const startLine = index;
+        let text = lines[index];
+        while (/\\\s*$/.test(text) && index + 1 < lines.length) text = text.replace(/\\\s*$/, ' ') + lines[++index];
+        // Comments start with '#' at the start of the line or after whitespace, so URL fragments are kept.
+        text = text.replace(/(^|\s)#.*$/, '').trim();
+        if (text === '') continue;
+
+        const option = text.match(/^(-r|--requirement|-c|--constraint)(?:\s*=\s*|\s+|(?=[^\s=]))(\S+)$/);
+        if (option) {
+            entries.push({ line: startLine, type: /^(?:-r|--requirement)$/.test(option[1]) ? 'requirement' : 'constraint', path: option[2] });
+            continue;
+        }
+        if (text.startsWith('-')) continue;
+
+        // Options for a single requirement (`--hash=...`) follow it.
+        const requirement = parseRequirement(text.replace(/\s+--?[A-Za-z][\s\S]*$/, ''));
+        if (requirement) entries.push({ line: startLine, requirement });
+    }
+    return entries;
+}
+
+module.exports = pythonRequirementsStrategy;
@@ -0,0 +1,153 @@
+// This file defines the strategy for parsing Cargo.lock files, which list every crate of the build including transitive ones.
+
+const path = require('path');
+const { parseToml } = require('../utils/toml');
+const { parseCargoLock, readDependencyScopes } = require('../utils/cargo');
+const { computeDependencyPaths, computeDependencyScopes } = require('../utils/dependencyGraph');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir, fetchLicenseFiles } = require('./rustCargoStrategy'); // Licenses are looked up like for Cargo.toml.
+
+const rustCargoLockStrategy = {
+    fileName: 'Cargo.lock',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'cargo',
+
+    /**
+     * Parses the Cargo.lock file content and extracts every locked crate with its exact version.
+     * Crates without a source are the local crates of the workspace, which are part of the project and aren't reported; the crates they
+     * depend on get the scope declared in their Cargo.toml, when it can be read next to the lockfile.
+     * @param {string} fileContent The content of the Cargo.lock file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the Cargo.lock file, next to which the workspace Cargo.toml is read.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>}>>} An array of
+     *   dependency objects. Git crates have their 'git+<url>#<commit>' source as version.
+     */
+    async parseDependencies(fileContent, document, options = {}) {
+        const packages = parseCargoLock(fileContent);
+        const toId = pkg => `${pkg.name}@${pkg.version}`;
+
+        // References name a crate, adding its version (and source) only when several versions are locked.
+        const packagesByName = new Map();
+        for (const pkg of packages) packagesByName.set(pkg.name, [...(packagesByName.get(pkg.name) || []), pkg]);
+        const resolveReference = reference => {
+            const [name, version] = reference.split(' ');
+            const candidates = packagesByName.get(name) || [];
+            const pkg = version ? candidates.find(candidate => candidate.version === version) : candidates[0];
+            return pkg && !isLocal(pkg) ? toId(pkg) : null;
+        };
+
+        const edges = new Map();
+        for (const pkg of packages) edges.set(toId(pkg), pkg.dependencies.map(resolveReference).filter(Boolean));
+
+        // The direct dependencies of the local crates are the roots of the graph.
+        const scopesByCrate = await readLocalCrateScopes(packages.filter(isLocal), options);
+        const roots = [];
+        for (const pkg of packages.filter(isLocal)) {
+            const declaredScopes = scopesByCrate.get(pkg.name) || new Map();
+            for (const reference of pkg.dependencies) {
+                const id = resolveReference(reference);
+                // Crates whose manifest couldn't be read are treated as runtime dependencies, like in lockfiles without scopes.
+                if (id) roots.push({ id, scope: declaredScopes.get(reference.split(' ')[0]) || 'runtime' });
+            }
+        }
+        const paths = computeDependencyPaths(roots.map(root => root.id), edges);
+        // A crate gets the scope of the strongest declaration it is reached from.
+        const scopes = computeDependencyScopes(roots, edges);
+
+        return packages.filter(pkg => !isLocal(pkg)).map(pkg => ({
+            name: pkg.name,
+            // Registry crates are locked to a version; git crates to the commit their source ends with.
+            version: pkg.source.startsWith('git+') ? pkg.source : pkg.version,
+            line: pkg.line,
+            scope: scopes.get(toId(pkg)) || 'runtime',
+            dependencyPath: paths.get(toId(pkg)) || [toId(pkg)]
+        }));
+    },
+
+    /**
+     * Fetches the license information for a locked crate from crates.io, for its exact version.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The exact version of the crate, or the 'git+<url>#<commit>' source of a git crate.
+     * @param {{signal?: AbortSignal, manifestDir?: string}} [options] The request options, such as the signal that aborts the lookup when the
+     *   scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked crate from the sources Cargo has downloaded or checked out, without using the network.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The exact version of the crate, or the 'git+<url>#<commit>' source of a git crate.
+     * @param {{manifestDir?: string}} [options] The lookup options, including the folder of the lockfile.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the crate isn't available.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the sources of a locked crate on disk, to read its license files.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The exact version of the crate, or the 'git+<url>#<commit>' source of a git crate.
+     * @param {{manifestDir?: string}} [options] The lookup options, including the folder of the lockfile.
+     * @returns {Promise<string | null>} The absolute path of the crate folder, or null if the crate isn't available.
+     */
+    findPackageDir: findPackageDir,
+
+    /**
+     * Downloads a locked crate from crates.io and reads its license and notice files.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The exact version of the crate.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the crate.
+     */
+    fetchLicenseFiles: fetchLicenseFiles
+};
+
+/**
+ * Tells whether a locked crate is a local crate of the workspace (or a path dependency), which have no source.
+ * @param {{source?: string}} pkg The locked crate.
+ * @returns {boolean} True for local crates.
+ */
+function isLocal(pkg) {
+    return !pkg.source;
+}
+
+/**
+ * Reads the scopes the local crates declare their dependencies with, from the Cargo.toml next to the lockfile and the manifests of the
+ * workspace members. Members listed with a trailing `/*` glob are looked up in the folder named like the crate.
+ * @param {Array<{name: string}>} localCrates The local crates of the lockfile.
+ * @param {{filePath?: string, readFile?: function(string): Promise<string>}} options The parse options.
+ * @returns {Promise<Map<string, Map<string, string>>>} The scope of each dependency, by local crate name.
+ */
+async function readLocalCrateScopes(localCrates, options) {
+    const scopesByCrate = new Map();
+    if (!options.filePath || !options.readFile) return scopesByCrate;
+    const rootDir = path.dirname(options.filePath);
+    const readManifest = async dir => {
+        try {
+            return parseToml(await options.readFile(path.join(rootDir, dir, 'Cargo.toml')));
+        } catch {
+            // Members that can't be read keep the default scope.
+            return null;
+        }
+    };
+
+    const root = await readManifest('.');
+    if (!root) return scopesByCrate;
+    const workspace = { dependencies: root.workspace && root.workspace.dependencies };
+    const manifests = [root];
+    for (const member of (root.workspace && root.workspace.members) || []) {
+        const glob = member.match(/^(.*)\/\*$/);
+        if (glob && !/[*?[]/.test(glob[1])) {
+            for (const crate of localCrates) manifests.push(await readManifest(path.join(glob[1], crate.name)));
+        } else if (!/[*?[]/.test(member)) {
+            manifests.push(await readManifest(member));
+        }
+    }
+    for (const manifest of manifests) {
+        const name = manifest && manifest.package && manifest.package.name;
+        if (typeof name === 'string' && !scopesByCrate.has(name)) scopesByCrate.set(name, readDependencyScopes(manifest, workspace));
+    }
+    return scopesByCrate;
+}
+
+module.exports = rustCargoLockStrategy;
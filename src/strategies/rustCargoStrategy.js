@@ -1,119 +1,370 @@
 // This file defines the strategy for parsing Rust Cargo.toml files and fetching license information.
 
-const { fetchJson } = require('../utils/network');
-const toml = require('toml');
+const { fetchJson, fetchText } = require('../utils/network');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const semver = require('semver'); // Import semver to match Cargo version requirements.
+const { parseToml, findKeyLines } = require('../utils/toml');
+const { readManifestDependencies, findWorkspaceRoot } = require('../utils/cargo');
+const { readFileIfExists, listDir } = require('../utils/localFiles'); // Import helpers to read downloaded crates.
+const { isLicenseFileName, identifyLicenseText } = require('../utils/licenseFiles');
+const { readTarGzFiles } = require('../utils/tarball');
 
 const rustCargoStrategy = {
     fileName: 'Cargo.toml',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'cargo',
 
     /**
      * Parses the Cargo.toml file and extracts dependencies with their locations.
+     * Dependencies are read from [dependencies], [dev-dependencies], [build-dependencies], their platform-specific [target.<cfg>.*]
+     * variants. Renamed crates (`package = "..."`) are reported under their real name, and `dep = { workspace = true }` takes its
+     * source from the workspace root when it can be read; the root's [workspace.dependencies] are reported by the members inheriting them.
      * @param {string} fileContent The content of the Cargo.toml file.
-     * @param {import('vscode').TextDocument} document The VS Code document object for position mapping.
-     * @returns {Array<{name: string, version: string, line: number}>} An array of dependency objects.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {object} [options] The parse options.
+     * @param {string} [options.filePath] The absolute path of the Cargo.toml file, to find the workspace root above it.
+     * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string}>>} An array of dependency objects, with the scope of
+     *   the table they are declared in. Local crates have their path as version, and git crates their 'git+<url>' source.
      */
-    parseDependencies(fileContent, document) {
-        // Initialize an empty array to store the dependencies found in the Cargo.toml file.
-        const dependencies = [];
-        // Parse the TOML file content using the 'toml' library.
-        const parsedToml = toml.parse(fileContent);
-
-        // Combine dependencies from the 'dependencies', 'dev-dependencies', and 'build-dependencies' sections.
-        const allDeps = {
-            ...(parsedToml.dependencies || {}),
-            ...(parsedToml['dev-dependencies'] || {}),
-            ...(parsedToml['build-dependencies'] || {})
-        };
+    async parseDependencies(fileContent, document, options = {}) {
+        // Parse the TOML file content, including the dotted keys of TOML 1.0.
+        const manifest = parseToml(fileContent);
 
-        // Clean up the dependency versions. If the version is a string, use it. If it's an object with a version property, use that. Otherwise, default to "*".
-        const cleanedDeps = {};
-        for (const [name, value] of Object.entries(allDeps)) {
-            if (typeof value === 'string') {
-                cleanedDeps[name] = value;
-            } else if (typeof value === 'object' && value.version) {
-                cleanedDeps[name] = value.version;
-            } else {
-                cleanedDeps[name] = "*";
-            }
+        // A workspace root declares the inherited dependencies itself; members find it in a folder above them.
+        let workspace = {};
+        if (manifest.workspace) {
+            workspace = { dependencies: manifest.workspace.dependencies };
+        } else if (options.filePath && options.readFile && /\bworkspace\s*=\s*true\b/.test(fileContent)) {
+            const root = await findWorkspaceRoot(options.filePath, options.readFile);
+            if (root) workspace = { dependencies: root.manifest.workspace.dependencies, dir: root.dir };
         }
-        
-        // Split the file content into lines for accurate line number tracking.
-        const lines = fileContent.split(/\r?\n/);
-        // Flag to indicate if the current line is within a dependencies section.
-        let inDepsSection = false;
-        // Array of strings that indicate the start of a dependencies section.
-        const depSections = ['[dependencies]', '[dev-dependencies]', '[build-dependencies]'];
-        // Regular expression to extract the dependency name from a line.
-        const keyRegex = /^\s*([a-zA-Z0-9_-]+)\s*=/;
-
-        // Iterate over each line in the file.
-        lines.forEach((line, index) => {
-            // Trim whitespace from the beginning and end of the line.
-            const trimmedLine = line.trim();
-            // Check if the line indicates the start of a dependencies section.
-            if (depSections.some(s => trimmedLine.startsWith(s))) {
-                inDepsSection = true;
-                return;
-            }
-            // If the line starts a new section, reset the flag unless it's a dependency-related section.
-            if (trimmedLine.startsWith('[')) {
-                // This logic handles sections like [workspace.dependencies] or [target...]
-                const isWorkspaceOrTarget = trimmedLine.includes('.dependencies]') || trimmedLine.startsWith('[target');
-                if (isWorkspaceOrTarget) {
-                    inDepsSection = true;
-                } else {
-                    inDepsSection = false;
-                }
-                return;
-            }
-
-            // If currently inside a dependencies section.
-            if (inDepsSection) {
-                // Attempt to match the line against the dependency key regex.
-                const match = trimmedLine.match(keyRegex);
-                // If a match is found and a dependency name is extracted.
-                if (match && match[1]) {
-                    const name = match[1];
-                    // Check if the dependency exists in the extracted dependencies.
-                    if (cleanedDeps[name]) {
-                        // Add the dependency to the dependencies array with its name, version, and line number.
-                        dependencies.push({
-                            name,
-                            version: cleanedDeps[name],
-                            line: index
-                        });
-                    }
-                }
-            }
-        });
+        const manifestDir = options.filePath && path.dirname(options.filePath);
 
-        // Return the array of extracted dependencies.
-        return dependencies;
+        // Each dependency is reported on the line of its key, or of its own [dependencies.<name>] table.
+        const keyLines = findKeyLines(fileContent);
+        return readManifestDependencies(manifest, workspace, manifestDir).map(dependency => ({
+            name: dependency.name,
+            version: dependency.version,
+            line: keyLines.get([...dependency.tablePath, dependency.key].join('\0')) || 0,
+            scope: dependency.scope
+        }));
     },
 
     /**
-     * Fetches License information from crates.io API.
+     * Fetches License information from crates.io API, for the version the requirement resolves to.
+     * Local crates are read from their folder, and git crates from Cargo's checkouts, since crates.io doesn't know their sources.
      * @param {string} packageName The name of the crate.
-     * @returns {Promise<{license: string, homepage: string}>}
+     * @param {string} packageVersion The exact version or the version requirement of the crate, its path, or its 'git+<url>' source.
+     * @param {{signal?: AbortSignal, manifestDir?: string}} [options] The request options: the signal that aborts the lookup when the scan is
+     *   cancelled, and the folder of the manifest that local paths are relative to.
+     * @returns {Promise<{license: string, homepage: string, resolvedVersion?: string}>}
+     * @throws {Error} If no published version matches the requirement, or a git crate isn't checked out.
      */
-    async fetchLicenseInfo(packageName) {
-        // Fetch the crate data from the crates.io API.
-        const responseData = await fetchJson(`https://crates.io/api/v1/crates/${packageName}`);
-        
-        // Extract the latest version data and crate data from the response.
-        const latestVersionData = responseData.versions && responseData.versions[0];
-        const crateData = responseData.crate;
+    async fetchLicenseInfo(packageName, packageVersion, options = {}) {
+        if (isLocalPath(packageVersion) || String(packageVersion).startsWith('git+')) {
+            const localInfo = await rustCargoStrategy.fetchLocalLicenseInfo(packageName, packageVersion, { manifestDir: options.manifestDir || '.' });
+            if (localInfo) return localInfo;
+            throw new Error(`The sources of ${packageName} (${packageVersion}) aren't available locally; run \`cargo fetch\` first.`);
+        }
+
+        // Fetch the crate data from the crates.io API, which lists every published version with its own license.
+        const responseData = await fetchJson(`https://crates.io/api/v1/crates/${encodeURIComponent(packageName)}`, { signal: options.signal });
+        const crateData = responseData.crate || {};
+        const versionData = selectVersion(responseData.versions || [], packageVersion);
+        // If nothing matches the declared requirement, report it like a missing crate.
+        if (!versionData) {
+            const error = new Error(`No published version of ${packageName} matches "${packageVersion}"`);
+            error.statusCode = 404;
+            throw error;
+        }
 
-        // Extract the license and homepage from the data. If they don't exist, default to 'N/A' for license and crates.io URL for homepage.
-        const license = (latestVersionData && latestVersionData.license) || 'N/A';
+        // Crates without an SPDX 'license' point to their license text with 'license-file', which is only in the crate itself.
+        const license = versionData.license
+            || await readPublishedLicenseFile(packageName, versionData.num, options)
+            || 'N/A';
         const homepage = crateData.homepage || crateData.repository || `https://crates.io/crates/${packageName}`;
         
         // Return an object containing the license and homepage information.
         return {
             license: license,
-            homepage: homepage
+            homepage: homepage,
+            resolvedVersion: versionData.num
+        };
+    },
+
+    /**
+     * Reads the license information of a crate without using the network: local crates from their folder, git crates from Cargo's
+     * checkouts in ~/.cargo/git, and registry crates from the sources Cargo has downloaded to ~/.cargo/registry.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The version requirement declared in Cargo.toml, the exact version locked in Cargo.lock, the path of a
+     *   local crate or the 'git+<url>' source of a git crate.
+     * @param {{manifestDir?: string}} [options] The lookup options, including the folder of the manifest that local paths are relative to.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the crate isn't available.
+     */
+    async fetchLocalLicenseInfo(packageName, packageVersion, options = {}) {
+        const crate = await findCrate(packageName, packageVersion, options);
+        if (!crate) return null;
+
+        const content = await readFileIfExists(path.join(crate.dir, 'Cargo.toml'));
+        if (content === null) return null;
+        const pkg = parseToml(content).package || {};
+
+        return {
+            license: await readCrateLicense(crate.dir, pkg),
+            homepage: readInheritable(pkg.homepage) || readInheritable(pkg.repository) || `https://crates.io/crates/${packageName}`,
+            resolvedVersion: crate.version
         };
+    },
+
+    /**
+     * Finds the sources of a crate on disk, to read its license files.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The version requirement declared in Cargo.toml, the resolved version, the path of a local crate or
+     *   the 'git+<url>' source of a git crate.
+     * @param {{manifestDir?: string}} [options] The lookup options, including the folder of the manifest that local paths are relative to.
+     * @returns {Promise<string | null>} The absolute path of the crate folder, or null if the crate isn't available.
+     */
+    async findPackageDir(packageName, packageVersion, options = {}) {
+        const crate = await findCrate(packageName, packageVersion, options);
+        return crate && crate.dir;
+    },
+
+    /**
+     * Downloads a published crate from crates.io and reads its license and notice files.
+     * @param {string} packageName The name of the crate.
+     * @param {string} packageVersion The exact version of the crate.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the download.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the crate.
+     */
+    async fetchLicenseFiles(packageName, packageVersion, options = {}) {
+        // Downloads need an exact version; requirements are resolved by the scan first.
+        if (!semver.valid(packageVersion)) return [];
+        // Crates wrap their sources in a '<name>-<version>/' folder.
+        return readTarGzFiles(await downloadCrate(packageName, packageVersion, options), filePath => {
+            const parts = filePath.split('/');
+            return parts.length === 2 && isLicenseFileName(parts[1]);
+        }).map(file => ({ path: file.path.split('/')[1], content: file.content }));
+    },
+
+    /**
+     * Reads the license of the project itself from its Cargo.toml.
+     * @param {string} fileContent The content of the Cargo.toml file.
+     * @returns {string | null} The declared license, or null if there is none (e.g. for a virtual workspace manifest).
+     */
+    readProjectLicense(fileContent) {
+        const manifest = parseToml(fileContent);
+        const license = manifest.package && manifest.package.license;
+        // Members of a workspace may inherit it with `license.workspace = true`.
+        const workspaceLicense = manifest.workspace && manifest.workspace.package && manifest.workspace.package.license;
+        if (typeof license === 'string') return license;
+        return typeof workspaceLicense === 'string' ? workspaceLicense : null;
     }
 };
 
-module.exports = rustCargoStrategy;
\ No newline at end of file
+/**
+ * Tells whether the version of a dependency is the path of a local crate.
+ * @param {string} version The version reported for the dependency.
+ * @returns {boolean} True for relative and absolute paths.
+ */
+function isLocalPath(version) {
+    return /^\.\.?([/\\]|$)|^\/|^[A-Za-z]:[/\\]/.test(String(version || ''));
+}
+
+/**
+ * Converts a Cargo version requirement to a semver range.
+ * @param {string} requirement The requirement, e.g. "1.2", "=1.2.3" or ">= 1.0, < 2".
+ * @returns {string} The semver range, e.g. "^1.2".
+ */
+function toSemverRange(requirement) {
+    // A bare Cargo requirement like "1.2" means "^1.2", unlike in npm.
+    return String(requirement || '*').split(',')
+        .map(part => part.trim())
+        .map(part => /^\d/.test(part) ? `^${part}` : part)
+        .join(' ');
+}
+
+/**
+ * Picks the published version a requirement resolves to, like Cargo: the exact version if it is one, otherwise the highest matching
+ * version that isn't yanked.
+ * @param {Array<{num: string, yanked?: boolean}>} versions The version records of the crate on crates.io.
+ * @param {string} requirement The exact version or the version requirement.
+ * @returns {object | undefined} The version record, or undefined if none matches.
+ */
+function selectVersion(versions, requirement) {
+    // Locked versions are used even once yanked.
+    if (semver.valid(requirement)) return versions.find(version => version.num === requirement);
+    const candidates = versions.filter(version => !version.yanked).map(version => version.num);
+    const best = semver.maxSatisfying(candidates, toSemverRange(requirement));
+    return best ? versions.find(version => version.num === best) : undefined;
+}
+
+/**
+ * Downloads the published archive of a crate version from crates.io.
+ * @param {string} packageName The name of the crate.
+ * @param {string} packageVersion The exact version of the crate.
+ * @param {{signal?: AbortSignal}} [options] The request options.
+ * @returns {Promise<Buffer>} The .crate archive, a gzipped tarball.
+ */
+async function downloadCrate(packageName, packageVersion, options = {}) {
+    const archive = await fetchText(`https://crates.io/api/v1/crates/${encodeURIComponent(packageName)}/${packageVersion}/download`,
+        { responseType: 'arraybuffer', signal: options.signal });
+    return Buffer.from(archive);
+}
+
+/**
+ * Identifies the license of a published crate that declares a 'license-file' instead of a 'license'.
+ * @param {string} packageName The name of the crate.
+ * @param {string} packageVersion The exact version of the crate.
+ * @param {{signal?: AbortSignal}} [options] The request options.
+ * @returns {Promise<string | null>} The license recognized in the file, 'SEE LICENSE IN <file>' if it isn't recognized, or null if the crate
+ *   declares no license file.
+ */
+async function readPublishedLicenseFile(packageName, packageVersion, options) {
+    const prefix = `${packageName}-${packageVersion}/`;
+    // Only the manifest and the files that look like licenses are inflated; 'license-file' may point to any of them.
+    const files = readTarGzFiles(await downloadCrate(packageName, packageVersion, options), filePath => filePath.startsWith(prefix)
+        && (filePath === `${prefix}Cargo.toml` || isLicenseFileName(path.posix.basename(filePath))));
+    const manifestFile = files.find(file => file.path === `${prefix}Cargo.toml`);
+    const licenseFile = manifestFile && (parseToml(manifestFile.content).package || {})['license-file'];
+    if (typeof licenseFile !== 'string') return null;
+
+    // Cargo copies license files from outside the crate to its root when publishing it.
+    const wanted = [path.posix.join(prefix, licenseFile), `${prefix}${path.posix.basename(licenseFile)}`];
+    const file = files.find(candidate => wanted.includes(candidate.path));
+    return (file && identifyLicenseText(file.content)) || `SEE LICENSE IN ${licenseFile}`;
+}
+
+/**
+ * Reads a manifest field that may be inherited from the workspace, which only strings are usable as.
+ * @param {any} value The field value, e.g. a string or `{ workspace = true }`.
+ * @returns {string | null} The value if it is a string, otherwise null.
+ */
+function readInheritable(value) {
+    return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Reads the license of a crate from its manifest: its SPDX 'license', or the license recognized in its 'license-file'.
+ * Both may be inherited from the [workspace.package] table of the workspace root.
+ * @param {string} dir The folder of the crate.
+ * @param {object} pkg The [package] table of the crate manifest.
+ * @returns {Promise<string>} The license, 'SEE LICENSE IN <file>' if the license file isn't recognized, or 'N/A'.
+ */
+async function readCrateLicense(dir, pkg) {
+    let license = pkg.license;
+    let licenseFile = pkg['license-file'];
+    let licenseFileDir = dir;
+    const isInherited = value => Boolean(value && value.workspace === true);
+    if (isInherited(license) || isInherited(licenseFile)) {
+        const root = await findWorkspaceRoot(path.join(dir, 'Cargo.toml'), filePath => fs.readFile(filePath, 'utf8'));
+        const shared = (root && root.manifest.workspace.package) || {};
+        if (isInherited(license)) license = shared.license;
+        if (isInherited(licenseFile)) {
+            licenseFile = shared['license-file'];
+            // The path of an inherited license file is relative to the workspace root.
+            licenseFileDir = root && root.dir;
+        }
+    }
+    if (typeof license === 'string') return license;
+    if (typeof licenseFile !== 'string' || !licenseFileDir) return 'N/A';
+    const text = await readFileIfExists(path.resolve(licenseFileDir, licenseFile));
+    return (text && identifyLicenseText(text)) || `SEE LICENSE IN ${licenseFile}`;
+}
+
+/**
+ * Finds the folder of the Cargo home, like Cargo itself.
+ * @returns {string} The absolute path of $CARGO_HOME, ~/.cargo by default.
+ */
+function getCargoHome() {
+    return process.env.CARGO_HOME || path.join(os.homedir(), '.cargo');
+}
+
+/**
+ * Finds the sources of a crate on disk, whichever its source.
+ * @param {string} packageName The name of the crate.
+ * @param {string} packageVersion The version requirement or exact version, the path of a local crate or the 'git+<url>' source of a git crate.
+ * @param {{manifestDir?: string}} options The lookup options, including the folder of the manifest that local paths are relative to.
+ * @returns {Promise<{version?: string, dir: string} | null>} The crate version and folder, or null if the crate isn't available.
+ */
+async function findCrate(packageName, packageVersion, options) {
+    if (isLocalPath(packageVersion)) {
+        const dir = path.resolve(options.manifestDir || '.', packageVersion);
+        const content = await readFileIfExists(path.join(dir, 'Cargo.toml'));
+        return content === null ? null : { version: readInheritable((parseToml(content).package || {}).version) || undefined, dir };
+    }
+    if (String(packageVersion).startsWith('git+')) return findGitCheckout(packageName, packageVersion);
+    return findDownloadedCrate(packageName, packageVersion);
+}
+
+/**
+ * Finds a crate in the git checkouts of Cargo, $CARGO_HOME/git/checkouts/<repository>-<hash>/<short commit>.
+ * The commit comes from the '#<sha>' Cargo.lock appends to git sources, or from a `rev` pin.
+ * @param {string} packageName The name of the crate.
+ * @param {string} source The 'git+<url>' source of the crate.
+ * @returns {Promise<{version?: string, dir: string} | null>} The crate version and folder, or null if the commit isn't checked out.
+ */
+async function findGitCheckout(packageName, source) {
+    const match = source.match(/^git\+([^?#]+)(?:\?([^#]*))?(?:#([0-9a-f]+))?$/i);
+    if (!match) return null;
+    const rev = new URLSearchParams(match[2] || '').get('rev');
+    const commit = match[3] || (rev && /^[0-9a-f]{7,}$/i.test(rev) ? rev : null);
+    if (!commit) return null;
+
+    const repositoryName = path.posix.basename(match[1].replace(/\/+$/, '')).replace(/\.git$/, '');
+    const checkoutsDir = path.join(getCargoHome(), 'git', 'checkouts');
+    for (const entry of await listDir(checkoutsDir)) {
+        if (!entry.startsWith(`${repositoryName}-`)) continue;
+        const checkoutDir = path.join(checkoutsDir, entry, commit.slice(0, 7).toLowerCase());
+        // Repositories may hold several crates, at the root or in (nested) folders.
+        const candidates = [checkoutDir];
+        for (const child of await listDir(checkoutDir)) {
+            candidates.push(path.join(checkoutDir, child));
+            for (const grandChild of await listDir(path.join(checkoutDir, child))) candidates.push(path.join(checkoutDir, child, grandChild));
+        }
+        for (const dir of candidates) {
+            const content = await readFileIfExists(path.join(dir, 'Cargo.toml'));
+            if (content === null) continue;
+            let pkg;
+            try {
+                pkg = parseToml(content).package;
+            } catch {
+                continue;
+            }
+            if (pkg && pkg.name === packageName) return { version: readInheritable(pkg.version) || undefined, dir };
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the highest downloaded version of a crate that matches a version requirement.
+ * Cargo stores extracted crates in $CARGO_HOME/registry/src/<registry>/<name>-<version>.
+ * @param {string} packageName The name of the crate.
+ * @param {string} packageVersion The version requirement declared in Cargo.toml, or the exact version locked in Cargo.lock.
+ * @returns {Promise<{version: string, dir: string} | null>} The crate version and folder, or null if no matching version is downloaded.
+ */
+async function findDownloadedCrate(packageName, packageVersion) {
+    const registrySrc = path.join(getCargoHome(), 'registry', 'src');
+    // An exact version matches itself only.
+    const range = semver.valid(packageVersion) ? packageVersion : toSemverRange(packageVersion);
+
+    // Collect the downloaded versions of the crate across all registries.
+    const candidates = [];
+    for (const registry of await listDir(registrySrc)) {
+        for (const entry of await listDir(path.join(registrySrc, registry))) {
+            if (!entry.startsWith(`${packageName}-`)) continue;
+            const version = entry.slice(packageName.length + 1);
+            // Make sure the suffix is a version, not the rest of a longer crate name (e.g. "serde-json").
+            if (semver.valid(version)) candidates.push({ version, dir: path.join(registrySrc, registry, entry) });
+        }
+    }
+
+    // Use the highest downloaded version that matches the requirement.
+    const best = semver.maxSatisfying(candidates.map(c => c.version), range);
+    return (best && candidates.find(c => c.version === best)) || null;
+}
+
+module.exports = rustCargoStrategy;
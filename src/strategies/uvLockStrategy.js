@@ -0,0 +1,104 @@
+// This file defines the strategy for parsing uv's uv.lock files, which pin every package of the project including transitive ones.
+
+const { parseToml, findTableArrayLines } = require('../utils/toml');
+const { normalizeName, getGroupScope, analyzeLockGraph } = require('../utils/python');
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir } = require('./pythonPoetryStrategy'); // Licenses are looked up like for pyproject.toml.
+
+const uvLockStrategy = {
+    fileName: 'uv.lock',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'pypi',
+
+    /**
+     * Parses the uv.lock content and extracts every locked package with its exact version.
+     * The project and the members of its workspace are locked as editable or virtual packages; they aren't reported, and the packages
+     * they depend on are the roots of the graph: their dependencies are runtime, their optional dependencies optional, and their
+     * dev dependency groups dev (or test) dependencies.
+     * @param {string} fileContent The content of the uv.lock file.
+     * @returns {Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>}>} An array of dependency
+     *   objects. Packages from git have their 'git+<url>' source as version, and local or URL packages their path or URL.
+     */
+    parseDependencies(fileContent) {
+        const lockfile = parseToml(fileContent);
+        const nameLines = findTableArrayLines(fileContent, 'package', 'name');
+        const names = list => (list || []).map(dependency => dependency.name);
+        const packages = (lockfile.package || []).map((entry, index) => ({
+            entry,
+            name: entry.name,
+            version: entry.version,
+            // Optional dependencies are only reached when an extra enables them, but are part of the lockfile's graph.
+            dependencies: [...names(entry.dependencies), ...Object.values(entry['optional-dependencies'] || {}).flatMap(names)],
+            line: nameLines[index] || 0
+        }));
+
+        const roots = [];
+        for (const { entry } of packages.filter(pkg => isLocalProject(pkg.entry))) {
+            roots.push(...names(entry.dependencies).map(name => ({ name, scope: 'runtime' })));
+            for (const extra of Object.values(entry['optional-dependencies'] || {})) roots.push(...names(extra).map(name => ({ name, scope: 'optional' })));
+            for (const [group, list] of Object.entries(entry['dev-dependencies'] || {})) {
+                roots.push(...names(list).map(name => ({ name, scope: getGroupScope(group) })));
+            }
+        }
+        const { scopes, paths } = analyzeLockGraph(packages.filter(pkg => !isLocalProject(pkg.entry)), roots);
+
+        return packages.filter(pkg => !isLocalProject(pkg.entry)).map(pkg => ({
+            name: pkg.name,
+            version: describeLockedSource(pkg.entry),
+            line: pkg.line,
+            // Packages no project reaches are treated as runtime dependencies, like in lockfiles without scopes.
+            scope: scopes.get(normalizeName(pkg.name)) || 'runtime',
+            dependencyPath: paths.get(normalizeName(pkg.name)) || [`${pkg.name}@${pkg.version}`]
+        }));
+    },
+
+    /**
+     * Fetches the license information for a locked package from PyPI, for its exact version.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from the virtualenv, if that exact version is installed.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the metadata folder of an installed package in the virtualenv, which holds its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, pythonVirtualEnv?: string}} options The lookup options.
+     * @returns {Promise<string | null>} The absolute path of the metadata folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir
+};
+
+/**
+ * Tells whether a locked package is the project or a member of its workspace, which uv locks as editable or virtual packages.
+ * @param {{source?: object}} entry The [[package]] entry.
+ * @returns {boolean} True for the packages of the project.
+ */
+function isLocalProject(entry) {
+    const source = entry.source || {};
+    return source.editable !== undefined || source.virtual !== undefined;
+}
+
+/**
+ * Describes where a locked package comes from, as the version reported for it.
+ * @param {{version: string, source?: object}} entry The [[package]] entry.
+ * @returns {string} The exact version of packages from an index, 'git+<url>' for git packages (the URL ends with the commit), or the path
+ *   or URL of local and URL packages.
+ */
+function describeLockedSource(entry) {
+    const source = entry.source || {};
+    if (source.git) return `git+${source.git}`;
+    return source.directory || source.path || source.url || entry.version;
+}
+
+module.exports = uvLockStrategy;
@@ -0,0 +1,284 @@
+// This file defines the strategy for parsing Yarn's yarn.lock files, which list every installed package including transitive ones.
+
+const path = require('path');
+const YAML = require('yaml'); // Import yaml to parse Yarn Berry lockfiles, which are YAML documents.
+const jsonc = require('jsonc-parser'); // Import jsonc-parser to read the package.json files of the project.
+const { fetchLicenseInfo, fetchLocalLicenseInfo, findPackageDir, fetchLicenseFiles } = require('./npmStrategy'); // Licenses are looked up like for package.json.
+const { computeDependencyPaths, computeDependencyScopes, findRootPackages, strongestScope } = require('../utils/dependencyGraph');
+
+// The dependency sections of package.json (and of Berry workspace entries), with the scope of the packages they declare.
+const MANIFEST_SECTIONS = { dependencies: 'runtime', optionalDependencies: 'optional', peerDependencies: 'peer', devDependencies: 'dev' };
+
+const yarnLockStrategy = {
+    fileName: 'yarn.lock',
+    // The package ecosystem, named like the Package URL (purl) type.
+    ecosystem: 'npm',
+
+    /**
+     * Parses the yarn.lock file content and extracts every installed package with its exact version.
+     * Supports both the classic (Yarn 1) format and the YAML-based Berry (Yarn 2+) format.
+     * The scopes come from the package.json of each workspace (Berry writes development dependencies into the workspace entries'
+     * `dependencies`), or from the sections of the Berry workspace entries when it can't be read. Classic lockfiles don't list the
+     * project itself, so its direct dependencies are read from the package.json next to the lockfile.
+     * @param {string} fileContent The content of the yarn.lock file.
+     * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers (see createPositionMapper).
+     * @param {{filePath?: string, readFile?: function(string): Promise<string>}} [options] The parse options, used to read the package.json files.
+     * @returns {Promise<Array<{name: string, version: string, line: number, scope: string, dependencyPath: Array<string>, installPaths: Array<string>}>>}
+     *   An array of dependency objects, with the scope of the project sections they are reached from and the folders they may be nested in.
+     */
+    async parseDependencies(fileContent, document, options = {}) {
+        // Berry lockfiles always start with a '__metadata' entry.
+        const isBerry = /^__metadata:/m.test(fileContent);
+        const entries = isBerry ? parseBerryEntries(fileContent) : parseClassicEntries(fileContent);
+
+        // Map every descriptor ("name@range") to the entry that satisfies it.
+        const byDescriptor = new Map();
+        entries.forEach((entry, index) => entry.descriptors.forEach(descriptor => byDescriptor.set(descriptor, index)));
+
+        // Berry descriptors carry the protocol, which plain semver ranges leave out ("npm:" is implied).
+        const resolve = (depName, range) => byDescriptor.get(`${depName}@${isBerry && !/^[a-z]+:/.test(range) ? `npm:${range}` : range}`);
+
+        // Build the graph edges from each entry's dependencies. Workspaces are the project itself: their dependencies are the roots below,
+        // with the scope of the section declaring them.
+        const edges = new Map();
+        entries.forEach((entry, index) => {
+            const children = entry.isWorkspace ? [] : Object.entries(entry.dependencies).map(([depName, range]) => resolve(depName, range));
+            edges.set(index, children.filter(child => child !== undefined));
+        });
+
+        // The project's direct dependencies, with the scope of the section declaring them.
+        const roots = [];
+        const addRoots = (sections, lockedChildren = new Map()) => {
+            for (const [section, scope] of Object.entries(MANIFEST_SECTIONS)) {
+                for (const [depName, range] of Object.entries(sections[section] || {})) {
+                    // A workspace entry tells which locked package each of its dependencies resolved to.
+                    const id = lockedChildren.has(depName) ? lockedChildren.get(depName) : resolve(depName, String(range));
+                    if (id !== undefined && !entries[id].isWorkspace) roots.push({ id, scope });
+                }
+            }
+        };
+        const workspaces = entries.filter(entry => entry.isWorkspace);
+        if (isBerry) {
+            // Workspace entries are the project itself; their dependencies are the direct ones.
+            for (const workspace of workspaces) {
+                const lockedChildren = new Map();
+                for (const section of Object.keys(MANIFEST_SECTIONS)) {
+                    for (const [depName, range] of Object.entries(workspace.sections[section] || {})) {
+                        const id = resolve(depName, String(range));
+                        if (id !== undefined) lockedChildren.set(depName, id);
+                    }
+                }
+                addRoots((await readPackageJson(workspace.workspacePath, options)) || workspace.sections, lockedChildren);
+            }
+        } else {
+            addRoots((await readPackageJson('.', options)) || {});
+        }
+
+        const rootIds = roots.length > 0 || workspaces.length > 0
+            ? [...new Set(roots.map(root => root.id))]
+            : findRootPackages(entries.map((entry, index) => index), edges);
+        const paths = computeDependencyPaths(rootIds, edges);
+        const scopes = computeDependencyScopes(roots, edges);
+        const label = index => `${entries[index].name}@${entries[index].version}`;
+
+        // The same version may be locked for several entries (e.g. through different protocols); list it once, with the strongest scope.
+        const dependencies = new Map();
+        entries.forEach((entry, index) => {
+            if (entry.isWorkspace || !entry.version) return;
+            // Packages the project doesn't reach are extraneous; they are treated as runtime dependencies, like in manifests without scopes.
+            const scope = scopes.get(index) || 'runtime';
+            if (dependencies.has(label(index))) {
+                dependencies.get(label(index)).scope = strongestScope(dependencies.get(label(index)).scope, scope);
+                return;
+            }
+            const pathIndexes = paths.get(index) || [index];
+            dependencies.set(label(index), {
+                name: entry.name,
+                version: entry.version,
+                line: document.positionAt(entry.offset).line,
+                scope,
+                dependencyPath: pathIndexes.map(label),
+                installPaths: toNestedInstallPaths(pathIndexes.map(step => entries[step].name))
+            });
+        });
+        return [...dependencies.values()];
+    },
+
+    /**
+     * Fetches the license information for a locked package from the npm registry.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the lookup when the scan is cancelled.
+     * @returns {Promise<object>} An object containing the license and homepage information.
+     */
+    fetchLicenseInfo: fetchLicenseInfo,
+
+    /**
+     * Reads the license information of a locked package from node_modules, without using the network.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package may be nested in.
+     * @returns {Promise<object | null>} An object containing the license and homepage information, or null if the package isn't installed.
+     */
+    fetchLocalLicenseInfo: fetchLocalLicenseInfo,
+
+    /**
+     * Finds the folder of a locked package in node_modules, to read its license files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @param {{manifestDir: string, installPaths?: Array<string>}} options The lookup options, including the folder of the lockfile
+     *   and the folders the package may be nested in.
+     * @returns {Promise<string | null>} The absolute path of the package folder, or null if the package isn't installed.
+     */
+    findPackageDir: findPackageDir,
+
+    /**
+     * Downloads the published tarball of a locked package from the npm registry and reads its license and notice files.
+     * @param {string} packageName The name of the package.
+     * @param {string} packageVersion The exact version of the package.
+     * @returns {Promise<Array<{path: string, content: string}>>} The license and notice files at the root of the package.
+     */
+    fetchLicenseFiles: fetchLicenseFiles
+};
+
+/**
+ * Reads the package.json of a folder of the project, relative to the lockfile.
+ * @param {string} relativeDir The folder, relative to the lockfile (e.g. "." or a Berry workspace path such as "packages/a").
+ * @param {{filePath?: string, readFile?: function(string): Promise<string>}} options The parse options of the lockfile.
+ * @returns {Promise<object | null>} The parsed package.json, or null if it can't be read.
+ */
+async function readPackageJson(relativeDir, options) {
+    if (!options.filePath || !options.readFile) return null;
+    try {
+        return jsonc.parse(await options.readFile(path.join(path.dirname(options.filePath), relativeDir, 'package.json'))) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Lists the folders a package may be nested in when it can't be hoisted, since yarn.lock doesn't record install folders.
+ * Yarn nests a conflicting version inside the folder of the package that requires it, which may itself be hoisted to any level
+ * above: for the path a > b > c, c is looked for in "node_modules/a/node_modules/b/node_modules/c" and "node_modules/b/node_modules/c".
+ * @param {Array<string>} names The package names along the dependency path, ending with the package itself.
+ * @returns {Array<string>} The candidate install folders, relative to the lockfile; hoisted installs are found without them.
+ */
+function toNestedInstallPaths(names) {
+    const installPaths = [];
+    for (let start = 0; start < names.length - 1; start++) {
+        installPaths.push(names.slice(start).map(name => `node_modules/${name}`).join('/'));
+    }
+    return installPaths;
+}
+
+/**
+ * Splits a descriptor such as "@scope/name@^1.0.0" into its package name and range.
+ * @param {string} descriptor The descriptor.
+ * @returns {{name: string, range: string}} The package name and range.
+ */
+function splitDescriptor(descriptor) {
+    // The separator is the first '@' that is not the leading scope marker.
+    const atIndex = descriptor.indexOf('@', 1);
+    return atIndex > 0
+        ? { name: descriptor.slice(0, atIndex), range: descriptor.slice(atIndex + 1) }
+        : { name: descriptor, range: '' };
+}
+
+/**
+ * Removes the surrounding quotes from a classic yarn.lock key or value.
+ * @param {string} value The raw value.
+ * @returns {string} The unquoted value.
+ */
+function unquote(value) {
+    return value.trim().replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Parses the entries of a classic (Yarn 1) lockfile, an indentation-based format:
+ * `"name@^1.0.0", "name@^1.1.0":` headers followed by indented `version`, `dependencies` and other fields.
+ * @param {string} fileContent The content of the yarn.lock file.
+ * @returns {Array<object>} The lockfile entries.
+ */
+function parseClassicEntries(fileContent) {
+    const entries = [];
+    let current = null;
+    // The name of the nested section (e.g. 'dependencies') currently being read, if any.
+    let section = null;
+    let offset = 0;
+
+    for (const line of fileContent.split('\n')) {
+        const lineOffset = offset;
+        offset += line.length + 1;
+        const text = line.replace(/\r$/, '');
+        // Skip comments and empty lines.
+        if (text.trim() === '' || text.trim().startsWith('#')) continue;
+
+        const indent = text.length - text.trimStart().length;
+        if (indent === 0 && text.endsWith(':')) {
+            // A new entry header lists every descriptor resolved to this entry.
+            const descriptors = text.slice(0, -1).split(',').map(unquote).filter(Boolean);
+            current = {
+                name: splitDescriptor(descriptors[0]).name,
+                version: '',
+                descriptors,
+                dependencies: {},
+                offset: lineOffset
+            };
+            entries.push(current);
+            section = null;
+        } else if (current && indent === 2) {
+            const trimmed = text.trim();
+            // A field ending with ':' opens a nested section such as 'dependencies:'.
+            if (trimmed.endsWith(':')) {
+                section = trimmed.slice(0, -1);
+            } else {
+                section = null;
+                const match = trimmed.match(/^("[^"]+"|\S+)\s+(.*)$/);
+                if (match && unquote(match[1]) === 'version') current.version = unquote(match[2]);
+            }
+        } else if (current && indent >= 4 && (section === 'dependencies' || section === 'optionalDependencies')) {
+            const match = text.trim().match(/^("[^"]+"|\S+)\s+(.*)$/);
+            if (match) current.dependencies[unquote(match[1])] = unquote(match[2]);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Parses the entries of a Berry (Yarn 2+) lockfile, a YAML document keyed by comma-separated descriptors.
+ * @param {string} fileContent The content of the yarn.lock file.
+ * @returns {Array<object>} The lockfile entries.
+ */
+function parseBerryEntries(fileContent) {
+    const doc = YAML.parseDocument(fileContent);
+    const entries = [];
+    if (!YAML.isMap(doc.contents)) return entries;
+
+    for (const pair of doc.contents.items) {
+        const key = String(pair.key && pair.key.value);
+        if (key === '__metadata' || !YAML.isMap(pair.value)) continue;
+        const value = pair.value.toJSON();
+
+        // The resolution ("name@npm:1.2.3") tells the real package name and where it comes from.
+        const resolution = splitDescriptor(String(value.resolution || key.split(',')[0].trim()));
+        const isWorkspace = resolution.range.startsWith('workspace:');
+        // Linked folders and local files are part of the project, not packages from the registry.
+        if (/^(link|portal|file):/.test(resolution.range)) continue;
+
+        entries.push({
+            name: resolution.name,
+            version: isWorkspace ? '' : String(value.version || ''),
+            descriptors: key.split(',').map(descriptor => descriptor.trim()),
+            dependencies: { ...(value.dependencies || {}), ...(value.optionalDependencies || {}) },
+            isWorkspace,
+            // Workspaces keep every dependency section, which tell the scopes when their package.json can't be read.
+            workspacePath: isWorkspace ? resolution.range.slice('workspace:'.length) : '',
+            sections: isWorkspace ? Object.fromEntries(Object.keys(MANIFEST_SECTIONS).map(section => [section, value[section] || {}])) : {},
+            offset: pair.key.range[0]
+        });
+    }
+    return entries;
+}
+
+module.exports = yarnLockStrategy;
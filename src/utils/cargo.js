@@ -0,0 +1,138 @@
+// This file reads the dependencies of Cargo manifests (Cargo.toml) and lockfiles (Cargo.lock), for the Cargo strategies.
+// Manifests may declare dependencies in several tables, inherit them from the workspace root and rename them, so their
+// declarations are normalized here to the crate name and a version (or the path or git source of non-registry crates).
+
+const path = require('path');
+const { parseToml, findTableArrayLines } = require('./toml');
+const { ancestorDirs } = require('./localFiles');
+const { strongestScope } = require('./dependencyGraph');
+
+// The dependency tables of a manifest, with the scope of the dependencies they list.
+const DEPENDENCY_TABLES = { dependencies: 'runtime', 'dev-dependencies': 'dev', 'build-dependencies': 'build' };
+
+/**
+ * Lists the dependency tables of a manifest: the top-level ones and the platform-specific ones under [target.<cfg>].
+ * The [workspace.dependencies] of workspace roots aren't listed: they are only used by the members that inherit them, which report
+ * them with the scope they inherit them with.
+ * @param {object} manifest The parsed Cargo.toml.
+ * @returns {Array<{tablePath: Array<string>, scope: string, entries: object}>} The tables, with their path and scope.
+ */
+function listDependencyTables(manifest) {
+    const tables = [];
+    for (const [table, scope] of Object.entries(DEPENDENCY_TABLES)) {
+        if (manifest[table]) tables.push({ tablePath: [table], scope, entries: manifest[table] });
+    }
+    for (const [platform, targetTables] of Object.entries(manifest.target || {})) {
+        for (const [table, scope] of Object.entries(DEPENDENCY_TABLES)) {
+            if (targetTables && targetTables[table]) tables.push({ tablePath: ['target', platform, table], scope, entries: targetTables[table] });
+        }
+    }
+    return tables;
+}
+
+/**
+ * Describes where a dependency comes from, as the version reported for it.
+ * @param {object} spec The dependency declaration, with a 'version', 'path' or 'git' source.
+ * @returns {string} The version requirement of registry crates; the path of local crates; 'git+<url>' for git crates, with the
+ *   `?branch=`, `?tag=` or `?rev=` they are pinned to, like the sources of Cargo.lock.
+ */
+function describeSource(spec) {
+    if (spec.path) return spec.path;
+    if (spec.git) {
+        const pin = ['rev', 'tag', 'branch'].find(key => spec[key]);
+        return `git+${spec.git}${pin ? `?${pin}=${spec[pin]}` : ''}`;
+    }
+    return spec.version || '*';
+}
+
+/**
+ * Reads the dependencies declared in a Cargo manifest, resolving renamed and inherited ones.
+ * @param {object} manifest The parsed Cargo.toml.
+ * @param {{dependencies?: object, dir?: string}} [workspace] The [workspace.dependencies] of the workspace root, and the folder of the root
+ *   (to resolve the paths of inherited local crates).
+ * @param {string} [manifestDir] The folder of the manifest, to make the paths of inherited local crates relative to it.
+ * @returns {Array<{key: string, tablePath: Array<string>, name: string, version: string, scope: string}>} The dependencies, with the key
+ *   and table they are declared with.
+ */
+function readManifestDependencies(manifest, workspace = {}, manifestDir) {
+    const dependencies = [];
+    for (const { tablePath, scope, entries } of listDependencyTables(manifest)) {
+        for (const [key, value] of Object.entries(entries)) {
+            let spec = typeof value === 'string' ? { version: value } : { ...(value || {}) };
+            // `dep = { workspace = true }` takes the source of the workspace dependency; members may only add features or make it optional.
+            if (spec.workspace === true) {
+                const inherited = (workspace.dependencies || {})[key];
+                const base = typeof inherited === 'string' ? { version: inherited } : { ...(inherited || {}) };
+                if (base.path && workspace.dir && manifestDir) base.path = path.relative(manifestDir, path.resolve(workspace.dir, base.path)) || '.';
+                spec = { ...base, optional: spec.optional === true || base.optional === true };
+            }
+            dependencies.push({
+                key,
+                tablePath,
+                // `alias = { package = "real-name" }` renames a crate in the code; licenses belong to the real crate.
+                name: spec.package || key,
+                version: describeSource(spec),
+                // Runtime dependencies marked `optional = true` are only built with the features that enable them.
+                scope: scope === 'runtime' && spec.optional === true ? 'optional' : scope
+            });
+        }
+    }
+    return dependencies;
+}
+
+/**
+ * Finds the workspace root of a member manifest, the closest Cargo.toml above it with a [workspace] table.
+ * @param {string} filePath The absolute path of the member's Cargo.toml.
+ * @param {function(string): Promise<string>} readFile Reads a file by its absolute path.
+ * @returns {Promise<{dir: string, manifest: object} | null>} The folder and parsed manifest of the root, or null if there is none.
+ */
+async function findWorkspaceRoot(filePath, readFile) {
+    for (const dir of ancestorDirs(path.dirname(path.dirname(filePath)))) {
+        let manifest;
+        try {
+            manifest = parseToml(await readFile(path.join(dir, 'Cargo.toml')));
+        } catch {
+            // Folders without a readable manifest are skipped.
+            continue;
+        }
+        if (manifest.workspace) return { dir, manifest };
+    }
+    return null;
+}
+
+/**
+ * Tells the scope of each crate a manifest depends on, by crate name.
+ * @param {object} manifest The parsed Cargo.toml.
+ * @param {{dependencies?: object}} [workspace] The [workspace.dependencies] of the workspace root, for the renames members inherit.
+ * @returns {Map<string, string>} The strongest scope each crate is declared with.
+ */
+function readDependencyScopes(manifest, workspace) {
+    const scopes = new Map();
+    for (const { name, scope } of readManifestDependencies(manifest, workspace)) scopes.set(name, strongestScope(scopes.get(name), scope));
+    return scopes;
+}
+
+/**
+ * Parses a Cargo.lock file, which lists every crate of the build at its exact version.
+ * @param {string} content The content of the Cargo.lock file.
+ * @returns {Array<{name: string, version: string, source?: string, dependencies: Array<string>, line: number}>} The [[package]] entries,
+ *   with their dependency references ("name", "name version" or "name version (source)") and the 0-based line of their name.
+ */
+function parseCargoLock(content) {
+    const lockfile = parseToml(content);
+    const nameLines = findTableArrayLines(content, 'package', 'name');
+    return (lockfile.package || []).map((entry, index) => ({
+        name: entry.name,
+        version: entry.version,
+        source: entry.source,
+        dependencies: entry.dependencies || [],
+        line: nameLines[index] || 0
+    }));
+}
+
+module.exports = {
+    readManifestDependencies,
+    findWorkspaceRoot,
+    readDependencyScopes,
+    parseCargoLock
+};
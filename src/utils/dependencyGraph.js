@@ -0,0 +1,95 @@
+// This file provides utility functions for working with the dependency graphs read from lockfiles.
+
+// The scopes a dependency can be declared in, from the one that ends up in the product the most to the one that doesn't at all.
+// A package pulled in under several scopes gets the first one, e.g. a package used both at runtime and by a test runner is a runtime dependency.
+const DEPENDENCY_SCOPES = ['runtime', 'optional', 'peer', 'provided', 'build', 'test', 'dev'];
+
+/**
+ * Computes, for every package of a dependency graph, the shortest chain of packages that pulls it in.
+ * The graph is walked breadth-first from the project's direct dependencies, so each package gets the
+ * path through which it is first reached.
+ * @param {Array<string>} roots The ids of the project's direct dependencies.
+ * @param {Map<string, Array<string>>} edges A map from a package id to the ids of its own dependencies.
+ * @returns {Map<string, Array<string>>} A map from a package id to the ids on its path, from a direct dependency down to the package itself.
+ */
+function computeDependencyPaths(roots, edges) {
+    // Store the path found for each package id.
+    const paths = new Map();
+    // Initialize the queue with the direct dependencies.
+    const queue = [];
+    for (const root of roots) {
+        if (!paths.has(root)) {
+            paths.set(root, [root]);
+            queue.push(root);
+        }
+    }
+
+    // Walk the graph breadth-first so the first path found is also the shortest one.
+    for (let index = 0; index < queue.length; index++) {
+        const current = queue[index];
+        const currentPath = paths.get(current);
+        for (const child of edges.get(current) || []) {
+            // Skip packages that were already reached, which also protects against cycles.
+            if (paths.has(child)) continue;
+            paths.set(child, [...currentPath, child]);
+            queue.push(child);
+        }
+    }
+
+    // Return the map of paths.
+    return paths;
+}
+
+/**
+ * Finds the packages that no other package depends on.
+ * Used as the entry points of lockfiles that don't record the project's direct dependencies (package-lock v1, yarn classic).
+ * @param {Array<string>} ids The ids of all packages in the graph.
+ * @param {Map<string, Array<string>>} edges A map from a package id to the ids of its own dependencies.
+ * @returns {Array<string>} The ids of the packages without dependents.
+ */
+function findRootPackages(ids, edges) {
+    // Collect every package that appears as someone's dependency.
+    const dependedOn = new Set();
+    for (const children of edges.values()) {
+        children.forEach(child => dependedOn.add(child));
+    }
+    // Everything else must have been requested by the project itself.
+    return ids.filter(id => !dependedOn.has(id));
+}
+
+/**
+ * Picks the scope that ends up in the product the most, for a package declared or pulled in under several scopes.
+ * @param {...(string | undefined)} scopes The scopes; unset ones are ignored.
+ * @returns {string | undefined} The first of the scopes in DEPENDENCY_SCOPES order, or undefined if none is set.
+ */
+function strongestScope(...scopes) {
+    return DEPENDENCY_SCOPES.find(scope => scopes.includes(scope));
+}
+
+/**
+ * Computes the scope of every package of a dependency graph from the scopes of the project's direct dependencies.
+ * A package gets the strongest scope it can be reached from, so a transitive dependency of a runtime dependency is a
+ * runtime dependency even if a dev dependency pulls it in too.
+ * @param {Array<{id: string, scope: string}>} roots The ids of the project's direct dependencies, with the scope each one is declared in.
+ * @param {Map<string, Array<string>>} edges A map from a package id to the ids of its own dependencies.
+ * @returns {Map<string, string>} A map from a package id to its scope; packages that can't be reached are left out.
+ */
+function computeDependencyScopes(roots, edges) {
+    const scopes = new Map();
+    // Walk the graph once per scope, strongest first, skipping the packages a stronger scope already reached.
+    for (const scope of DEPENDENCY_SCOPES) {
+        const queue = [...new Set(roots.filter(root => root.scope === scope && !scopes.has(root.id)).map(root => root.id))];
+        queue.forEach(id => scopes.set(id, scope));
+        for (let index = 0; index < queue.length; index++) {
+            for (const child of edges.get(queue[index]) || []) {
+                if (scopes.has(child)) continue;
+                scopes.set(child, scope);
+                queue.push(child);
+            }
+        }
+    }
+    return scopes;
+}
+
+// Export the graph helpers so they can be used by the lockfile strategies.
+module.exports = { DEPENDENCY_SCOPES, computeDependencyPaths, findRootPackages, strongestScope, computeDependencyScopes };
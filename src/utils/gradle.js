@@ -0,0 +1,304 @@
+// This file parses Gradle build files (Groovy and Kotlin DSL) and version catalogs (gradle/libs.versions.toml).
+// Build files are scripts, so only the usual forms of dependency declarations are read: string notation ('group:name:version'),
+// map notation (group: 'g', name: 'a', version: 'v') and version catalog accessors (libs.some.library, libs.bundles.some.bundle).
+// Versions left out for a platform (BOM) to set are read from the BOM, like the versions a pom.xml imports.
+// Catalogs are read line by line rather than with the toml package, which doesn't support the dotted keys (version.ref) they use.
+const path = require('path');
+const { resolveBomManagedDependencies } = require('./mavenPom');
+
+// The name of the default version catalog, and the path of its file from the root project.
+const CATALOG_NAME = 'libs';
+const CATALOG_PATH = path.join('gradle', 'libs.versions.toml');
+// The files marking the root project, where the search for the catalog and gradle.properties stops.
+const SETTINGS_FILE_NAMES = ['settings.gradle', 'settings.gradle.kts'];
+// How many folders above the build file the root project is looked for.
+const MAX_ROOT_DEPTH = 10;
+
+// The configurations dependencies are declared in, with an optional prefix for source sets and variants (testImplementation,
+// debugApi, integrationTestRuntimeOnly...). The name is matched with its first letter in upper case.
+const CONFIGURATION_PATTERN = /^(?:[A-Z][A-Za-z0-9]*?)?(Implementation|Api|CompileOnlyApi|CompileOnly|RuntimeOnly|Compile|Runtime|AnnotationProcessor|Kapt|Ksp|DevelopmentOnly)$/;
+// The declarations that don't refer to an artifact in a Maven repository.
+const SKIPPED_NOTATION_PATTERN = /^\(?\s*(project|files|fileTree|kotlin|gradleApi|gradleTestKit|localGroovy)\s*\(/;
+// The declarations of a platform, a BOM setting the versions of other dependencies rather than a library.
+const PLATFORM_NOTATION_PATTERN = /^\(?\s*(platform|enforcedPlatform)\s*\(/;
+
+/**
+ * Converts a catalog alias to the accessor build files use, e.g. 'jackson-databind' to 'jackson.databind'.
+ * @param {string} alias The alias of a library, bundle or version.
+ * @returns {string} The accessor, without the catalog name.
+ */
+function toAccessor(alias) {
+    return alias.replace(/[-_.]/g, '.');
+}
+
+/**
+ * Reads the string values of an inline table, including dotted keys such as version.ref.
+ * @param {string} table The inline table, e.g. '{ module = "g:a", version.ref = "x" }'.
+ * @returns {Object<string, string>} The values, by key; nested tables are flattened.
+ */
+function readInlineTable(table) {
+    return Object.fromEntries([...table.matchAll(/([\w.-]+)\s*=\s*(["'])(.*?)\2/g)].map(match => [match[1], match[3]]));
+}
+
+/**
+ * Reads a version of a catalog: a string, or a table with a preferred, required or strict version.
+ * @param {Object<string, string>} table The values of the inline table.
+ * @returns {string | undefined} The version.
+ */
+function readRichVersion(table) {
+    return table.prefer || table.require || table.strictly;
+}
+
+/**
+ * Parses a version catalog.
+ * @param {string} fileContent The content of the libs.versions.toml file.
+ * @returns {{versions: Map<string, string>, libraries: Map<string, {group: string, name: string, version: string, line: number}>, bundles: Map<string, Array<string>>}}
+ *   The versions and libraries by accessor, with versions references resolved, and the library accessors of each bundle.
+ */
+function parseVersionCatalog(fileContent) {
+    const versions = new Map();
+    const libraries = new Map();
+    const bundles = new Map();
+    // The libraries, read before versions references are resolved since [versions] may come last.
+    const declared = [];
+    let section = null;
+    // A bundle array spanning several lines, while it is being read.
+    let pendingBundle = null;
+
+    fileContent.split(/\r?\n/).forEach((rawLine, index) => {
+        // Remove comments, which can't appear inside the values catalogs use.
+        const line = rawLine.replace(/\s+#.*$|^\s*#.*$/, '').trim();
+        if (pendingBundle) {
+            pendingBundle.text += ` ${line}`;
+            if (line.includes(']')) {
+                bundles.set(pendingBundle.accessor, [...pendingBundle.text.matchAll(/["']([^"']+)["']/g)].map(match => toAccessor(match[1])));
+                pendingBundle = null;
+            }
+            return;
+        }
+        const header = line.match(/^\[\s*([\w-]+)\s*\]$/);
+        if (header) {
+            section = header[1];
+            return;
+        }
+        const entry = line.match(/^([\w.-]+|"[^"]+")\s*=\s*(.+)$/);
+        if (!entry) return;
+        const alias = entry[1].replace(/"/g, '');
+        const value = entry[2];
+        const stringValue = value.match(/^(["'])(.*)\1$/);
+
+        if (section === 'versions') {
+            const version = stringValue ? stringValue[2] : readRichVersion(readInlineTable(value));
+            if (version) versions.set(toAccessor(alias), version);
+        } else if (section === 'libraries') {
+            let library;
+            if (stringValue) {
+                const [group, name, version] = stringValue[2].split(':');
+                library = { group, name, version };
+            } else {
+                const table = readInlineTable(value);
+                const [group, name] = table.module ? table.module.split(':') : [table.group, table.name];
+                library = { group, name, version: table.version || readRichVersion(table), versionRef: table['version.ref'] };
+            }
+            if (library.group && library.name) declared.push({ accessor: toAccessor(alias), line: index, ...library });
+        } else if (section === 'bundles') {
+            pendingBundle = { accessor: toAccessor(alias), text: value };
+            if (value.includes(']')) {
+                bundles.set(pendingBundle.accessor, [...value.matchAll(/["']([^"']+)["']/g)].map(match => toAccessor(match[1])));
+                pendingBundle = null;
+            }
+        }
+    });
+
+    for (const { accessor, group, name, version, versionRef, line } of declared) {
+        libraries.set(accessor, { group, name, version: version || (versionRef ? versions.get(toAccessor(versionRef)) : undefined) || '', line });
+    }
+    return { versions, libraries, bundles };
+}
+
+/**
+ * Reads the properties of a gradle.properties file.
+ * @param {string} fileContent The content of the file.
+ * @returns {Object<string, string>} The properties, by name.
+ */
+function parseGradleProperties(fileContent) {
+    const properties = {};
+    for (const line of fileContent.split(/\r?\n/)) {
+        const match = line.match(/^\s*([\w.-]+)\s*[=:]\s*(.*?)\s*$/);
+        if (match && !/^\s*[#!]/.test(line)) properties[match[1]] = match[2];
+    }
+    return properties;
+}
+
+/**
+ * Reads the variables a build file defines with string values: `def`, `val` and `var` declarations, `ext` properties and
+ * assignments in `ext { }` blocks.
+ * @param {string} fileContent The content of the build file.
+ * @returns {Object<string, string>} The values, by variable name.
+ */
+function readBuildVariables(fileContent) {
+    const variables = {};
+    const pattern = /^\s*(?:(?:def|val|var)\s+|ext\.|extra\[\s*["'])?([A-Za-z_][\w.]*)["']?\]?\s*(?::\s*String\s*)?(?:=|by\s+extra\s*\()\s*(["'])([^"'$]*)\2/gm;
+    for (const match of fileContent.matchAll(pattern)) variables[match[1]] = match[3];
+    return variables;
+}
+
+/**
+ * Replaces the variables of a Groovy or Kotlin string, such as $version, ${versions.jackson} or ${libs.versions.jackson.get()}.
+ * @param {string} value The string.
+ * @param {function(string): (string | undefined)} lookup Finds the value of a variable by name.
+ * @returns {string} The string with every known variable replaced; unknown variables are left as they are.
+ */
+function interpolateGradleString(value, lookup) {
+    return value.replace(/\$\{\s*([\w.]+?)(?:\.get\(\))?\s*\}|\$([A-Za-z_]\w*)/g, (match, braced, bare) => {
+        const resolved = lookup(braced || bare);
+        return resolved !== undefined ? resolved : match;
+    });
+}
+
+/**
+ * Maps a Gradle configuration to a dependency scope.
+ * @param {string} configuration The configuration, e.g. implementation, compileOnly or testRuntimeOnly.
+ * @returns {string} The dependency scope.
+ */
+function toDependencyScope(configuration) {
+    if (/^(test|androidTest|integrationTest|testFixtures)/.test(configuration)) return 'test';
+    if (/(annotationProcessor|kapt|ksp)$/i.test(configuration)) return 'build';
+    if (/compileOnly(Api)?$/i.test(configuration)) return 'provided';
+    if (configuration === 'developmentOnly') return 'dev';
+    return 'runtime';
+}
+
+/**
+ * Parses the dependencies declared in a Gradle build file.
+ * @param {string} fileContent The content of the build.gradle or build.gradle.kts file.
+ * @param {{positionAt(offset: number): {line: number}}} document Maps character offsets in the content to line numbers.
+ * @param {object} [context] What the declarations refer to.
+ * @param {object} [context.catalog] The parsed version catalog, see parseVersionCatalog.
+ * @param {Object<string, string>} [context.properties] The properties of the gradle.properties file.
+ * @returns {{dependencies: Array<{name: string, version: string, line: number, scope: string}>, platforms: Array<{groupId: string,
+ *   artifactId: string, version: string}>}} The dependencies, with the scope of their configuration, and the platforms the build declares.
+ */
+function parseGradleBuild(fileContent, document, context = {}) {
+    const { catalog, properties = {} } = context;
+    const variables = { ...properties, ...readBuildVariables(fileContent) };
+    const lookup = name => {
+        if (variables[name] !== undefined) return variables[name];
+        // Catalog versions are used as ${libs.versions.some.version.get()}.
+        const prefix = `${CATALOG_NAME}.versions.`;
+        if (catalog && name.startsWith(prefix)) return catalog.versions.get(name.slice(prefix.length));
+        return undefined;
+    };
+
+    const dependencies = [];
+    const platforms = [];
+    const statement = /^[ \t]*([a-z][A-Za-z0-9]*)[ \t]*(\(|[ \t])(.*)$/gm;
+    for (const match of fileContent.matchAll(statement)) {
+        const configuration = match[1];
+        if (!CONFIGURATION_PATTERN.test(configuration.charAt(0).toUpperCase() + configuration.slice(1))) continue;
+        // Only the notation matters, not the closure or comment after it.
+        const notation = match[3].replace(/\s\/\/.*$/, '').split(/(?<!\$)\{/)[0].trim();
+        if (SKIPPED_NOTATION_PATTERN.test(notation)) continue;
+        const line = document.positionAt(match.index).line;
+        const scope = toDependencyScope(configuration);
+        const isPlatform = PLATFORM_NOTATION_PATTERN.test(notation);
+        const add = (group, name, version) => {
+            const dependency = {
+                name: `${interpolateGradleString(group, lookup)}:${interpolateGradleString(name, lookup)}`,
+                // Strict versions (1.0!!) and rich versions are looked up at the version they name.
+                version: interpolateGradleString(version || '', lookup).replace(/!!.*$/, ''),
+                line,
+                scope
+            };
+            // Platforms aren't reported, but set the versions of the dependencies declared without one.
+            if (!isPlatform) dependencies.push(dependency);
+            else if (dependency.version) platforms.push({ groupId: dependency.name.split(':')[0], artifactId: dependency.name.split(':')[1], version: dependency.version });
+        };
+
+        if (/\bgroup\s*[:=]/.test(notation)) {
+            // Map notation: group: 'g', name: 'a', version: 'v' (Groovy) or group = "g", name = "a", version = "v" (Kotlin).
+            const values = Object.fromEntries([...notation.matchAll(/\b(group|name|version)\s*[:=]\s*(["'])(.*?)\2/g)].map(value => [value[1], value[3]]));
+            if (values.group && values.name) add(values.group, values.name, values.version);
+            continue;
+        }
+
+        const strings = [...notation.matchAll(/(["'])(.*?)\1/g)].map(value => value[2]).filter(value => /^[^:\s]+:[^:\s]+/.test(value));
+        if (strings.length > 0) {
+            // String notation, possibly several in one Groovy statement; the classifier and @extension don't change the license.
+            for (const coordinates of strings) {
+                const [group, name, version] = coordinates.split('@')[0].split(':');
+                add(group, name, version);
+            }
+            continue;
+        }
+
+        // Catalog accessors: libs.some.library or libs.bundles.some.bundle.
+        for (const accessor of notation.matchAll(new RegExp(`\\b${CATALOG_NAME}\\.([\\w.]+)`, 'g'))) {
+            if (!catalog) break;
+            const alias = accessor[1].replace(/\.get$/, '');
+            const libraries = alias.startsWith('bundles.') ? (catalog.bundles.get(alias.slice('bundles.'.length)) || []) : [alias];
+            for (const library of libraries.map(libraryAlias => catalog.libraries.get(libraryAlias)).filter(Boolean)) {
+                add(library.group, library.name, library.version);
+            }
+        }
+    }
+    return { dependencies, platforms };
+}
+
+/**
+ * Sets the versions of the dependencies declared without one from the BOMs of the platforms the build declares.
+ * @param {Array<{name: string, version: string}>} dependencies The dependencies of the build file, see parseGradleBuild.
+ * @param {Array<{groupId: string, artifactId: string, version: string}>} platforms The platforms of the build file, see parseGradleBuild.
+ * @param {object} [options] The options for loading the BOMs, see resolveEffectivePom in src/utils/mavenPom.js.
+ * @returns {Promise<Array<object>>} The dependencies, those without a version taking the one their platform manages, if any.
+ */
+async function applyPlatformVersions(dependencies, platforms, options = {}) {
+    if (platforms.length === 0 || dependencies.every(dependency => dependency.version)) return dependencies;
+    const managed = new Map((await resolveBomManagedDependencies(platforms, options))
+        .map(dep => [`${dep.groupId}:${dep.artifactId}`, dep.version]));
+    return dependencies.map(dependency => (dependency.version ? dependency : { ...dependency, version: managed.get(dependency.name) || '' }));
+}
+
+/**
+ * Reads the files of the root project a build file belongs to: the default version catalog and gradle.properties.
+ * Folders are searched upwards from the build file until one has a settings file or the catalog.
+ * @param {string} filePath The absolute path of the build file.
+ * @param {function(string): Promise<string>} readFile Reads a file by its absolute path.
+ * @returns {Promise<{catalog?: object, properties: Object<string, string>}>} The parsed catalog, if any, and the properties.
+ */
+async function readRootProjectFiles(filePath, readFile) {
+    const tryRead = async candidate => {
+        try {
+            return await readFile(candidate);
+        } catch {
+            return null;
+        }
+    };
+    let dir = path.dirname(filePath);
+    for (let depth = 0; depth <= MAX_ROOT_DEPTH; depth++) {
+        const catalogContent = await tryRead(path.join(dir, CATALOG_PATH));
+        const isRoot = catalogContent !== null
+            || (await Promise.all(SETTINGS_FILE_NAMES.map(name => tryRead(path.join(dir, name))))).some(content => content !== null);
+        if (isRoot) {
+            const propertiesContent = await tryRead(path.join(dir, 'gradle.properties'));
+            return {
+                catalog: catalogContent !== null ? parseVersionCatalog(catalogContent) : undefined,
+                properties: propertiesContent !== null ? parseGradleProperties(propertiesContent) : {}
+            };
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+    // Without a root project, the build file is a project of its own.
+    const propertiesContent = await tryRead(path.join(path.dirname(filePath), 'gradle.properties'));
+    return { properties: propertiesContent !== null ? parseGradleProperties(propertiesContent) : {} };
+}
+
+module.exports = {
+    parseVersionCatalog,
+    parseGradleBuild,
+    applyPlatformVersions,
+    readRootProjectFiles,
+    toDependencyScope
+};
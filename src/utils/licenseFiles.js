@@ -0,0 +1,91 @@
+// This file provides utility functions for finding license texts and copyright notices in package files.
+const path = require('path');
+const { readFileIfExists, listDir } = require('./localFiles');
+
+// License texts are shipped as LICENSE, LICENCE, COPYING or UNLICENSE files, with or without an extension or a suffix (e.g. LICENSE-MIT).
+const LICENSE_FILE_PATTERN = /^(licen[cs]e|copying|unlicense)([-._].*)?$/i;
+// Attribution notices that must be passed on, e.g. under Apache-2.0, are shipped as NOTICE files.
+const NOTICE_FILE_PATTERN = /^notice([-._].*)?$/i;
+
+/**
+ * Tells whether a file name is the name of a license or notice file.
+ * @param {string} fileName The file name, without folders.
+ * @returns {boolean} True for license and notice files.
+ */
+function isLicenseFileName(fileName) {
+    return LICENSE_FILE_PATTERN.test(fileName) || NOTICE_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Reads the license and notice files of an installed package.
+ * Python wheels keep them in a 'licenses' subfolder of the .dist-info folder (PEP 639), so that folder is read too.
+ * @param {string} dir The folder of the installed package.
+ * @returns {Promise<Array<{path: string, content: string}>>} The files, with their paths relative to the folder.
+ */
+async function readLicenseFiles(dir) {
+    const files = [];
+    for (const subDir of ['', 'licenses']) {
+        for (const fileName of (await listDir(path.join(dir, subDir))).sort()) {
+            if (!isLicenseFileName(fileName)) continue;
+            const content = await readFileIfExists(path.join(dir, subDir, fileName));
+            if (content !== null) files.push({ path: subDir ? `${subDir}/${fileName}` : fileName, content });
+        }
+    }
+    return files;
+}
+
+/**
+ * Splits license and notice files apart.
+ * @param {Array<{path: string, content: string}>} files The files found for a package.
+ * @returns {{licenseFiles: Array<object>, noticeFiles: Array<object>}} The license files and the notice files.
+ */
+function partitionLicenseFiles(files) {
+    const isNotice = file => NOTICE_FILE_PATTERN.test(path.posix.basename(file.path));
+    return { licenseFiles: files.filter(file => !isNotice(file)), noticeFiles: files.filter(isNotice) };
+}
+
+/**
+ * Extracts the copyright lines from a license or notice text, e.g. "Copyright (c) 2015 Jane Doe".
+ * Template placeholders such as "Copyright [yyyy] [name of copyright owner]" are skipped.
+ * @param {string} text The license or notice text.
+ * @returns {Array<string>} The copyright lines, without duplicates.
+ */
+function extractCopyrights(text) {
+    const copyrights = new Set();
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!/^(copyright\b|\(c\)|©)/i.test(line)) continue;
+        // A real notice names a year or uses the copyright sign; templates use placeholders instead.
+        if (!/\d{4}|©|\(c\)/i.test(line) || /[[{<](yyyy|year)/i.test(line)) continue;
+        copyrights.add(line);
+    }
+    return [...copyrights];
+}
+
+// Phrases that identify the most common license texts, checked in order (the LGPL and AGPL texts mention the GPL, so they come first).
+const LICENSE_TEXT_SIGNATURES = [
+    { id: 'AGPL-3.0-only', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'LGPL-3.0-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'GPL-3.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'GPL-2.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+    { id: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(Version|v\.)\s*2\.0/i },
+    { id: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+    { id: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i },
+    { id: 'ISC', pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose/i },
+    { id: 'MIT', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+    // The 3-clause BSD license adds a non-endorsement clause to the 2-clause one.
+    { id: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*to endorse or promote products/i },
+    { id: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i }
+];
+
+/**
+ * Identifies a license from its full text, e.g. the LICENSE file of a project.
+ * @param {string} text The license text.
+ * @returns {string | null} The SPDX id of the license, or null if it isn't recognized.
+ */
+function identifyLicenseText(text) {
+    const match = LICENSE_TEXT_SIGNATURES.find(signature => signature.pattern.test(text));
+    return match ? match.id : null;
+}
+
+module.exports = { isLicenseFileName, readLicenseFiles, partitionLicenseFiles, extractCopyrights, identifyLicenseText };
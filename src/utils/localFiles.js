@@ -0,0 +1,67 @@
+// This file provides utility functions for reading package metadata that is already installed on disk.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Lists a directory and all of its ancestors, starting with the directory itself.
+ * This mirrors how package managers look for installed packages (e.g. Node's node_modules lookup).
+ * @param {string} startDir The directory to start from.
+ * @returns {Array<string>} The directory followed by each of its parents, up to the filesystem root.
+ */
+function ancestorDirs(startDir) {
+    const dirs = [];
+    let current = path.resolve(startDir);
+    while (true) {
+        dirs.push(current);
+        const parent = path.dirname(current);
+        // The root is its own parent.
+        if (parent === current) return dirs;
+        current = parent;
+    }
+}
+
+/**
+ * Reads a text file, returning null instead of throwing when it doesn't exist or can't be read.
+ * @param {string} filePath The absolute path of the file.
+ * @returns {Promise<string | null>} The file content, or null.
+ */
+async function readFileIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads and parses a JSON file, returning null when it doesn't exist or isn't valid JSON.
+ * @param {string} filePath The absolute path of the file.
+ * @returns {Promise<any | null>} The parsed content, or null.
+ */
+async function readJsonIfExists(filePath) {
+    const content = await readFileIfExists(filePath);
+    if (content === null) return null;
+    try {
+        return JSON.parse(content);
+    } catch {
+        console.error(`License Sentinel 🛡️: Could not parse ${filePath} as JSON.`);
+        return null;
+    }
+}
+
+/**
+ * Lists the entries of a directory, returning an empty array when it doesn't exist.
+ * @param {string} dirPath The absolute path of the directory.
+ * @returns {Promise<Array<string>>} The names of the entries in the directory.
+ */
+async function listDir(dirPath) {
+    try {
+        return await fs.readdir(dirPath);
+    } catch {
+        return [];
+    }
+}
+
+// Export the helpers so they can be used by the strategies' local lookups.
+module.exports = { ancestorDirs, readFileIfExists, readJsonIfExists, listDir };
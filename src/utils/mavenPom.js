@@ -0,0 +1,286 @@
+// This file computes the effective model of Maven POMs, the way Maven itself reads them: values are inherited from the chain of
+// <parent> POMs, ${properties} are interpolated, and dependency versions come from <dependencyManagement> and imported BOMs.
+// Parents are read from their relativePath in the workspace when it holds the right POM, and from Maven Central otherwise.
+const path = require('path');
+const xml2js = require('xml2js');
+const { fetchText } = require('./network');
+
+// The remote repository POMs are fetched from.
+const MAVEN_CENTRAL = 'https://repo1.maven.org/maven2';
+// How many parents and imported BOMs deep the resolution goes, which stops cycles between POMs.
+const MAX_DEPTH = 20;
+// How many times a value is interpolated, for properties defined with other properties.
+const MAX_INTERPOLATION_PASSES = 10;
+
+// The POMs fetched from the remote repository during this session, as promises so concurrent lookups share them.
+const remotePoms = new Map();
+
+/**
+ * Reads the text of an element parsed by xml2js without explicit arrays.
+ * @param {any} value The parsed element.
+ * @returns {string | undefined} The trimmed text, or undefined if the element is missing.
+ */
+function readText(value) {
+    if (typeof value === 'string') return value.trim();
+    if (value && typeof value === 'object' && typeof value._ === 'string') return value._.trim();
+    return undefined;
+}
+
+/**
+ * Reads a repeated element parsed by xml2js, which is an object when it appears once.
+ * @param {any} value The parsed element or elements.
+ * @returns {Array<any>} The elements.
+ */
+function toArray(value) {
+    return value === undefined || value === null || value === '' ? [] : [].concat(value);
+}
+
+/**
+ * Parses the parts of a POM that decide its dependencies and licenses.
+ * @param {string} content The content of the POM.
+ * @returns {Promise<object>} The POM model: its coordinates, `parent`, `properties`, `dependencies`, `managedDependencies`,
+ *   `licenses` and `url`, with the values as written (not interpolated).
+ */
+async function parsePom(content) {
+    const parser = new xml2js.Parser({ explicitArray: false, ignoreAttrs: true });
+    const project = ((await parser.parseStringPromise(content)) || {}).project || {};
+    const toDependency = dep => ({
+        groupId: readText(dep.groupId),
+        artifactId: readText(dep.artifactId),
+        version: readText(dep.version),
+        scope: readText(dep.scope),
+        type: readText(dep.type),
+        optional: readText(dep.optional)
+    });
+    const parent = project.parent && typeof project.parent === 'object' ? project.parent : null;
+    const properties = project.properties && typeof project.properties === 'object' ? project.properties : {};
+    return {
+        groupId: readText(project.groupId),
+        artifactId: readText(project.artifactId),
+        version: readText(project.version),
+        url: readText(project.url),
+        parent: parent && {
+            groupId: readText(parent.groupId),
+            artifactId: readText(parent.artifactId),
+            version: readText(parent.version),
+            // Maven looks for the parent in the folder above by default; an empty <relativePath/> turns the local lookup off.
+            relativePath: parent.relativePath === undefined ? '../pom.xml' : readText(parent.relativePath)
+        },
+        properties: Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, readText(value) || ''])),
+        dependencies: toArray(project.dependencies && project.dependencies.dependency).map(toDependency),
+        managedDependencies: toArray(project.dependencyManagement && project.dependencyManagement.dependencies && project.dependencyManagement.dependencies.dependency).map(toDependency),
+        licenses: toArray(project.licenses && project.licenses.license).map(license => readText(license.name)).filter(Boolean)
+    };
+}
+
+/**
+ * Replaces the ${properties} in a value.
+ * @param {string | undefined} value The value.
+ * @param {Object<string, string>} properties The properties, by name.
+ * @returns {string | undefined} The value with every known property replaced; unknown properties are left as they are.
+ */
+function interpolate(value, properties) {
+    if (typeof value !== 'string') return value;
+    let result = value;
+    for (let pass = 0; pass < MAX_INTERPOLATION_PASSES && result.includes('${'); pass++) {
+        const next = result.replace(/\$\{([^}]+)\}/g, (match, name) => (properties[name] !== undefined ? properties[name] : match));
+        if (next === result) break;
+        result = next;
+    }
+    return result;
+}
+
+/**
+ * Fetches a POM from Maven Central, once per session.
+ * @param {string} groupId The group id of the artifact.
+ * @param {string} artifactId The artifact id.
+ * @param {string} version The version of the artifact.
+ * @param {{signal?: AbortSignal}} [options] The request options, such as the signal that aborts the request.
+ * @returns {Promise<object>} The parsed POM, see parsePom.
+ */
+function fetchRemotePom(groupId, artifactId, version, options = {}) {
+    const url = `${MAVEN_CENTRAL}/${groupId.replace(/\./g, '/')}/${artifactId}/${version}/${artifactId}-${version}.pom`;
+    if (!remotePoms.has(url)) {
+        const promise = fetchText(url, { signal: options.signal }).then(parsePom);
+        remotePoms.set(url, promise);
+        // Failed lookups are tried again by the next scan.
+        promise.catch(() => remotePoms.delete(url));
+    }
+    return remotePoms.get(url);
+}
+
+/**
+ * Loads a POM from the remote repository for the effective POM resolution.
+ * @param {{groupId?: string, artifactId?: string, version?: string}} coordinates The coordinates of the POM.
+ * @param {object} options The resolution options, see resolveEffectivePom.
+ * @returns {Promise<object | null>} The parsed POM, or null if it can't be loaded (or remote lookups are off).
+ * @throws {Error} If the request was cancelled.
+ */
+async function loadRemotePom({ groupId, artifactId, version }, options) {
+    // Coordinates that are still unresolved properties can't be looked up.
+    if (options.offline || !groupId || !artifactId || !version || `${groupId}${artifactId}${version}`.includes('${')) return null;
+    const load = options.loadRemotePom || fetchRemotePom;
+    try {
+        return await load(groupId, artifactId, version, { signal: options.signal });
+    } catch (error) {
+        if (error.statusCode === 'CANCELLED') throw error;
+        // A missing parent or BOM leaves the values it would provide unresolved, like in an IDE without network access.
+        console.error(`Could not load the POM of ${groupId}:${artifactId}:${version}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Loads the parent of a POM: from its relativePath if that file is the parent, otherwise from the remote repository.
+ * @param {object} pom The parsed POM, with a parent.
+ * @param {object} options The resolution options, see resolveEffectivePom.
+ * @returns {Promise<{pom: object, filePath?: string} | null>} The parent POM and, if it was read locally, its path.
+ */
+async function loadParentPom(pom, options) {
+    const { parent } = pom;
+    if (options.filePath && options.readFile && parent.relativePath) {
+        let parentPath = path.resolve(path.dirname(options.filePath), parent.relativePath);
+        if (!/\.xml$/i.test(parentPath)) parentPath = path.join(parentPath, 'pom.xml');
+        try {
+            const candidate = await parsePom(await options.readFile(parentPath));
+            // Like Maven, a local POM is only used if it has the coordinates of the parent; its own values may be inherited too.
+            const candidateGroupId = candidate.groupId || (candidate.parent && candidate.parent.groupId);
+            const candidateVersion = candidate.version || (candidate.parent && candidate.parent.version);
+            if (candidate.artifactId === parent.artifactId && candidateGroupId === parent.groupId && candidateVersion === parent.version) {
+                return { pom: candidate, filePath: parentPath };
+            }
+        } catch {
+            // The file doesn't exist or isn't a POM, so the parent is looked up remotely.
+        }
+    }
+    const remote = await loadRemotePom(parent, options);
+    return remote ? { pom: remote } : null;
+}
+
+/**
+ * Merges a POM with its parents: its coordinates, properties, managed dependencies (as written), licenses and url.
+ * @param {object} pom The parsed POM, see parsePom.
+ * @param {object} options The resolution options, see resolveEffectivePom.
+ * @param {number} depth How many parents and BOMs deep this POM is.
+ * @returns {Promise<object>} The inherited model of the POM.
+ */
+async function resolveInheritedModel(pom, options, depth) {
+    if (depth > MAX_DEPTH) throw new Error(`The parents and BOMs of ${pom.groupId}:${pom.artifactId} are nested too deeply or form a cycle.`);
+
+    const parentPom = pom.parent ? await loadParentPom(pom, options) : null;
+    const parent = parentPom ? await resolveInheritedModel(parentPom.pom, { ...options, filePath: parentPom.filePath }, depth + 1) : null;
+
+    // The group id and version are inherited from the <parent> element when the POM doesn't set them.
+    const groupId = pom.groupId || (pom.parent && pom.parent.groupId);
+    const version = pom.version || (pom.parent && pom.parent.version);
+    return {
+        groupId,
+        artifactId: pom.artifactId,
+        version,
+        url: pom.url || (parent ? parent.url : undefined),
+        properties: {
+            ...(parent ? parent.properties : {}),
+            ...pom.properties,
+            'project.groupId': groupId,
+            'project.artifactId': pom.artifactId,
+            'project.version': version,
+            'pom.groupId': groupId,
+            'pom.version': version,
+            'project.parent.groupId': pom.parent && pom.parent.groupId,
+            'project.parent.version': pom.parent && pom.parent.version
+        },
+        // Managed entries are inherited as written, so properties the POM overrides also change the versions its parents manage.
+        rawManaged: [...pom.managedDependencies, ...(parent ? parent.rawManaged : [])],
+        licenses: pom.licenses.length > 0 ? pom.licenses : (parent ? parent.licenses : [])
+    };
+}
+
+/**
+ * Computes the effective model of a POM.
+ * Own values take precedence over inherited ones. Managed versions come from the POM's own <dependencyManagement>, then its
+ * parents', then the BOMs they import with `<scope>import</scope>`, all interpolated with the POM's merged properties.
+ * Dependencies inherited from the parents are not included, since they belong to the parent POMs.
+ * @param {object} pom The parsed POM, see parsePom.
+ * @param {object} [options] The resolution options.
+ * @param {string} [options.filePath] The absolute path of the POM, which relative parent paths are resolved against.
+ * @param {function(string): Promise<string>} [options.readFile] Reads a file by its absolute path; without it, parents are looked up remotely.
+ * @param {boolean} [options.offline] Whether remote lookups are turned off, leaving the values of remote parents and BOMs unresolved.
+ * @param {function(string, string, string, object): Promise<object>} [options.loadRemotePom] Loads a parsed POM from a remote
+ *   repository by its coordinates; defaults to Maven Central.
+ * @param {AbortSignal} [options.signal] Aborts the remote lookups.
+ * @param {number} [depth] How many parents and BOMs deep this POM is.
+ * @returns {Promise<object>} The effective POM: its coordinates, merged `properties`, `managedDependencies`, `dependencies` with their
+ *   managed versions and scopes, `licenses` (inherited if the POM has none) and `url`.
+ */
+async function resolveEffectivePom(pom, options = {}, depth = 0) {
+    const { rawManaged, ...model } = await resolveInheritedModel(pom, options, depth);
+    const interpolateDependency = dep => Object.fromEntries(Object.entries(dep).map(([key, value]) => [key, interpolate(value, model.properties)]));
+
+    const managed = new Map();
+    const manage = dep => {
+        const key = `${dep.groupId}:${dep.artifactId}`;
+        if (!managed.has(key)) managed.set(key, dep);
+    };
+    const imports = [];
+    for (const dep of rawManaged.map(interpolateDependency)) {
+        if (dep.scope === 'import' && dep.type === 'pom') imports.push(dep);
+        else manage(dep);
+    }
+    // Imported BOMs only add the entries that aren't managed yet, in order.
+    (await resolveBomManagedDependencies(imports, options, depth)).forEach(manage);
+
+    const dependencies = pom.dependencies.map(interpolateDependency).map(dep => {
+        const managedDep = managed.get(`${dep.groupId}:${dep.artifactId}`) || {};
+        return { ...dep, version: dep.version || managedDep.version, scope: dep.scope || managedDep.scope, optional: dep.optional || managedDep.optional };
+    });
+
+    return { ...model, managedDependencies: [...managed.values()], dependencies };
+}
+
+/**
+ * Reads the dependencies managed by BOMs, such as those a POM imports with `<scope>import</scope>` or a Gradle build declares with platform().
+ * An artifact managed by several BOMs takes the entry of the first one.
+ * @param {Array<{groupId: string, artifactId: string, version: string}>} boms The coordinates of the BOMs, in order.
+ * @param {object} [options] The resolution options, see resolveEffectivePom.
+ * @param {number} [depth] How many parents and BOMs deep the POM importing the BOMs is.
+ * @returns {Promise<Array<object>>} The managed dependencies, with their versions interpolated; BOMs that can't be loaded add none.
+ */
+async function resolveBomManagedDependencies(boms, options = {}, depth = 0) {
+    const managed = new Map();
+    for (const bom of boms) {
+        const bomPom = await loadRemotePom(bom, options);
+        if (!bomPom) continue;
+        const effectiveBom = await resolveEffectivePom(bomPom, { ...options, filePath: undefined }, depth + 1);
+        for (const dep of effectiveBom.managedDependencies) {
+            const key = `${dep.groupId}:${dep.artifactId}`;
+            if (!managed.has(key)) managed.set(key, dep);
+        }
+    }
+    return [...managed.values()];
+}
+
+/**
+ * Reads the licenses of a POM, inheriting them from its parents when it declares none.
+ * Only the parent chain is loaded, which is cheaper than the full effective POM.
+ * @param {object} pom The parsed POM, see parsePom.
+ * @param {object} [options] The resolution options, see resolveEffectivePom.
+ * @returns {Promise<Array<string>>} The license names, or an empty array if neither the POM nor its parents declare any.
+ */
+async function readInheritedLicenses(pom, options = {}) {
+    let current = { pom, filePath: options.filePath };
+    for (let depth = 0; current && depth <= MAX_DEPTH; depth++) {
+        if (current.pom.licenses.length > 0) return current.pom.licenses;
+        current = current.pom.parent ? await loadParentPom(current.pom, { ...options, filePath: current.filePath }) : null;
+    }
+    return [];
+}
+
+module.exports = {
+    MAVEN_CENTRAL,
+    parsePom,
+    interpolate,
+    fetchRemotePom,
+    resolveEffectivePom,
+    resolveBomManagedDependencies,
+    readInheritedLicenses
+};
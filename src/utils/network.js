@@ -12,7 +12,7 @@ const defaultOptions = {
   timeout: 15000, // 15 seconds
 };
 
-// Fetches text data from a given URL with retry logic.
+// Fetches text data from a given URL with retry logic. Pass an AbortSignal as `options.signal` to abort the request.
 async function fetchText(url, options = {}, retries = 3, delay = 1000) {
   try {
     // Attempt to make an HTTP GET request to the specified URL.
@@ -20,6 +20,13 @@ async function fetchText(url, options = {}, retries = 3, delay = 1000) {
     // Return the response data (text).
     return response.data;
   } catch (error) {
+    // A request aborted through `options.signal` (e.g. by a cancelled scan) is neither retried nor logged.
+    if (axios.isCancel(error) || options.signal?.aborted) {
+      const cancelledError = new Error(`Request to ${url} was cancelled`);
+      cancelledError.statusCode = 'CANCELLED';
+      throw cancelledError;
+    }
+
     // Determine if the error is retryable based on the HTTP status code.
     const isRetryable =
       !error.response ||
@@ -0,0 +1,69 @@
+// This file provides utility functions for building Package URLs (purls), the package identifiers used by SBOM formats.
+// See https://github.com/package-url/purl-spec for the specification.
+
+/**
+ * Percent-encodes one segment of a purl, leaving the characters the specification allows unencoded.
+ * @param {string} segment The segment to encode.
+ * @returns {string} The encoded segment.
+ */
+function encodeSegment(segment) {
+    return encodeURIComponent(segment).replace(/%3A/gi, ':');
+}
+
+/**
+ * Tells whether a version is an exact version rather than a range such as "^1.0.0" or "latest".
+ * Only exact versions belong in a purl.
+ * @param {string} version The version to check.
+ * @returns {boolean} True if the version is exact.
+ */
+function isExactVersion(version) {
+    return typeof version === 'string' && /^v?\d+(\.\d+)*([-+.][0-9A-Za-z.+-]*)?$/.test(version);
+}
+
+/**
+ * Splits a package name into the namespace and name parts used by the purl type of its ecosystem.
+ * @param {string} ecosystem The purl type: 'npm', 'composer', 'pypi', 'maven', 'golang' or 'cargo'.
+ * @param {string} packageName The package name as found in the manifest file.
+ * @returns {{namespace: string, name: string}} The namespace (possibly empty) and name.
+ */
+function splitPackageName(ecosystem, packageName) {
+    switch (ecosystem) {
+        case 'maven': {
+            // Maven packages are named "groupId:artifactId".
+            const [groupId, artifactId] = packageName.split(':');
+            return artifactId ? { namespace: groupId, name: artifactId } : { namespace: '', name: groupId };
+        }
+        case 'pypi':
+            // PyPI names are case-insensitive and treat '_' and '.' like '-'.
+            return { namespace: '', name: packageName.toLowerCase().replace(/[-_.]+/g, '-') };
+        case 'npm':
+        case 'composer':
+        case 'golang': {
+            // Scoped npm packages, Composer vendors and Go module paths use '/' to separate the namespace.
+            const slashIndex = packageName.lastIndexOf('/');
+            return slashIndex > 0
+                ? { namespace: packageName.slice(0, slashIndex), name: packageName.slice(slashIndex + 1) }
+                : { namespace: '', name: packageName };
+        }
+        default:
+            return { namespace: '', name: packageName };
+    }
+}
+
+/**
+ * Builds the Package URL of a dependency, e.g. "pkg:npm/%40scope/name@1.0.0".
+ * @param {string} ecosystem The purl type: 'npm', 'composer', 'pypi', 'maven', 'golang' or 'cargo'.
+ * @param {string} packageName The package name as found in the manifest file.
+ * @param {string} version The version; left out unless it is exact.
+ * @returns {string | null} The purl, or null if the ecosystem is unknown.
+ */
+function buildPurl(ecosystem, packageName, version) {
+    if (!ecosystem || !packageName) return null;
+    const { namespace, name } = splitPackageName(ecosystem, packageName);
+    // The namespace may contain several '/'-separated segments (e.g. Go module paths), each encoded on its own.
+    const namespacePart = namespace ? `${namespace.split('/').map(encodeSegment).join('/')}/` : '';
+    const versionPart = isExactVersion(version) ? `@${encodeSegment(version)}` : '';
+    return `pkg:${ecosystem}/${namespacePart}${encodeSegment(name)}${versionPart}`;
+}
+
+module.exports = { buildPurl, splitPackageName, isExactVersion };
@@ -0,0 +1,359 @@
+// This file provides the Python packaging helpers shared by the Python strategies: PEP 508 requirement strings, PEP 440 versions and
+// specifiers (with Poetry's `^` and `~` constraints), the dependencies of pyproject.toml, and the dependency graph of lockfiles.
+
+const path = require('path');
+const { parseToml, findKeyLines } = require('./toml');
+const { computeDependencyPaths, computeDependencyScopes } = require('./dependencyGraph');
+
+/**
+ * Normalizes a Python project name as described in PEP 503 (case-insensitive, runs of '-', '_' and '.' are equivalent).
+ * @param {string} name The project name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Parses a PEP 508 requirement string, such as `requests[socks] >= 2.31, < 3 ; python_version >= "3.8"` or `pkg @ https://host/pkg.whl`.
+ * @param {string} text The requirement string.
+ * @returns {{name: string, extras: Array<string>, specifier: string, url: string | null, marker: string | null} | null} The requirement,
+ *   with its version specifier without spaces (empty when there is none), or null if the string isn't a requirement.
+ */
+function parseRequirement(text) {
+    const match = String(text).trim().match(/^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*(?:\[([^\]]*)\])?\s*([\s\S]*)$/);
+    if (!match) return null;
+    let rest = match[3];
+    let url = null;
+    let marker = null;
+    if (rest.startsWith('@')) {
+        // URLs may contain ';', so the marker of a URL requirement must be separated by whitespace.
+        const urlMatch = rest.slice(1).trim().match(/^(\S+)(?:\s+;\s*([\s\S]*))?$/);
+        if (!urlMatch) return null;
+        url = urlMatch[1];
+        marker = urlMatch[2] || null;
+        rest = '';
+    } else if (rest.includes(';')) {
+        marker = rest.slice(rest.indexOf(';') + 1).trim();
+        rest = rest.slice(0, rest.indexOf(';'));
+    }
+    // Specifiers may be wrapped in parentheses, a form kept from older metadata.
+    const specifier = rest.trim().replace(/^\(([\s\S]*)\)$/, '$1').replace(/\s+/g, '');
+    if (specifier && !/^(?:===?|!=|~=|<=?|>=?)/.test(specifier)) return null;
+    return {
+        name: match[1],
+        extras: (match[2] || '').split(',').map(extra => extra.trim()).filter(Boolean),
+        specifier,
+        url,
+        marker: marker || null
+    };
+}
+
+/**
+ * Turns a version specifier or constraint into the version reported for a dependency.
+ * @param {string} specifier The PEP 440 specifier or Poetry constraint, e.g. "==2.31.0", "2.31.0", ">=2,<3" or "*".
+ * @returns {string} The pinned version for a single exact pin ("2.31.0"), otherwise the specifier, or '*' for any version.
+ */
+function toReportedVersion(specifier) {
+    const value = String(specifier || '').replace(/\s+/g, '');
+    const pinned = value.match(/^(?:===?)?([^,|<>=!~^*]+)$/);
+    if (pinned && parseVersion(pinned[1])) return pinned[1];
+    return value || '*';
+}
+
+/**
+ * Describes where a dependency declared as a table (in Poetry or a Pipfile) comes from, as the version reported for it.
+ * @param {object} spec The declaration, with a 'version', or a 'git', 'path', 'file' or 'url' source.
+ * @returns {string} The version, the path or URL of the package, or 'git+<url>' with the '@<ref>' it is pinned to.
+ */
+function describeSource(spec) {
+    if (spec.git) {
+        const ref = spec.rev || spec.tag || spec.branch || spec.ref;
+        return `git+${spec.git}${ref ? `@${ref}` : ''}`;
+    }
+    if (spec.path || spec.file || spec.url) return spec.path || spec.file || spec.url;
+    return toReportedVersion(spec.version);
+}
+
+/**
+ * Tells whether a reported version is an exact PEP 440 version, as opposed to a specifier, a URL or a path.
+ * @param {string} version The reported version.
+ * @returns {boolean} True for exact versions, e.g. "2.31.0" or "1.0rc1".
+ */
+function isExactVersion(version) {
+    return parseVersion(version) !== null;
+}
+
+// The order of the pre-release phases, with their alternative spellings.
+const PRE_RELEASE_PHASES = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+/**
+ * Parses a PEP 440 version into the parts it is compared by.
+ * @param {string} version The version, e.g. "1!2.0.1rc1.post2.dev3+local".
+ * @returns {{epoch: number, release: Array<number>, pre: Array<number> | null, post: number | null, dev: number | null} | null} The version
+ *   parts, or null if the string isn't a version.
+ */
+function parseVersion(version) {
+    const match = String(version || '').trim().toLowerCase().match(new RegExp('^v?(?:(\\d+)!)?(\\d+(?:\\.\\d+)*)'
+        + '(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\\d*))?'
+        + '(?:-(\\d+)|[-_.]?(post|rev|r)[-_.]?(\\d*))?'
+        + '(?:[-_.]?(dev)[-_.]?(\\d*))?'
+        + '(?:\\+[a-z0-9]+(?:[-_.][a-z0-9]+)*)?$'));
+    if (!match) return null;
+    return {
+        epoch: Number(match[1] || 0),
+        release: match[2].split('.').map(Number),
+        pre: match[3] ? [PRE_RELEASE_PHASES[match[3]], Number(match[4] || 0)] : null,
+        // '1.0-1' is an implicit post-release.
+        post: match[5] !== undefined || match[6] ? Number(match[5] || match[7] || 0) : null,
+        dev: match[8] ? Number(match[9] || 0) : null
+    };
+}
+
+/**
+ * Compares two parsed versions in PEP 440 order: dev releases, then pre-releases, then the release, then post-releases.
+ * @param {object} a A version parsed by parseVersion.
+ * @param {object} b A version parsed by parseVersion.
+ * @returns {number} A negative number if a is older, a positive one if it is newer, or 0 if they are equal.
+ */
+function compareParsedVersions(a, b) {
+    if (a.epoch !== b.epoch) return a.epoch - b.epoch;
+    for (let index = 0; index < Math.max(a.release.length, b.release.length); index++) {
+        const difference = (a.release[index] || 0) - (b.release[index] || 0);
+        if (difference !== 0) return difference;
+    }
+    // A dev release of the release itself (1.0.dev1) comes before its pre-releases.
+    const preKey = version => version.pre || (version.dev !== null && version.post === null ? [-1, 0] : [Infinity, 0]);
+    const [aPre, bPre] = [preKey(a), preKey(b)];
+    if (aPre[0] !== bPre[0]) return aPre[0] < bPre[0] ? -1 : 1;
+    if (aPre[1] !== bPre[1]) return aPre[1] - bPre[1];
+    const [aPost, bPost] = [a.post === null ? -1 : a.post, b.post === null ? -1 : b.post];
+    if (aPost !== bPost) return aPost - bPost;
+    const [aDev, bDev] = [a.dev === null ? Infinity : a.dev, b.dev === null ? Infinity : b.dev];
+    return aDev === bDev ? 0 : (aDev < bDev ? -1 : 1);
+}
+
+/**
+ * Compares two PEP 440 versions.
+ * @param {string} a A version.
+ * @param {string} b Another version.
+ * @returns {number} A negative number if a is older, a positive one if it is newer, or 0 if they are equal.
+ */
+function compareVersions(a, b) {
+    return compareParsedVersions(parseVersion(a), parseVersion(b));
+}
+
+/**
+ * Tells whether a version is a pre-release or a dev release, which specifiers only match when they mention one.
+ * @param {string} version The version.
+ * @returns {boolean} True for pre-releases and dev releases.
+ */
+function isPreRelease(version) {
+    const parsed = parseVersion(version);
+    return Boolean(parsed && (parsed.pre || parsed.dev !== null));
+}
+
+/**
+ * Checks a version against a single clause of a specifier.
+ * @param {object} version The version, parsed by parseVersion.
+ * @param {string} clause The clause, e.g. ">=2.0", "==1.4.*", "~=1.4.2", "^1.2" or "1.2.3"; '===' clauses are compared as strings by the caller.
+ * @returns {boolean} True if the version satisfies the clause.
+ */
+function satisfiesClause(version, clause) {
+    const match = clause.match(/^(===|==|!=|~=|<=|>=|<|>|\^|~)?(.+)$/);
+    const operator = match[1] || '==';
+    const target = match[2];
+    // '==1.4.*' matches every version whose release starts with 1.4.
+    if (target.endsWith('.*') && (operator === '==' || operator === '!=')) {
+        const prefix = parseVersion(target.slice(0, -2));
+        if (!prefix) return false;
+        const matches = prefix.epoch === version.epoch && prefix.release.every((part, index) => (version.release[index] || 0) === part);
+        return operator === '==' ? matches : !matches;
+    }
+    if (target === '*') return true;
+    const parsedTarget = parseVersion(target);
+    if (!parsedTarget) return false;
+    const comparison = compareParsedVersions(version, parsedTarget);
+    // Poetry's '^1.2.3' allows changes that don't modify the left-most non-zero part; '~1.2' allows patch changes (also '~=' in PEP 440).
+    const upperBound = () => {
+        const release = parsedTarget.release;
+        let length;
+        if (operator === '^') length = Math.max(release.findIndex(part => part !== 0), 0) + 1;
+        else if (operator === '~') length = release.length === 1 ? 1 : 2;
+        else length = Math.max(release.length - 1, 1);
+        const bound = release.slice(0, length);
+        bound[length - 1] = (bound[length - 1] || 0) + 1;
+        return { epoch: parsedTarget.epoch, release: bound, pre: [-1, 0], post: null, dev: null };
+    };
+    switch (operator) {
+        case '==': return comparison === 0;
+        case '!=': return comparison !== 0;
+        case '<=': return comparison <= 0;
+        case '>=': return comparison >= 0;
+        case '<': return comparison < 0;
+        case '>': return comparison > 0;
+        default: return comparison >= 0 && compareParsedVersions(version, upperBound()) < 0;
+    }
+}
+
+/**
+ * Checks a version against a PEP 440 specifier or a Poetry constraint, such as ">=2.0,<3", "^1.2 || ^2.0" or "1.4.*".
+ * Pre-releases only match when the specifier mentions one.
+ * @param {string} version The version.
+ * @param {string} specifier The specifier; clauses separated by commas must all match, and alternatives separated by '||' any of them.
+ * @returns {boolean} True if the version satisfies the specifier.
+ */
+function satisfiesSpecifier(version, specifier) {
+    const parsed = parseVersion(version);
+    if (!parsed) return false;
+    const value = String(specifier || '*').trim();
+    if (isPreRelease(version) && !/\d[-_.]?(?:a|b|c|rc|alpha|beta|pre|preview|dev)\d*/i.test(value)) return false;
+    return value.split('||').some(alternative => alternative.split(',')
+        .map(clause => clause.replace(/\s+/g, ''))
+        .filter(Boolean)
+        .every(clause => clause.startsWith('===') ? clause.slice(3) === String(version).trim() : satisfiesClause(parsed, clause)));
+}
+
+/**
+ * Tells the scope of the dependencies of a dependency group.
+ * @param {string} group The name of the group.
+ * @returns {'test' | 'dev'} 'test' for the groups named "test", "tests" or "testing", otherwise 'dev'.
+ */
+function getGroupScope(group) {
+    return /^(?:tests?|testing)$/.test(group) ? 'test' : 'dev';
+}
+
+/**
+ * Finds the line of a string in an array, searching from the line of the array's key.
+ * @param {Array<string>} lines The lines of the document.
+ * @param {number} startLine The line of the array's key.
+ * @param {string} value The string to find.
+ * @returns {number} The line of the string, or startLine if it isn't found.
+ */
+function findArrayItemLine(lines, startLine, value) {
+    for (let index = startLine; index < lines.length; index++) {
+        if (lines[index].includes(`"${value}"`) || lines[index].includes(`'${value}'`)) return index;
+    }
+    return startLine;
+}
+
+/**
+ * Reads the dependencies of a pyproject.toml file: PEP 621 `[project]` dependencies and optional dependencies, PEP 735
+ * `[dependency-groups]`, uv and PDM dev dependencies, and Poetry's main, dev and group dependencies.
+ * @param {string} content The content of the pyproject.toml file.
+ * @returns {Array<{name: string, version: string, line: number, scope: string}>} The dependencies, with the scope of the section they are
+ *   declared in: extras are optional, groups are dev dependencies, or test dependencies for a group named "test".
+ */
+function readPyprojectDependencies(content) {
+    const pyproject = parseToml(content);
+    const lines = content.split(/\r?\n/);
+    const keyLines = findKeyLines(content);
+    const lineOf = keys => keyLines.get(keys.join('\0')) || 0;
+    const dependencies = [];
+    const declared = new Set();
+
+    // PEP 508 requirement strings, listed in arrays.
+    const addRequirements = (requirements, keys, scope) => {
+        for (const text of Array.isArray(requirements) ? requirements : []) {
+            // Groups may include other groups with `{ include-group = "name" }`; their requirements are listed with them.
+            if (typeof text !== 'string') continue;
+            const requirement = parseRequirement(text);
+            if (!requirement) continue;
+            if (keys[0] === 'project') declared.add(normalizeName(requirement.name));
+            dependencies.push({
+                name: requirement.name,
+                version: requirement.url || toReportedVersion(requirement.specifier),
+                line: findArrayItemLine(lines, lineOf(keys), text),
+                // Requirements only needed for an extra (`; extra == "socks"`) are optional.
+                scope: scope === 'runtime' && requirement.marker && /\bextra\s*==/.test(requirement.marker) ? 'optional' : scope
+            });
+        }
+    };
+    const project = pyproject.project || {};
+    addRequirements(project.dependencies, ['project', 'dependencies'], 'runtime');
+    for (const [extra, requirements] of Object.entries(project['optional-dependencies'] || {})) {
+        addRequirements(requirements, ['project', 'optional-dependencies', extra], 'optional');
+    }
+    for (const [group, requirements] of Object.entries(pyproject['dependency-groups'] || {})) {
+        addRequirements(requirements, ['dependency-groups', group], getGroupScope(group));
+    }
+    const tool = pyproject.tool || {};
+    addRequirements((tool.uv || {})['dev-dependencies'], ['tool', 'uv', 'dev-dependencies'], 'dev');
+    for (const [group, requirements] of Object.entries((tool.pdm || {})['dev-dependencies'] || {})) {
+        addRequirements(requirements, ['tool', 'pdm', 'dev-dependencies', group], getGroupScope(group));
+    }
+
+    // Poetry tables map names to constraints, or to tables with a version or a source.
+    const poetry = tool.poetry || {};
+    const addPoetryTable = (table, keys, scope) => {
+        for (const [name, value] of Object.entries(table || {})) {
+            // 'python' is the supported Python version, not a dependency.
+            if (name.toLowerCase() === 'python') continue;
+            // Since Poetry 2, the main table may only refine the sources of [project] dependencies.
+            if (scope === 'runtime' && declared.has(normalizeName(name))) continue;
+            // Several constraints may be given for different Python versions; the first one is reported.
+            const spec = Array.isArray(value) ? (value[0] || {}) : (typeof value === 'string' ? { version: value } : (value || {}));
+            dependencies.push({
+                name,
+                version: describeSource(spec),
+                line: lineOf([...keys, name]),
+                // Main dependencies marked `optional = true` are only installed with the extras that need them.
+                scope: scope === 'runtime' && spec.optional === true ? 'optional' : scope
+            });
+        }
+    };
+    addPoetryTable(poetry.dependencies, ['tool', 'poetry', 'dependencies'], 'runtime');
+    addPoetryTable(poetry['dev-dependencies'], ['tool', 'poetry', 'dev-dependencies'], 'dev');
+    for (const [group, table] of Object.entries(poetry.group || {})) {
+        addPoetryTable((table || {}).dependencies, ['tool', 'poetry', 'group', group, 'dependencies'], getGroupScope(group));
+    }
+    return dependencies;
+}
+
+/**
+ * Reads the direct dependencies of the project from the pyproject.toml next to a lockfile, to give locked packages their scopes.
+ * @param {{filePath?: string, readFile?: function(string): Promise<string>}} options The parse options of the lockfile.
+ * @returns {Promise<Array<{name: string, scope: string}> | null>} The direct dependencies, or null if there is no readable pyproject.toml.
+ */
+async function readSiblingPyproject(options) {
+    if (!options.filePath || !options.readFile) return null;
+    try {
+        return readPyprojectDependencies(await options.readFile(path.join(path.dirname(options.filePath), 'pyproject.toml')));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Computes the scope and dependency path of each locked package from the direct dependencies of the project.
+ * Python lockfiles lock a single version of each package, so packages are identified by their normalized name.
+ * @param {Array<{name: string, version: string, dependencies: Array<string>}>} packages The locked packages, with the names they depend on.
+ * @param {Array<{name: string, scope: string}>} roots The direct dependencies of the project.
+ * @returns {{scopes: Map<string, string>, paths: Map<string, Array<string>>}} The scope and path ("name@version" labels) of each package
+ *   reached from the roots, by normalized name.
+ */
+function analyzeLockGraph(packages, roots) {
+    const labels = new Map(packages.map(pkg => [normalizeName(pkg.name), `${pkg.name}@${pkg.version}`]));
+    const edges = new Map(packages.map(pkg => [
+        normalizeName(pkg.name),
+        pkg.dependencies.map(normalizeName).filter(id => labels.has(id))
+    ]));
+    const rootNodes = roots.map(root => ({ id: normalizeName(root.name), scope: root.scope })).filter(root => labels.has(root.id));
+    const paths = new Map();
+    for (const [id, idPath] of computeDependencyPaths(rootNodes.map(root => root.id), edges)) paths.set(id, idPath.map(node => labels.get(node)));
+    return { scopes: computeDependencyScopes(rootNodes, edges), paths };
+}
+
+module.exports = {
+    normalizeName,
+    parseRequirement,
+    toReportedVersion,
+    describeSource,
+    isExactVersion,
+    compareVersions,
+    satisfiesSpecifier,
+    getGroupScope,
+    readPyprojectDependencies,
+    readSiblingPyproject,
+    analyzeLockGraph
+};
@@ -0,0 +1,58 @@
+// This file provides a minimal reader for gzipped tar archives, the format of npm packages and Rust crates.
+// Only regular files are read; it is enough to pick license files out of a package without extracting it to disk.
+const zlib = require('zlib');
+
+/**
+ * Reads a NUL-terminated string field from a tar header.
+ * @param {Buffer} header The 512-byte header block.
+ * @param {number} start The offset of the field.
+ * @param {number} length The length of the field.
+ * @returns {string} The field value.
+ */
+function readField(header, start, length) {
+    const field = header.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Lists the regular files of a gzipped tar archive whose path passes a filter.
+ * @param {Buffer} archive The .tgz/.crate archive.
+ * @param {function(string): boolean} filter Decides, from the file path, whether a file is read.
+ * @returns {Array<{path: string, content: string}>} The matching files, decoded as UTF-8.
+ */
+function readTarGzFiles(archive, filter) {
+    const tar = zlib.gunzipSync(archive);
+    const files = [];
+    // A PAX extended header may carry the full path of the next entry.
+    let nextPath = null;
+
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        // The archive ends with empty blocks.
+        if (header.every(byte => byte === 0)) break;
+
+        const size = parseInt(readField(header, 124, 12).trim() || '0', 8);
+        const type = String.fromCharCode(header[156]);
+        // The ustar format splits long paths into a prefix and a name.
+        const prefix = readField(header, 257, 6).startsWith('ustar') ? readField(header, 345, 155) : '';
+        const name = readField(header, 0, 100);
+        const entryPath = nextPath || (prefix ? `${prefix}/${name}` : name);
+        const body = tar.subarray(offset + 512, offset + 512 + size);
+        nextPath = null;
+
+        if (type === 'x') {
+            // PAX records look like "<length> path=<value>\n".
+            const match = body.toString('utf8').match(/^\d+ path=(.*)$/m);
+            if (match) nextPath = match[1];
+        } else if ((type === '0' || type === '\0') && filter(entryPath)) {
+            files.push({ path: entryPath, content: body.toString('utf8') });
+        }
+
+        // Entries are padded to a multiple of 512 bytes.
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+module.exports = { readTarGzFiles };
@@ -65,5 +65,43 @@ function debounce(func, timeout = 500){
   };
 }
 
-// Export the convertToCsv and debounce functions so they can be used in other modules.
-module.exports = { convertToCsv, debounce };
\ No newline at end of file
+/**
+ * Creates a minimal stand-in for a VS Code TextDocument that maps character offsets to line numbers.
+ * The strategies only need `positionAt` from the document, so this lets them run outside the editor.
+ * @param {string} content - The text of the file.
+ * @returns {{positionAt(offset: number): {line: number, character: number}}} - An object with a `positionAt` method.
+ */
+function createPositionMapper(content) {
+    // Record the offset at which every line starts.
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    return {
+        positionAt(offset) {
+            // Binary search for the last line that starts at or before the offset.
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= offset) low = mid;
+                else high = mid - 1;
+            }
+            return { line: low, character: offset - lineStarts[low] };
+        }
+    };
+}
+
+/**
+ * Formats the path of the manifest file a dependency was declared in, as shown in reports.
+ * In a multi-root workspace the path starts with the name of the workspace folder, like in VS Code's own file labels.
+ * @param {{manifestFile: string, workspaceFolder?: string}} dep - The dependency.
+ * @returns {string} - The path of the manifest file.
+ */
+function formatManifestPath(dep) {
+    return dep.workspaceFolder ? `${dep.workspaceFolder}/${dep.manifestFile}` : dep.manifestFile;
+}
+
+// Export the text helpers so they can be used in other modules.
+module.exports = { convertToCsv, debounce, createPositionMapper, formatManifestPath };
\ No newline at end of file
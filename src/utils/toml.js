@@ -0,0 +1,120 @@
+// This file parses TOML documents with the toml package, adding the dotted keys of TOML 1.0 (`serde.workspace = true`,
+// `{ version.workspace = true }`), which the package (written for TOML 0.4) rejects. Cargo and Poetry manifests use them often.
+const toml = require('toml');
+
+// Joins the parts of a dotted key into a bare key the toml package accepts, until they are expanded back into nested tables.
+const DOT_MARKER = '__dot__';
+
+/**
+ * Expands the keys joined with DOT_MARKER into nested tables, merging tables that share a prefix.
+ * @param {any} value A value parsed by the toml package.
+ * @returns {any} The value with its dotted keys expanded.
+ */
+function expandDottedKeys(value) {
+    if (Array.isArray(value)) return value.map(expandDottedKeys);
+    // Dates are objects too, but aren't tables.
+    if (Object.prototype.toString.call(value) !== '[object Object]') return value;
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+        const parts = key.split(DOT_MARKER);
+        let table = result;
+        for (const part of parts.slice(0, -1)) {
+            if (Object.prototype.toString.call(table[part]) !== '[object Object]') table[part] = {};
+            table = table[part];
+        }
+        const last = parts[parts.length - 1];
+        const expanded = expandDottedKeys(child);
+        // A table defined both with dotted keys and as a table is merged.
+        table[last] = Object.prototype.toString.call(table[last]) === '[object Object]' && Object.prototype.toString.call(expanded) === '[object Object]'
+            ? { ...table[last], ...expanded }
+            : expanded;
+    }
+    return result;
+}
+
+/**
+ * Splits a TOML table header or dotted key into its keys, unquoting them.
+ * @param {string} value The header without its brackets, e.g. `target.'cfg(unix)'.dependencies`.
+ * @returns {Array<string>} The keys, e.g. ['target', 'cfg(unix)', 'dependencies'].
+ */
+function splitTomlKey(value) {
+    const keys = [];
+    for (const match of value.matchAll(/\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^.'"]+)\s*(?:\.|$)/g)) {
+        const key = match[1].trim();
+        keys.push(/^["']/.test(key) ? key.slice(1, -1) : key);
+    }
+    return keys;
+}
+
+/**
+ * Finds the line of each key of a TOML document, by table, to report the values parsed from it on their line.
+ * A key is also found on the header of its own table, like `[dependencies.serde]`.
+ * @param {string} content The TOML document.
+ * @returns {Map<string, number>} The 0-based line of each key, keyed by its table path and name joined with NUL characters.
+ */
+function findKeyLines(content) {
+    const lines = new Map();
+    let table = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+        const header = line.match(/^\s*(\[\[?)([^\]]*)\]/);
+        if (header) {
+            // The keys of arrays of tables ([[bin]]) aren't tracked, since they repeat.
+            table = header[1] === '[[' ? null : splitTomlKey(header[2]);
+            if (table && table.length > 1) {
+                const id = table.join('\0');
+                if (!lines.has(id)) lines.set(id, index);
+            }
+            return;
+        }
+        const key = table && line.match(/^\s*("[^"]*"|'[^']*'|[A-Za-z0-9_-]+)\s*[.=]/);
+        if (!key) return;
+        const id = [...table, splitTomlKey(key[1])[0]].join('\0');
+        // Dotted keys (`serde.workspace = true`) may span several lines; the first one is the declaration.
+        if (!lines.has(id)) lines.set(id, index);
+    });
+    return lines;
+}
+
+/**
+ * Finds the line of a key in each entry of an array of tables, such as the `name` of each [[package]] of a lockfile.
+ * @param {string} content The TOML document.
+ * @param {string} table The name of the array of tables, e.g. 'package'.
+ * @param {string} key The key to find in each entry, e.g. 'name'.
+ * @returns {Array<number>} The 0-based line of the key in each entry, in order, or the line of the entry header if it has no such key.
+ */
+function findTableArrayLines(content, table, key) {
+    const lines = [];
+    const headerRegex = new RegExp(`^\\s*\\[\\[\\s*${table}\\s*\\]\\]`);
+    const keyRegex = new RegExp(`^\\s*${key}\\s*=`);
+    let inEntry = false;
+    let found = false;
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (/^\s*\[/.test(line)) {
+            // Sub-tables of an entry ([package.dependencies]) come after its keys.
+            inEntry = headerRegex.test(line);
+            if (inEntry) {
+                lines.push(index);
+                found = false;
+            }
+        } else if (inEntry && !found && keyRegex.test(line)) {
+            lines[lines.length - 1] = index;
+            found = true;
+        }
+    });
+    return lines;
+}
+
+/**
+ * Parses a TOML document, including dotted keys.
+ * @param {string} content The TOML document.
+ * @returns {object} The parsed document.
+ * @throws {Error} If the document isn't valid TOML.
+ */
+function parseToml(content) {
+    // Dotted bare keys start a line or an entry of an inline table, and are followed by '='.
+    const rewritten = content.replace(/(^|[{,])([ \t]*)([A-Za-z0-9_-]+(?:[ \t]*\.[ \t]*[A-Za-z0-9_-]+)+)(?=[ \t]*=)/gm,
+        (match, before, space, key) => `${before}${space}${key.split('.').map(part => part.trim()).join(DOT_MARKER)}`);
+    return expandDottedKeys(toml.parse(rewritten));
+}
+
+module.exports = { parseToml, splitTomlKey, findKeyLines, findTableArrayLines };
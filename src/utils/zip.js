@@ -0,0 +1,58 @@
+// This file provides a minimal reader for zip archives, the format of Go module zips.
+// Only the files passing a filter are inflated; it is enough to pick license files out of a module without extracting it to disk.
+const zlib = require('zlib');
+
+// The signatures of the zip records read here.
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The compression methods of the entries: stored as is, or deflated.
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Lists the files of a zip archive whose path passes a filter.
+ * Entries are found through the central directory at the end of the archive, as zip readers do.
+ * @param {Buffer} archive The zip archive.
+ * @param {function(string): boolean} filter Decides, from the file path, whether a file is read.
+ * @returns {Array<{path: string, content: string}>} The matching files, decoded as UTF-8.
+ * @throws {Error} If the archive isn't a zip archive, or uses an unsupported compression method.
+ */
+function readZipFiles(archive, filter) {
+    // The end of central directory record is at the end, followed by a comment of up to 65535 bytes.
+    let end = -1;
+    for (let offset = archive.length - 22; offset >= Math.max(0, archive.length - 22 - 0xffff); offset--) {
+        if (archive.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
+
+    const entryCount = archive.readUInt16LE(end + 10);
+    const files = [];
+    for (let offset = archive.readUInt32LE(end + 16), index = 0; index < entryCount; index++) {
+        if (archive.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) throw new Error('Invalid zip central directory');
+        const method = archive.readUInt16LE(offset + 10);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const extraLength = archive.readUInt16LE(offset + 30);
+        const commentLength = archive.readUInt16LE(offset + 32);
+        const localOffset = archive.readUInt32LE(offset + 42);
+        const entryPath = archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // Folders end with a slash and have no content.
+        if (entryPath.endsWith('/') || !filter(entryPath)) continue;
+        if (archive.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error(`Invalid zip entry: ${entryPath}`);
+        // The local header repeats the name, with its own extra field.
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+        const data = archive.subarray(dataStart, dataStart + compressedSize);
+        if (method === STORED) files.push({ path: entryPath, content: data.toString('utf8') });
+        else if (method === DEFLATED) files.push({ path: entryPath, content: zlib.inflateRawSync(data).toString('utf8') });
+        else throw new Error(`Unsupported zip compression method ${method} for ${entryPath}`);
+    }
+    return files;
+}
+
+module.exports = { readZipFiles };
@@ -0,0 +1,177 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rustCargoStrategy = require('../src/strategies/rustCargoStrategy');
+const rustCargoLockStrategy = require('../src/strategies/rustCargoLockStrategy');
+const { scan } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+const { parseToml } = require('../src/utils/toml');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+const MIT_TEXT = 'MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy of this software';
+
+const workspaceManifest = [
+	'[workspace]',
+	'members = ["crates/*"]',
+	'',
+	'[workspace.package]',
+	'license = "MIT"',
+	'',
+	'[workspace.dependencies]',
+	'serde = { version = "1.0.200", features = ["derive"] }',
+	'shared = { path = "crates/shared" }',
+	''
+].join('\n');
+
+const memberManifest = [
+	'[package]',
+	'name = "app"',
+	'license.workspace = true',
+	'',
+	'[dependencies]',
+	'serde.workspace = true',
+	'shared = { workspace = true, optional = true }',
+	'json = { package = "serde_json", version = "1" }',
+	'fork = { git = "https://github.com/example/fork", tag = "v2" }',
+	'',
+	'[dependencies.log]',
+	'version = "0.4"',
+	'',
+	'[target.\'cfg(windows)\'.dependencies]',
+	'winapi = "0.3"',
+	'',
+	'[dev-dependencies]',
+	'criterion = "0.5"',
+	''
+].join('\n');
+
+const cargoLock = [
+	'version = 3',
+	'',
+	'[[package]]',
+	'name = "app"',
+	'version = "0.1.0"',
+	'dependencies = [',
+	' "criterion",',
+	' "log",',
+	' "serde",',
+	']',
+	'',
+	'[[package]]',
+	'name = "criterion"',
+	'version = "0.5.1"',
+	'source = "registry+https://github.com/rust-lang/crates.io-index"',
+	'dependencies = [',
+	' "serde",',
+	' "serde_json",',
+	']',
+	'',
+	'[[package]]',
+	'name = "log"',
+	'version = "0.4.21"',
+	'source = "registry+https://github.com/rust-lang/crates.io-index"',
+	'',
+	'[[package]]',
+	'name = "serde"',
+	'version = "1.0.200"',
+	'source = "registry+https://github.com/rust-lang/crates.io-index"',
+	'',
+	'[[package]]',
+	'name = "serde_json"',
+	'version = "1.0.117"',
+	'source = "git+https://github.com/serde-rs/json?branch=master#0123456789abcdef0123456789abcdef01234567"',
+	''
+].join('\n');
+
+suite('Cargo Test Suite', () => {
+	let root;
+	let previousCargoHome;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+		previousCargoHome = process.env.CARGO_HOME;
+		process.env.CARGO_HOME = path.join(root, 'cargo');
+	});
+
+	teardown(() => {
+		if (previousCargoHome === undefined) delete process.env.CARGO_HOME;
+		else process.env.CARGO_HOME = previousCargoHome;
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses the dotted keys of TOML 1.0', () => {
+		const parsed = parseToml('[package]\nlicense.workspace = true\n[dependencies]\nserde = { version.workspace = true, features = ["a.b"] }\n');
+		assert.deepStrictEqual(parsed, { package: { license: { workspace: true } }, dependencies: { serde: { version: { workspace: true }, features: ['a.b'] } } });
+	});
+
+	test('reads workspace, renamed, git and platform-specific dependencies from Cargo.toml', async () => {
+		writeFile(root, 'Cargo.toml', workspaceManifest);
+		writeFile(root, 'crates/app/Cargo.toml', memberManifest);
+		const options = { filePath: path.join(root, 'crates/app/Cargo.toml'), readFile: file => fs.promises.readFile(file, 'utf8') };
+		const dependencies = await rustCargoStrategy.parseDependencies(memberManifest, createPositionMapper(memberManifest), options);
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version} ${d.scope} ${d.line}`), [
+			'serde@1.0.200 runtime 5',
+			// Inherited local crates are relative to the member's manifest.
+			`shared@${path.join('..', 'shared')} optional 6`,
+			'serde_json@1 runtime 7',
+			'fork@git+https://github.com/example/fork?tag=v2 runtime 8',
+			'log@0.4 runtime 10',
+			'criterion@0.5 dev 17',
+			'winapi@0.3 runtime 14'
+		]);
+		// The root's [workspace.dependencies] are only reported by the members inheriting them, with the scope they inherit them with.
+		const rootOptions = { ...options, filePath: path.join(root, 'Cargo.toml') };
+		assert.deepStrictEqual(await rustCargoStrategy.parseDependencies(workspaceManifest, createPositionMapper(workspaceManifest), rootOptions), []);
+	});
+
+	test('reads every locked crate with the scope declared in the workspace manifests', async () => {
+		writeFile(root, 'Cargo.toml', workspaceManifest);
+		writeFile(root, 'crates/app/Cargo.toml', memberManifest);
+		const options = { filePath: path.join(root, 'Cargo.lock'), readFile: file => fs.promises.readFile(file, 'utf8') };
+		const dependencies = await rustCargoLockStrategy.parseDependencies(cargoLock, createPositionMapper(cargoLock), options);
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version} ${d.scope} ${d.line} ${d.dependencyPath.join(' > ')}`), [
+			'criterion@0.5.1 dev 12 criterion@0.5.1',
+			'log@0.4.21 runtime 21 log@0.4.21',
+			// serde is a runtime dependency of the app, even though criterion (a dev dependency) also uses it.
+			'serde@1.0.200 runtime 26 serde@1.0.200',
+			'serde_json@git+https://github.com/serde-rs/json?branch=master#0123456789abcdef0123456789abcdef01234567 dev 31 criterion@0.5.1 > serde_json@1.0.117'
+		]);
+	});
+
+	test('reads the licenses of local, git and downloaded crates', async () => {
+		writeFile(root, 'Cargo.toml', workspaceManifest);
+		writeFile(root, 'crates/shared/Cargo.toml', '[package]\nname = "shared"\nversion = "0.2.0"\nlicense.workspace = true\n');
+		writeFile(root, 'cargo/git/checkouts/json-1a2b3c4d5e6f7a8b/0123456/Cargo.toml', '[package]\nname = "serde_json"\nversion = "1.0.117"\nlicense-file = "LICENSE"\n');
+		writeFile(root, 'cargo/git/checkouts/json-1a2b3c4d5e6f7a8b/0123456/LICENSE', MIT_TEXT);
+		writeFile(root, 'cargo/registry/src/index.crates.io-6f17d22bba15001f/ring-0.17.8/Cargo.toml', '[package]\nname = "ring"\nversion = "0.17.8"\nlicense-file = "LICENSE"\n');
+		writeFile(root, 'cargo/registry/src/index.crates.io-6f17d22bba15001f/ring-0.17.8/LICENSE', 'Some custom terms');
+		const manifestDir = path.join(root, 'crates/app');
+
+		const shared = await rustCargoStrategy.fetchLocalLicenseInfo('shared', '../shared', { manifestDir });
+		assert.deepStrictEqual([shared.license, shared.resolvedVersion], ['MIT', '0.2.0']);
+		const json = await rustCargoStrategy.fetchLocalLicenseInfo('serde_json', 'git+https://github.com/serde-rs/json?branch=master#0123456789abcdef0123456789abcdef01234567');
+		assert.strictEqual(json.license, 'MIT');
+		assert.strictEqual((await rustCargoStrategy.fetchLocalLicenseInfo('ring', '0.17.8')).license, 'SEE LICENSE IN LICENSE');
+		// Exact versions locked in Cargo.lock only match themselves.
+		assert.strictEqual(await rustCargoStrategy.fetchLocalLicenseInfo('ring', '0.17.7'), null);
+		await assert.rejects(rustCargoStrategy.fetchLicenseInfo('fork', 'git+https://github.com/example/fork?tag=v2'), /aren't available locally/);
+	});
+
+	test('scans Cargo.lock files offline from the Cargo registry sources', async () => {
+		writeFile(root, 'Cargo.toml', '[package]\nname = "app"\n[dependencies]\nlog = "0.4"\n');
+		writeFile(root, 'Cargo.lock', '[[package]]\nname = "app"\nversion = "0.1.0"\ndependencies = ["log"]\n\n[[package]]\nname = "log"\nversion = "0.4.21"\nsource = "registry+https://github.com/rust-lang/crates.io-index"\n');
+		writeFile(root, 'cargo/registry/src/index.crates.io-6f17d22bba15001f/log-0.4.21/Cargo.toml', '[package]\nname = "log"\nversion = "0.4.21"\nlicense = "MIT OR Apache-2.0"\n');
+		const host = createNodeHost(root, { allowedLicenses: ['MIT'], deniedLicenses: [], excludePatterns: ['cargo/**'], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version} ${d.status}`).sort(), ['log@0.4 compliant', 'log@0.4.21 compliant']);
+	});
+});
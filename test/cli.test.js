@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { main } = require('../src/cli/cli');
+const { loadSettings } = require('../src/cli/config');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+suite('CLI Test Suite', () => {
+	let root;
+	let output;
+	const io = { stdout: text => output.push(text), stderr: text => output.push(text) };
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+		output = [];
+		// Resolve everything from the installed packages so the tests never use the network.
+		writeFile(root, 'license-sentinel.config.json', JSON.stringify({ resolutionMode: 'offline' }));
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'left-pad': '^1.0.0' } }));
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('layers the config file over .vscode/settings.json and the defaults', async () => {
+		writeFile(root, '.vscode/settings.json', '{\n  // Team policy\n  "license-sentinel.deniedLicenses": ["MIT"],\n  "license-sentinel.concurrencyLimit": 2,\n  "editor.tabSize": 2,\n}');
+		writeFile(root, 'license-sentinel.config.json', JSON.stringify({ 'license-sentinel.concurrencyLimit': 4, resolutionMode: 'offline' }));
+
+		const settings = await loadSettings(root);
+		assert.deepStrictEqual(settings.deniedLicenses, ['MIT']);
+		assert.strictEqual(settings.concurrencyLimit, 4);
+		assert.strictEqual(settings.resolutionMode, 'offline');
+		assert.ok(settings.allowedLicenses.includes('Apache-2.0'));
+		assert.ok(!('editor.tabSize' in settings));
+	});
+
+	test('exits with 0 and writes reports when every dependency is compliant', async () => {
+		const reportFile = path.join(root, 'out', 'report.json');
+		fs.mkdirSync(path.dirname(reportFile));
+
+		const code = await main([root, '--report', reportFile], io);
+		assert.strictEqual(code, 0);
+		assert.match(output.join('\n'), /Compliant: +1/);
+
+		const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+		assert.strictEqual(report.summary.compliant, 1);
+		assert.strictEqual(report.dependencies[0].resolvedVersion, '1.3.0');
+	});
+
+	test('exits with 1 on a denied license', async () => {
+		writeFile(root, 'license-sentinel.config.json', JSON.stringify({ resolutionMode: 'offline', deniedLicenses: ['MIT'] }));
+
+		const code = await main([root], io);
+		assert.strictEqual(code, 1);
+		assert.match(output.join('\n'), /left-pad@1\.3\.0 \(MIT\) in package\.json:1/);
+	});
+
+	test('keeps the registry lookups in the --cache file', async () => {
+		const cacheFile = path.join(root, '.cache', 'license-sentinel.json');
+
+		assert.strictEqual(await main([root, '--cache', cacheFile], io), 0);
+		const entries = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+		assert.strictEqual(entries['license-sentinel:npm:left-pad@1.3.0'].facts.license, 'MIT');
+	});
+
+	test('only fails on unknown dependencies with --fail-on unknown', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'left-pad': '^1.0.0', 'not-installed': '^1.0.0' } }));
+
+		assert.strictEqual(await main([root], io), 0);
+		assert.strictEqual(await main([root, '--fail-on', 'unknown'], io), 1);
+	});
+
+	test('rejects invalid arguments with exit code 2', async () => {
+		assert.strictEqual(await main([root, '--fail-on', 'sometimes'], io), 2);
+		assert.strictEqual(await main([root, '--report', 'report.pdf'], io), 2);
+		assert.strictEqual(await main([root, '--config', path.join(root, 'missing.json')], io), 2);
+	});
+});
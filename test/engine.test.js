@@ -0,0 +1,341 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scan, mergeDependencies, mergeReadFiles, indexDependentManifests, strategyMap } = require('../src/core/engine');
+const { CACHE_SCHEMA_VERSION, createMemoryStore, createFileStore, clearCache, pruneCache, getCachedFacts, setCachedFacts } = require('../src/core/caching');
+const { createNodeHost, findManifestFiles } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+const { ScanCancelledError, createCancellationSource } = require('../src/core/cancellation');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Resolve everything from the installed packages so the tests never use the network.
+const settings = { allowedLicenses: ['MIT'], deniedLicenses: ['GPL-3.0-only'], excludePatterns: ['**/node_modules/**'], resolutionMode: 'offline' };
+
+suite('Scan Engine Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('maps offsets to zero-based lines', () => {
+		const mapper = createPositionMapper('a\nbc\r\n\nd');
+		assert.deepStrictEqual(mapper.positionAt(0), { line: 0, character: 0 });
+		assert.deepStrictEqual(mapper.positionAt(3), { line: 1, character: 1 });
+		assert.deepStrictEqual(mapper.positionAt(6), { line: 2, character: 0 });
+		assert.deepStrictEqual(mapper.positionAt(7), { line: 3, character: 0 });
+	});
+
+	test('finds dependency files outside excluded folders', async () => {
+		writeFile(root, 'package.json', '{}');
+		writeFile(root, 'packages/app/package.json', '{}');
+		writeFile(root, 'dist/package.json', '{}');
+		writeFile(root, 'node_modules/a/package.json', '{}');
+
+		const files = await findManifestFiles(root, ['package.json'], ['**/node_modules/**', '**/dist/**']);
+		assert.deepStrictEqual(files, ['package.json', 'packages/app/package.json']);
+	});
+
+	test('scans a folder through the Node host', async () => {
+		writeFile(root, 'package.json', '{\n  "dependencies": {\n    "left-pad": "^1.0.0",\n    "gpl-lib": "2.0.0"\n  }\n}');
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+
+		const { manifestFiles, dependencies } = await scan(createNodeHost(root, settings));
+		assert.deepStrictEqual(manifestFiles.map(f => f.relativePath), ['package.json']);
+
+		const byName = new Map(dependencies.map(d => [d.name, d]));
+		assert.strictEqual(byName.get('left-pad').status, 'compliant');
+		assert.strictEqual(byName.get('left-pad').line, 2);
+		assert.strictEqual(byName.get('left-pad').licenseSource, 'local');
+		assert.strictEqual(byName.get('gpl-lib').status, 'non-compliant');
+		assert.strictEqual(byName.get('gpl-lib').line, 3);
+	});
+
+	test('checks each dependency against the policy of its scope', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0' }, devDependencies: { 'gpl-runner': '1.0.0' } }));
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+		writeFile(root, 'node_modules/gpl-runner/package.json', JSON.stringify({ name: 'gpl-runner', version: '1.0.0', license: 'GPL-3.0-only' }));
+		const scopePolicies = { dev: { allowedLicenses: ['GPL-3.0-only'] } };
+
+		const { dependencies } = await scan(createNodeHost(root, { ...settings, scopePolicies }));
+		const statuses = dependencies.map(d => `${d.name} (${d.scope}): ${d.status}`);
+		assert.deepStrictEqual(statuses.sort(), ['gpl-lib (runtime): non-compliant', 'gpl-runner (dev): compliant']);
+	});
+
+	test('reads the scope of dependencies from Cargo.toml and pom.xml', async () => {
+		const cargo = [
+			'[dependencies]',
+			'serde = "1.0"',
+			'openssl = { version = "0.10", optional = true }',
+			'[dev-dependencies]',
+			'criterion = "0.5"',
+			'[build-dependencies]',
+			'cc = "1.0"',
+		].join('\n');
+		const cargoScopes = (await strategyMap.get('Cargo.toml').parseDependencies(cargo, createPositionMapper(cargo))).map(d => `${d.name}: ${d.scope}`);
+		assert.deepStrictEqual(cargoScopes, ['serde: runtime', 'openssl: optional', 'criterion: dev', 'cc: build']);
+
+		const pom = '<project><dependencies>' +
+			'<dependency><groupId>a</groupId><artifactId>core</artifactId><version>1.0</version></dependency>' +
+			'<dependency><groupId>a</groupId><artifactId>junit</artifactId><version>4.13</version><scope>test</scope></dependency>' +
+			'<dependency><groupId>a</groupId><artifactId>servlet</artifactId><version>4.0</version><scope>provided</scope></dependency>' +
+			'</dependencies></project>';
+		const pomScopes = (await strategyMap.get('pom.xml').parseDependencies(pom, createPositionMapper(pom))).map(d => `${d.name}: ${d.scope}`);
+		assert.deepStrictEqual(pomScopes, ['a:core: runtime', 'a:junit: test', 'a:servlet: provided']);
+	});
+
+	test('rescans only the given files and merges their results', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'left-pad': '^1.0.0' } }));
+		writeFile(root, 'packages/app/package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0' } }));
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+		const host = createNodeHost(root, settings);
+		const previous = (await scan(host)).dependencies;
+		assert.strictEqual(previous.length, 2);
+
+		// The app drops its GPL dependency; the excluded file is skipped.
+		writeFile(root, 'packages/app/package.json', JSON.stringify({ dependencies: { 'left-pad': '^1.0.0' } }));
+		const toFile = relativePath => ({ filePath: path.join(root, relativePath), relativePath, rootDir: root });
+		const { manifestFiles, dependencies } = await scan(host, { files: [toFile('packages/app/package.json'), toFile('node_modules/gpl-lib/package.json')] });
+		assert.deepStrictEqual(manifestFiles.map(f => f.relativePath), ['packages/app/package.json']);
+
+		const merged = mergeDependencies(previous, manifestFiles, dependencies);
+		assert.deepStrictEqual(merged.map(d => `${d.manifestFile}:${d.name}`), ['package.json:left-pad', 'packages/app/package.json:left-pad']);
+		// A deleted file only loses its dependencies.
+		assert.deepStrictEqual(mergeDependencies(merged, [{ relativePath: 'package.json' }], []).map(d => d.manifestFile), ['packages/app/package.json']);
+	});
+
+	test('records the files each dependency file reads so a change to one rescans it', async () => {
+		writeFile(root, 'requirements.txt', 'requests==2.31.0\n-r requirements/base.txt\n');
+		writeFile(root, 'requirements/base.txt', 'flask==2.3.3\n');
+		writeFile(root, 'pyproject.toml', '[project]\nname = "app"\ndependencies = ["attrs==23.2.0"]\n');
+		const host = createNodeHost(root, settings);
+		const previous = await scan(host);
+		const requirementsPath = path.join(root, 'requirements.txt');
+		// The manifest itself isn't recorded; files that were read but don't exist are, since creating one changes the result too.
+		assert.deepStrictEqual(previous.readFiles[requirementsPath], [path.join(root, 'requirements/base.txt')]);
+		assert.deepStrictEqual(previous.readFiles[path.join(root, 'pyproject.toml')], []);
+		const dependents = indexDependentManifests(previous.readFiles);
+		assert.deepStrictEqual(dependents.get(path.join(root, 'requirements/base.txt')), [requirementsPath]);
+
+		// A change to the included file rescans the requirements file that includes it.
+		writeFile(root, 'requirements/base.txt', 'flask==3.0.3\n');
+		const toFile = filePath => ({ filePath, relativePath: path.relative(root, filePath), rootDir: root });
+		const rescan = await scan(host, { files: dependents.get(path.join(root, 'requirements/base.txt')).map(toFile) });
+		const merged = mergeDependencies(previous.dependencies, rescan.manifestFiles, rescan.dependencies);
+		assert.deepStrictEqual(merged.map(d => `${d.manifestFile}:${d.name}@${d.version}`).sort(), [
+			'pyproject.toml:attrs@23.2.0',
+			'requirements.txt:flask@3.0.3',
+			'requirements.txt:requests@2.31.0'
+		]);
+		// Deleted files forget what they read.
+		assert.deepStrictEqual(Object.keys(mergeReadFiles(previous.readFiles, [toFile(requirementsPath)], {})), [path.join(root, 'pyproject.toml')]);
+	});
+
+	test('keeps the raw license next to its SPDX expression', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { legacy: '^1.0.0', gpl: '^1.0.0' } }));
+		writeFile(root, 'node_modules/legacy/package.json', JSON.stringify({ name: 'legacy', version: '1.0.0', licenses: [{ type: 'MIT', url: 'https://opensource.org/licenses/MIT' }, { type: 'Apache 2.0' }] }));
+		writeFile(root, 'node_modules/gpl/package.json', JSON.stringify({ name: 'gpl', version: '1.0.0', license: 'GNU General Public License v3 (GPLv3)' }));
+
+		const { dependencies } = await scan(createNodeHost(root, settings));
+		const byName = new Map(dependencies.map(d => [d.name, d]));
+		assert.strictEqual(byName.get('legacy').license, 'MIT OR Apache 2.0');
+		assert.strictEqual(byName.get('legacy').normalizedLicense, 'MIT OR Apache-2.0');
+		assert.strictEqual(byName.get('legacy').status, 'compliant');
+		// The policy is checked against the normalized license.
+		assert.strictEqual(byName.get('gpl').normalizedLicense, 'GPL-3.0-only');
+		assert.strictEqual(byName.get('gpl').status, 'non-compliant');
+	});
+
+	test('leaves licenses that cannot be normalized unknown', async () => {
+		const licenses = { limited: 'Proprietary - Limited Use', commercial: 'Commercial - submit a request', compatible: 'Apache 2.0 compatible, non-commercial' };
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { limited: '1.0.0', commercial: '1.0.0', compatible: '1.0.0' } }));
+		for (const [name, license] of Object.entries(licenses)) {
+			writeFile(root, `node_modules/${name}/package.json`, JSON.stringify({ name, version: '1.0.0', license }));
+		}
+
+		const { dependencies } = await scan(createNodeHost(root, { ...settings, allowedLicenses: ['MIT', 'Apache-2.0'] }));
+		assert.deepStrictEqual(dependencies.map(d => `${d.name} ${d.normalizedLicense} ${d.status}`).sort(), [
+			'commercial null unknown',
+			'compatible null unknown',
+			'limited null unknown'
+		]);
+		// Their terms have to be read, so they are flagged for review.
+		assert.ok(dependencies.every(d => d.analysis.needsReview));
+	});
+
+	test('caches successful lookups in the host store', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'left-pad': '^1.0.0', missing: '^1.0.0' } }));
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+		const cache = createMemoryStore();
+
+		await scan(createNodeHost(root, settings, { cache }));
+		// Failed lookups are retried on the next scan, so only the installed package is cached: its facts under the exact
+		// version, and the range it was installed for, which only applies to this folder.
+		assert.deepStrictEqual(cache.keys().sort(), ['license-sentinel:npm:left-pad@1.3.0', `license-sentinel:npm:left-pad@^1.0.0 in ${root}`]);
+		assert.deepStrictEqual(cache.get('license-sentinel:npm:left-pad@1.3.0').facts, { license: 'MIT', homepage: 'https://www.npmjs.com/package/left-pad', resolvedVersion: '1.3.0', licenseSource: 'local' });
+
+		// A cached result is used even after the installed package is gone.
+		fs.rmSync(path.join(root, 'node_modules'), { recursive: true });
+		const { dependencies } = await scan(createNodeHost(root, settings, { cache }));
+		assert.strictEqual(dependencies.find(d => d.name === 'left-pad').license, 'MIT');
+		assert.strictEqual(dependencies.find(d => d.name === 'missing').license, 'Error: Not Installed');
+
+		// The policy is re-evaluated from the cached facts.
+		const { dependencies: denied } = await scan(createNodeHost(root, { ...settings, allowedLicenses: [], deniedLicenses: ['MIT'] }, { cache }));
+		assert.strictEqual(denied.find(d => d.name === 'left-pad').status, 'non-compliant');
+
+		await clearCache(cache);
+		assert.deepStrictEqual(cache.keys(), []);
+	});
+
+	test('expires cached facts and ignores other schema versions', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'left-pad': '1.3.0' } }));
+		const cache = createMemoryStore();
+		const facts = { license: 'MIT', homepage: '', resolvedVersion: '1.3.0' };
+		const lookUp = async (cacheSettings) => (await scan(createNodeHost(root, { ...settings, ...cacheSettings }, { cache }))).dependencies[0].license;
+
+		await cache.update('license-sentinel:npm:left-pad@1.3.0', { schemaVersion: CACHE_SCHEMA_VERSION, cachedAt: Date.now(), facts });
+		assert.strictEqual(await lookUp({}), 'MIT');
+		// Turning the cache off, or an expired entry, means looking the package up again.
+		assert.strictEqual(await lookUp({ cacheTtlHours: 0 }), 'Error: Not Installed');
+		await cache.update('license-sentinel:npm:left-pad@1.3.0', { schemaVersion: CACHE_SCHEMA_VERSION, cachedAt: Date.now() - 2 * 60 * 60 * 1000, facts });
+		assert.strictEqual(await lookUp({ cacheTtlHours: 1 }), 'Error: Not Installed');
+		assert.strictEqual(await lookUp({ cacheTtlHours: 3 }), 'MIT');
+		await cache.update('license-sentinel:npm:left-pad@1.3.0', { schemaVersion: CACHE_SCHEMA_VERSION - 1, cachedAt: Date.now(), facts });
+		assert.strictEqual(await lookUp({}), 'Error: Not Installed');
+
+		await pruneCache(cache, 60 * 60 * 1000);
+		assert.deepStrictEqual(cache.keys(), []);
+	});
+
+	test('keeps the cache in a JSON file between runs', async () => {
+		const cacheFile = path.join(root, 'cache', 'license-sentinel.json');
+		const store = await createFileStore(cacheFile);
+		const dependency = { ecosystem: 'cargo', name: 'serde', version: '1' };
+		setCachedFacts(store, dependency, { license: 'MIT OR Apache-2.0', homepage: 'https://serde.rs', resolvedVersion: '1.0.200' });
+		await store.flush();
+
+		// The range resolved against the registry is shared, and points to the exact version.
+		const reopened = await createFileStore(cacheFile);
+		assert.strictEqual(getCachedFacts(reopened, dependency, { ttlMs: 1000 }).license, 'MIT OR Apache-2.0');
+		assert.strictEqual(getCachedFacts(reopened, { ...dependency, version: '1.0.200' }, { ttlMs: 1000 }).homepage, 'https://serde.rs');
+		assert.strictEqual(getCachedFacts(reopened, { ...dependency, ecosystem: 'npm' }, { ttlMs: 1000 }), null);
+	});
+
+	test('detects the project license and reports incompatible dependencies', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ license: 'MIT', dependencies: { 'gpl-lib': '2.0.0', 'dual-lib': '1.0.0' } }));
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+		writeFile(root, 'node_modules/dual-lib/package.json', JSON.stringify({ name: 'dual-lib', version: '1.0.0', license: '(GPL-3.0-only OR MIT)' }));
+
+		const { projectLicenses, dependencies } = await scan(createNodeHost(root, settings));
+		assert.deepStrictEqual(projectLicenses[root], { license: 'MIT', source: 'package.json' });
+
+		const byName = new Map(dependencies.map(d => [d.name, d]));
+		assert.deepStrictEqual(byName.get('gpl-lib').analysis.details.compatibilityIssues, [{ from: 'GPL-3.0-only', to: 'MIT' }]);
+		// The MIT option of a dual license can be chosen, so it is compatible.
+		assert.deepStrictEqual(byName.get('dual-lib').analysis.details.compatibilityIssues, []);
+	});
+
+	test('reads the project license from the LICENSE file or the projectLicense setting', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0' } }));
+		writeFile(root, 'LICENSE', 'GNU GENERAL PUBLIC LICENSE\n   Version 3, 29 June 2007\n');
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+
+		const detected = await scan(createNodeHost(root, settings));
+		assert.deepStrictEqual(detected.projectLicenses[root], { license: 'GPL-3.0-only', source: 'LICENSE' });
+		assert.deepStrictEqual(detected.dependencies[0].analysis.details.compatibilityIssues, []);
+
+		const configured = await scan(createNodeHost(root, { ...settings, projectLicense: 'Apache-2.0' }));
+		assert.deepStrictEqual(configured.projectLicenses[root], { license: 'Apache-2.0', source: 'settings' });
+		assert.strictEqual(configured.dependencies[0].analysis.details.compatibilityIssues.length, 1);
+	});
+
+	test('applies the settings of each root folder', async () => {
+		writeFile(root, 'api/package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0' } }));
+		writeFile(root, 'web/package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0' } }));
+		for (const folder of ['api', 'web']) {
+			writeFile(root, `${folder}/node_modules/gpl-lib/package.json`, JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+		}
+		const toFile = folder => ({ filePath: path.join(root, folder, 'package.json'), relativePath: 'package.json', rootDir: path.join(root, folder), workspaceFolder: folder });
+		const host = {
+			...createNodeHost(root, settings),
+			// The web folder allows the GPL in its own settings.
+			getSettings: rootDir => rootDir === path.join(root, 'web') ? { ...settings, allowedLicenses: ['GPL-3.0-only'], deniedLicenses: [] } : settings,
+			findFiles: async () => [toFile('api'), toFile('web')]
+		};
+
+		const { dependencies } = await scan(host);
+		assert.deepStrictEqual(dependencies.map(d => `${d.workspaceFolder}/${d.manifestFile}: ${d.status}`), ['api/package.json: non-compliant', 'web/package.json: compliant']);
+		// Files with the same path in different folders are merged separately.
+		const merged = mergeDependencies(dependencies, [toFile('api')], []);
+		assert.deepStrictEqual(merged.map(d => d.workspaceFolder), ['web']);
+	});
+
+	test('stops a cancelled scan and drops its results', async () => {
+		const source = createCancellationSource();
+		const readFiles = [];
+		const host = {
+			getSettings: () => settings,
+			findFiles: async () => [
+				{ filePath: '/project/requirements.txt', relativePath: 'requirements.txt', rootDir: '/project' },
+				{ filePath: '/project/api/requirements.txt', relativePath: 'api/requirements.txt', rootDir: '/project' }
+			],
+			readFile: async filePath => {
+				// There is no project license file.
+				if (!filePath.endsWith('requirements.txt')) throw new Error('ENOENT');
+				readFiles.push(filePath);
+				// The scan is cancelled while its first file is read.
+				source.cancel();
+				return 'requests==2.31.0\n';
+			},
+			cache: createMemoryStore(),
+			reportProgress: () => {},
+			reportError: () => assert.fail('A cancellation is not a broken file')
+		};
+
+		await assert.rejects(scan(host, { token: source.token }), ScanCancelledError);
+		assert.deepStrictEqual(readFiles, ['/project/requirements.txt']);
+	});
+
+	test('runs against any host implementation', async () => {
+		const progress = [];
+		const errors = [];
+		const host = {
+			getSettings: () => settings,
+			findFiles: async () => [
+				{ filePath: '/project/requirements.txt', relativePath: 'requirements.txt', rootDir: '/project' },
+				{ filePath: '/project/broken/go.mod', relativePath: 'broken/go.mod', rootDir: '/project' }
+			],
+			readFile: async filePath => {
+				if (filePath.endsWith('go.mod')) throw new Error('EACCES');
+				// There is no policy file or project license file.
+				if (!filePath.endsWith('requirements.txt')) throw new Error('ENOENT');
+				return '# pinned\nrequests==2.31.0\n';
+			},
+			cache: createMemoryStore(),
+			reportProgress: message => progress.push(message),
+			reportError: (relativePath, error) => errors.push(`${relativePath}: ${error.message}`)
+		};
+
+		const { dependencies } = await scan(host);
+		assert.strictEqual(dependencies.length, 1);
+		assert.strictEqual(dependencies[0].name, 'requests');
+		assert.strictEqual(dependencies[0].line, 1);
+		assert.deepStrictEqual(errors, ['broken/go.mod: EACCES']);
+		assert.ok(progress.includes('Processing (1/2): requirements.txt'));
+	});
+});
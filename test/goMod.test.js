@@ -0,0 +1,162 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+
+const goModStrategy = require('../src/strategies/goModStrategy');
+const { scan } = require('../src/core/engine');
+const { collectThirdPartyNotices } = require('../src/core/notices');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Builds a zip archive of deflated files; the reader doesn't check the CRCs, so they are left at 0.
+const buildZip = files => {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+	for (const [name, content] of Object.entries(files)) {
+		const nameBuffer = Buffer.from(name);
+		const data = zlib.deflateRawSync(Buffer.from(content));
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(8, 8);
+		local.writeUInt32LE(data.length, 18);
+		local.writeUInt32LE(content.length, 22);
+		local.writeUInt16LE(nameBuffer.length, 26);
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(8, 10);
+		central.writeUInt32LE(data.length, 20);
+		central.writeUInt32LE(content.length, 24);
+		central.writeUInt16LE(nameBuffer.length, 28);
+		central.writeUInt32LE(offset, 42);
+		locals.push(local, nameBuffer, data);
+		centrals.push(central, nameBuffer);
+		offset += local.length + nameBuffer.length + data.length;
+	}
+	const centralDirectory = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(Object.keys(files).length, 8);
+	end.writeUInt16LE(Object.keys(files).length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+const MIT_TEXT = 'MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy of this software';
+const APACHE_TEXT = 'Apache License\nVersion 2.0, January 2004';
+
+const goMod = [
+	'module example.com/app',
+	'',
+	'go 1.22',
+	'toolchain go1.22.4',
+	'',
+	'require github.com/pkg/errors v0.9.1',
+	'',
+	'require (',
+	'	github.com/BurntSushi/toml v1.3.2',
+	'	golang.org/x/sys v0.20.0 // indirect',
+	'	example.com/shared v1.0.0',
+	'	example.com/old v1.2.0',
+	'	example.com/banned v0.1.0',
+	')',
+	'',
+	'replace example.com/shared => ../shared',
+	'replace (',
+	'	example.com/old v1.2.0 => example.com/fork v1.2.1',
+	')',
+	'exclude example.com/banned v0.1.0',
+	'retract v0.0.1'
+].join('\n');
+
+suite('Go Modules Test Suite', () => {
+	let root;
+	let previousModCache;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+		previousModCache = process.env.GOMODCACHE;
+		process.env.GOMODCACHE = path.join(root, 'modcache');
+	});
+
+	teardown(() => {
+		if (previousModCache === undefined) delete process.env.GOMODCACHE;
+		else process.env.GOMODCACHE = previousModCache;
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses require blocks, replace and exclude directives and indirect markers', async () => {
+		const dependencies = await goModStrategy.parseDependencies(goMod, createPositionMapper(goMod));
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version}${d.indirect ? ' (indirect)' : ''} ${d.line}`), [
+			'github.com/pkg/errors@v0.9.1 5',
+			'github.com/BurntSushi/toml@v1.3.2 8',
+			'golang.org/x/sys@v0.20.0 (indirect) 9',
+			// A module replaced by a local folder keeps its path; one replaced by another module is reported as the replacement.
+			'example.com/shared@../shared 10',
+			'example.com/fork@v1.2.1 11'
+		]);
+	});
+
+	test('adds the modules of go.sum when asked to', async () => {
+		writeFile(root, 'app/go.mod', goMod);
+		writeFile(root, 'app/go.sum', [
+			'github.com/pkg/errors v0.9.1 h1:abc=',
+			'github.com/pkg/errors v0.9.1/go.mod h1:abc=',
+			'github.com/stretchr/testify v1.8.0 h1:abc=',
+			'github.com/stretchr/testify v1.9.0 h1:abc=',
+			'gopkg.in/yaml.v3 v3.0.1/go.mod h1:abc='
+		].join('\n'));
+		const options = { filePath: path.join(root, 'app/go.mod'), readFile: file => fs.promises.readFile(file, 'utf8'), includeGoSum: true };
+		const dependencies = await goModStrategy.parseDependencies(goMod, createPositionMapper(goMod), options);
+		// Only the highest version with its sources hashed is part of the build; go.mod-only entries aren't.
+		const fromGoSum = dependencies.filter(d => d.line === 0);
+		assert.deepStrictEqual(fromGoSum.map(d => `${d.name}@${d.version} ${d.indirect}`), ['github.com/stretchr/testify@v1.9.0 true']);
+	});
+
+	test('detects licenses from the module proxy zip, the module cache and local replacements', async () => {
+		// A file:// proxy is laid out like a proxy; upper-case letters of module paths are escaped with '!'.
+		writeFile(root, 'proxy/github.com/!burnt!sushi/toml/@v/v1.3.2.zip', buildZip({
+			'github.com/BurntSushi/toml@v1.3.2/COPYING': MIT_TEXT,
+			'github.com/BurntSushi/toml@v1.3.2/internal/LICENSE': APACHE_TEXT,
+			'github.com/BurntSushi/toml@v1.3.2/toml.go': 'package toml'
+		}));
+		// 'direct' can't be used to detect licenses, so the next proxy of the list is.
+		const goProxy = `direct,${pathToFileURL(path.join(root, 'proxy')).href}`;
+		const info = await goModStrategy.fetchLicenseInfo('github.com/BurntSushi/toml', 'v1.3.2', { goProxy });
+		assert.strictEqual(info.license, 'MIT');
+		await assert.rejects(goModStrategy.fetchLicenseInfo('github.com/BurntSushi/toml', 'v1.3.2', { goProxy: 'off' }), /No Go module proxy/);
+		// Notices download the module through the same proxies as the scan.
+		const dep = { name: 'github.com/BurntSushi/toml', version: 'v1.3.2', ecosystem: 'go', manifestFile: 'go.mod', status: 'compliant', license: 'MIT' };
+		const notices = await collectThirdPartyNotices([dep], { getLocalOptions: () => ({ manifestDir: root }), getNetworkOptions: () => ({ goProxy }) });
+		assert.deepStrictEqual(notices.groups.map(group => [group.text, group.packages[0].source]), [[MIT_TEXT, 'registry']]);
+
+		writeFile(root, 'modcache/golang.org/x/sys@v0.20.0/LICENSE', 'Redistribution and use in source and binary forms ... to endorse or promote products');
+		writeFile(root, 'shared/LICENSE-MIT', MIT_TEXT);
+		writeFile(root, 'shared/LICENSE-APACHE', APACHE_TEXT);
+		const manifestDir = path.join(root, 'app');
+		assert.strictEqual((await goModStrategy.fetchLocalLicenseInfo('golang.org/x/sys', 'v0.20.0', { manifestDir })).license, 'BSD-3-Clause');
+		assert.strictEqual((await goModStrategy.fetchLocalLicenseInfo('example.com/shared', '../shared', { manifestDir })).license, 'Apache-2.0 AND MIT');
+		assert.strictEqual(await goModStrategy.fetchLocalLicenseInfo('github.com/pkg/errors', 'v0.9.1', { manifestDir }), null);
+	});
+
+	test('scans go.mod files offline from the module cache', async () => {
+		writeFile(root, 'go.mod', 'module example.com/app\n\nrequire golang.org/x/sys v0.20.0 // indirect\n');
+		writeFile(root, 'modcache/golang.org/x/sys@v0.20.0/LICENSE', MIT_TEXT);
+		const host = createNodeHost(root, { allowedLicenses: ['MIT'], deniedLicenses: [], excludePatterns: ['modcache/**'], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		assert.strictEqual(dependencies.length, 1);
+		assert.strictEqual(dependencies[0].status, 'compliant');
+		assert.strictEqual(dependencies[0].indirect, true);
+	});
+});
@@ -0,0 +1,161 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scan, strategyMap, indexDependentManifests } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+const { parseVersionCatalog, parseGradleBuild, applyPlatformVersions } = require('../src/utils/gradle');
+const { parsePom } = require('../src/utils/mavenPom');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Lists the dependencies as "name@version (scope) line".
+const describe = dependencies => dependencies.map(d => `${d.name}@${d.version} (${d.scope}) ${d.line}`);
+
+// The version catalog of the fixtures.
+const catalog = [
+	'[versions]',
+	'jackson = "2.17.1"',
+	'slf4j = { strictly = "2.0.13" }',
+	'',
+	'[libraries]',
+	'jackson-databind = { module = "com.fasterxml.jackson.core:jackson-databind", version.ref = "jackson" }',
+	'slf4j-api = { group = "org.slf4j", name = "slf4j-api", version.ref = "slf4j" } # logging',
+	'guava = "com.google.guava:guava:33.2.0-jre"',
+	'',
+	'[bundles]',
+	'logging = [',
+	'    "slf4j-api",',
+	']'
+].join('\n');
+
+suite('Gradle Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses version catalogs', () => {
+		const { versions, libraries, bundles } = parseVersionCatalog(catalog);
+		assert.strictEqual(versions.get('slf4j'), '2.0.13');
+		assert.deepStrictEqual(libraries.get('jackson.databind'), { group: 'com.fasterxml.jackson.core', name: 'jackson-databind', version: '2.17.1', line: 5 });
+		assert.deepStrictEqual(bundles.get('logging'), ['slf4j.api']);
+	});
+
+	test('parses Groovy build files with string, map and catalog notations', async () => {
+		writeFile(root, 'settings.gradle', "rootProject.name = 'demo'");
+		writeFile(root, 'gradle.properties', 'commonsVersion=3.14.0\n');
+		writeFile(root, 'gradle/libs.versions.toml', catalog);
+		const build = [
+			"def junitVersion = '5.10.2'",
+			'dependencies {',
+			"    implementation 'org.apache.commons:commons-lang3:$commonsVersion'",
+			'    api libs.jackson.databind',
+			"    testImplementation \"org.junit.jupiter:junit-jupiter:${junitVersion}\"",
+			"    compileOnly group: 'org.projectlombok', name: 'lombok', version: '1.18.32'",
+			"    annotationProcessor 'org.projectlombok:lombok:1.18.32'",
+			'    runtimeOnly libs.bundles.logging',
+			"    implementation platform('org.springframework.boot:spring-boot-dependencies:3.3.0')",
+			"    implementation project(':core')",
+			"    implementation('org.springframework.boot:spring-boot-starter-web') { exclude group: 'x' }",
+			'}'
+		].join('\n');
+		const filePath = path.join(root, 'app/build.gradle');
+		writeFile(root, 'app/build.gradle', build);
+		const options = { filePath, readFile: file => fs.promises.readFile(file, 'utf8'), resolutionMode: 'offline' };
+		const parsed = await strategyMap.get('build.gradle').parseDependencies(build, createPositionMapper(build), options);
+		assert.deepStrictEqual(describe(parsed), [
+			'org.apache.commons:commons-lang3@3.14.0 (runtime) 2',
+			'com.fasterxml.jackson.core:jackson-databind@2.17.1 (runtime) 3',
+			'org.junit.jupiter:junit-jupiter@5.10.2 (test) 4',
+			'org.projectlombok:lombok@1.18.32 (provided) 5',
+			'org.projectlombok:lombok@1.18.32 (build) 6',
+			'org.slf4j:slf4j-api@2.0.13 (runtime) 7',
+			'org.springframework.boot:spring-boot-starter-web@ (runtime) 10'
+		]);
+		// Offline, the platform isn't loaded, so the versions it sets aren't known.
+		await assert.rejects(strategyMap.get('build.gradle').fetchLicenseInfo('org.springframework.boot:spring-boot-starter-web', ''), /isn't declared in the build file/);
+	});
+
+	test('parses Kotlin build files and scans Gradle projects', async () => {
+		writeFile(root, 'settings.gradle.kts', 'rootProject.name = "demo"');
+		writeFile(root, 'gradle/libs.versions.toml', catalog);
+		writeFile(root, 'build.gradle.kts', [
+			'val okhttpVersion = "4.12.0"',
+			'dependencies {',
+			'    implementation("com.squareup.okhttp3:okhttp:$okhttpVersion")',
+			'    implementation(libs.guava)',
+			'    testRuntimeOnly(group = "org.junit.platform", name = "junit-platform-launcher", version = "1.10.2")',
+			'    testImplementation(kotlin("test"))',
+			'}'
+		].join('\n'));
+
+		const host = createNodeHost(root, { allowedLicenses: ['Apache-2.0'], deniedLicenses: [], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		const byFile = file => describe(dependencies.filter(d => d.manifestFile === file));
+		assert.deepStrictEqual(byFile('build.gradle.kts'), [
+			'com.squareup.okhttp3:okhttp@4.12.0 (runtime) 2',
+			'com.google.guava:guava@33.2.0-jre (runtime) 3',
+			'org.junit.platform:junit-platform-launcher@1.10.2 (test) 4'
+		]);
+		// Catalog libraries are only reported where a build file uses them, with the scope of that configuration.
+		assert.deepStrictEqual(byFile('gradle/libs.versions.toml'), []);
+		assert.ok(dependencies.every(d => d.ecosystem === 'maven'));
+	});
+
+	test('rescans the build files of a root project when its catalog or properties change', async () => {
+		writeFile(root, 'settings.gradle', "rootProject.name = 'demo'\ninclude 'app'");
+		writeFile(root, 'gradle/libs.versions.toml', catalog);
+		writeFile(root, 'build.gradle', 'dependencies {\n    implementation libs.guava\n}');
+		writeFile(root, 'app/build.gradle', 'dependencies {\n    implementation "com.squareup.okhttp3:okhttp:$okhttpVersion"\n}');
+		const host = createNodeHost(root, { allowedLicenses: ['Apache-2.0'], deniedLicenses: [], resolutionMode: 'offline' });
+		const { readFiles } = await scan(host);
+		const dependents = indexDependentManifests(readFiles);
+		const buildFiles = [path.join(root, 'app/build.gradle'), path.join(root, 'build.gradle')];
+		assert.deepStrictEqual(dependents.get(path.join(root, 'gradle/libs.versions.toml')).sort(), buildFiles);
+		// gradle.properties is watched before it exists, since creating it can set the version of okhttp.
+		assert.deepStrictEqual(dependents.get(path.join(root, 'gradle.properties')).sort(), buildFiles);
+	});
+
+	test('fills the versions left out for a platform from its BOM', async () => {
+		const build = [
+			'dependencies {',
+			'    implementation(platform("org.junit:junit-bom:5.10.2"))',
+			'    testImplementation(enforcedPlatform("org.springframework:spring-framework-bom:6.1.0"))',
+			'    testImplementation("org.junit.jupiter:junit-jupiter")',
+			'    implementation("org.springframework:spring-core:6.0.0")',
+			'    implementation("org.unknown:lib")',
+			'}'
+		].join('\n');
+		const junitBom = '<project><dependencyManagement><dependencies>'
+			+ '<dependency><groupId>org.junit.jupiter</groupId><artifactId>junit-jupiter</artifactId><version>${junit.version}</version></dependency>'
+			+ '</dependencies></dependencyManagement><properties><junit.version>5.10.2</junit.version></properties></project>';
+		const requested = [];
+		const loadRemotePom = (groupId, artifactId, version) => {
+			requested.push(`${groupId}:${artifactId}:${version}`);
+			return artifactId === 'junit-bom' ? parsePom(junitBom) : Promise.reject(new Error('Not Found'));
+		};
+		const { dependencies, platforms } = parseGradleBuild(build, createPositionMapper(build));
+		// Platforms aren't reported as dependencies.
+		assert.deepStrictEqual(platforms.map(p => `${p.groupId}:${p.artifactId}:${p.version}`), ['org.junit:junit-bom:5.10.2', 'org.springframework:spring-framework-bom:6.1.0']);
+		assert.deepStrictEqual(describe(await applyPlatformVersions(dependencies, platforms, { loadRemotePom })), [
+			'org.junit.jupiter:junit-jupiter@5.10.2 (test) 3',
+			// Declared versions are kept, and BOMs that can't be loaded leave the version unknown.
+			'org.springframework:spring-core@6.0.0 (runtime) 4',
+			'org.unknown:lib@ (runtime) 5'
+		]);
+		assert.deepStrictEqual(requested, platforms.map(p => `${p.groupId}:${p.artifactId}:${p.version}`));
+	});
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+
+const { analyzeLicensePolicy, toSpdxExpression } = require('../src/ai/licenseAnalyzer');
+const { getSpdxLicense, getSpdxException, canonicalSpdxId } = require('../src/ai/spdxLicenseList');
+const { buildPolicy } = require('../src/core/engine');
+
+// Analyzes a license against a small policy.
+const analyze = (license, settings = {}) => analyzeLicensePolicy(license, buildPolicy({ allowedLicenses: ['MIT'], deniedLicenses: ['GPL-2.0-only'], ...settings }));
+
+suite('License Analyzer Test Suite', () => {
+	test('bundles the SPDX license and exception lists with categories and flags', () => {
+		assert.deepStrictEqual(getSpdxLicense('epl-2.0'), { id: 'EPL-2.0', name: 'Eclipse Public License 2.0', category: 'weak-copyleft', osi: true, fsf: true });
+		assert.strictEqual(getSpdxLicense('BSD-4-Clause').osi, false);
+		assert.strictEqual(getSpdxLicense('BSD-4-Clause').fsf, true);
+		assert.strictEqual(getSpdxLicense('AGPL-3.0-or-later').category, 'network-copyleft');
+		assert.strictEqual(getSpdxException('classpath-exception-2.0').id, 'Classpath-exception-2.0');
+		assert.strictEqual(canonicalSpdxId('GPL-2.0+'), 'GPL-2.0-or-later');
+		assert.strictEqual(canonicalSpdxId('GPL-2.0-with-classpath-exception'), 'GPL-2.0-only WITH Classpath-exception-2.0');
+	});
+
+	test('recognizes licenses outside the curated knowledge base', () => {
+		for (const license of ['CDDL-1.0', 'Artistic-2.0', 'Zlib', 'PostgreSQL', 'Eclipse Public License 2.0']) {
+			const result = analyze(license);
+			assert.ok(result.details.trace[0].includes('via SPDX List, 100% confidence'), `${license}: ${result.details.trace[0]}`);
+		}
+		assert.ok(analyze('CDDL-1.0').obligations.some(obligation => obligation.summary.startsWith('Source code must be disclosed')));
+	});
+
+	test('tells the GNU licenses apart in free-form names', () => {
+		assert.ok(analyze('GNU LGPL v3').details.trace[0].includes("-> 'lgpl-3.0-only' (via Regex Match"));
+		assert.ok(analyze('GNU GPL version 3').details.trace[0].includes("-> 'gpl-3.0-only' (via Regex Match"));
+	});
+
+	test('does not read licenses from text that merely mentions them', () => {
+		const settings = { allowedLicenses: ['MIT', 'Apache-2.0'] };
+		for (const license of ['Proprietary - Limited Use', 'Commercial - submit a request', 'Apache 2.0 compatible, non-commercial', 'Apache License 2.0 (modified)']) {
+			assert.strictEqual(analyze(license, settings).status, 'unknown', license);
+		}
+		assert.strictEqual(analyze('MIT license (MIT)', settings).status, 'compliant');
+		assert.strictEqual(analyze('Apache License, Version 2.0', settings).status, 'compliant');
+	});
+
+	test('analyzes deprecated ids as their replacement', () => {
+		const result = analyze('GPL-2.0');
+		assert.strictEqual(result.status, 'non-compliant');
+		assert.ok(result.details.warnings.includes("'GPL-2.0' is a deprecated SPDX id; use 'GPL-2.0-only' instead."));
+		// A deprecated id in the settings matches the current one too.
+		assert.strictEqual(analyze('GPL-2.0-only', { deniedLicenses: ['GPL-2.0'] }).status, 'non-compliant');
+	});
+
+	test('applies the policy of later versions to or-later licenses', () => {
+		const settings = { allowedLicenses: ['GPL-3.0-only'], deniedLicenses: ['GPL-2.0-only'] };
+		for (const license of ['GPL-2.0+', 'GPL-2.0-or-later', 'GPL-2.0-only+']) {
+			assert.strictEqual(analyze(license, settings).status, 'compliant', license);
+		}
+		assert.strictEqual(analyze('GPL-2.0-only', settings).status, 'non-compliant');
+		// Every version it may be used under is denied.
+		assert.strictEqual(analyze('GPL-2.0-or-later', { allowedLicenses: [], deniedLicenses: ['GPL-2.0-only', 'GPL-3.0-or-later'] }).status, 'non-compliant');
+		assert.strictEqual(analyze('GPL-2.0-or-later', { allowedLicenses: [], deniedLicenses: ['GPL-2.0-only'] }).status, 'unknown');
+	});
+
+	test('reasons about license exceptions', () => {
+		// A linking exception weakens the copyleft, but a denied license still needs a review.
+		const linking = analyze('GPL-2.0-only WITH Classpath-exception-2.0');
+		assert.strictEqual(linking.status, 'unknown');
+		assert.ok(linking.reason.includes("'Classpath-exception-2.0' allows linking"));
+		assert.ok(!linking.obligations.some(obligation => obligation.summary.startsWith('Using this strong copyleft')));
+		// A policy entry for the combination wins over the one for the license.
+		assert.strictEqual(analyze('GPL-2.0-only WITH Classpath-exception-2.0', { allowedLicenses: ['GPL-2.0-only WITH Classpath-exception-2.0'] }).status, 'compliant');
+		assert.strictEqual(analyze('GPL-2.0-with-classpath-exception', { allowedLicenses: ['GPL-2.0-only WITH Classpath-exception-2.0'] }).status, 'compliant');
+		// Exceptions only add permissions to an allowed license.
+		assert.strictEqual(analyze('MIT WITH Font-exception-2.0').status, 'compliant');
+		assert.ok(analyze('MIT WITH Made-up-exception').details.warnings.includes("'Made-up-exception' is not on the SPDX license exception list."));
+	});
+
+	test('warns about invalid expressions and custom licenses', () => {
+		const result = analyze('MIT OR (GPL-2.0-only');
+		assert.ok(result.details.warnings.some(warning => warning.includes("is not a valid SPDX expression: Expected ')' but found end of expression at position 20")));
+		assert.strictEqual(analyze('LicenseRef-Acme').reason, "Overall status is UNKNOWN. Reason: 'licenseref-acme' is not in any policy list.");
+		// Free-form licenses are not expressions at all.
+		assert.deepStrictEqual(analyze('Apache License 2.0').details.warnings.filter(warning => warning.includes('SPDX expression')), []);
+	});
+
+	test('decides unlisted licenses by category and OSI/FSF rules', () => {
+		const licenseRules = [
+			{ category: 'permissive', status: 'compliant' },
+			{ category: ['strong-copyleft', 'network-copyleft'], status: 'non-compliant' },
+			{ category: 'weak-copyleft', osiApproved: true, status: 'needs-review' },
+			{ fsfLibre: false, status: 'non-compliant' }
+		];
+		assert.strictEqual(analyze('Zlib', { licenseRules }).reason, "Overall status is COMPLIANT. Reason: 'zlib' is allowed by the license rule for permissive.");
+		assert.strictEqual(analyze('AGPL-3.0-only', { licenseRules }).status, 'non-compliant');
+		// Explicit entries take priority over the rules.
+		assert.strictEqual(analyze('GPL-2.0-only', { licenseRules: [{ status: 'compliant' }] }).status, 'non-compliant');
+		assert.strictEqual(analyze('GPL-3.0-only', { licenseRules, allowedLicenses: ['GPL-3.0-only'] }).status, 'compliant');
+
+		// A license the rules send to review stays unknown, flagged for review.
+		const review = analyze('MPL-2.0', { licenseRules });
+		assert.strictEqual(review.status, 'unknown');
+		assert.ok(review.needsReview);
+		assert.match(review.reason, /needs review under the license rule for weak-copyleft, OSI-approved/);
+		assert.ok(analyze('MPL-2.0 OR CDDL-1.0', { licenseRules }).needsReview);
+		// A linking exception turns strong copyleft into weak copyleft.
+		assert.ok(analyze('GPL-3.0-only WITH GCC-exception-3.1', { licenseRules }).needsReview);
+		// Unlisted licenses no rule matches are not flagged; unknown licenses never match a flag condition.
+		assert.ok(!analyze('LicenseRef-Acme', { licenseRules }).needsReview);
+		assert.strictEqual(analyze('CC-BY-NC-4.0', { licenseRules: [{ category: 'non-commercial', fsfLibre: false, status: 'non-compliant' }] }).status, 'non-compliant');
+	});
+
+	test('decides the obligations a dependency triggers by its scope and the distribution model', () => {
+		const policy = buildPolicy({ allowedLicenses: ['MIT', 'AGPL-3.0-only'], deniedObligations: ['networkUseIsDistribution'], distributionModel: 'network-service' });
+		const runtime = analyzeLicensePolicy('AGPL-3.0-only', { ...policy, scope: 'runtime' });
+		assert.strictEqual(runtime.status, 'non-compliant');
+		assert.match(runtime.reason, /'networkUseIsDistribution' obligation, which is denied for runtime dependencies of a network-service project/);
+		// A test runner doesn't run in the service.
+		const dev = analyzeLicensePolicy('AGPL-3.0-only', { ...policy, scope: 'dev' });
+		assert.strictEqual(dev.status, 'compliant');
+		assert.ok(dev.obligations.every(obligation => !obligation.triggered));
+
+		// A distributed binary triggers the distribution obligations, but not the network-use ones.
+		const distributed = analyzeLicensePolicy('AGPL-3.0-only', { ...policy, distributionModel: 'distributed', scope: 'runtime' });
+		assert.strictEqual(distributed.status, 'compliant');
+		const triggered = distributed.obligations.filter(obligation => obligation.triggered).map(obligation => obligation.key);
+		assert.deepStrictEqual(triggered.sort(), ['compatibilityWarning', 'discloseSource', 'sameLicense']);
+		// Use restrictions apply however the project is used.
+		assert.ok(analyze('CC-BY-NC-4.0', { distributionModel: 'internal' }).obligations.some(obligation => obligation.key === 'commercialUseForbidden' && obligation.triggered));
+	});
+
+	test('writes canonical SPDX expressions', () => {
+		assert.strictEqual(toSpdxExpression('mit OR gpl-2.0+'), 'MIT OR GPL-2.0-or-later');
+		assert.strictEqual(toSpdxExpression('GPL-2.0-only WITH classpath-exception-2.0'), 'GPL-2.0-only WITH Classpath-exception-2.0');
+		assert.strictEqual(toSpdxExpression('(mit or Apache-2.0+) and bsd-3-clause'), '(MIT OR Apache-2.0+) AND BSD-3-Clause');
+	});
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+const { normalizeLicenseField } = require('../src/ai/licenseNormalizer');
+
+suite('License Normalizer Test Suite', () => {
+	test('maps registry license names to SPDX ids', () => {
+		const cases = [
+			// PyPI classifier tails, as picked by the Python strategies.
+			['pypi', 'GNU General Public License v2 or later (GPLv2+)', 'GPL-2.0-or-later'],
+			['pypi', 'GNU Lesser General Public License v3 (LGPLv3)', 'LGPL-3.0-only'],
+			['pypi', 'GNU Affero General Public License v3 or later (AGPLv3+)', 'AGPL-3.0-or-later'],
+			['pypi', 'MIT License OR Apache Software License', 'MIT OR Apache-2.0'],
+			['pypi', 'Python Software Foundation License', 'PSF-2.0'],
+			['pypi', 'Mozilla Public License 2.0 (MPL 2.0)', 'MPL-2.0'],
+			['pypi', 'License :: OSI Approved :: ISC License (ISCL)', 'ISC'],
+			// Maven <name> text.
+			['maven', 'The Apache Software License, Version 2.0', 'Apache-2.0'],
+			['maven', 'Apache License, Version 2.0 OR The MIT License', 'Apache-2.0 OR MIT'],
+			['maven', 'Eclipse Public License - v 2.0', 'EPL-2.0'],
+			['maven', 'CDDL + GPLv2 with classpath exception', 'CDDL-1.1 OR GPL-2.0-only WITH Classpath-exception-2.0'],
+			['maven', 'GNU General Public License, version 2, with the Classpath Exception', 'GPL-2.0-only WITH Classpath-exception-2.0'],
+			// npm's SPDX expressions, legacy ids and lowercase operators.
+			['npm', '(MIT OR Apache-2.0)', 'MIT OR Apache-2.0'],
+			['npm', 'mit or apache-2.0', 'MIT OR Apache-2.0'],
+			['npm', 'GPL-2.0+', 'GPL-2.0-or-later'],
+			['npm', 'Apache-2.0 WITH LLVM-exception', 'Apache-2.0 WITH LLVM-exception'],
+			['npm', 'LicenseRef-Acme OR MIT', 'LicenseRef-Acme OR MIT'],
+			// crates.io's old "/" separator.
+			['cargo', 'MIT/Apache-2.0', 'MIT OR Apache-2.0'],
+			['cargo', 'Unlicense / MIT', 'Unlicense OR MIT']
+		];
+		for (const [ecosystem, license, expected] of cases) {
+			assert.strictEqual(normalizeLicenseField(license, ecosystem), expected, `${ecosystem}: ${license}`);
+		}
+	});
+
+	test('leaves unrecognized and ambiguous licenses alone', () => {
+		for (const license of ['BSD License', 'GNU Library or Lesser General Public License (LGPL)', 'Dual License', 'GPL v2 or MIT-ish', 'SEE LICENSE IN LICENSE.md', 'UNLICENSED', 'N/A', 'Error: Not Found', '']) {
+			assert.strictEqual(normalizeLicenseField(license, 'pypi'), null, license);
+		}
+		// "/" only separates licenses on crates.io.
+		assert.strictEqual(normalizeLicenseField('MIT/Apache-2.0', 'npm'), null);
+	});
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const npmStrategy = require('../src/strategies/npmStrategy');
+const composerStrategy = require('../src/strategies/composerStrategy');
+const pythonPoetryStrategy = require('../src/strategies/pythonPoetryStrategy');
+const rustCargoStrategy = require('../src/strategies/rustCargoStrategy');
+const { scan } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+suite('Local License Resolution Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('reads npm packages from the nearest matching node_modules', async () => {
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '2.0.0', license: 'WTFPL' }));
+		writeFile(root, 'app/node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+		const manifestDir = path.join(root, 'app');
+
+		const info = await npmStrategy.fetchLocalLicenseInfo('left-pad', '^1.0.0', { manifestDir });
+		assert.strictEqual(info.license, 'MIT');
+		assert.strictEqual(info.resolvedVersion, '1.3.0');
+
+		const hoisted = await npmStrategy.fetchLocalLicenseInfo('left-pad', '^2.0.0', { manifestDir });
+		assert.strictEqual(hoisted.license, 'WTFPL');
+
+		assert.strictEqual(await npmStrategy.fetchLocalLicenseInfo('left-pad', '^3.0.0', { manifestDir }), null);
+	});
+
+	test('reads packages a lockfile installs in nested node_modules folders', async () => {
+		writeFile(root, 'package.json', JSON.stringify({ name: 'app', dependencies: { a: '1.0.0', b: '2.0.0' } }));
+		writeFile(root, 'package-lock.json', JSON.stringify({
+			lockfileVersion: 3,
+			packages: {
+				'': { name: 'app', dependencies: { a: '1.0.0', b: '2.0.0' } },
+				'node_modules/a': { version: '1.0.0', dependencies: { b: '^1.0.0' } },
+				'node_modules/a/node_modules/b': { version: '1.5.0' },
+				'node_modules/b': { version: '2.0.0' },
+			},
+		}, null, 2));
+		writeFile(root, 'node_modules/a/package.json', JSON.stringify({ name: 'a', version: '1.0.0', license: 'MIT' }));
+		writeFile(root, 'node_modules/a/node_modules/b/package.json', JSON.stringify({ name: 'b', version: '1.5.0', license: 'ISC' }));
+		writeFile(root, 'node_modules/b/package.json', JSON.stringify({ name: 'b', version: '2.0.0', license: 'Apache-2.0' }));
+
+		const host = createNodeHost(root, { allowedLicenses: ['MIT', 'ISC', 'Apache-2.0'], deniedLicenses: [], excludePatterns: ['node_modules/**'], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		const locked = dependencies.filter(d => d.manifestFile.endsWith('package-lock.json'));
+		assert.deepStrictEqual(locked.map(d => `${d.name}@${d.version} ${d.license}`).sort(), ['a@1.0.0 MIT', 'b@1.5.0 ISC', 'b@2.0.0 Apache-2.0']);
+	});
+
+	test('reads Composer packages from installed.json', async () => {
+		writeFile(root, 'vendor/composer/installed.json', JSON.stringify({
+			packages: [{ name: 'monolog/monolog', version: 'v3.5.0', license: ['MIT'], homepage: 'https://github.com/Seldaek/monolog' }],
+		}));
+		const info = await composerStrategy.fetchLocalLicenseInfo('monolog/monolog', '^3.0', { manifestDir: root });
+		assert.deepStrictEqual(info, { license: 'MIT', homepage: 'https://github.com/Seldaek/monolog', resolvedVersion: '3.5.0' });
+	});
+
+	test('reads Python METADATA from the virtualenv', async () => {
+		writeFile(root, '.venv/lib/python3.12/site-packages/typing_extensions-4.12.2.dist-info/METADATA', [
+			'Metadata-Version: 2.1',
+			'Name: typing_extensions',
+			'Version: 4.12.2',
+			'Classifier: License :: OSI Approved :: Python Software Foundation License',
+			'Project-URL: Home, https://github.com/python/typing_extensions',
+			'',
+			'Description body',
+		].join('\n'));
+		const info = await pythonPoetryStrategy.fetchLocalLicenseInfo('typing-extensions', '^4.0', { manifestDir: root });
+		assert.strictEqual(info.license, 'Python Software Foundation License');
+		assert.strictEqual(info.resolvedVersion, '4.12.2');
+	});
+
+	test('prefers the PEP 639 License-Expression header', async () => {
+		writeFile(root, 'env/lib/python3.12/site-packages/demo-1.0.0.dist-info/METADATA', [
+			'Name: demo',
+			'Version: 1.0.0',
+			'License-Expression: MIT OR Apache-2.0',
+			'Classifier: License :: OSI Approved :: MIT License',
+		].join('\n'));
+		const info = await pythonPoetryStrategy.fetchLocalLicenseInfo('demo', '*', { manifestDir: root, pythonVirtualEnv: path.join(root, 'env') });
+		assert.strictEqual(info.license, 'MIT OR Apache-2.0');
+	});
+
+	test('reads crates from the Cargo registry sources', async () => {
+		const previousCargoHome = process.env.CARGO_HOME;
+		process.env.CARGO_HOME = path.join(root, 'cargo');
+		try {
+			writeFile(root, 'cargo/registry/src/index.crates.io-6f17d22bba15001f/serde-1.0.200/Cargo.toml', '[package]\nname = "serde"\nversion = "1.0.200"\nlicense = "MIT OR Apache-2.0"\n');
+			writeFile(root, 'cargo/registry/src/index.crates.io-6f17d22bba15001f/serde_json-1.0.1/Cargo.toml', '[package]\nname = "serde_json"\n');
+			const info = await rustCargoStrategy.fetchLocalLicenseInfo('serde', '1.0');
+			assert.strictEqual(info.license, 'MIT OR Apache-2.0');
+			assert.strictEqual(info.resolvedVersion, '1.0.200');
+		} finally {
+			if (previousCargoHome === undefined) delete process.env.CARGO_HOME;
+			else process.env.CARGO_HOME = previousCargoHome;
+		}
+	});
+});
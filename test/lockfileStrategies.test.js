@@ -0,0 +1,280 @@
+const assert = require('assert');
+const path = require('path');
+
+const npmLockStrategy = require('../src/strategies/npmLockStrategy');
+const yarnLockStrategy = require('../src/strategies/yarnLockStrategy');
+const pnpmLockStrategy = require('../src/strategies/pnpmLockStrategy');
+const { createPositionMapper } = require('../src/utils/text');
+
+const parse = (strategy, content, options) => strategy.parseDependencies(content, createPositionMapper(content), options);
+const byId = (deps) => new Map(deps.map(d => [`${d.name}@${d.version}`, d]));
+
+suite('Lockfile Strategies Test Suite', () => {
+	test('package-lock.json v3 resolves nested installs and paths', () => {
+		const content = JSON.stringify({
+			lockfileVersion: 3,
+			packages: {
+				'': { name: 'app', dependencies: { a: '^1.0.0' }, devDependencies: { '@scope/b': '^2.0.0' } },
+				'node_modules/a': { version: '1.2.0', dependencies: { c: '^1.0.0' } },
+				'node_modules/a/node_modules/c': { version: '1.0.1' },
+				'node_modules/@scope/b': { version: '2.0.0', dependencies: { c: '^2.0.0' } },
+				'node_modules/c': { version: '2.1.0' },
+			},
+		}, null, 2);
+		const deps = byId(parse(npmLockStrategy, content));
+		assert.strictEqual(deps.size, 4);
+		assert.deepStrictEqual(deps.get('c@1.0.1').dependencyPath, ['a@1.2.0', 'c@1.0.1']);
+		assert.deepStrictEqual(deps.get('c@1.0.1').installPaths, ['node_modules/a/node_modules/c']);
+		assert.deepStrictEqual(deps.get('c@2.1.0').dependencyPath, ['@scope/b@2.0.0', 'c@2.1.0']);
+		assert.strictEqual(deps.get('a@1.2.0').line, 12);
+	});
+
+	test('package-lock.json and pnpm-lock.yaml mark the scope of each package', () => {
+		const npmLock = JSON.stringify({
+			lockfileVersion: 3,
+			packages: {
+				'': { name: 'app', dependencies: { a: '^1.0.0' }, devDependencies: { mocha: '^10.0.0' } },
+				'node_modules/a': { version: '1.0.0' },
+				'node_modules/mocha': { version: '10.0.0', dev: true },
+				'node_modules/fsevents': { version: '2.3.3', optional: true },
+				'node_modules/react': { version: '18.0.0', peer: true },
+			},
+		}, null, 2);
+		const npmScopes = parse(npmLockStrategy, npmLock).map(d => `${d.name}: ${d.scope}`);
+		assert.deepStrictEqual(npmScopes, ['a: runtime', 'mocha: dev', 'fsevents: optional', 'react: peer']);
+
+		const pnpmLock = [
+			"lockfileVersion: '9.0'",
+			'importers:',
+			'  .:',
+			'    dependencies:',
+			'      a:',
+			'        specifier: ^1.0.0',
+			'        version: 1.0.0',
+			'    devDependencies:',
+			'      mocha:',
+			'        specifier: ^10.0.0',
+			'        version: 10.0.0',
+			'packages:',
+			'  a@1.0.0: {}',
+			'  mocha@10.0.0: {}',
+			'  c@3.0.0: {}',
+			'  d@1.0.0: {}',
+			'snapshots:',
+			'  a@1.0.0:',
+			'    dependencies:',
+			'      c: 3.0.0',
+			'  mocha@10.0.0:',
+			'    dependencies:',
+			'      c: 3.0.0',
+			'      d: 1.0.0',
+			'  c@3.0.0: {}',
+			'  d@1.0.0: {}',
+			'',
+		].join('\n');
+		const pnpmDeps = byId(parse(pnpmLockStrategy, pnpmLock));
+		// A package both a runtime and a dev dependency pull in is a runtime dependency.
+		assert.strictEqual(pnpmDeps.get('c@3.0.0').scope, 'runtime');
+		assert.strictEqual(pnpmDeps.get('d@1.0.0').scope, 'dev');
+	});
+
+	test('package-lock.json v1 reads the nested dependencies tree', () => {
+		const content = JSON.stringify({
+			lockfileVersion: 1,
+			dependencies: {
+				a: { version: '1.0.0', requires: { b: '^1.0.0' }, dependencies: { b: { version: '1.5.0' } } },
+				b: { version: '2.0.0' },
+			},
+		}, null, 2);
+		const deps = byId(parse(npmLockStrategy, content));
+		assert.deepStrictEqual(deps.get('b@1.5.0').dependencyPath, ['a@1.0.0', 'b@1.5.0']);
+		assert.deepStrictEqual(deps.get('b@2.0.0').dependencyPath, ['b@2.0.0']);
+	});
+
+	test('yarn.lock classic entries', async () => {
+		const content = [
+			'# yarn lockfile v1',
+			'',
+			'"@scope/a@^1.0.0", "@scope/a@^1.1.0":',
+			'  version "1.1.0"',
+			'  dependencies:',
+			'    b "~2.0.0"',
+			'',
+			'b@~2.0.0:',
+			'  version "2.0.3"',
+			'',
+		].join('\n');
+		const deps = byId(await parse(yarnLockStrategy, content));
+		assert.strictEqual(deps.get('@scope/a@1.1.0').line, 2);
+		assert.deepStrictEqual(deps.get('b@2.0.3').dependencyPath, ['@scope/a@1.1.0', 'b@2.0.3']);
+		// yarn.lock doesn't record install folders, so a conflicting version is looked for inside the folder of the package requiring it.
+		assert.deepStrictEqual(deps.get('b@2.0.3').installPaths, ['node_modules/@scope/a/node_modules/b']);
+	});
+
+	test('yarn.lock berry entries', async () => {
+		const content = [
+			'__metadata:',
+			'  version: 6',
+			'',
+			'"app@workspace:.":',
+			'  version: 0.0.0-use.local',
+			'  resolution: "app@workspace:."',
+			'  dependencies:',
+			'    a: ^1.0.0',
+			'  languageName: unknown',
+			'  linkType: soft',
+			'',
+			'"a@npm:^1.0.0":',
+			'  version: 1.0.4',
+			'  resolution: "a@npm:1.0.4"',
+			'  dependencies:',
+			'    b: "npm:^3.0.0"',
+			'',
+			'"b@npm:^3.0.0":',
+			'  version: 3.2.0',
+			'  resolution: "b@npm:3.2.0"',
+			'',
+		].join('\n');
+		const deps = byId(await parse(yarnLockStrategy, content));
+		assert.strictEqual(deps.size, 2);
+		assert.deepStrictEqual(deps.get('b@3.2.0').dependencyPath, ['a@1.0.4', 'b@3.2.0']);
+	});
+
+	test('yarn.lock marks the scope of each package from the workspaces and package.json', async () => {
+		const berry = [
+			'__metadata:',
+			'  version: 6',
+			'',
+			'"app@workspace:.":',
+			'  version: 0.0.0-use.local',
+			'  resolution: "app@workspace:."',
+			'  dependencies:',
+			'    a: ^1.0.0',
+			'  devDependencies:',
+			'    gpl-test: ^2.0.0',
+			'  peerDependencies:',
+			'    react: ^18.0.0',
+			'  languageName: unknown',
+			'  linkType: soft',
+			'',
+			'"a@npm:^1.0.0":',
+			'  version: 1.0.0',
+			'  resolution: "a@npm:1.0.0"',
+			'  dependencies:',
+			'    c: "npm:^3.0.0"',
+			'',
+			'"gpl-test@npm:^2.0.0":',
+			'  version: 2.0.0',
+			'  resolution: "gpl-test@npm:2.0.0"',
+			'  dependencies:',
+			'    c: "npm:^3.0.0"',
+			'    d: "npm:^1.0.0"',
+			'',
+			'"react@npm:^18.0.0":',
+			'  version: 18.2.0',
+			'  resolution: "react@npm:18.2.0"',
+			'',
+			'"c@npm:^3.0.0":',
+			'  version: 3.0.0',
+			'  resolution: "c@npm:3.0.0"',
+			'',
+			'"d@npm:^1.0.0":',
+			'  version: 1.0.0',
+			'  resolution: "d@npm:1.0.0"',
+			'',
+		].join('\n');
+		const scopesOf = deps => deps.map(d => `${d.name}: ${d.scope}`);
+		// A package both a runtime and a dev dependency pull in is a runtime dependency.
+		assert.deepStrictEqual(scopesOf(await parse(yarnLockStrategy, berry)), ['a: runtime', 'gpl-test: dev', 'react: peer', 'c: runtime', 'd: dev']);
+
+		// Berry also writes development dependencies into 'dependencies'; the workspace's package.json tells them apart.
+		const merged = berry.replace('  devDependencies:\n', '');
+		const files = { [path.join('/project', 'package.json')]: JSON.stringify({ dependencies: { a: '^1.0.0' }, devDependencies: { 'gpl-test': '^2.0.0' } }) };
+		const options = { filePath: path.join('/project', 'yarn.lock'), readFile: async file => files[file] };
+		assert.deepStrictEqual(scopesOf(await parse(yarnLockStrategy, merged, options)), ['a: runtime', 'gpl-test: dev', 'react: runtime', 'c: runtime', 'd: dev']);
+
+		// Classic lockfiles don't list the project, so its package.json is read.
+		const classic = [
+			'a@^1.0.0:',
+			'  version "1.0.0"',
+			'',
+			'mocha@^10.0.0:',
+			'  version "10.0.0"',
+			'  dependencies:',
+			'    d "^1.0.0"',
+			'',
+			'd@^1.0.0:',
+			'  version "1.0.0"',
+			'',
+		].join('\n');
+		files[path.join('/project', 'package.json')] = JSON.stringify({ dependencies: { a: '^1.0.0' }, devDependencies: { mocha: '^10.0.0' } });
+		assert.deepStrictEqual(scopesOf(await parse(yarnLockStrategy, classic, options)), ['a: runtime', 'mocha: dev', 'd: dev']);
+	});
+
+	test('pnpm-lock.yaml v6 and v9 formats', () => {
+		const v6 = [
+			"lockfileVersion: '6.0'",
+			'importers:',
+			'  .:',
+			'    dependencies:',
+			'      a:',
+			'        specifier: ^1.0.0',
+			'        version: 1.0.0(b@2.0.0)',
+			'packages:',
+			'  /a@1.0.0(b@2.0.0):',
+			'    dependencies:',
+			'      b: 2.0.0',
+			'  /b@2.0.0:',
+			'    dev: false',
+			'',
+		].join('\n');
+		const v6Deps = byId(parse(pnpmLockStrategy, v6));
+		assert.deepStrictEqual(v6Deps.get('b@2.0.0').dependencyPath, ['a@1.0.0', 'b@2.0.0']);
+		assert.strictEqual(v6Deps.get('a@1.0.0').line, 8);
+		assert.deepStrictEqual(v6Deps.get('a@1.0.0').installPaths, ['node_modules/.pnpm/a@1.0.0_b@2.0.0/node_modules/a']);
+
+		const v9 = [
+			"lockfileVersion: '9.0'",
+			'importers:',
+			'  .:',
+			'    dependencies:',
+			'      a:',
+			'        specifier: ^1.0.0',
+			'        version: 1.0.0',
+			'packages:',
+			'  a@1.0.0:',
+			'    resolution: {integrity: sha512-x}',
+			'  c@3.0.0:',
+			'    resolution: {integrity: sha512-y}',
+			'snapshots:',
+			'  a@1.0.0:',
+			'    dependencies:',
+			'      c: 3.0.0',
+			'  c@3.0.0: {}',
+			'',
+		].join('\n');
+		const v9Deps = byId(parse(pnpmLockStrategy, v9));
+		assert.deepStrictEqual(v9Deps.get('c@3.0.0').dependencyPath, ['a@1.0.0', 'c@3.0.0']);
+	});
+
+	test('pnpm-lock.yaml v5 keys', () => {
+		const v5 = [
+			'lockfileVersion: 5.4',
+			'specifiers:',
+			'  a: ^1.0.0',
+			'dependencies:',
+			'  a: 1.0.0_b@2.0.0',
+			'packages:',
+			'  /a/1.0.0_b@2.0.0:',
+			'    dependencies:',
+			'      \'@s/b\': 2.0.0',
+			'  /@s/b/2.0.0:',
+			'    dev: false',
+			'',
+		].join('\n');
+		const deps = byId(parse(pnpmLockStrategy, v5));
+		assert.deepStrictEqual([...deps.keys()].sort(), ['@s/b@2.0.0', 'a@1.0.0']);
+		assert.deepStrictEqual(deps.get('@s/b@2.0.0').installPaths, ['node_modules/.pnpm/@s+b@2.0.0/node_modules/@s/b']);
+		assert.deepStrictEqual(deps.get('@s/b@2.0.0').dependencyPath, ['a@1.0.0', '@s/b@2.0.0']);
+	});
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scan, strategyMap } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+const { parsePom, resolveEffectivePom, readInheritedLicenses } = require('../src/utils/mavenPom');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Builds a dependency element.
+const dependency = (groupId, artifactId, version, extra = '') =>
+	`<dependency><groupId>${groupId}</groupId><artifactId>${artifactId}</artifactId>${version ? `<version>${version}</version>` : ''}${extra}</dependency>`;
+
+// The parent POM of the fixtures, which manages versions with properties and imports a BOM.
+const parentPom = [
+	'<project>',
+	'  <groupId>com.example</groupId><artifactId>parent</artifactId><version>1.0.0</version><packaging>pom</packaging>',
+	'  <licenses><license><name>Apache-2.0</name></license></licenses>',
+	'  <properties><jackson.version>2.15.0</jackson.version><junit.version>5.10.0</junit.version></properties>',
+	'  <dependencyManagement><dependencies>',
+	`    ${dependency('com.fasterxml.jackson.core', 'jackson-databind', '${jackson.version}')}`,
+	`    ${dependency('org.junit.jupiter', 'junit-jupiter', '${junit.version}', '<scope>test</scope>')}`,
+	`    ${dependency('org.springframework', 'spring-framework-bom', '6.1.0', '<type>pom</type><scope>import</scope>')}`,
+	'  </dependencies></dependencyManagement>',
+	'</project>'
+].join('\n');
+
+// The child POM of the fixtures, which overrides a property of its parent.
+const childPom = [
+	'<project>',
+	'  <parent><groupId>com.example</groupId><artifactId>parent</artifactId><version>1.0.0</version></parent>',
+	'  <artifactId>app</artifactId>',
+	'  <properties><jackson.version>2.17.1</jackson.version></properties>',
+	'  <dependencies>',
+	`    ${dependency('com.fasterxml.jackson.core', 'jackson-databind')}`,
+	`    ${dependency('org.junit.jupiter', 'junit-jupiter')}`,
+	`    ${dependency('org.springframework', 'spring-core')}`,
+	`    ${dependency('${project.groupId}', 'shared', '${project.version}')}`,
+	`    ${dependency('org.unknown', 'lib', '${undefined.version}')}`,
+	'  </dependencies>',
+	'</project>'
+].join('\n');
+
+// The BOM the parent imports, served by a fake remote repository.
+const springBom = `<project><groupId>org.springframework</groupId><artifactId>spring-framework-bom</artifactId><version>6.1.0</version>
+	<dependencyManagement><dependencies>${dependency('org.springframework', 'spring-core', '6.1.0')}</dependencies></dependencyManagement></project>`;
+
+suite('Maven Effective POM Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+		writeFile(root, 'pom.xml', parentPom);
+		writeFile(root, 'app/pom.xml', childPom);
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('resolves properties, parents, dependencyManagement and imported BOMs', async () => {
+		const requested = [];
+		const loadRemotePom = (groupId, artifactId, version) => {
+			requested.push(`${groupId}:${artifactId}:${version}`);
+			return artifactId === 'spring-framework-bom' ? parsePom(springBom) : Promise.reject(new Error('Not Found'));
+		};
+		const options = { filePath: path.join(root, 'app/pom.xml'), readFile: filePath => fs.promises.readFile(filePath, 'utf8'), loadRemotePom };
+		const effectivePom = await resolveEffectivePom(await parsePom(childPom), options);
+
+		// The child's property overrides the one the parent's managed version uses.
+		assert.deepStrictEqual(effectivePom.dependencies.map(d => `${d.groupId}:${d.artifactId}:${d.version}:${d.scope || ''}`), [
+			'com.fasterxml.jackson.core:jackson-databind:2.17.1:',
+			'org.junit.jupiter:junit-jupiter:5.10.0:test',
+			'org.springframework:spring-core:6.1.0:',
+			'com.example:shared:1.0.0:',
+			'org.unknown:lib:${undefined.version}:'
+		]);
+		// The parent was read from the workspace, so only the BOM was fetched.
+		assert.deepStrictEqual(requested, ['org.springframework:spring-framework-bom:6.1.0']);
+		assert.deepStrictEqual(effectivePom.licenses, ['Apache-2.0']);
+		assert.deepStrictEqual(await readInheritedLicenses(await parsePom(childPom), options), ['Apache-2.0']);
+
+		// A local POM with other coordinates isn't the parent; offline resolutions leave the inherited versions unresolved.
+		writeFile(root, 'pom.xml', parentPom.replace('<version>1.0.0</version>', '<version>2.0.0</version>'));
+		const offlinePom = await resolveEffectivePom(await parsePom(childPom), { ...options, offline: true });
+		assert.strictEqual(offlinePom.dependencies[0].version, undefined);
+		assert.deepStrictEqual(offlinePom.licenses, []);
+	});
+
+	test('reports the dependencies of the effective POM in scans', async () => {
+		const host = createNodeHost(root, { allowedLicenses: ['Apache-2.0'], deniedLicenses: [], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		const byName = new Map(dependencies.map(d => [d.name, d]));
+		assert.strictEqual(byName.get('com.fasterxml.jackson.core:jackson-databind').version, '2.17.1');
+		assert.strictEqual(byName.get('com.fasterxml.jackson.core:jackson-databind').line, 5);
+		assert.strictEqual(byName.get('org.junit.jupiter:junit-jupiter').scope, 'test');
+		// Versions that need the remote BOM, or an undefined property, are kept instead of dropped.
+		assert.strictEqual(byName.get('org.springframework:spring-core').version, '');
+		assert.strictEqual(byName.get('org.unknown:lib').version, '${undefined.version}');
+
+		await assert.rejects(strategyMap.get('pom.xml').fetchLicenseInfo('org.unknown:lib', '${undefined.version}'), /uses a property that isn't defined/);
+	});
+
+	test('tells dependencies sharing an artifact id apart by their group id', async () => {
+		const pom = [
+			'<project>',
+			'  <dependencyManagement><dependencies>',
+			`    ${dependency('org.two', 'core', '2.0.0')}`,
+			'  </dependencies></dependencyManagement>',
+			'  <dependencies>',
+			`    ${dependency('org.one', 'core', '1.0.0')}`,
+			`    ${dependency('org.two', 'core', '2.0.0')}`,
+			'  </dependencies>',
+			'</project>',
+		].join('\n');
+		const dependencies = await strategyMap.get('pom.xml').parseDependencies(pom, createPositionMapper(pom), { resolutionMode: 'offline' });
+		assert.deepStrictEqual(dependencies.map(d => `${d.name} ${d.line}`), ['org.one:core 5', 'org.two:core 6']);
+	});
+});
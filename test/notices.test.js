@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { readTarGzFiles } = require('../src/utils/tarball');
+const { extractCopyrights } = require('../src/utils/licenseFiles');
+const { collectThirdPartyNotices } = require('../src/core/notices');
+const { buildNoticesText, buildNoticesHtml } = require('../src/reports/noticesReport');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Builds a gzipped ustar archive with the given files, the way npm pack does.
+const buildTarGz = (files) => {
+	const blocks = [];
+	for (const [name, content] of Object.entries(files)) {
+		const data = Buffer.from(content);
+		const header = Buffer.alloc(512);
+		header.write(name, 0);
+		header.write('0000644\0', 100);
+		header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+		header.write('0', 156);
+		header.write('ustar\0', 257);
+		blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+	}
+	return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+};
+
+const MIT_TEXT = 'Permission is hereby granted, free of charge, to any person obtaining a copy of this software.';
+
+// Builds a scanned dependency of the package.json fixture.
+const makeDep = (name, version, status = 'compliant') => ({
+	name, version, ecosystem: 'npm', status, license: 'MIT', manifestFile: 'package.json', homepage: ''
+});
+
+suite('Third-Party Notices Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('reads the files of a gzipped tarball', () => {
+		const archive = buildTarGz({ 'package/LICENSE': 'MIT License', 'package/index.js': 'module.exports = 1;' });
+		const files = readTarGzFiles(archive, name => name.endsWith('LICENSE'));
+		assert.deepStrictEqual(files, [{ path: 'package/LICENSE', content: 'MIT License' }]);
+	});
+
+	test('extracts copyright lines and skips template placeholders', () => {
+		const text = [
+			'Copyright (c) 2015 Jane Doe',
+			'Copyright [yyyy] [name of copyright owner]',
+			'© Example Corp',
+			'The copyright holders are not liable.'
+		].join('\n');
+		assert.deepStrictEqual(extractCopyrights(text), ['Copyright (c) 2015 Jane Doe', '© Example Corp']);
+	});
+
+	test('groups identical license texts and lists packages without one', async () => {
+		writeFile(root, 'node_modules/alpha/package.json', JSON.stringify({ name: 'alpha', version: '1.0.0' }));
+		writeFile(root, 'node_modules/alpha/LICENSE', `MIT License\n\nCopyright (c) 2020 Alpha Author\n\n${MIT_TEXT}\n`);
+		writeFile(root, 'node_modules/beta/package.json', JSON.stringify({ name: 'beta', version: '2.0.0' }));
+		writeFile(root, 'node_modules/beta/LICENSE.md', `MIT License\n\nCopyright (c) 2021 Beta Author\n\n${MIT_TEXT}`);
+		writeFile(root, 'node_modules/beta/NOTICE', 'Beta includes software developed by Example Corp.');
+		// A manifest without a strategy has nowhere to look the license text up, so no registry is reached.
+		const gamma = { ...makeDep('gamma', '3.0.0'), manifestFile: 'vendor.lock' };
+
+		const dependencies = [makeDep('beta', '2.0.0'), makeDep('alpha', '1.0.0'), gamma, makeDep('denied', '1.0.0', 'non-compliant')];
+		const notices = await collectThirdPartyNotices(dependencies, { getLocalOptions: () => ({ manifestDir: root }) });
+
+		assert.strictEqual(notices.groups.length, 1);
+		const [group] = notices.groups;
+		assert.deepStrictEqual(group.packages.map(pkg => pkg.name), ['alpha', 'beta']);
+		assert.ok(!group.text.includes('Alpha Author'));
+		assert.deepStrictEqual(group.packages[0].copyrights, ['Copyright (c) 2020 Alpha Author']);
+		assert.strictEqual(group.packages[1].notice, 'Beta includes software developed by Example Corp.');
+		assert.deepStrictEqual(notices.missing.map(dep => dep.name), ['gamma']);
+
+		const text = buildNoticesText(notices, { productName: 'Demo' });
+		assert.strictEqual(text.split(MIT_TEXT).length, 2, 'the shared license text is printed once');
+		assert.ok(text.includes('gamma@3.0.0'));
+		assert.ok(buildNoticesHtml({ groups: [{ text: '<b>', packages: [{ ...group.packages[0], homepage: '' }] }], missing: [] }).includes('<pre>&lt;b&gt;</pre>'));
+	});
+});
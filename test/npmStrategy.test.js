@@ -0,0 +1,58 @@
+const assert = require('assert');
+
+const npmStrategy = require('../src/strategies/npmStrategy');
+
+suite('npm Strategy Test Suite', () => {
+	const packument = {
+		'dist-tags': { latest: '3.1.0', next: '4.0.0-beta.1' },
+		versions: {
+			'1.0.0': { version: '1.0.0', license: 'Apache-2.0' },
+			'1.4.2': { version: '1.4.2', license: 'Apache-2.0' },
+			'2.0.0': { version: '2.0.0', license: 'BUSL-1.1' },
+			'2.3.1': { version: '2.3.1', license: 'BUSL-1.1' },
+			'3.1.0': { version: '3.1.0', license: 'BUSL-1.1' },
+			'4.0.0-beta.1': { version: '4.0.0-beta.1', license: 'BUSL-1.1' },
+		},
+	};
+
+	test('resolves caret, tilde and x-ranges to the highest match', () => {
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '^1.0.0'), '1.4.2');
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '~2.0.0'), '2.0.0');
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '2.x'), '2.3.1');
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '*'), '3.1.0');
+	});
+
+	test('resolves union and hyphen ranges', () => {
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '^1.0.0 || ^2.0.0'), '2.3.1');
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '1.0.0 - 1.5.0'), '1.4.2');
+	});
+
+	test('resolves dist-tags and empty specs', () => {
+		assert.strictEqual(npmStrategy.resolveVersion(packument, 'next'), '4.0.0-beta.1');
+		assert.strictEqual(npmStrategy.resolveVersion(packument, ''), '3.1.0');
+	});
+
+	test('prefers the latest dist-tag when it satisfies the range', () => {
+		const backported = {
+			'dist-tags': { latest: '2.1.0' },
+			versions: { '2.1.0': {}, '2.2.0-rc.1': {}, '3.0.0': {}, '2.9.0': {} },
+		};
+		// 2.9.0 is a newer backport line, but npm installs the latest tag.
+		assert.strictEqual(npmStrategy.resolveVersion(backported, '>=2.0.0 <3.0.0'), '2.1.0');
+		assert.strictEqual(npmStrategy.resolveVersion({ ...backported, 'dist-tags': { latest: '2.1.0-rc.1' } }, '^2.0.0'), '2.9.0');
+	});
+
+	test('returns null when nothing matches', () => {
+		assert.strictEqual(npmStrategy.resolveVersion(packument, '^9.0.0'), null);
+	});
+
+	test('falls back to latest for non-registry specs', () => {
+		assert.strictEqual(npmStrategy.resolveVersion(packument, 'github:owner/repo#main'), '3.1.0');
+	});
+
+	test('unwraps npm aliases and workspace ranges', () => {
+		assert.deepStrictEqual(npmStrategy.parseSpec('alias', 'npm:@scope/real@^1.2.0'), { name: '@scope/real', spec: '^1.2.0' });
+		assert.deepStrictEqual(npmStrategy.parseSpec('alias', 'npm:real'), { name: 'real', spec: '' });
+		assert.deepStrictEqual(npmStrategy.parseSpec('pkg', 'workspace:^1.0.0'), { name: 'pkg', spec: '^1.0.0' });
+	});
+});
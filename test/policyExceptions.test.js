@@ -0,0 +1,106 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scan } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { findPolicyException, listPolicyExceptions } = require('../src/core/policyExceptions');
+const { buildJsonReport } = require('../src/reports/jsonReport');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Every exception is checked against this day.
+const now = new Date('2025-06-15T12:00:00Z');
+
+suite('Policy Exceptions Test Suite', () => {
+	test('matches exceptions by name and exact version or semver range', () => {
+		const overrides = [
+			{ name: 'a', version: '^1.2.0', allow: true, reason: 'range' },
+			{ name: 'a', version: '2.0.0-beta', allow: false, reason: 'exact' },
+			{ name: 'b', allow: true, reason: 'every version' }
+		];
+		const find = dep => findPolicyException(overrides, { license: 'MIT', ...dep }, now);
+		// The resolved version is checked against ranges when the declared version is a range too.
+		assert.strictEqual(find({ name: 'a', version: '^1.0.0', resolvedVersion: '1.4.0' }).reason, 'range');
+		assert.strictEqual(find({ name: 'a', version: '1.1.0' }), null);
+		assert.strictEqual(find({ name: 'a', version: '2.0.0-beta' }).reason, 'exact');
+		assert.strictEqual(find({ name: 'b', version: '0.0.1' }).state, 'active');
+	});
+
+	test('decides whether an exception is active, expiring soon, expired or stale', () => {
+		const find = (override, license = 'GPL-3.0-only') => findPolicyException([{ name: 'a', allow: true, reason: 'ok', ...override }], { name: 'a', version: '1.0.0', license }, now);
+		assert.strictEqual(find({ expires: '2025-12-31' }).state, 'active');
+		// An exception applies through the day it expires.
+		assert.strictEqual(find({ expires: '2025-06-15' }).state, 'expiring-soon');
+		assert.strictEqual(find({ expires: '2025-06-14' }).message, 'The policy exception for a expired on 2025-06-14.');
+		assert.strictEqual(find({ expires: 'next year' }).state, 'expired');
+		// The license pin is compared as an SPDX expression.
+		assert.strictEqual(find({ license: 'gpl-3.0-only' }).state, 'active');
+		assert.match(find({ license: 'MIT' }).message, /was granted for 'MIT', but its license is now 'GPL-3.0-only'/);
+
+		// An exception in effect is preferred over an earlier one that lapsed.
+		const overrides = [{ name: 'a', allow: true, reason: 'old', expires: '2024-01-01' }, { name: 'a', allow: true, reason: 'renewed' }];
+		assert.strictEqual(findPolicyException(overrides, { name: 'a', version: '1.0.0', license: 'MIT' }, now).reason, 'renewed');
+	});
+
+	suite('scans', () => {
+		let root;
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+			writeFile(root, 'package.json', JSON.stringify({ dependencies: { 'gpl-lib': '2.0.0', 'gpl-tool': '^1.0.0' } }));
+			writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+			writeFile(root, 'node_modules/gpl-tool/package.json', JSON.stringify({ name: 'gpl-tool', version: '1.3.0', license: 'GPL-3.0-only' }));
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('applies exceptions in effect and reports the others', async () => {
+			const policyOverrides = [
+				{ name: 'gpl-lib', allow: true, reason: 'Used internally.', expires: '2025-06-01', approvedBy: 'Legal', ticket: 'LEGAL-1' },
+				{ name: 'gpl-tool', version: '1.x', allow: true, reason: 'Build tool.', approvedBy: 'Legal', ticket: 'LEGAL-2', license: 'GPL-3.0-only' }
+			];
+			const settings = { allowedLicenses: ['MIT'], deniedLicenses: ['GPL-3.0-only'], policyOverrides, excludePatterns: ['**/node_modules/**'], resolutionMode: 'offline' };
+
+			const { dependencies } = await scan(createNodeHost(root, settings), { now });
+			const byName = new Map(dependencies.map(d => [d.name, d]));
+			assert.strictEqual(byName.get('gpl-tool').status, 'compliant');
+			assert.strictEqual(byName.get('gpl-tool').analysis.reason, 'Policy override: Build tool. (approved by Legal, ticket LEGAL-2)');
+			// The expired exception no longer applies, so the denied license decides.
+			assert.strictEqual(byName.get('gpl-lib').status, 'non-compliant');
+			assert.strictEqual(byName.get('gpl-lib').policyException.state, 'expired');
+			assert.deepStrictEqual(byName.get('gpl-lib').analysis.details.warnings.slice(0, 1), ['The policy exception for gpl-lib expired on 2025-06-01.']);
+
+			const { summary } = JSON.parse(buildJsonReport(dependencies));
+			assert.deepStrictEqual(summary.exceptions, { active: 1, expiringSoon: 0, expired: 1, stale: 0 });
+		});
+
+		test('lists the exceptions that match no dependency', async () => {
+			const policyOverrides = [
+				{ name: 'gpl-lib', allow: true, reason: 'Used internally.', expires: '2025-12-31' },
+				{ name: 'gpl-tool', version: '2.x', allow: true, reason: 'Next major.', expires: '2025-07-01' },
+				{ name: 'removed-lib', allow: true, reason: 'No longer used.', expires: '2025-01-01', license: 'GPL-2.0-only' }
+			];
+			const settings = { allowedLicenses: ['MIT'], deniedLicenses: ['GPL-3.0-only'], policyOverrides, excludePatterns: ['**/node_modules/**'], resolutionMode: 'offline' };
+
+			const { dependencies, policyOverrides: policies } = await scan(createNodeHost(root, settings), { now });
+			assert.deepStrictEqual(policies.map(policy => [policy.policyFile, policy.overrides.length]), [[undefined, 3]]);
+			const exceptions = listPolicyExceptions(policies, dependencies, now);
+			assert.deepStrictEqual(exceptions.map(exception => `${exception.name} ${exception.state} ${exception.dependencies.map(dep => dep.name).join(',')}`), [
+				'gpl-lib active gpl-lib',
+				// The range matches no version of gpl-tool, and removed-lib isn't a dependency anymore; only their expiry decides their state.
+				'gpl-tool expiring-soon ',
+				'removed-lib expired '
+			]);
+			assert.strictEqual(exceptions[2].message, 'The policy exception for removed-lib expired on 2025-01-01.');
+		});
+	});
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scan } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { parsePolicyFile, mergePolicies, addLicensesToPolicyFile } = require('../src/core/policyFile');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Resolve everything from the installed packages so the tests never use the network.
+const settings = { allowedLicenses: ['MIT'], deniedLicenses: ['GPL-3.0-only'], excludePatterns: ['**/node_modules/**'], resolutionMode: 'offline' };
+
+suite('Policy File Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+		const manifest = JSON.stringify({ dependencies: { 'left-pad': '^1.0.0', 'gpl-lib': '2.0.0' } });
+		writeFile(root, 'package.json', manifest);
+		writeFile(root, 'packages/legacy/package.json', manifest);
+		writeFile(root, 'node_modules/left-pad/package.json', JSON.stringify({ name: 'left-pad', version: '1.3.0', license: 'MIT' }));
+		writeFile(root, 'node_modules/gpl-lib/package.json', JSON.stringify({ name: 'gpl-lib', version: '2.0.0', license: 'GPL-3.0-only' }));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('applies the nearest policy file and the files it extends over the settings', async () => {
+		writeFile(root, 'shared/org-policy.json', JSON.stringify({ allowedLicenses: ['Apache-2.0'], deniedLicenses: ['MIT', 'GPL-3.0-only'] }));
+		writeFile(root, '.license-sentinel.yaml', '# Team policy\nextends: ./shared/org-policy.json\nallowedLicenses:\n  - MIT\n');
+		writeFile(root, 'packages/legacy/.license-sentinel.json', '{\n  // Approved by legal for this package only.\n  "allowedLicenses": ["GPL-3.0-only"],\n}');
+
+		const { dependencies } = await scan(createNodeHost(root, { ...settings, allowedLicenses: [], deniedLicenses: ['MIT'] }));
+		const statuses = dependencies.map(d => `${d.manifestFile} ${d.name}: ${d.status} (${d.policyFile})`);
+		assert.deepStrictEqual(statuses.sort(), [
+			// The root policy allows MIT, which the shared policy denies, and keeps denying GPL-3.0-only.
+			'package.json gpl-lib: non-compliant (.license-sentinel.yaml)',
+			'package.json left-pad: compliant (.license-sentinel.yaml)',
+			// The folder's own policy file doesn't extend the root one, so the settings apply to the lists it doesn't set.
+			'packages/legacy/package.json gpl-lib: compliant (packages/legacy/.license-sentinel.json)',
+			'packages/legacy/package.json left-pad: non-compliant (packages/legacy/.license-sentinel.json)'
+		]);
+	});
+
+	test('reports invalid and circular policy files instead of using the settings', async () => {
+		writeFile(root, '.license-sentinel.json', JSON.stringify({ extends: 'packages/legacy/.license-sentinel.json' }));
+		writeFile(root, 'packages/legacy/.license-sentinel.json', JSON.stringify({ extends: '../../.license-sentinel.json' }));
+		writeFile(root, 'packages/app/package.json', '{}');
+		writeFile(root, 'packages/app/.license-sentinel.yml', 'allowedLicenses: MIT\n');
+		const errors = [];
+
+		const { dependencies } = await scan(createNodeHost(root, settings, { onError: (relativePath, error) => errors.push(`${relativePath}: ${error.message}`) }));
+		assert.deepStrictEqual(dependencies, []);
+		assert.strictEqual(errors.length, 3);
+		assert.match(errors.find(e => e.startsWith('packages/app/')), /Invalid policy file .*\.license-sentinel\.yml: policy\.allowedLicenses must be of type array/);
+		assert.match(errors.find(e => e.startsWith('package.json')), /extends itself/);
+	});
+
+	test('validates policy files against the published schema', () => {
+		assert.deepStrictEqual(parsePolicyFile('', '.license-sentinel.yaml'), {});
+		assert.throws(() => parsePolicyFile('{"allowed": []}', '.license-sentinel.json'), /unknown property "allowed"/);
+		assert.throws(() => parsePolicyFile('{"policyOverrides": [{"name": "a", "allow": "yes"}]}', '.license-sentinel.json'),
+			/policy\.policyOverrides\[0\] is missing "reason"; policy\.policyOverrides\[0\]\.allow must be of type boolean/);
+		assert.throws(() => parsePolicyFile('{"policyOverrides": [{"name": "a", "allow": true, "reason": "ok", "expires": "31/12/2025"}]}', '.license-sentinel.json'),
+			/policy\.policyOverrides\[0\]\.expires must match/);
+		assert.throws(() => parsePolicyFile('licenseRules:\n  - category: copyleft\n    status: review\n', '.license-sentinel.yaml'),
+			/policy\.licenseRules\[0\]\.category has an unexpected type; policy\.licenseRules\[0\]\.status must be one of compliant, needs-review, non-compliant/);
+		assert.throws(() => parsePolicyFile('scopePolicies:\n  docs: {}\n  dev:\n    allowed: [GPL-3.0-only]\n', '.license-sentinel.yaml'),
+			/policy\.scopePolicies has an unknown property "docs"; policy\.scopePolicies\.dev has an unknown property "allowed"/);
+	});
+
+	test('merges the scope policies and replaces the distribution model of the policies it extends', () => {
+		const base = { distributionModel: 'distributed', scopePolicies: { dev: { allowedLicenses: ['GPL-3.0-only'] }, test: { allowedLicenses: ['GPL-2.0-only'] } } };
+		const merged = mergePolicies(base, { distributionModel: 'network-service', scopePolicies: { dev: { deniedLicenses: ['GPL-3.0-only'] } } });
+		assert.strictEqual(merged.distributionModel, 'network-service');
+		assert.deepStrictEqual(merged.scopePolicies, {
+			dev: { allowedLicenses: [], deniedLicenses: ['GPL-3.0-only'] },
+			test: { allowedLicenses: ['GPL-2.0-only'] }
+		});
+		assert.strictEqual(merged.deniedObligations, undefined);
+	});
+
+	test('adds licenses to a policy file without losing its comments', () => {
+		const json = '{\n  // Reviewed by legal.\n  "allowedLicenses": ["MIT"]\n}\n';
+		const updatedJson = addLicensesToPolicyFile(json, '.license-sentinel.json', 'allowedLicenses', ['mit', 'ISC']);
+		assert.deepStrictEqual(updatedJson.added, ['ISC']);
+		assert.match(updatedJson.content, /\/\/ Reviewed by legal\./);
+		assert.deepStrictEqual(parsePolicyFile(updatedJson.content, '.license-sentinel.json').allowedLicenses, ['MIT', 'ISC']);
+
+		const yaml = '# Reviewed by legal.\nextends: ../org.yaml\n';
+		const updatedYaml = addLicensesToPolicyFile(yaml, '.license-sentinel.yaml', 'deniedLicenses', ['AGPL-3.0-only']);
+		assert.strictEqual(updatedYaml.content, '# Reviewed by legal.\nextends: ../org.yaml\ndeniedLicenses:\n  - AGPL-3.0-only\n');
+		assert.deepStrictEqual(addLicensesToPolicyFile(updatedYaml.content, '.license-sentinel.yaml', 'deniedLicenses', ['AGPL-3.0-only']).added, []);
+	});
+});
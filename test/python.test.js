@@ -0,0 +1,207 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { strategyMap, scan } = require('../src/core/engine');
+const { createNodeHost } = require('../src/hosts/nodeHost');
+const { createPositionMapper } = require('../src/utils/text');
+const { parseRequirement, satisfiesSpecifier, toReportedVersion } = require('../src/utils/python');
+
+// Writes a file inside the fixture folder, creating its parent folders.
+const writeFile = (root, relativePath, content) => {
+	const filePath = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, content);
+};
+
+// Parses a file with the strategy registered for its name.
+const parse = (fileName, content, options) => strategyMap.get(fileName).parseDependencies(content, createPositionMapper(content), options);
+
+const pyproject = [
+	'[project]',
+	'name = "app"',
+	'dependencies = [',
+	'    "requests[socks] >= 2.31, < 3",',
+	'    "attrs==23.2.0",',
+	'    "tomli; python_version < \'3.11\'",',
+	']',
+	'',
+	'[project.optional-dependencies]',
+	'yaml = ["PyYAML>=6"]',
+	'',
+	'[dependency-groups]',
+	'test = ["pytest>=8"]',
+	'',
+	'[tool.poetry.group.docs.dependencies]',
+	'mkdocs = { version = "^1.5", optional = true }',
+	'',
+	'[tool.poetry.dependencies]',
+	'python = "^3.10"',
+	'requests = { extras = ["socks"] }',
+	'private = { git = "https://github.com/example/private.git", tag = "v1.0" }',
+	''
+].join('\n');
+
+suite('Python Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'license-sentinel-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses PEP 508 requirements and matches PEP 440 specifiers and Poetry constraints', () => {
+		assert.deepStrictEqual(parseRequirement('requests[socks] >= 2.31, < 3 ; python_version >= "3.8"'), {
+			name: 'requests', extras: ['socks'], specifier: '>=2.31,<3', url: null, marker: 'python_version >= "3.8"'
+		});
+		assert.strictEqual(parseRequirement('pkg @ https://example.com/pkg.whl').url, 'https://example.com/pkg.whl');
+		assert.strictEqual(parseRequirement('-r other.txt'), null);
+		assert.deepStrictEqual(['==2.31.0', '2.31.0', '>=2,<3', ''].map(toReportedVersion), ['2.31.0', '2.31.0', '>=2,<3', '*']);
+
+		const matches = [
+			['2.31.0', '>=2,<3', true],
+			['3.0', '>=2,<3', false],
+			['1.4.7', '==1.4.*', true],
+			['1.5.0', '~=1.4.2', false],
+			['0.2.9', '^0.2.3', true],
+			['0.3.0', '^0.2.3', false],
+			['2.1', '^1.2 || ^2.0', true],
+			// Pre-releases only match specifiers that mention one.
+			['3.0rc1', '>=2', false],
+			['3.0rc1', '>=3.0rc1', true]
+		];
+		assert.deepStrictEqual(matches.map(([version, specifier]) => satisfiesSpecifier(version, specifier)), matches.map(([, , expected]) => expected));
+	});
+
+	test('reads PEP 621, dependency group and Poetry dependencies from pyproject.toml', () => {
+		assert.deepStrictEqual(parse('pyproject.toml', pyproject).map(d => `${d.name}@${d.version} ${d.scope} ${d.line}`), [
+			'requests@>=2.31,<3 runtime 3',
+			'attrs@23.2.0 runtime 4',
+			'tomli@* runtime 5',
+			'PyYAML@>=6 optional 9',
+			'pytest@>=8 test 12',
+			// The Poetry table only refines the source of requests, which [project] already declares.
+			'private@git+https://github.com/example/private.git@v1.0 runtime 20',
+			'mkdocs@^1.5 dev 15'
+		]);
+	});
+
+	test('follows requirements includes and constraints', async () => {
+		writeFile(root, 'requirements/base.txt', 'flask>=2\n-r ../requirements.txt\n');
+		writeFile(root, 'constraints.txt', 'flask==2.3.3\n');
+		const content = [
+			'# Runtime',
+			'requests[socks] >= 2.31 ; python_version >= "3.8"  # pinned below',
+			'-r requirements/base.txt',
+			'--constraint constraints.txt',
+			'numpy==1.26.4 \\',
+			'    --hash=sha256:abc',
+			'-e .',
+			'pkg @ https://example.com/pkg.whl'
+		].join('\n');
+		writeFile(root, 'requirements.txt', content);
+		const options = { filePath: path.join(root, 'requirements.txt'), readFile: file => fs.promises.readFile(file, 'utf8') };
+		const dependencies = await parse('requirements.txt', content, options);
+		// Included requirements are reported on the line of the include; the include cycle back to requirements.txt is ignored.
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version} ${d.line}`), [
+			'requests@>=2.31 1',
+			'flask@2.3.3 2',
+			'numpy@1.26.4 4',
+			'pkg@https://example.com/pkg.whl 7'
+		]);
+	});
+
+	test('reads Pipfile and Pipfile.lock', async () => {
+		const pipfile = '[[source]]\nurl = "https://pypi.org/simple"\n\n[packages]\nrequests = "*"\nattrs = "==23.2.0"\n\n[dev-packages]\npytest = { version = ">=8" }\n';
+		assert.deepStrictEqual(parse('Pipfile', pipfile).map(d => `${d.name}@${d.version} ${d.scope} ${d.line}`), [
+			'requests@* runtime 4',
+			'attrs@23.2.0 runtime 5',
+			'pytest@>=8 dev 8'
+		]);
+
+		const lock = JSON.stringify({
+			_meta: { hash: { sha256: 'abc' } },
+			default: { requests: { version: '==2.31.0' }, six: { version: '==1.16.0' } },
+			develop: { pytest: { version: '==8.2.0' }, six: { version: '==1.16.0' } }
+		}, null, 4);
+		assert.deepStrictEqual(parse('Pipfile.lock', lock).map(d => `${d.name}@${d.version} ${d.scope} ${d.line}`), [
+			'requests@2.31.0 runtime 7',
+			'six@1.16.0 runtime 10',
+			'pytest@8.2.0 dev 15'
+		]);
+	});
+
+	test('reads poetry.lock, uv.lock and pdm.lock with scopes and dependency paths', async () => {
+		writeFile(root, 'pyproject.toml', '[project]\nname = "app"\ndependencies = ["requests"]\n\n[dependency-groups]\ndev = ["pytest"]\n');
+		const options = { filePath: path.join(root, 'poetry.lock'), readFile: file => fs.promises.readFile(file, 'utf8') };
+		const poetryLock = [
+			'[[package]]', 'name = "requests"', 'version = "2.31.0"', 'optional = false', '',
+			'[package.dependencies]', 'urllib3 = ">=1.21.1,<3"', '',
+			'[[package]]', 'name = "urllib3"', 'version = "2.2.1"', '',
+			'[[package]]', 'name = "pytest"', 'version = "8.2.0"', 'groups = ["dev"]', '',
+			'[[package]]', 'name = "private"', 'version = "1.0.0"', '',
+			'[package.source]', 'type = "git"', 'url = "https://github.com/example/private.git"', 'reference = "v1.0"', 'resolved_reference = "0123abc"', ''
+		].join('\n');
+		assert.deepStrictEqual((await parse('poetry.lock', poetryLock, options)).map(d => `${d.name}@${d.version} ${d.scope} ${d.line} ${d.dependencyPath.join(' > ')}`), [
+			'requests@2.31.0 runtime 1 requests@2.31.0',
+			'urllib3@2.2.1 runtime 9 requests@2.31.0 > urllib3@2.2.1',
+			'pytest@8.2.0 dev 13 pytest@8.2.0',
+			// Packages the project doesn't reach keep the scope of their lockfile entry.
+			'private@git+https://github.com/example/private.git@0123abc runtime 18 private@1.0.0'
+		]);
+
+		const uvLock = [
+			'version = 1', '',
+			'[[package]]', 'name = "app"', 'version = "0.1.0"', 'source = { editable = "." }',
+			'dependencies = [', '    { name = "requests" },', ']', '',
+			'[package.dev-dependencies]', 'test = [', '    { name = "pytest" },', ']', '',
+			'[[package]]', 'name = "pytest"', 'version = "8.2.0"', 'source = { registry = "https://pypi.org/simple" }', '',
+			'[[package]]', 'name = "requests"', 'version = "2.31.0"', 'source = { registry = "https://pypi.org/simple" }',
+			'dependencies = [', '    { name = "urllib3" },', ']', '',
+			'[[package]]', 'name = "urllib3"', 'version = "2.2.1"', 'source = { registry = "https://pypi.org/simple" }', ''
+		].join('\n');
+		assert.deepStrictEqual(parse('uv.lock', uvLock).map(d => `${d.name}@${d.version} ${d.scope} ${d.line} ${d.dependencyPath.join(' > ')}`), [
+			'pytest@8.2.0 test 16 pytest@8.2.0',
+			'requests@2.31.0 runtime 21 requests@2.31.0',
+			'urllib3@2.2.1 runtime 29 requests@2.31.0 > urllib3@2.2.1'
+		]);
+
+		const pdmLock = [
+			'[metadata]', 'groups = ["default", "test"]', '',
+			'[[package]]', 'name = "requests"', 'version = "2.31.0"', 'groups = ["default"]', 'dependencies = [', '    "urllib3<3,>=1.21.1",', ']', '',
+			'[[package]]', 'name = "urllib3"', 'version = "2.2.1"', 'groups = ["default"]', '',
+			'[[package]]', 'name = "pytest"', 'version = "8.2.0"', 'groups = ["test"]', ''
+		].join('\n');
+		// Without a pyproject.toml, the groups of each package tell its scope.
+		assert.deepStrictEqual((await parse('pdm.lock', pdmLock)).map(d => `${d.name}@${d.version} ${d.scope} ${d.line}`), [
+			'requests@2.31.0 runtime 4',
+			'urllib3@2.2.1 runtime 12',
+			'pytest@8.2.0 test 17'
+		]);
+	});
+
+	test('reads a locked version from the virtualenv only when that version is installed', async () => {
+		writeFile(root, '.venv/lib/python3.12/site-packages/requests-2.31.0.dist-info/METADATA', 'Metadata-Version: 2.1\nName: requests\nVersion: 2.31.0\nLicense: Apache-2.0\n');
+		writeFile(root, 'uv.lock', '[[package]]\nname = "requests"\nversion = "2.31.0"\nsource = { registry = "https://pypi.org/simple" }\n');
+		writeFile(root, 'requirements.txt', 'requests==2.30.0\n');
+		const host = createNodeHost(root, { allowedLicenses: ['Apache-2.0'], deniedLicenses: [], excludePatterns: ['.venv/**'], resolutionMode: 'offline' });
+		const { dependencies } = await scan(host);
+		assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version} ${d.license}`).sort(), [
+			'requests@2.30.0 Error: Not Installed',
+			'requests@2.31.0 Apache-2.0'
+		]);
+	});
+
+	test('reads a declared range from the virtualenv only when the installed version satisfies it', async () => {
+		writeFile(root, '.venv/lib/python3.12/site-packages/requests-3.1.0.dist-info/METADATA', 'Metadata-Version: 2.1\nName: requests\nVersion: 3.1.0\nLicense: Apache-2.0\n');
+		const strategy = strategyMap.get('pyproject.toml');
+		const options = { manifestDir: root };
+		assert.strictEqual(await strategy.fetchLocalLicenseInfo('requests', '>=2,<3', options), null);
+		assert.strictEqual((await strategy.fetchLocalLicenseInfo('requests', '>=3', options)).resolvedVersion, '3.1.0');
+		assert.strictEqual((await strategy.fetchLocalLicenseInfo('requests', '*', options)).license, 'Apache-2.0');
+	});
+});
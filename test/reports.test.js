@@ -0,0 +1,148 @@
+const assert = require('assert');
+const xml2js = require('xml2js');
+
+const { buildPurl } = require('../src/utils/purl');
+const { buildCycloneDxJson, buildCycloneDxXml } = require('../src/reports/cycloneDxReport');
+const { buildSpdxTagValue, buildSpdxJson } = require('../src/reports/spdxReport');
+
+// A dependency as produced by a scan, with the fields the reports read.
+const dependency = (fields) => ({
+	version: '1.0.0', resolvedVersion: '', license: 'MIT', homepage: '', status: 'compliant', manifestFile: 'package.json',
+	analysis: { reason: 'Overall status is COMPLIANT.' },
+	...fields,
+});
+
+suite('Reports Test Suite', () => {
+	test('builds a purl for each ecosystem', () => {
+		assert.strictEqual(buildPurl('npm', '@scope/name', '1.2.3'), 'pkg:npm/%40scope/name@1.2.3');
+		assert.strictEqual(buildPurl('composer', 'laravel/framework', 'v10.0.0'), 'pkg:composer/laravel/framework@v10.0.0');
+		assert.strictEqual(buildPurl('pypi', 'Django_REST.framework', '3.14.0'), 'pkg:pypi/django-rest-framework@3.14.0');
+		assert.strictEqual(buildPurl('maven', 'org.apache.commons:commons-lang3', '3.12.0'), 'pkg:maven/org.apache.commons/commons-lang3@3.12.0');
+		assert.strictEqual(buildPurl('golang', 'github.com/gin-gonic/gin', 'v1.9.1'), 'pkg:golang/github.com/gin-gonic/gin@v1.9.1');
+		assert.strictEqual(buildPurl('cargo', 'serde', '1.0.188'), 'pkg:cargo/serde@1.0.188');
+		// Ranges aren't versions, so they're left out.
+		assert.strictEqual(buildPurl('npm', 'left-pad', '^1.0.0'), 'pkg:npm/left-pad');
+	});
+
+	test('writes CycloneDX JSON components with licenses, references and properties', () => {
+		const bom = JSON.parse(buildCycloneDxJson([
+			dependency({ name: '@scope/a', version: '^1.0.0', resolvedVersion: '1.4.0', ecosystem: 'npm', homepage: 'https://example.com' }),
+			dependency({ name: 'b', ecosystem: 'npm', license: '(mit OR Apache 2.0)' }),
+			dependency({ name: 'c', ecosystem: 'npm', license: 'SEE LICENSE IN LICENSE.txt', status: 'unknown' }),
+			dependency({ name: 'd', ecosystem: 'npm', license: 'Error: Not Found', status: 'unknown' }),
+			// The same package through a lockfile is merged into the existing component.
+			dependency({ name: 'b', ecosystem: 'npm', license: '(mit OR Apache 2.0)', manifestFile: 'package-lock.json' }),
+		]));
+
+		assert.strictEqual(bom.bomFormat, 'CycloneDX');
+		assert.strictEqual(bom.specVersion, '1.5');
+		assert.match(bom.serialNumber, /^urn:uuid:[0-9a-f-]{36}$/);
+		assert.strictEqual(bom.components.length, 4);
+
+		const [a, b, c, d] = bom.components;
+		assert.strictEqual(a.group, '@scope');
+		assert.strictEqual(a.name, 'a');
+		assert.strictEqual(a.version, '1.4.0');
+		assert.strictEqual(a.purl, 'pkg:npm/%40scope/a@1.4.0');
+		assert.deepStrictEqual(a.licenses, [{ license: { id: 'MIT' } }]);
+		assert.deepStrictEqual(a.externalReferences, [{ type: 'website', url: 'https://example.com' }]);
+		assert.deepStrictEqual(b.licenses, [{ expression: 'MIT OR Apache-2.0' }]);
+		assert.deepStrictEqual(b.properties.filter(p => p.name === 'license-sentinel:manifestFile').map(p => p.value), ['package.json', 'package-lock.json']);
+		assert.deepStrictEqual(c.licenses, [{ license: { name: 'SEE LICENSE IN LICENSE.txt' } }]);
+		assert.strictEqual(c.properties.find(p => p.name === 'license-sentinel:status').value, 'unknown');
+		assert.strictEqual(d.licenses, undefined);
+	});
+
+	test('writes CycloneDX XML with the same components', async () => {
+		const xml = buildCycloneDxXml([
+			dependency({ name: 'org.slf4j:slf4j-api', version: '2.0.9', ecosystem: 'maven', license: 'MIT', analysis: { reason: 'a & b' } }),
+			dependency({ name: 'serde', version: '1.0.188', ecosystem: 'cargo', license: 'MIT OR Apache-2.0' }),
+		]);
+		const { bom } = await xml2js.parseStringPromise(xml);
+
+		assert.strictEqual(bom.$.xmlns, 'http://cyclonedx.org/schema/bom/1.5');
+		const [slf4j, serde] = bom.components[0].component;
+		assert.strictEqual(slf4j.group[0], 'org.slf4j');
+		assert.strictEqual(slf4j.purl[0], 'pkg:maven/org.slf4j/slf4j-api@2.0.9');
+		assert.strictEqual(slf4j.licenses[0].license[0].id[0], 'MIT');
+		assert.strictEqual(slf4j.properties[0].property[1]._, 'a & b');
+		assert.strictEqual(serde.licenses[0].expression[0], 'MIT OR Apache-2.0');
+	});
+
+	test('writes SPDX JSON with declared and concluded licenses', () => {
+		const doc = JSON.parse(buildSpdxJson([
+			dependency({ name: 'a', ecosystem: 'npm', license: 'mit' }),
+			dependency({ name: 'b', ecosystem: 'npm', license: 'MIT OR Custom License' }),
+			dependency({ name: 'c', ecosystem: 'npm', license: 'Error: Not Found', status: 'unknown' }),
+			dependency({ name: 'a', ecosystem: 'npm', license: 'mit', manifestFile: 'packages/web/package.json' }),
+		], { documentName: 'my app' }));
+
+		assert.strictEqual(doc.spdxVersion, 'SPDX-2.3');
+		assert.strictEqual(doc.name, 'my app');
+		assert.match(doc.documentNamespace, /^https:\/\/spdx\.org\/spdxdocs\/my-app-/);
+		assert.match(doc.creationInfo.created, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+
+		const byName = new Map(doc.packages.map(p => [p.name, p]));
+		assert.strictEqual(byName.get('a').licenseDeclared, 'mit');
+		assert.strictEqual(byName.get('a').licenseConcluded, 'MIT');
+		assert.strictEqual(byName.get('b').licenseDeclared, 'MIT OR LicenseRef-Custom-License');
+		assert.strictEqual(byName.get('c').licenseDeclared, 'NOASSERTION');
+		assert.strictEqual(byName.get('c').licenseConcluded, 'NOASSERTION');
+		assert.strictEqual(byName.get('a').externalRefs[0].referenceLocator, 'pkg:npm/a@1.0.0');
+		assert.deepStrictEqual(doc.hasExtractedLicensingInfos, [{ licenseId: 'LicenseRef-Custom-License', extractedText: 'Custom License', name: 'Custom License' }]);
+
+		// Both manifests depend on the same package.
+		const dependsOnA = doc.relationships.filter(r => r.relationshipType === 'DEPENDS_ON' && r.relatedSpdxElement === byName.get('a').SPDXID);
+		assert.deepStrictEqual(dependsOnA.map(r => doc.packages.find(p => p.SPDXID === r.spdxElementId).name), ['package.json', 'packages/web/package.json']);
+		assert.strictEqual(doc.relationships.filter(r => r.relationshipType === 'DESCRIBES').length, 2);
+	});
+
+	test('labels the manifests of each workspace folder in multi-root reports', () => {
+		const deps = [
+			dependency({ name: 'a', ecosystem: 'npm', workspaceFolder: 'api' }),
+			dependency({ name: 'a', ecosystem: 'npm', workspaceFolder: 'web' }),
+		];
+
+		const doc = JSON.parse(buildSpdxJson(deps, { documentName: 'my app' }));
+		const manifests = doc.relationships.filter(r => r.relationshipType === 'DESCRIBES').map(r => doc.packages.find(p => p.SPDXID === r.relatedSpdxElement).name);
+		assert.deepStrictEqual(manifests, ['api/package.json', 'web/package.json']);
+
+		const bom = JSON.parse(buildCycloneDxJson(deps));
+		const sources = bom.components[0].properties.filter(p => p.name.endsWith(':manifestFile')).map(p => p.value);
+		assert.deepStrictEqual(sources, ['api/package.json', 'web/package.json']);
+	});
+
+	test('writes the scope of each dependency', () => {
+		const deps = [
+			dependency({ name: 'a', ecosystem: 'npm', scope: 'dev' }),
+			dependency({ name: 'b', ecosystem: 'npm', scope: 'peer' }),
+			// A package that another manifest needs at runtime is required.
+			dependency({ name: 'a', ecosystem: 'npm', manifestFile: 'packages/web/package.json' }),
+		];
+
+		const bom = JSON.parse(buildCycloneDxJson(deps));
+		assert.deepStrictEqual(bom.components.map(c => `${c.name}: ${c.scope}`), ['a: required', 'b: optional']);
+
+		const doc = JSON.parse(buildSpdxJson(deps, { documentName: 'my app' }));
+		const nameOf = id => doc.packages.find(p => p.SPDXID === id).name;
+		const relationships = doc.relationships.filter(r => r.relationshipType !== 'DESCRIBES').map(r => `${nameOf(r.spdxElementId)} ${r.relationshipType} ${nameOf(r.relatedSpdxElement)}`);
+		assert.deepStrictEqual(relationships, [
+			'a DEV_DEPENDENCY_OF package.json',
+			'package.json DEPENDS_ON b',
+			'packages/web/package.json DEPENDS_ON a'
+		]);
+	});
+
+	test('writes SPDX tag-value documents', () => {
+		const doc = buildSpdxTagValue([
+			dependency({ name: '@scope/a', ecosystem: 'npm', license: 'SEE LICENSE IN LICENSE', homepage: 'https://example.com' }),
+		]);
+
+		assert.match(doc, /^SPDXVersion: SPDX-2\.3\nDataLicense: CC0-1\.0\nSPDXID: SPDXRef-DOCUMENT\n/);
+		assert.match(doc, /PackageName: @scope\/a\nSPDXID: SPDXRef-Package-1-scope-a\n/);
+		assert.match(doc, /PackageHomePage: https:\/\/example\.com\n/);
+		assert.match(doc, /PackageLicenseConcluded: LicenseRef-SEE-LICENSE-IN-LICENSE\n/);
+		assert.match(doc, /LicenseID: LicenseRef-SEE-LICENSE-IN-LICENSE\nExtractedText: <text>SEE LICENSE IN LICENSE<\/text>/);
+		assert.match(doc, /Relationship: SPDXRef-Manifest-1-package\.json DEPENDS_ON SPDXRef-Package-1-scope-a\n/);
+	});
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+
+const { createScanCoordinator } = require('../src/core/scanCoordinator');
+const { ScanCancelledError, createCancellationSource, toAbortSignal } = require('../src/core/cancellation');
+
+// Creates a scan that waits until it is released, recording each request it receives.
+const createControlledScan = () => {
+	const runs = [];
+	const scan = (request, token) => new Promise((resolve, reject) => {
+		runs.push({ request, token, release: () => resolve(request) });
+		token.onCancellationRequested(() => reject(new ScanCancelledError()));
+	});
+	return { runs, scan };
+};
+
+// Waits for the promises queued so far to settle.
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+suite('Scan Coordinator Test Suite', () => {
+	test('runs one scan at a time and coalesces the requests made meanwhile', async () => {
+		const { runs, scan } = createControlledScan();
+		const applied = [];
+		const coordinator = createScanCoordinator({ scan, apply: result => applied.push(result) });
+
+		const done = coordinator.requestRescan([{ key: 'a', deleted: false }]);
+		coordinator.requestRescan([{ key: 'b', deleted: false }]);
+		coordinator.requestRescan([{ key: 'b', deleted: true }, { key: 'c', deleted: false }]);
+		await tick();
+		assert.strictEqual(runs.length, 1);
+		assert.ok(coordinator.isScanning());
+
+		runs[0].release();
+		await tick();
+		// The requests made during the first scan are merged, keeping the latest change of each file.
+		assert.strictEqual(runs.length, 2);
+		assert.deepStrictEqual(runs[1].request.changes, [{ key: 'b', deleted: true }, { key: 'c', deleted: false }]);
+
+		runs[1].release();
+		await done;
+		assert.deepStrictEqual(applied.map(result => result.changes.map(change => change.key)), [['a'], ['b', 'c']]);
+		assert.ok(!coordinator.isScanning());
+	});
+
+	test('discards the results of a scan superseded by a full scan', async () => {
+		const { runs, scan } = createControlledScan();
+		const applied = [];
+		const errors = [];
+		const coordinator = createScanCoordinator({ scan, apply: result => applied.push(result), onError: error => errors.push(error) });
+
+		coordinator.requestRescan([{ key: 'a' }]);
+		await tick();
+		const done = coordinator.requestFullScan();
+		// A rescan requested before the full scan starts is covered by it.
+		coordinator.requestRescan([{ key: 'b' }]);
+		await tick();
+		assert.ok(runs[0].token.isCancellationRequested);
+		assert.deepStrictEqual(runs[1].request, { full: true, changes: [] });
+
+		runs[1].release();
+		await done;
+		assert.deepStrictEqual(applied, [{ full: true, changes: [] }]);
+		assert.deepStrictEqual(errors, []);
+	});
+
+	test('cancels the scan in progress on request', async () => {
+		const { scan } = createControlledScan();
+		const applied = [];
+		const states = [];
+		const coordinator = createScanCoordinator({ scan, apply: result => applied.push(result), onStateChange: state => states.push(state) });
+
+		const done = coordinator.requestFullScan();
+		await tick();
+		coordinator.cancel();
+		await done;
+		assert.deepStrictEqual(applied, []);
+		assert.deepStrictEqual(states, [true, false]);
+	});
+
+	test('aborts the signal of a cancelled token', () => {
+		const source = createCancellationSource();
+		const signal = toAbortSignal(source.token);
+		assert.ok(!signal.aborted);
+		source.cancel();
+		assert.ok(signal.aborted);
+		assert.ok(toAbortSignal(source.token).aborted);
+	});
+});
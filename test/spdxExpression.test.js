@@ -0,0 +1,47 @@
+const assert = require('assert');
+
+const { SpdxExpressionError, parseSpdxExpression, renderSpdxExpression } = require('../src/ai/spdxExpression');
+
+suite('SPDX Expression Test Suite', () => {
+	test('AND binds tighter than OR', () => {
+		assert.deepStrictEqual(parseSpdxExpression('MIT OR Apache-2.0 AND BSD-3-Clause'), {
+			or: [{ license: 'MIT' }, { and: [{ license: 'Apache-2.0' }, { license: 'BSD-3-Clause' }] }]
+		});
+		assert.deepStrictEqual(parseSpdxExpression('(MIT OR Apache-2.0) AND ISC AND Zlib'), {
+			and: [{ or: [{ license: 'MIT' }, { license: 'Apache-2.0' }] }, { license: 'ISC' }, { license: 'Zlib' }]
+		});
+	});
+
+	test('parses WITH, the + suffix and license references', () => {
+		assert.deepStrictEqual(parseSpdxExpression('GPL-2.0+ WITH Classpath-exception-2.0'), { license: 'GPL-2.0', plus: true, exception: 'Classpath-exception-2.0' });
+		assert.deepStrictEqual(parseSpdxExpression('Apache-2.0 WITH LLVM-exception'), { license: 'Apache-2.0', exception: 'LLVM-exception' });
+		assert.deepStrictEqual(parseSpdxExpression('DocumentRef-spdx-tool-1.2:LicenseRef-MIT-Style-2'), { license: 'LicenseRef-MIT-Style-2', documentRef: 'DocumentRef-spdx-tool-1.2' });
+	});
+
+	test('reports syntax errors with their position', () => {
+		const cases = [
+			['MIT OR', 6, /Expected a license id but found end of expression/],
+			['MIT AND (BSD-3-Clause OR ISC', 28, /Expected '\)'/],
+			['MIT Apache-2.0', 4, /Expected AND, OR or the end of the expression but found 'Apache-2.0'/],
+			['MIT WITH', 8, /Expected an exception id/],
+			['LicenseRef-a+', 0, /Invalid license id/],
+			['MIT / ISC', 4, /Unexpected character '\/'/]
+		];
+		for (const [expression, position, message] of cases) {
+			assert.throws(() => parseSpdxExpression(expression), error => error instanceof SpdxExpressionError && error.position === position && message.test(error.message), expression);
+		}
+	});
+
+	test('reads free-form licenses in lenient mode', () => {
+		assert.deepStrictEqual(parseSpdxExpression('Apache 2.0 or mit', { lenient: true }), { or: [{ license: 'Apache 2.0' }, { license: 'mit' }] });
+		assert.deepStrictEqual(parseSpdxExpression('GPLv2+', { lenient: true }), { license: 'GPLv2', plus: true });
+		assert.deepStrictEqual(parseSpdxExpression('MIT AND (BSD', { lenient: true }), { license: 'MIT AND (BSD' });
+	});
+
+	test('renders expressions with the parentheses they need', () => {
+		for (const expression of ['MIT OR Apache-2.0 AND BSD-3-Clause', '(MIT OR Apache-2.0) AND GPL-2.0+ WITH Classpath-exception-2.0']) {
+			assert.strictEqual(renderSpdxExpression(parseSpdxExpression(expression)), expression);
+		}
+		assert.strictEqual(renderSpdxExpression(parseSpdxExpression('((MIT))')), 'MIT');
+	});
+});